@@ -0,0 +1,21 @@
+// Admin check – runs after authMiddleware, which sets req.user.
+//
+// Admins are the accounts listed in ADMIN_EMAILS (comma-separated). With the
+// variable unset nobody is an admin.
+
+function adminEmails() {
+    return (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map((email) => email.toLowerCase().trim())
+        .filter(Boolean);
+}
+
+function requireAdmin(req, res, next) {
+    const email = (req.user.email || '').toLowerCase();
+    if (!adminEmails().includes(email)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+module.exports = { requireAdmin, adminEmails };
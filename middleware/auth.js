@@ -1,9 +1,8 @@
-const jwt = require('jsonwebtoken');
-const { findById, sanitizeUser } = require('../models/User');
+const { getAuthProvider } = require('../services/auth');
 
-const JWT_SECRET = process.env.JWT_SECRET;
-
-function authMiddleware(req, res, next) {
+// Verifies the bearer token with the configured auth provider (AUTH_PROVIDER)
+// and sets req.user to the caller's profile.
+async function authMiddleware(req, res, next) {
     const header = req.headers.authorization;
     if (!header || !header.startsWith('Bearer ')) {
         return res.status(401).json({ error: 'Authentication required' });
@@ -11,24 +10,13 @@ function authMiddleware(req, res, next) {
 
     const token = header.slice(7);
 
-    if (!JWT_SECRET) {
-        console.error('JWT_SECRET is not configured');
-        return res.status(500).json({ error: 'Server authentication misconfigured' });
-    }
-
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = findById(decoded.userId);
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
-        }
-        req.user = sanitizeUser(user);
+        req.user = await getAuthProvider().verifyToken(token);
         next();
     } catch (err) {
-        if (err.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Token expired' });
-        }
-        return res.status(401).json({ error: 'Invalid token' });
+        const status = err.statusCode || 401;
+        if (status >= 500) console.error('Auth error:', err.message);
+        return res.status(status).json({ error: status === 401 ? err.message : 'Authentication failed' });
     }
 }
 
@@ -0,0 +1,127 @@
+// Entitlement checks for analysis endpoints – run after authMiddleware.
+//
+// Paid plans (monthly / yearly) with an active subscription analyse without
+// limit. Trial users spend one of trialScansRemaining per accepted analysis
+// until trialEndsAt; steps short of an analysis (raw OCR) are checked but
+// free. Cancelled or expired plans are refused with 402.
+
+const { getAuthProvider } = require('../services/auth');
+
+const UNLIMITED_PLANS = ['monthly', 'yearly'];
+
+/**
+ * Works out whether the user may start an analysis right now.
+ * Returns null when allowed, otherwise { code, message } for a 402.
+ */
+function checkEntitlement(user, now = new Date()) {
+    if (user.planStatus === 'cancelled') {
+        return {
+            code: 'plan_cancelled',
+            message: 'Your subscription has been cancelled. Resubscribe to run new analyses.',
+        };
+    }
+    if (user.planStatus === 'expired') {
+        return {
+            code: 'plan_expired',
+            message: 'Your plan has expired. Choose a plan to run new analyses.',
+        };
+    }
+    if (UNLIMITED_PLANS.includes(user.plan)) return null;
+
+    if (user.trialEndsAt && new Date(user.trialEndsAt) <= now) {
+        return {
+            code: 'trial_expired',
+            message: 'Your free trial has ended. Choose a plan to keep analysing games.',
+        };
+    }
+    if (!(user.trialScansRemaining > 0)) {
+        return {
+            code: 'trial_scans_exhausted',
+            message: 'You have used all of your free trial scans. Choose a plan to keep analysing games.',
+        };
+    }
+    return null;
+}
+
+/** Usage summary for GET /api/me/usage. */
+function usageFor(user, now = new Date()) {
+    const denied = checkEntitlement(user, now);
+    const unlimited = UNLIMITED_PLANS.includes(user.plan);
+    return {
+        plan: user.plan,
+        planStatus: user.planStatus,
+        unlimited,
+        trialScansRemaining: unlimited ? null : (user.trialScansRemaining || 0),
+        trialEndsAt: unlimited ? null : user.trialEndsAt,
+        canAnalyze: !denied,
+        reason: denied ? denied.code : null,
+        message: denied ? denied.message : null,
+    };
+}
+
+/**
+ * Refuses the request with 402 unless the user may analyse, and takes a
+ * trial scan when they're on a trial. The scan is taken before the handler
+ * runs, and given back automatically if the response is an error or the
+ * connection closes before one is sent.
+ *
+ * Sets req.entitlement = { scanConsumed, refund() }. Handlers that hand work
+ * to a background job should pass scanConsumed along and call the
+ * provider's refundScan if the job later fails.
+ *
+ * @param {object} [provider] - auth provider; defaults to getAuthProvider()
+ * @param {object} [opts]
+ * @param {boolean} [opts.spendScan=true] - false: only check the plan
+ */
+function requireEntitlement(provider, { spendScan = true } = {}) {
+    return async function entitlement(req, res, next) {
+        const auth = provider || getAuthProvider();
+        const denied = checkEntitlement(req.user);
+        if (denied) {
+            return res.status(402).json({ error: denied.message, code: denied.code });
+        }
+
+        if (!spendScan || UNLIMITED_PLANS.includes(req.user.plan)) {
+            req.entitlement = { scanConsumed: false, refund: async () => {} };
+            return next();
+        }
+
+        let remaining;
+        try {
+            remaining = await auth.consumeScan(req.user.id);
+        } catch (err) {
+            console.error('Scan accounting error:', err.message);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+        if (remaining === null) {
+            // Another request took the last scan between the check and the update
+            const exhausted = checkEntitlement({ ...req.user, trialScansRemaining: 0 });
+            return res.status(402).json({ error: exhausted.message, code: exhausted.code });
+        }
+
+        let refunded = false;
+        const refund = async () => {
+            if (refunded) return;
+            refunded = true;
+            try {
+                await auth.refundScan(req.user.id);
+            } catch (err) {
+                console.error(`Scan refund failed for user ${req.user.id}:`, err.message);
+            }
+        };
+
+        req.user.trialScansRemaining = remaining;
+        req.entitlement = { scanConsumed: true, refund };
+        res.on('finish', () => {
+            if (res.statusCode >= 400) refund();
+        });
+        // The connection went before a response was sent, e.g. the client
+        // aborted a video upload while multer was still receiving it
+        res.on('close', () => {
+            if (!res.writableFinished) refund();
+        });
+        next();
+    };
+}
+
+module.exports = { requireEntitlement, checkEntitlement, usageFor, UNLIMITED_PLANS };
@@ -0,0 +1,83 @@
+// Ownership checks – run after authMiddleware, which sets req.user.
+
+/**
+ * Loads a record by req.params.id and rejects anyone but its owner. The
+ * record is attached to req under `name` ("report", "scorebook"); `noun`
+ * is how errors refer to it.
+ */
+function requireOwner(load, name, noun = name) {
+    const label = noun.charAt(0).toUpperCase() + noun.slice(1);
+    return async function owner(req, res, next) {
+        try {
+            const record = await load(req.params.id);
+            if (!record) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+            if (record.userId !== req.user.id) {
+                return res.status(403).json({ error: `You do not have access to this ${noun}` });
+            }
+            req[name] = record;
+            next();
+        } catch (err) {
+            console.error(`${label} lookup error:`, err.message);
+            return res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+/**
+ * Loads the report named by req.params.id and rejects anyone but its owner.
+ * The loaded report is attached as req.report.
+ */
+function requireReportOwner(repository) {
+    return requireOwner((id) => repository.getReport(id), 'report');
+}
+
+/** Same for stored scorebook parses; attached as req.scorebook. */
+function requireScorebookOwner(repository) {
+    return requireOwner((id) => repository.getScorebook(id), 'scorebook');
+}
+
+/** Teams, seasons, games and roster players (services/teams.js); attached as req.team etc. */
+function requireTeamOwner(repository) {
+    return requireOwner((id) => repository.getTeam(id), 'team');
+}
+
+function requireSeasonOwner(repository) {
+    return requireOwner((id) => repository.getSeason(id), 'season');
+}
+
+function requireGameOwner(repository) {
+    return requireOwner((id) => repository.getGame(id), 'game');
+}
+
+function requireRosterPlayerOwner(repository) {
+    return requireOwner((id) => repository.getRosterPlayer(id), 'rosterPlayer', 'roster player');
+}
+
+/** Stored practice plans; attached as req.practicePlan. */
+function requirePracticePlanOwner(repository) {
+    return requireOwner((id) => repository.getPracticePlan(id), 'practicePlan', 'practice plan');
+}
+
+/**
+ * Only lets users act on their own :email routes.
+ */
+function requireSelf(req, res, next) {
+    const email = (req.params.email || '').toLowerCase().trim();
+    if (email !== (req.user.email || '').toLowerCase()) {
+        return res.status(403).json({ error: 'You do not have access to this user' });
+    }
+    next();
+}
+
+module.exports = {
+    requireReportOwner,
+    requireScorebookOwner,
+    requireTeamOwner,
+    requireSeasonOwner,
+    requireGameOwner,
+    requireRosterPlayerOwner,
+    requirePracticePlanOwner,
+    requireSelf,
+};
@@ -13,6 +13,9 @@ const TRIAL_DURATION_DAYS = 7;
 const TRIAL_SCANS_DEFAULT = 3;
 const BCRYPT_ROUNDS = 10;
 
+// Fields updateBilling may change
+const BILLING_FIELDS = ['plan', 'planStatus', 'stripeCustomerId', 'stripeSubscriptionId'];
+
 /**
  * Creates a new user object with hashed password.
  * Returns the created user (without password field).
@@ -69,6 +72,30 @@ function findById(id) {
     return usersById.get(id) || null;
 }
 
+/**
+ * Finds the user linked to a Stripe customer. Returns full user object.
+ */
+function findByStripeCustomerId(customerId) {
+    for (const user of usersById.values()) {
+        if (user.stripeCustomerId === customerId) return user;
+    }
+    return null;
+}
+
+/**
+ * Applies plan / Stripe fields from billing. Returns the updated user
+ * (without password), or null if the user doesn't exist.
+ */
+function updateBilling(id, updates) {
+    const user = usersById.get(id);
+    if (!user) return null;
+    for (const field of BILLING_FIELDS) {
+        if (updates[field] !== undefined) user[field] = updates[field];
+    }
+    user.updatedAt = new Date().toISOString();
+    return sanitizeUser(user);
+}
+
 /**
  * Compares a plain-text password against the stored hash.
  */
@@ -76,6 +103,29 @@ async function comparePassword(plainText, hash) {
     return bcrypt.compare(plainText, hash);
 }
 
+/**
+ * Takes one trial scan if any remain. Returns the remaining count, or null
+ * when the user has none left (or doesn't exist).
+ */
+function consumeTrialScan(id) {
+    const user = usersById.get(id);
+    if (!user || user.trialScansRemaining <= 0) return null;
+    user.trialScansRemaining -= 1;
+    user.updatedAt = new Date().toISOString();
+    return user.trialScansRemaining;
+}
+
+/**
+ * Gives back a scan taken by consumeTrialScan (the analysis failed).
+ */
+function refundTrialScan(id) {
+    const user = usersById.get(id);
+    if (!user) return null;
+    user.trialScansRemaining += 1;
+    user.updatedAt = new Date().toISOString();
+    return user.trialScansRemaining;
+}
+
 /**
  * Returns a user object without the password field.
  */
@@ -88,8 +138,12 @@ module.exports = {
     createUser,
     findByEmail,
     findById,
+    findByStripeCustomerId,
+    updateBilling,
     comparePassword,
     sanitizeUser,
+    consumeTrialScan,
+    refundTrialScan,
     COACHING_LEVELS,
     PLAN_TYPES,
     PLAN_STATUSES,
@@ -0,0 +1,48 @@
+'use strict';
+
+const { createMemoryRepository } = require('./memoryRepository');
+const { createSupabaseRepository } = require('./supabaseRepository');
+
+// ---------------------------------------------------------------------------
+// Repository selection
+//
+// STORAGE_DRIVER=memory    → process-local Maps (tests, local dev)
+// STORAGE_DRIVER=supabase  → Postgres tables from sql/schema.sql
+//
+// When unset, Supabase is used if its credentials are configured.
+// ---------------------------------------------------------------------------
+
+const DRIVERS = {
+    memory: createMemoryRepository,
+    supabase: createSupabaseRepository,
+};
+
+function resolveDriver() {
+    if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+    if (process.env.NODE_ENV === 'test') return 'memory';
+    return process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY ? 'supabase' : 'memory';
+}
+
+/**
+ * Create a repository for the given driver name.
+ *
+ * @param {string} [driver] - "memory" or "supabase"; defaults to resolveDriver()
+ * @param {object} [opts]   - passed through to the driver factory
+ */
+function createRepository(driver = resolveDriver(), opts = {}) {
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Supported: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return factory(opts);
+}
+
+let _repository = null;
+
+/** Process-wide repository singleton. */
+function getRepository() {
+    if (!_repository) _repository = createRepository();
+    return _repository;
+}
+
+module.exports = { createRepository, getRepository };
@@ -0,0 +1,356 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// In-memory repository
+//
+// Process-local Maps with the same async interface as the Supabase
+// repository. Used by tests and local development; everything is lost when
+// the process exits.
+// ---------------------------------------------------------------------------
+
+/** last_error for a job failed at claim time; same text as claim_job in sql/schema.sql. */
+const ABANDONED_JOB_ERROR = 'Processing stopped unexpectedly on the final attempt';
+
+function createMemoryRepository() {
+    const usersByEmail = new Map();
+    const reports = new Map();
+    const reportVersions = new Map();
+    const uploadSessions = new Map();
+    const jobs = new Map();
+    const scorebooks = new Map();
+    const scorebookEdits = new Map();
+    const cachedResults = new Map();
+    const teams = recordStore();
+    const seasons = recordStore();
+    const rosterPlayers = recordStore();
+    const games = recordStore();
+    const practicePlans = recordStore();
+
+    return {
+        driver: 'memory',
+
+        // --- Users ---
+
+        async registerUser({ id, email, name, teamName }) {
+            const normalizedEmail = email.toLowerCase().trim();
+            const existing = usersByEmail.get(normalizedEmail);
+            const user = {
+                id: existing ? existing.id : id,
+                email: normalizedEmail,
+                name: name || (existing && existing.name) || 'Coach',
+                teamName: teamName || (existing && existing.teamName) || '',
+                createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            };
+            usersByEmail.set(normalizedEmail, user);
+            return { ...user };
+        },
+
+        async findUserByEmail(email) {
+            const user = usersByEmail.get(email.toLowerCase().trim());
+            return user ? { ...user } : null;
+        },
+
+        // --- Reports ---
+
+        async createReport(report) {
+            reports.set(report.id, { ...report });
+            return { ...report };
+        },
+
+        async getReport(id) {
+            const report = reports.get(id);
+            return report ? { ...report } : null;
+        },
+
+        async updateReport(id, updates) {
+            const current = reports.get(id);
+            if (!current) return null;
+            const updated = { ...current, ...updates };
+            reports.set(id, updated);
+            return { ...updated };
+        },
+
+        async listReportsByUser(userId) {
+            return [...reports.values()]
+                .filter((r) => r.userId === userId)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map((r) => ({ ...r }));
+        },
+
+        async saveReportVersion(reportId, report) {
+            const versions = reportVersions.get(reportId) || [];
+            const version = {
+                reportId,
+                version: versions.length + 1,
+                report,
+                createdAt: new Date().toISOString(),
+            };
+            versions.push(version);
+            reportVersions.set(reportId, versions);
+            return { ...version };
+        },
+
+        async listReportVersions(reportId) {
+            return (reportVersions.get(reportId) || []).map((v) => ({ ...v }));
+        },
+
+        // --- Upload sessions ---
+
+        async createUploadSession(session) {
+            uploadSessions.set(session.id, { ...session });
+            return { ...session };
+        },
+
+        async getUploadSession(id) {
+            const session = uploadSessions.get(id);
+            return session ? { ...session } : null;
+        },
+
+        async incrementUploadChunks(id) {
+            const session = uploadSessions.get(id);
+            if (!session) return null;
+            session.receivedChunks++;
+            return { ...session };
+        },
+
+        async deleteUploadSession(id) {
+            uploadSessions.delete(id);
+        },
+
+        // --- Jobs ---
+
+        async enqueueJob(job) {
+            const now = new Date().toISOString();
+            const stored = {
+                status: 'queued', attempts: 0, maxAttempts: 3, priority: 0, stage: null, state: {},
+                lockedBy: null, leaseExpiresAt: null, lastError: null,
+                runAt: now, createdAt: now, updatedAt: now, completedAt: null,
+                ...job,
+            };
+            jobs.set(stored.id, stored);
+            return { ...stored };
+        },
+
+        async getJob(id) {
+            const job = jobs.get(id);
+            return job ? { ...job } : null;
+        },
+
+        async claimJob({ workerId, leaseMs }) {
+            const now = Date.now();
+            const claimable = [...jobs.values()]
+                .filter((j) =>
+                    (j.status === 'queued' && new Date(j.runAt).getTime() <= now) ||
+                    (j.status === 'running' && new Date(j.leaseExpiresAt).getTime() < now))
+                .sort((a, b) => (b.priority - a.priority) || (new Date(a.createdAt) - new Date(b.createdAt)));
+            const job = claimable[0];
+            if (!job) return null;
+
+            // Abandoned on its last attempt (the worker crashed): fail it
+            // rather than run it again, and hand it back so onFailed runs
+            if (job.status === 'running' && job.attempts >= job.maxAttempts) {
+                Object.assign(job, {
+                    status: 'failed',
+                    lockedBy: null,
+                    leaseExpiresAt: null,
+                    lastError: ABANDONED_JOB_ERROR,
+                    updatedAt: new Date(now).toISOString(),
+                });
+                return { ...job };
+            }
+
+            Object.assign(job, {
+                status: 'running',
+                attempts: job.attempts + 1,
+                lockedBy: workerId,
+                leaseExpiresAt: new Date(now + leaseMs).toISOString(),
+                updatedAt: new Date(now).toISOString(),
+            });
+            return { ...job };
+        },
+
+        async extendJobLease(id, workerId, leaseMs) {
+            const job = jobs.get(id);
+            if (!job || job.lockedBy !== workerId || job.status !== 'running') return false;
+            job.leaseExpiresAt = new Date(Date.now() + leaseMs).toISOString();
+            return true;
+        },
+
+        async updateJob(id, updates) {
+            const job = jobs.get(id);
+            if (!job) return null;
+            Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+            return { ...job };
+        },
+
+        // --- Scorebooks (stored parses under review) ---
+
+        async createScorebook(scorebook) {
+            scorebooks.set(scorebook.id, { ...scorebook });
+            return { ...scorebook };
+        },
+
+        async getScorebook(id) {
+            const scorebook = scorebooks.get(id);
+            return scorebook ? { ...scorebook } : null;
+        },
+
+        async updateScorebook(id, updates) {
+            const current = scorebooks.get(id);
+            if (!current) return null;
+            const updated = { ...current, ...updates };
+            scorebooks.set(id, updated);
+            return { ...updated };
+        },
+
+        async listScorebooksByUser(userId, { status } = {}) {
+            return [...scorebooks.values()]
+                .filter((s) => s.userId === userId && (!status || s.status === status))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map((s) => ({ ...s }));
+        },
+
+        async appendScorebookEdit(scorebookId, edit) {
+            const edits = scorebookEdits.get(scorebookId) || [];
+            const stored = {
+                ...edit,
+                scorebookId,
+                version: edits.length + 1,
+                createdAt: new Date().toISOString(),
+            };
+            edits.push(stored);
+            scorebookEdits.set(scorebookId, edits);
+            return { ...stored };
+        },
+
+        async listScorebookEdits(scorebookId) {
+            return (scorebookEdits.get(scorebookId) || []).map((e) => ({ ...e }));
+        },
+
+        async listScorebooksByGame(gameId) {
+            return [...scorebooks.values()]
+                .filter((s) => s.gameId === gameId)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map((s) => ({ ...s }));
+        },
+
+        async listReportsByGame(gameId) {
+            return [...reports.values()]
+                .filter((r) => r.gameId === gameId)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+                .map((r) => ({ ...r }));
+        },
+
+        // --- Teams, seasons, roster and games ---
+
+        createTeam: teams.create,
+        getTeam: teams.get,
+        updateTeam: teams.update,
+        deleteTeam: teams.remove,
+        async listTeamsByUser(userId) {
+            return teams.list((t) => t.userId === userId, (a, b) => a.name.localeCompare(b.name));
+        },
+
+        createSeason: seasons.create,
+        getSeason: seasons.get,
+        updateSeason: seasons.update,
+        deleteSeason: seasons.remove,
+        async listSeasonsByTeam(teamId) {
+            return seasons.list((s) => s.teamId === teamId, (a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        },
+
+        createRosterPlayer: rosterPlayers.create,
+        getRosterPlayer: rosterPlayers.get,
+        updateRosterPlayer: rosterPlayers.update,
+        deleteRosterPlayer: rosterPlayers.remove,
+        async listRosterBySeason(seasonId) {
+            return rosterPlayers.list((p) => p.seasonId === seasonId, byJerseyNumber);
+        },
+
+        createGame: games.create,
+        getGame: games.get,
+        updateGame: games.update,
+        async deleteGame(id) {
+            // Like ON DELETE SET NULL: attached records stay, unattached
+            for (const map of [scorebooks, reports]) {
+                for (const record of map.values()) if (record.gameId === id) record.gameId = null;
+            }
+            for (const plan of practicePlans.list((p) => p.gameId === id)) {
+                await practicePlans.update(plan.id, { gameId: null });
+            }
+            return games.remove(id);
+        },
+        async listGamesBySeason(seasonId) {
+            return games.list((g) => g.seasonId === seasonId, (a, b) => a.date.localeCompare(b.date));
+        },
+
+        // --- Practice plans ---
+
+        createPracticePlan: practicePlans.create,
+        getPracticePlan: practicePlans.get,
+        updatePracticePlan: practicePlans.update,
+        async listPracticePlansByGame(gameId) {
+            return practicePlans.list((p) => p.gameId === gameId, (a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        },
+
+        // --- Result cache (OCR / Claude results by content hash) ---
+
+        async getCachedResult(key) {
+            const entry = cachedResults.get(key);
+            return entry ? { ...entry } : null;
+        },
+
+        async saveCachedResult(entry) {
+            const stored = { createdAt: new Date().toISOString(), ...entry };
+            cachedResults.set(entry.key, stored);
+            return { ...stored };
+        },
+
+        async deleteCachedResults({ key, kind, createdBefore } = {}) {
+            let deleted = 0;
+            for (const entry of [...cachedResults.values()]) {
+                if (key && entry.key !== key) continue;
+                if (kind && entry.kind !== kind) continue;
+                if (createdBefore && new Date(entry.createdAt) >= new Date(createdBefore)) continue;
+                cachedResults.delete(entry.key);
+                deleted++;
+            }
+            return deleted;
+        },
+    };
+}
+
+/** Map of plain records keyed by id, handing out copies. */
+function recordStore() {
+    const records = new Map();
+    return {
+        async create(record) {
+            records.set(record.id, { ...record });
+            return { ...record };
+        },
+        async get(id) {
+            const record = records.get(id);
+            return record ? { ...record } : null;
+        },
+        async update(id, updates) {
+            const current = records.get(id);
+            if (!current) return null;
+            const updated = { ...current, ...updates };
+            records.set(id, updated);
+            return { ...updated };
+        },
+        async remove(id) {
+            return records.delete(id);
+        },
+        list(filter, compare) {
+            return [...records.values()].filter(filter).sort(compare).map((r) => ({ ...r }));
+        },
+    };
+}
+
+/** "4" before "10"; "00" before "0" is left to string order. */
+function byJerseyNumber(a, b) {
+    return (parseInt(a.number, 10) - parseInt(b.number, 10)) || a.number.localeCompare(b.number);
+}
+
+module.exports = { createMemoryRepository };
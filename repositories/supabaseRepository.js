@@ -0,0 +1,726 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Supabase (Postgres) repository
+//
+// Persists reports, report versions, upload sessions, jobs, scorebooks,
+// cached OCR / Claude results, and teams / seasons / rosters / games /
+// practice plans in the tables defined in sql/schema.sql. Rows
+// are snake_case in Postgres and mapped to the camelCase objects the rest of
+// the app already uses.
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.client] - Supabase client; defaults to config/supabase
+ */
+function createSupabaseRepository({ client } = {}) {
+    // Required lazily: config/supabase throws when the env vars are absent.
+    const supabase = client || require('../config/supabase');
+    const teams = tableCrud(supabase, 'teams', teamToRow, rowToTeam);
+    const seasons = tableCrud(supabase, 'seasons', seasonToRow, rowToSeason);
+    const rosterPlayers = tableCrud(supabase, 'roster_players', rosterPlayerToRow, rowToRosterPlayer);
+    const games = tableCrud(supabase, 'games', gameToRow, rowToGame);
+    const practicePlans = tableCrud(supabase, 'practice_plans', practicePlanToRow, rowToPracticePlan);
+
+    return {
+        driver: 'supabase',
+
+        // --- Users (backed by user_profiles) ---
+
+        async registerUser({ email, name, teamName }) {
+            const normalizedEmail = email.toLowerCase().trim();
+            const profile = await selectOne(
+                supabase.from('user_profiles').select('*').eq('email', normalizedEmail)
+            );
+            if (!profile) {
+                // Profiles belong to Supabase Auth (user_profiles.id references
+                // auth.users) and are created by its signup, so there is
+                // nothing to create here – local-auth users have no profile.
+                throw Object.assign(
+                    new Error('No account found for this email. Sign up first.'),
+                    { statusCode: 404 }
+                );
+            }
+
+            const updates = {};
+            if (name) updates.name = name;
+            if (teamName) updates.team_name = teamName;
+            if (Object.keys(updates).length === 0) return rowToUser(profile);
+
+            const updated = await selectOne(
+                supabase.from('user_profiles').update(updates).eq('id', profile.id).select('*')
+            );
+            return rowToUser(updated);
+        },
+
+        async findUserByEmail(email) {
+            const profile = await selectOne(
+                supabase.from('user_profiles').select('*').eq('email', email.toLowerCase().trim())
+            );
+            return profile ? rowToUser(profile) : null;
+        },
+
+        // --- Reports ---
+
+        async createReport(report) {
+            const row = await selectOne(
+                supabase.from('reports').insert(reportToRow(report)).select('*')
+            );
+            return rowToReport(row);
+        },
+
+        async getReport(id) {
+            const row = await selectOne(supabase.from('reports').select('*').eq('id', id));
+            return row ? rowToReport(row) : null;
+        },
+
+        async updateReport(id, updates) {
+            const row = await selectOne(
+                supabase.from('reports').update(reportToRow(updates)).eq('id', id).select('*')
+            );
+            return row ? rowToReport(row) : null;
+        },
+
+        async listReportsByUser(userId) {
+            const { data, error } = await supabase
+                .from('reports')
+                .select('id, user_id, user_email, user_name, opponent_name, game_id, status, progress, progress_text, created_at, completed_at')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+            if (error) throw wrapError(error);
+            return (data || []).map(rowToReport);
+        },
+
+        async saveReportVersion(reportId, report) {
+            const { data, error } = await supabase.rpc('append_report_version', {
+                p_report_id: reportId,
+                p_report: report,
+            });
+            if (error) throw wrapError(error);
+            const row = Array.isArray(data) ? data[0] : data;
+            return rowToReportVersion(row);
+        },
+
+        async listReportVersions(reportId) {
+            const { data, error } = await supabase
+                .from('report_versions')
+                .select('*')
+                .eq('report_id', reportId)
+                .order('version', { ascending: true });
+            if (error) throw wrapError(error);
+            return (data || []).map(rowToReportVersion);
+        },
+
+        // --- Upload sessions ---
+
+        async createUploadSession(session) {
+            const row = await selectOne(
+                supabase.from('upload_sessions').insert(uploadSessionToRow(session)).select('*')
+            );
+            return rowToUploadSession(row);
+        },
+
+        async getUploadSession(id) {
+            const row = await selectOne(supabase.from('upload_sessions').select('*').eq('id', id));
+            return row ? rowToUploadSession(row) : null;
+        },
+
+        async incrementUploadChunks(id) {
+            // Atomic increment so parallel chunk uploads don't lose counts
+            const { data, error } = await supabase.rpc('increment_upload_chunks', { p_session_id: id });
+            if (error) throw wrapError(error);
+            const row = Array.isArray(data) ? data[0] : data;
+            return row ? rowToUploadSession(row) : null;
+        },
+
+        async deleteUploadSession(id) {
+            const { error } = await supabase.from('upload_sessions').delete().eq('id', id);
+            if (error) throw wrapError(error);
+        },
+
+        // --- Jobs ---
+
+        async enqueueJob(job) {
+            const row = await selectOne(supabase.from('jobs').insert(jobToRow(job)).select('*'));
+            return rowToJob(row);
+        },
+
+        async getJob(id) {
+            const row = await selectOne(supabase.from('jobs').select('*').eq('id', id));
+            return row ? rowToJob(row) : null;
+        },
+
+        async claimJob({ workerId, leaseMs }) {
+            // FOR UPDATE SKIP LOCKED inside the function keeps two workers
+            // from claiming the same job.
+            const { data, error } = await supabase.rpc('claim_job', {
+                p_worker_id: workerId,
+                p_lease_seconds: Math.ceil(leaseMs / 1000),
+            });
+            if (error) throw wrapError(error);
+            const row = Array.isArray(data) ? data[0] : data;
+            return row ? rowToJob(row) : null;
+        },
+
+        async extendJobLease(id, workerId, leaseMs) {
+            const { data, error } = await supabase
+                .from('jobs')
+                .update({ lease_expires_at: new Date(Date.now() + leaseMs).toISOString() })
+                .eq('id', id)
+                .eq('locked_by', workerId)
+                .eq('status', 'running')
+                .select('id');
+            if (error) throw wrapError(error);
+            return (data || []).length > 0;
+        },
+
+        async updateJob(id, updates) {
+            const row = await selectOne(
+                supabase.from('jobs').update(jobToRow(updates)).eq('id', id).select('*')
+            );
+            return row ? rowToJob(row) : null;
+        },
+
+        // --- Scorebooks (stored parses under review) ---
+
+        async createScorebook(scorebook) {
+            const row = await selectOne(
+                supabase.from('scorebooks').insert(scorebookToRow(scorebook)).select('*')
+            );
+            return rowToScorebook(row);
+        },
+
+        async getScorebook(id) {
+            const row = await selectOne(supabase.from('scorebooks').select('*').eq('id', id));
+            return row ? rowToScorebook(row) : null;
+        },
+
+        async updateScorebook(id, updates) {
+            const row = await selectOne(
+                supabase.from('scorebooks').update(scorebookToRow(updates)).eq('id', id).select('*')
+            );
+            return row ? rowToScorebook(row) : null;
+        },
+
+        async listScorebooksByUser(userId, { status } = {}) {
+            let query = supabase
+                .from('scorebooks')
+                .select('*')
+                .eq('user_id', userId);
+            if (status) query = query.eq('status', status);
+            const { data, error } = await query.order('created_at', { ascending: false });
+            if (error) throw wrapError(error);
+            return (data || []).map(rowToScorebook);
+        },
+
+        async appendScorebookEdit(scorebookId, edit) {
+            const { data, error } = await supabase.rpc('append_scorebook_edit', {
+                p_scorebook_id: scorebookId,
+                p_user_id: edit.userId,
+                p_action: edit.action,
+                p_changes: edit.changes,
+                p_review_reasons: edit.reviewReasons,
+            });
+            if (error) throw wrapError(error);
+            const row = Array.isArray(data) ? data[0] : data;
+            return rowToScorebookEdit(row);
+        },
+
+        async listScorebookEdits(scorebookId) {
+            const { data, error } = await supabase
+                .from('scorebook_edits')
+                .select('*')
+                .eq('scorebook_id', scorebookId)
+                .order('version', { ascending: true });
+            if (error) throw wrapError(error);
+            return (data || []).map(rowToScorebookEdit);
+        },
+
+        async listScorebooksByGame(gameId) {
+            return rowsBy(supabase, 'scorebooks', 'game_id', gameId, rowToScorebook);
+        },
+
+        async listReportsByGame(gameId) {
+            return rowsBy(supabase, 'reports', 'game_id', gameId, rowToReport);
+        },
+
+        // --- Teams, seasons, roster and games ---
+
+        createTeam: teams.create,
+        getTeam: teams.get,
+        updateTeam: teams.update,
+        deleteTeam: teams.remove,
+        async listTeamsByUser(userId) {
+            return teams.list('user_id', userId, 'name', true);
+        },
+
+        createSeason: seasons.create,
+        getSeason: seasons.get,
+        updateSeason: seasons.update,
+        deleteSeason: seasons.remove,
+        async listSeasonsByTeam(teamId) {
+            return seasons.list('team_id', teamId, 'created_at', false);
+        },
+
+        createRosterPlayer: rosterPlayers.create,
+        getRosterPlayer: rosterPlayers.get,
+        updateRosterPlayer: rosterPlayers.update,
+        deleteRosterPlayer: rosterPlayers.remove,
+        async listRosterBySeason(seasonId) {
+            // Jersey numbers are text ("00"); sort numerically here
+            const players = await rosterPlayers.list('season_id', seasonId, 'number', true);
+            return players.sort((a, b) =>
+                (parseInt(a.number, 10) - parseInt(b.number, 10)) || a.number.localeCompare(b.number));
+        },
+
+        createGame: games.create,
+        getGame: games.get,
+        updateGame: games.update,
+        // Attached scorebooks, reports and plans are detached by ON DELETE SET NULL
+        deleteGame: games.remove,
+        async listGamesBySeason(seasonId) {
+            return games.list('season_id', seasonId, 'date', true);
+        },
+
+        // --- Practice plans ---
+
+        createPracticePlan: practicePlans.create,
+        getPracticePlan: practicePlans.get,
+        updatePracticePlan: practicePlans.update,
+        async listPracticePlansByGame(gameId) {
+            return practicePlans.list('game_id', gameId, 'created_at', false);
+        },
+
+        // --- Result cache (OCR / Claude results by content hash) ---
+
+        async getCachedResult(key) {
+            const row = await selectOne(supabase.from('result_cache').select('*').eq('key', key));
+            return row ? rowToCachedResult(row) : null;
+        },
+
+        async saveCachedResult(entry) {
+            const row = await selectOne(
+                supabase.from('result_cache').upsert(cachedResultToRow(entry)).select('*')
+            );
+            return rowToCachedResult(row);
+        },
+
+        async deleteCachedResults({ key, kind, createdBefore } = {}) {
+            // delete() needs a filter; created_at is never null
+            let query = supabase.from('result_cache').delete().not('created_at', 'is', null);
+            if (key) query = query.eq('key', key);
+            if (kind) query = query.eq('kind', kind);
+            if (createdBefore) query = query.lt('created_at', createdBefore);
+            const { data, error } = await query.select('key');
+            if (error) throw wrapError(error);
+            return (data || []).length;
+        },
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Run a query expected to return at most one row. */
+async function selectOne(query) {
+    const { data, error } = await query.maybeSingle();
+    if (error) throw wrapError(error);
+    return data || null;
+}
+
+/** Newest-first rows of a table matching one column. */
+async function rowsBy(supabase, table, column, value, fromRow) {
+    const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq(column, value)
+        .order('created_at', { ascending: false });
+    if (error) throw wrapError(error);
+    return (data || []).map(fromRow);
+}
+
+/** create / get / update / remove / list for a table keyed by id. */
+function tableCrud(supabase, table, toRow, fromRow) {
+    return {
+        async create(record) {
+            const row = await selectOne(supabase.from(table).insert(toRow(record)).select('*'));
+            return fromRow(row);
+        },
+        async get(id) {
+            const row = await selectOne(supabase.from(table).select('*').eq('id', id));
+            return row ? fromRow(row) : null;
+        },
+        async update(id, updates) {
+            const row = await selectOne(
+                supabase.from(table).update(toRow(updates)).eq('id', id).select('*')
+            );
+            return row ? fromRow(row) : null;
+        },
+        async remove(id) {
+            const { data, error } = await supabase.from(table).delete().eq('id', id).select('id');
+            if (error) throw wrapError(error);
+            return (data || []).length > 0;
+        },
+        async list(column, value, orderBy, ascending) {
+            const { data, error } = await supabase
+                .from(table)
+                .select('*')
+                .eq(column, value)
+                .order(orderBy, { ascending });
+            if (error) throw wrapError(error);
+            return (data || []).map(fromRow);
+        },
+    };
+}
+
+function wrapError(error) {
+    return Object.assign(new Error(`Database error: ${error.message}`), { cause: error });
+}
+
+/** Drop undefined keys so partial updates don't null out columns. */
+function compact(obj) {
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+        if (v !== undefined) out[k] = v;
+    }
+    return out;
+}
+
+// ---------------------------------------------------------------------------
+// Row mapping
+// ---------------------------------------------------------------------------
+
+function rowToUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        teamName: row.team_name || '',
+        plan: row.plan,
+        planStatus: row.plan_status,
+        createdAt: row.created_at,
+    };
+}
+
+function reportToRow(report) {
+    return compact({
+        id: report.id,
+        user_id: report.userId,
+        user_email: report.userEmail,
+        user_name: report.userName,
+        opponent_name: report.opponentName,
+        game_id: report.gameId,
+        file_name: report.fileName,
+        status: report.status,
+        progress: report.progress,
+        progress_text: report.progressText,
+        error: report.error,
+        team_info: report.teamInfo,
+        report: report.report,
+        created_at: report.createdAt,
+        completed_at: report.completedAt,
+    });
+}
+
+function rowToReport(row) {
+    return compact({
+        id: row.id,
+        userId: row.user_id,
+        userEmail: row.user_email,
+        userName: row.user_name,
+        opponentName: row.opponent_name,
+        gameId: row.game_id,
+        fileName: row.file_name,
+        status: row.status,
+        progress: row.progress,
+        progressText: row.progress_text,
+        error: row.error,
+        teamInfo: row.team_info,
+        report: row.report,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+    });
+}
+
+function rowToReportVersion(row) {
+    return {
+        reportId: row.report_id,
+        version: row.version,
+        report: row.report,
+        createdAt: row.created_at,
+    };
+}
+
+function uploadSessionToRow(session) {
+    return compact({
+        id: session.id,
+        file_name: session.fileName,
+        file_size: session.fileSize,
+        total_chunks: session.totalChunks,
+        received_chunks: session.receivedChunks,
+        chunks_dir: session.chunksDir,
+        user_id: session.userId,
+        user_email: session.userEmail,
+        created_at: session.createdAt,
+    });
+}
+
+function rowToUploadSession(row) {
+    return {
+        id: row.id,
+        fileName: row.file_name,
+        fileSize: row.file_size,
+        totalChunks: row.total_chunks,
+        receivedChunks: row.received_chunks,
+        chunksDir: row.chunks_dir,
+        userId: row.user_id,
+        userEmail: row.user_email,
+        createdAt: row.created_at,
+    };
+}
+
+function jobToRow(job) {
+    return compact({
+        id: job.id,
+        type: job.type,
+        payload: job.payload,
+        status: job.status,
+        attempts: job.attempts,
+        max_attempts: job.maxAttempts,
+        priority: job.priority,
+        stage: job.stage,
+        state: job.state,
+        locked_by: job.lockedBy,
+        lease_expires_at: job.leaseExpiresAt,
+        run_at: job.runAt,
+        last_error: job.lastError,
+        completed_at: job.completedAt,
+    });
+}
+
+function rowToJob(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        payload: row.payload,
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        priority: row.priority,
+        stage: row.stage,
+        state: row.state || {},
+        lockedBy: row.locked_by,
+        leaseExpiresAt: row.lease_expires_at,
+        runAt: row.run_at,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at,
+    };
+}
+
+function scorebookToRow(scorebook) {
+    return compact({
+        id: scorebook.id,
+        user_id: scorebook.userId,
+        source: scorebook.source,
+        template: scorebook.template,
+        side: scorebook.side,
+        team_name: scorebook.teamName,
+        game_id: scorebook.gameId,
+        player_links: scorebook.playerLinks,
+        status: scorebook.status,
+        result: scorebook.result,
+        created_at: scorebook.createdAt,
+        updated_at: scorebook.updatedAt,
+        confirmed_at: scorebook.confirmedAt,
+    });
+}
+
+function rowToScorebook(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        source: row.source,
+        template: row.template,
+        side: row.side,
+        teamName: row.team_name,
+        gameId: row.game_id || null,
+        playerLinks: row.player_links || {},
+        status: row.status,
+        result: row.result,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        confirmedAt: row.confirmed_at,
+    };
+}
+
+function rowToScorebookEdit(row) {
+    return {
+        scorebookId: row.scorebook_id,
+        version: row.version,
+        userId: row.user_id,
+        action: row.action,
+        changes: row.changes || [],
+        reviewReasons: row.review_reasons || [],
+        createdAt: row.created_at,
+    };
+}
+
+function cachedResultToRow(entry) {
+    return compact({
+        key: entry.key,
+        kind: entry.kind,
+        version: entry.version,
+        result: entry.result,
+        created_at: entry.createdAt,
+    });
+}
+
+function rowToCachedResult(row) {
+    return {
+        key: row.key,
+        kind: row.kind,
+        version: row.version,
+        result: row.result,
+        createdAt: row.created_at,
+    };
+}
+
+function teamToRow(team) {
+    return compact({
+        id: team.id,
+        user_id: team.userId,
+        name: team.name,
+        level: team.level,
+        created_at: team.createdAt,
+        updated_at: team.updatedAt,
+    });
+}
+
+function rowToTeam(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        level: row.level,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function seasonToRow(season) {
+    return compact({
+        id: season.id,
+        user_id: season.userId,
+        team_id: season.teamId,
+        name: season.name,
+        start_date: season.startDate,
+        end_date: season.endDate,
+        created_at: season.createdAt,
+        updated_at: season.updatedAt,
+    });
+}
+
+function rowToSeason(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        teamId: row.team_id,
+        name: row.name,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function rosterPlayerToRow(player) {
+    return compact({
+        id: player.id,
+        user_id: player.userId,
+        team_id: player.teamId,
+        season_id: player.seasonId,
+        number: player.number,
+        name: player.name,
+        position: player.position,
+        active: player.active,
+        created_at: player.createdAt,
+        updated_at: player.updatedAt,
+    });
+}
+
+function rowToRosterPlayer(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        teamId: row.team_id,
+        seasonId: row.season_id,
+        number: row.number,
+        name: row.name,
+        position: row.position,
+        active: row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function gameToRow(game) {
+    return compact({
+        id: game.id,
+        user_id: game.userId,
+        team_id: game.teamId,
+        season_id: game.seasonId,
+        opponent_name: game.opponentName,
+        date: game.date,
+        location: game.location,
+        team_score: game.teamScore,
+        opponent_score: game.opponentScore,
+        notes: game.notes,
+        created_at: game.createdAt,
+        updated_at: game.updatedAt,
+    });
+}
+
+function rowToGame(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        teamId: row.team_id,
+        seasonId: row.season_id,
+        opponentName: row.opponent_name,
+        date: row.date,
+        location: row.location,
+        teamScore: row.team_score,
+        opponentScore: row.opponent_score,
+        notes: row.notes,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function practicePlanToRow(plan) {
+    return compact({
+        id: plan.id,
+        user_id: plan.userId,
+        game_id: plan.gameId,
+        opponent_name: plan.opponentName,
+        plan: plan.plan,
+        created_at: plan.createdAt,
+    });
+}
+
+function rowToPracticePlan(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        gameId: row.game_id,
+        opponentName: row.opponent_name,
+        plan: row.plan,
+        createdAt: row.created_at,
+    };
+}
+
+module.exports = { createSupabaseRepository };
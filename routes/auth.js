@@ -1,17 +1,9 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { createUser, findByEmail, comparePassword, sanitizeUser } = require('../models/User');
+const { getAuthProvider } = require('../services/auth');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = '7d';
-
-function generateToken(userId) {
-    return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-}
-
 // POST /api/auth/signup
 router.post(
     '/signup',
@@ -28,8 +20,7 @@ router.post(
 
         try {
             const { email, password, name, school, coachingLevel } = req.body;
-            const user = await createUser({ email, password, name, school, coachingLevel });
-            const token = generateToken(user.id);
+            const { token, user } = await getAuthProvider().signup({ email, password, name, school, coachingLevel });
 
             res.status(201).json({
                 token,
@@ -62,30 +53,22 @@ router.post(
 
         try {
             const { email, password } = req.body;
-            const user = findByEmail(email);
-            if (!user) {
-                return res.status(401).json({ error: 'Invalid email or password' });
-            }
-
-            const isMatch = await comparePassword(password, user.password);
-            if (!isMatch) {
-                return res.status(401).json({ error: 'Invalid email or password' });
-            }
-
-            const token = generateToken(user.id);
-            const safe = sanitizeUser(user);
+            const { token, user } = await getAuthProvider().login({ email, password });
 
             res.json({
                 token,
                 user: {
-                    id: safe.id,
-                    email: safe.email,
-                    name: safe.name,
-                    plan: safe.plan,
-                    planStatus: safe.planStatus,
+                    id: user.id,
+                    email: user.email,
+                    name: user.name,
+                    plan: user.plan,
+                    planStatus: user.planStatus,
                 },
             });
         } catch (err) {
+            if (err.statusCode === 401) {
+                return res.status(401).json({ error: err.message });
+            }
             res.status(500).json({ error: 'Internal server error' });
         }
     }
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authMiddleware = require('../middleware/auth');
+const { getBilling, PAID_PLANS } = require('../services/billing');
+
+// Mounted before the app-wide JSON parser: the webhook needs the raw body to
+// verify Stripe's signature, so the other routes parse JSON themselves.
+const router = express.Router();
+
+// GET /api/stripe/config
+router.get('/config', (req, res) => {
+    res.json({
+        publishableKey: process.env.STRIPE_PUBLISHABLE_KEY || null,
+        plans: PAID_PLANS,
+    });
+});
+
+// POST /api/stripe/checkout
+router.post(
+    '/checkout',
+    express.json(),
+    authMiddleware,
+    [body('plan').isIn(PAID_PLANS).withMessage(`Plan must be one of: ${PAID_PLANS.join(', ')}`)],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: errors.array()[0].msg });
+        }
+
+        try {
+            const session = await getBilling().createCheckoutSession(req.user, req.body.plan);
+            res.json(session);
+        } catch (err) {
+            console.error('Stripe checkout error:', err.message);
+            res.status(err.statusCode || 500).json({ error: err.message });
+        }
+    }
+);
+
+// POST /api/stripe/portal
+router.post('/portal', authMiddleware, async (req, res) => {
+    try {
+        const session = await getBilling().createPortalSession(req.user);
+        res.json(session);
+    } catch (err) {
+        console.error('Stripe portal error:', err.message);
+        res.status(err.statusCode || 500).json({ error: err.message });
+    }
+});
+
+// POST /api/stripe/webhook
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    const signature = req.headers['stripe-signature'];
+    if (!signature) {
+        return res.status(400).json({ error: 'Missing Stripe-Signature header' });
+    }
+
+    try {
+        const result = await getBilling().handleWebhook(req.body, signature);
+        res.json({ received: true, ...result });
+    } catch (err) {
+        // Bad signatures are 400; failed profile updates are 500 and Stripe redelivers
+        console.error('Stripe webhook error:', err.message);
+        res.status(err.statusCode || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const {
+    requireTeamOwner,
+    requireSeasonOwner,
+    requireGameOwner,
+    requireRosterPlayerOwner,
+} = require('../middleware/ownership');
+const { getRepository } = require('../repositories');
+const { createTeamService } = require('../services/teams');
+const { createSeasonStats } = require('../services/seasonStats');
+
+// Teams, seasons, rosters and games (services/teams.js) and their season
+// stats (services/seasonStats.js). Mounted at /api;
+// every route needs a signed-in coach and only touches their own records.
+const router = express.Router();
+
+const repository = getRepository();
+const teams = createTeamService({ repository });
+const seasonStats = createSeasonStats({ repository });
+
+const ownsTeam = requireTeamOwner(repository);
+const ownsSeason = requireSeasonOwner(repository);
+const ownsGame = requireGameOwner(repository);
+const ownsRosterPlayer = requireRosterPlayerOwner(repository);
+
+/** Wrap a handler: its resolved value is sent as JSON, errors by statusCode. */
+function handle(label, fn, successStatus = 200) {
+    return async (req, res) => {
+        try {
+            const body = await fn(req);
+            if (body === undefined) return res.status(204).end();
+            res.status(successStatus).json(body);
+        } catch (error) {
+            const status = error.statusCode || 500;
+            if (status === 500) console.error(`${label} error:`, error);
+            res.status(status).json({ error: error.message });
+        }
+    };
+}
+
+// --- Teams ---
+
+// POST /api/teams { name, level? }
+router.post('/teams', authMiddleware, handle('Team create', async (req) => ({
+    team: await teams.createTeam(req.user, req.body),
+}), 201));
+
+// GET /api/teams
+router.get('/teams', authMiddleware, handle('Team list', async (req) => ({
+    teams: await teams.listTeams(req.user),
+})));
+
+// GET /api/teams/:id – the team and its seasons
+router.get('/teams/:id', authMiddleware, ownsTeam, handle('Team lookup', async (req) => ({
+    team: req.team,
+    seasons: await teams.listSeasons(req.team),
+})));
+
+// PATCH /api/teams/:id
+router.patch('/teams/:id', authMiddleware, ownsTeam, handle('Team update', async (req) => ({
+    team: await teams.updateTeam(req.team, req.body),
+})));
+
+// DELETE /api/teams/:id – 409 while it still has seasons
+router.delete('/teams/:id', authMiddleware, ownsTeam, handle('Team delete', async (req) => {
+    await teams.deleteTeam(req.team);
+}));
+
+// GET /api/teams/:id/season-stats?seasonId= – record, home / away and win / loss
+// splits, and player season lines from confirmed scorebooks (default: newest season)
+router.get('/teams/:id/season-stats', authMiddleware, ownsTeam, handle('Season stats', async (req) => (
+    seasonStats.teamSeason(req.team, req.query.seasonId)
+)));
+
+// --- Seasons ---
+
+// POST /api/teams/:id/seasons { name, startDate?, endDate? }
+router.post('/teams/:id/seasons', authMiddleware, ownsTeam, handle('Season create', async (req) => ({
+    season: await teams.createSeason(req.team, req.body),
+}), 201));
+
+// GET /api/teams/:id/seasons
+router.get('/teams/:id/seasons', authMiddleware, ownsTeam, handle('Season list', async (req) => ({
+    seasons: await teams.listSeasons(req.team),
+})));
+
+// GET /api/seasons/:id – the season with its roster and games
+router.get('/seasons/:id', authMiddleware, ownsSeason, handle('Season lookup', async (req) => {
+    const [roster, games] = await Promise.all([teams.listRoster(req.season), teams.listGames(req.season)]);
+    return { season: req.season, roster, games };
+}));
+
+// PATCH /api/seasons/:id
+router.patch('/seasons/:id', authMiddleware, ownsSeason, handle('Season update', async (req) => ({
+    season: await teams.updateSeason(req.season, req.body),
+})));
+
+// DELETE /api/seasons/:id – removes its roster; 409 while it still has games
+router.delete('/seasons/:id', authMiddleware, ownsSeason, handle('Season delete', async (req) => {
+    await teams.deleteSeason(req.season);
+}));
+
+// --- Roster ---
+
+// GET /api/seasons/:id/roster
+router.get('/seasons/:id/roster', authMiddleware, ownsSeason, handle('Roster list', async (req) => ({
+    roster: await teams.listRoster(req.season),
+})));
+
+// POST /api/seasons/:id/roster { number, name, position?, active? } – 409 if the number is taken
+router.post('/seasons/:id/roster', authMiddleware, ownsSeason, handle('Roster add', async (req) => ({
+    player: await teams.addRosterPlayer(req.season, req.body),
+}), 201));
+
+// PATCH /api/roster/:id
+router.patch('/roster/:id', authMiddleware, ownsRosterPlayer, handle('Roster update', async (req) => ({
+    player: await teams.updateRosterPlayer(req.rosterPlayer, req.body),
+})));
+
+// DELETE /api/roster/:id
+router.delete('/roster/:id', authMiddleware, ownsRosterPlayer, handle('Roster delete', async (req) => {
+    await teams.removeRosterPlayer(req.rosterPlayer);
+}));
+
+// GET /api/players/:id/stats – a roster player's season line and game log
+router.get('/players/:id/stats', authMiddleware, ownsRosterPlayer, handle('Player stats', async (req) => (
+    seasonStats.playerSeason(req.rosterPlayer)
+)));
+
+// --- Games ---
+
+// POST /api/seasons/:id/games { opponentName, date, location?, teamScore?, opponentScore?, notes? }
+router.post('/seasons/:id/games', authMiddleware, ownsSeason, handle('Game create', async (req) => ({
+    game: await teams.createGame(req.season, req.body),
+}), 201));
+
+// GET /api/seasons/:id/games
+router.get('/seasons/:id/games', authMiddleware, ownsSeason, handle('Game list', async (req) => ({
+    games: await teams.listGames(req.season),
+})));
+
+// GET /api/games/:id – the game with its scorebooks, reports and practice plans
+router.get('/games/:id', authMiddleware, ownsGame, handle('Game lookup', async (req) => ({
+    game: await teams.gameDetail(req.game),
+})));
+
+// PATCH /api/games/:id
+router.patch('/games/:id', authMiddleware, ownsGame, handle('Game update', async (req) => ({
+    game: await teams.updateGame(req.game, req.body),
+})));
+
+// DELETE /api/games/:id – attached scorebooks, reports and plans are kept, detached
+router.delete('/games/:id', authMiddleware, ownsGame, handle('Game delete', async (req) => {
+    await teams.deleteGame(req.game);
+}));
+
+// POST /api/games/:id/attachments { type: scorebook|report|practice_plan, id }
+router.post('/games/:id/attachments', authMiddleware, ownsGame, handle('Game attach', async (req) => ({
+    attachment: await teams.attach(req.game, req.body || {}, req.user),
+})));
+
+// DELETE /api/games/:id/attachments/:type/:attachmentId
+router.delete('/games/:id/attachments/:type/:attachmentId', authMiddleware, ownsGame, handle('Game detach', async (req) => {
+    await teams.detach(req.game, req.params.type, req.params.attachmentId, req.user);
+}));
+
+module.exports = router;
@@ -0,0 +1,72 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Blue Book (Official Basketball Score Book) Parser
+//
+//  SCORE BY PERIODS  1 | 2 | 3 | 4 | OT | FINAL   (above the roster, skipped)
+//
+//  NO | NAME | … scoring boxes …  | FG | 3FG | FT (M-A) | PF | PTS
+//
+// FG counts all field goals made, threes included; FT is written as a
+// single "made-attempted" entry, e.g. "4-6".
+// ---------------------------------------------------------------------------
+
+const { createTableParser, difference } = require('./table_parser');
+const { emptyShooting } = require('./layout');
+
+const TEMPLATE_NAME = 'Blue Book Basketball Scorebook';
+
+const parseBlueBook = createTableParser({
+    name: TEMPLATE_NAME,
+    playerHeader: /^NAMES?$/,
+    numberHeader: /^NO\.?$/,
+    fouls: { header: /^PF$/, mode: 'number' },
+    columns: {
+        fg: /^FG$/,
+        fg3: /^3\s*FG$/,
+        pts: /^PTS$/,
+    },
+    pairColumns: {
+        ft: /^FT$/,
+    },
+    toStats: (v) => ({
+        shooting: {
+            ...emptyShooting(),
+            fg2_made: difference(v.fg, v.fg3),
+            fg3_made: v.fg3,
+            ft_made: v.ft ? v.ft.made : null,
+            ft_att: v.ft ? v.ft.att : null,
+        },
+        total_points: v.pts,
+    }),
+    cells: {
+        fg2_made: ['fg', 'fg3'],
+        fg3_made: ['fg3'],
+        ft_made: ['ft'],
+        ft_att: ['ft'],
+        total_points: ['pts'],
+    },
+    attempts: true,
+    skipRow: /SCORE\s*BY\s*PERIODS?/,
+    vocabulary: /BLUE\s*BOOK|OFFICIAL|SCORE\s*BOOK|SCORE\s*BY\s*PERIODS?|FINAL|3?\s*FG|FT|PF|PTS/gi,
+});
+
+/** Registry descriptor (see scorebooks/registry.js). */
+const BLUEBOOK_TEMPLATE = {
+    id: 'bluebook',
+    name: TEMPLATE_NAME,
+    anchors: [
+        { label: 'NAME', pattern: /^NAMES?$/, weight: 1 },
+        { label: 'NO', pattern: /^NO\.?$/, weight: 0.5 },
+        { label: 'FG', pattern: /^FG$/, weight: 1 },
+        { label: '3FG', pattern: /^3\s*FG$/, weight: 1.5 },
+        { label: 'FT', pattern: /^FT$/, weight: 1 },
+        { label: 'PF', pattern: /^PF$/, weight: 0.5 },
+        { label: 'PTS', pattern: /^PTS$/, weight: 1 },
+        { label: 'SCORE BY PERIODS', pattern: /SCORE\s*BY\s*PERIODS?/, weight: 2 },
+        { label: 'BLUE BOOK', pattern: /BLUE\s*BOOK|OFFICIAL\s*(?:BASKETBALL\s*)?SCORE\s*BOOK/, weight: 3, bonus: true },
+    ],
+    parse: ({ documentAiJson }) => parseBlueBook({ documentAiJson }),
+};
+
+module.exports = { parseBlueBook, BLUEBOOK_TEMPLATE };
@@ -0,0 +1,175 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Image crops of parsed cells
+//
+// Layout parsers record where each value came from: every player row and the
+// TOTALS row carry a pixel `bbox`, and `layout.pages[]` holds each page's
+// size and the x-range of every field's column. A cell is its column crossed
+// with its row.
+//
+// This module decides which boxes to cut (pure – the cutting itself is
+// extractRegions in utils/imageProcessing.js):
+//
+//   flagged – cells behind failed checks, unread totals and low-confidence rows
+//   rows    – every player row plus the TOTALS row
+// ---------------------------------------------------------------------------
+
+const CROP_SCOPES = ['flagged', 'rows'];
+
+/** Player rows below this confidence are cropped whole. */
+const LOW_CONFIDENCE = 0.6;
+
+/** Padding around a box, as a share of the row height / column width. */
+const ROW_PAD = 0.25;
+const COLUMN_PAD = 0.25;
+/** Smallest horizontal padding, as a share of page width – header labels are narrower than their boxes. */
+const MIN_COLUMN_PAD = 0.01;
+
+/**
+ * Cells each failed check points at. field null = the whole row.
+ * `shot` checks name the shot type in the first capture group; `named`
+ * checks name the field itself (then the row, for players).
+ */
+const CHECK_CELLS = [
+    { pattern: /^points_equation_player_(\d+)$/, fields: ['total_points', 'fg2_made', 'fg3_made', 'ft_made'] },
+    { pattern: /^fouls_high_player_(\d+)$/, fields: ['personal_fouls_total'] },
+    { pattern: /^(fg2|fg3|ft)_made_le_att_player_(\d+)$/, shot: true },
+    { pattern: /^quarters_vs_summary_player_(\d+)$/, fields: [null] },
+    { pattern: /^running_score_player_(\d+)$/, fields: ['total_points'] },
+    { pattern: /^team_total_vs_player_sum$/, team: true, fields: ['total_points'] },
+    { pattern: /^running_score_vs_team_total$/, team: true, fields: ['total_points'] },
+    { pattern: /^turnovers_vs_player_sum$/, team: true, fields: ['turnovers'] },
+    { pattern: /^ensemble_unmatched_player_(\d+)$/, fields: [null] },
+    { pattern: /^ensemble_team_(\w+)$/, team: true, named: true },
+    { pattern: /^ensemble_(\w+)_player_(\d+)$/, named: true },
+];
+
+/**
+ * Cells worth a second look, with why.
+ *
+ * @param {object} result - box score in the scorebook result schema
+ * @returns {Array<{ target: 'player'|'team', row_index: number|null, field: string|null, reasons: string[] }>}
+ */
+function flaggedCells(result) {
+    const cells = new Map();
+    const add = (target, rowIndex, field, reason) => {
+        const key = `${target}:${rowIndex}:${field}`;
+        if (!cells.has(key)) cells.set(key, { target, row_index: rowIndex, field, reasons: [] });
+        const { reasons } = cells.get(key);
+        if (!reasons.includes(reason)) reasons.push(reason);
+    };
+
+    for (const check of (result.validation && result.validation.checks) || []) {
+        if (check.passed) continue;
+        for (const rule of CHECK_CELLS) {
+            const m = check.name.match(rule.pattern);
+            if (!m) continue;
+            if (rule.named) {
+                add(rule.team ? 'team' : 'player', rule.team ? null : parseInt(m[2], 10), m[1], check.name);
+            } else if (rule.team) {
+                for (const field of rule.fields) add('team', null, field, check.name);
+            } else if (rule.shot) {
+                const rowIndex = parseInt(m[2], 10);
+                add('player', rowIndex, `${m[1]}_made`, check.name);
+                add('player', rowIndex, `${m[1]}_att`, check.name);
+            } else {
+                for (const field of rule.fields) add('player', parseInt(m[1], 10), field, check.name);
+            }
+            break;
+        }
+    }
+
+    for (const p of result.players || []) {
+        if (p.total_points == null) add('player', p.row_index, 'total_points', 'unread');
+        if (p.confidence < LOW_CONFIDENCE) add('player', p.row_index, null, 'low_confidence');
+    }
+
+    return [...cells.values()];
+}
+
+/** Every player row, then the TOTALS row. */
+function rowCells(result) {
+    return [
+        ...(result.players || []).map((p) => ({ target: 'player', row_index: p.row_index, field: null, reasons: [] })),
+        { target: 'team', row_index: null, field: null, reasons: [] },
+    ];
+}
+
+/**
+ * Page-pixel box of one cell, padded; the whole row when the field has no
+ * recorded column.
+ */
+function cellBox(rowBox, field, pageLayout) {
+    const padY = Math.round((rowBox.bottom - rowBox.top) * ROW_PAD);
+    const column = field && pageLayout.columns[field];
+    let left = rowBox.left;
+    let right = rowBox.right;
+    if (column) {
+        const padX = Math.round(Math.max((column.right - column.left) * COLUMN_PAD, pageLayout.width * MIN_COLUMN_PAD));
+        left = column.left - padX;
+        right = column.right + padX;
+    }
+    return { left, top: rowBox.top - padY, right, bottom: rowBox.bottom + padY };
+}
+
+/**
+ * Crop boxes for one page of a parse.
+ *
+ * @param {object} result - box score with `layout` and row `bbox`es
+ * @param {object} [opts]
+ * @param {string} [opts.scope='flagged'] - 'flagged' | 'rows'
+ * @param {number} [opts.page] - page number; defaults to the first parsed page
+ * @returns {{ page: object, crops: Array<{ target, row_index, field, reasons, box }> }} page = layout of
+ *          that page; boxes in its pixels
+ */
+function cropTargets(result, { scope = 'flagged', page } = {}) {
+    if (!CROP_SCOPES.includes(scope)) {
+        throw Object.assign(new Error(`scope must be one of: ${CROP_SCOPES.join(', ')}`), { statusCode: 400 });
+    }
+    const pages = (result.layout && result.layout.pages) || [];
+    if (pages.length === 0) {
+        throw Object.assign(new Error('This scorebook has no cell positions to crop (only layout-template parses record them).'), { statusCode: 422 });
+    }
+    const pageLayout = page == null ? pages[0] : pages.find((p) => p.page === page);
+    if (!pageLayout) {
+        throw Object.assign(new Error(`No page ${page} in this scorebook. Pages: ${pages.map((p) => p.page).join(', ')}`), { statusCode: 400 });
+    }
+
+    const crops = [];
+    for (const cell of scope === 'rows' ? rowCells(result) : flaggedCells(result)) {
+        const row = cell.target === 'team'
+            ? result.team_totals
+            : (result.players || []).find((p) => p.row_index === cell.row_index);
+        if (!row || !row.bbox || row.bbox.page !== pageLayout.page) continue;
+        crops.push({ ...cell, box: cellBox(row.bbox, cell.field, pageLayout) });
+    }
+    return { page: pageLayout, crops };
+}
+
+/**
+ * Map a page-pixel box onto an image of the page, which may have been
+ * resized since OCR. Clamped to the image; null if nothing is left.
+ *
+ * @param {{ left, top, right, bottom }} box - page pixels
+ * @param {{ width, height }} page - the OCR page size
+ * @param {{ width, height }} image - the image's size
+ * @returns {{ left: number, top: number, width: number, height: number }|null} image pixels (sharp extract region)
+ */
+function scaleBox(box, page, image) {
+    const sx = image.width / page.width;
+    const sy = image.height / page.height;
+    const left = Math.max(0, Math.floor(box.left * sx));
+    const top = Math.max(0, Math.floor(box.top * sy));
+    const right = Math.min(image.width, Math.ceil(box.right * sx));
+    const bottom = Math.min(image.height, Math.ceil(box.bottom * sy));
+    if (right <= left || bottom <= top) return null;
+    return { left, top, width: right - left, height: bottom - top };
+}
+
+module.exports = {
+    CROP_SCOPES,
+    flaggedCells,
+    cropTargets,
+    scaleBox,
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Ecostat Basketball Scorebook Parser
+//
+//  # | PLAYER | … running tallies …  | PF | FGM | FGA | 3PM | 3PA | FTM | FTA | PTS
+//
+// Ecostat's FG columns count every field goal, threes included, so 2-point
+// makes / attempts are FG minus 3P.
+// ---------------------------------------------------------------------------
+
+const { createTableParser, difference } = require('./table_parser');
+
+const TEMPLATE_NAME = 'Ecostat Basketball Scorebook';
+
+const parseEcostat = createTableParser({
+    name: TEMPLATE_NAME,
+    playerHeader: /^PLAYERS?$/,
+    numberHeader: /^(?:#|NO\.?)$/,
+    fouls: { header: /^PF$/, mode: 'number' },
+    columns: {
+        fgm: /^FGM$/,
+        fga: /^FGA$/,
+        fg3m: /^3PM$/,
+        fg3a: /^3PA$/,
+        ftm: /^FTM$/,
+        fta: /^FTA$/,
+        pts: /^PTS$/,
+    },
+    toStats: (v, flags) => {
+        if (v.fgm != null && v.fg3m != null && v.fgm < v.fg3m) {
+            flags.push(`fgm_below_3pm: FGM ${v.fgm} < 3PM ${v.fg3m}`);
+        }
+        return {
+            shooting: {
+                fg2_made: difference(v.fgm, v.fg3m),
+                fg2_att: difference(v.fga, v.fg3a),
+                fg3_made: v.fg3m,
+                fg3_att: v.fg3a,
+                ft_made: v.ftm,
+                ft_att: v.fta,
+            },
+            total_points: v.pts,
+        };
+    },
+    cells: {
+        fg2_made: ['fgm', 'fg3m'],
+        fg2_att: ['fga', 'fg3a'],
+        fg3_made: ['fg3m'],
+        fg3_att: ['fg3a'],
+        ft_made: ['ftm'],
+        ft_att: ['fta'],
+        total_points: ['pts'],
+    },
+    attempts: true,
+    vocabulary: /ECOSTAT|PF|FG[MA]|3P[MA]|FT[MA]|PTS/gi,
+});
+
+/** Registry descriptor (see scorebooks/registry.js). */
+const ECOSTAT_TEMPLATE = {
+    id: 'ecostat',
+    name: TEMPLATE_NAME,
+    anchors: [
+        { label: 'PLAYER', pattern: /^PLAYERS?$/, weight: 1 },
+        { label: '#', pattern: /^#$/, weight: 0.5 },
+        { label: 'PF', pattern: /^PF$/, weight: 1 },
+        { label: 'FGM', pattern: /^FGM$/, weight: 1.5 },
+        { label: 'FGA', pattern: /^FGA$/, weight: 1.5 },
+        { label: '3PM', pattern: /^3PM$/, weight: 1.5 },
+        { label: '3PA', pattern: /^3PA$/, weight: 1.5 },
+        { label: 'FTM', pattern: /^FTM$/, weight: 0.5 },
+        { label: 'FTA', pattern: /^FTA$/, weight: 0.5 },
+        { label: 'PTS', pattern: /^PTS$/, weight: 1 },
+        { label: 'ECOSTAT', pattern: /\bECOSTAT\b/, weight: 3, bonus: true },
+    ],
+    parse: ({ documentAiJson }) => parseEcostat({ documentAiJson }),
+};
+
+module.exports = { parseEcostat, ECOSTAT_TEMPLATE };
@@ -0,0 +1,373 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// OCR + Claude consensus box score
+//
+// The two extraction paths read the same page independently: a layout
+// template over the OCR (e.g. parseMark5Minimal) and Claude vision
+// (processScorebook in server.js). reconcile() lines their players up and
+// picks one value per cell:
+//
+//   1. both read the same value, or only one read it → that value
+//   2. they disagree → the values that satisfy the row's arithmetic
+//      (TP = 2*FG2 + 3*FG3 + FTM, made ≤ attempted) win
+//   3. still undecided → the more confident source: the OCR row's confidence
+//      against CLAUDE_CONFIDENCE
+//
+// Every disagreement is kept in `ensemble.disagreements` and flagged on its
+// player. The ones the arithmetic couldn't settle become failed
+// `ensemble_<field>_player_N` checks (checkEnsemble in review.js) until the
+// coach edits the cell.
+// ---------------------------------------------------------------------------
+
+const { revalidate } = require('./review');
+
+/** Confidence given to Claude's reading of a cell (it reports none). */
+const CLAUDE_CONFIDENCE = 0.75;
+
+const EQUATION_FIELDS = ['total_points', 'fg2_made', 'fg3_made', 'ft_made'];
+const OTHER_FIELDS = ['fg2_att', 'fg3_att', 'ft_att', 'personal_fouls_total', 'turnovers'];
+const SHOOTING_FIELDS = ['fg2_made', 'fg2_att', 'fg3_made', 'fg3_att', 'ft_made', 'ft_att'];
+
+function count(value) {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function normalizeNumber(number) {
+    if (number == null) return null;
+    const text = String(number).trim().replace(/^#/, '').toUpperCase();
+    return text || null;
+}
+
+function nameTokens(name) {
+    return String(name || '').toLowerCase().split(/[^a-z]+/).filter((t) => t.length >= 3);
+}
+
+function sameName(a, b) {
+    const ta = nameTokens(a);
+    const tb = nameTokens(b);
+    return ta.some((t) => tb.includes(t));
+}
+
+/**
+ * A Claude player as template cells. Claude counts all field goals together;
+ * 3-pointers come from its quarter boxes, or failing that are solved from
+ * TP = 2*FG2 + 3*FG3 + FTM.
+ */
+function claudeCells(player) {
+    const fgm = count(player.fieldGoalsMade);
+    const fga = count(player.fieldGoalsAttempted);
+    const ftm = count(player.freeThrowsMade);
+    const points = count(player.points);
+
+    let fg3m = null;
+    let fg3a = null;
+    const quarters = player.quarters && Object.values(player.quarters);
+    if (quarters && quarters.length > 0) {
+        fg3m = quarters.reduce((s, q) => s + (q.threePointersMade || 0), 0);
+        fg3a = quarters.reduce((s, q) => s + (q.threePointersAttempted || 0), 0);
+    } else if (fgm != null && ftm != null && points != null) {
+        const solved = points - ftm - 2 * fgm;
+        if (solved >= 0 && solved <= fgm) fg3m = solved;
+    }
+
+    return {
+        total_points: points,
+        fg2_made: fgm != null && fg3m != null ? fgm - fg3m : null,
+        fg3_made: fg3m,
+        ft_made: ftm,
+        fg2_att: fga != null && fg3a != null && fga >= fg3a ? fga - fg3a : null,
+        fg3_att: fg3a,
+        ft_att: count(player.freeThrowsAttempted),
+        personal_fouls_total: count(player.fouls),
+        turnovers: count(player.turnovers),
+    };
+}
+
+function ocrCells(player) {
+    const cells = {};
+    for (const field of [...EQUATION_FIELDS, ...OTHER_FIELDS]) {
+        const value = SHOOTING_FIELDS.includes(field) ? player.shooting[field] : player[field];
+        cells[field] = value == null ? null : value;
+    }
+    return cells;
+}
+
+/**
+ * Pair OCR rows with Claude players: jersey number first, then a shared
+ * name token (≥ 3 letters) among those left.
+ *
+ * @returns {{ pairs: Array<[object, object|null]>, claudeOnly: object[] }}
+ */
+function alignPlayers(ocrPlayers, claudePlayers) {
+    const unmatched = new Set(claudePlayers);
+    const pairs = ocrPlayers.map((p) => [p, null]);
+
+    const byNumber = (number) => claudePlayers.filter((c) => normalizeNumber(c.number) === number);
+    for (const pair of pairs) {
+        const number = normalizeNumber(pair[0].player_number);
+        const candidates = number ? byNumber(number) : [];
+        if (candidates.length === 1 && unmatched.has(candidates[0])) {
+            pair[1] = candidates[0];
+            unmatched.delete(candidates[0]);
+        }
+    }
+    for (const pair of pairs) {
+        if (pair[1]) continue;
+        const candidate = [...unmatched].find((c) => sameName(pair[0].player_name, c.name));
+        if (candidate) {
+            pair[1] = candidate;
+            unmatched.delete(candidate);
+        }
+    }
+
+    return { pairs, claudeOnly: claudePlayers.filter((c) => unmatched.has(c)) };
+}
+
+/**
+ * Pick one value per cell for a matched player. `targetPoints` – the points
+ * the team total leaves for this player – settles a points disagreement that
+ * the row's own arithmetic can't.
+ *
+ * @returns {{ cells: object, disagreements: object[], compared: number, agreed: number }}
+ */
+function reconcileCells(ocr, claude, { ocrConfidence, claudeConfidence, targetPoints = null }) {
+    const cells = {};
+    const disagreements = [];
+    let compared = 0;
+    let agreed = 0;
+
+    const favoured = ocrConfidence >= claudeConfidence ? 'ocr' : 'claude';
+    const sources = { ocr, claude };
+    const disputed = [];
+
+    for (const field of [...EQUATION_FIELDS, ...OTHER_FIELDS]) {
+        const a = ocr[field];
+        const b = claude[field];
+        if (a != null && b != null) {
+            compared++;
+            if (a === b) agreed++;
+        }
+        if (a == null || b == null || a === b) {
+            cells[field] = a != null ? a : b;
+        } else {
+            disputed.push(field);
+        }
+    }
+
+    const record = (field, source, method) => {
+        cells[field] = sources[source][field];
+        disagreements.push({ field, ocr: ocr[field], claude: claude[field], value: cells[field], source, method });
+    };
+
+    // Points equation: try every mix of the two readings of the disputed fields
+    const equationDisputed = disputed.filter((f) => EQUATION_FIELDS.includes(f));
+    if (equationDisputed.length > 0) {
+        const solutions = [];
+        for (let mask = 0; mask < 1 << equationDisputed.length; mask++) {
+            const pick = {};
+            equationDisputed.forEach((f, i) => { pick[f] = mask & (1 << i) ? 'claude' : 'ocr'; });
+            const v = (f) => (pick[f] ? sources[pick[f]][f] : cells[f]);
+            if (EQUATION_FIELDS.some((f) => v(f) == null)) continue;
+            if (v('total_points') === 2 * v('fg2_made') + 3 * v('fg3_made') + v('ft_made')) {
+                // Prefer solutions that take more cells from the more confident source
+                const score = equationDisputed.filter((f) => pick[f] === favoured).length;
+                solutions.push({ pick, score });
+            }
+        }
+        const points = (pick) => (pick.total_points ? sources[pick.total_points].total_points : cells.total_points);
+        const onTarget = solutions.filter((sol) => points(sol.pick) === targetPoints);
+        const chosen = onTarget.length > 0 ? onTarget : solutions;
+        chosen.sort((x, y) => y.score - x.score);
+
+        for (const field of equationDisputed) {
+            if (chosen.length > 0) {
+                record(field, chosen[0].pick[field], chosen.length === 1 ? 'arithmetic' : 'confidence');
+            } else if (field === 'total_points' && [ocr, claude].filter((c) => c.total_points === targetPoints).length === 1) {
+                record(field, ocr.total_points === targetPoints ? 'ocr' : 'claude', 'arithmetic');
+            } else {
+                record(field, favoured, 'confidence');
+            }
+        }
+    }
+
+    // Attempts can't be below the makes chosen above
+    for (const field of disputed.filter((f) => OTHER_FIELDS.includes(f))) {
+        const made = field.endsWith('_att') ? cells[field.replace(/_att$/, '_made')] : null;
+        const valid = ['ocr', 'claude'].filter((s) => made == null || sources[s][field] >= made);
+        if (valid.length === 1) record(field, valid[0], 'arithmetic');
+        else record(field, favoured, 'confidence');
+    }
+
+    return { cells, disagreements, compared, agreed };
+}
+
+function applyCells(player, cells) {
+    const shooting = { ...player.shooting };
+    for (const field of SHOOTING_FIELDS) shooting[field] = cells[field];
+    return {
+        ...player,
+        shooting,
+        total_points: cells.total_points,
+        personal_fouls_total: cells.personal_fouls_total,
+        turnovers: cells.turnovers,
+    };
+}
+
+/**
+ * Combine a layout-template parse and a Claude extraction of the same page.
+ *
+ * @param {object} ocrResult - box score in the scorebook result schema
+ * @param {object} claudeStats - processScorebook stats ({ players, finalScore, teamTotals, … })
+ * @param {object} [opts]
+ * @param {number} [opts.claudeConfidence=CLAUDE_CONFIDENCE]
+ * @returns {object} consensus box score (same schema) with `ensemble` and re-run `validation`
+ */
+function reconcile(ocrResult, claudeStats, { claudeConfidence = CLAUDE_CONFIDENCE } = {}) {
+    const claudePlayers = (claudeStats && Array.isArray(claudeStats.players)) ? claudeStats.players : [];
+    const { pairs, claudeOnly } = alignPlayers(ocrResult.players, claudePlayers);
+
+    const ocrTotal = ocrResult.team_totals.total_points == null ? null : ocrResult.team_totals.total_points;
+    const claudeTotal = count(claudeStats && (claudeStats.finalScore || (claudeStats.teamTotals && claudeStats.teamTotals.totalPoints)));
+
+    const merge = ([ocrPlayer, claudePlayer], targetPoints = null) => reconcileCells(ocrCells(ocrPlayer), claudeCells(claudePlayer), {
+        ocrConfidence: ocrPlayer.confidence == null ? 0 : ocrPlayer.confidence,
+        claudeConfidence,
+        targetPoints,
+    });
+    const merged = pairs.map((pair) => (pair[1] ? merge(pair) : null));
+    const claudeOnlyCells = claudeOnly.map(claudeCells);
+
+    // When the team total is agreed and one player's points are still a
+    // judgement call, the total fixes that player's points
+    const teamTotal = ocrTotal == null || claudeTotal == null || ocrTotal === claudeTotal ? (ocrTotal != null ? ocrTotal : claudeTotal) : null;
+    const undecided = merged
+        .map((m, i) => (m && m.disagreements.some((d) => d.field === 'total_points' && d.method === 'confidence') ? i : -1))
+        .filter((i) => i >= 0);
+    if (teamTotal != null && undecided.length === 1) {
+        const [i] = undecided;
+        const others = [
+            ...pairs.map(([ocrPlayer], j) => (j === i ? 0 : (merged[j] ? merged[j].cells.total_points : ocrPlayer.total_points))),
+            ...claudeOnlyCells.map((cells) => cells.total_points),
+        ].reduce((s, v) => s + (v || 0), 0);
+        merged[i] = merge(pairs[i], teamTotal - others);
+    }
+
+    const disagreements = [];
+    let compared = 0;
+    let agreed = 0;
+
+    const players = pairs.map(([ocrPlayer, claudePlayer], i) => {
+        if (!claudePlayer) {
+            return { ...ocrPlayer, flags: [...ocrPlayer.flags, 'ensemble: only read by OCR'] };
+        }
+        compared += merged[i].compared;
+        agreed += merged[i].agreed;
+
+        const flags = [...ocrPlayer.flags];
+        for (const d of merged[i].disagreements) {
+            disagreements.push({
+                target: 'player', row_index: ocrPlayer.row_index,
+                player_number: ocrPlayer.player_number, ...d,
+            });
+            flags.push(`disagreement: ${d.field} (ocr ${d.ocr}, claude ${d.claude})`);
+        }
+        return {
+            ...applyCells(ocrPlayer, merged[i].cells),
+            player_name: ocrPlayer.player_name || claudePlayer.name || null,
+            player_number: ocrPlayer.player_number || normalizeNumber(claudePlayer.number),
+            flags,
+        };
+    });
+
+    // Players only Claude found get new rows (no bbox – nothing to crop)
+    let nextRow = players.reduce((max, p) => Math.max(max, p.row_index), -1) + 1;
+    claudeOnly.forEach((claudePlayer, i) => {
+        players.push(applyCells({
+            row_index: nextRow++,
+            player_name: claudePlayer.name || null,
+            player_number: normalizeNumber(claudePlayer.number),
+            shooting: {},
+            quarters: null,
+            confidence: claudeConfidence,
+            flags: ['ensemble: only read by Claude'],
+            bbox: null,
+        }, claudeOnlyCells[i]));
+    });
+
+    // Team total: the reading that matches the consensus player sum, else the more confident one
+    const team = { ...ocrResult.team_totals };
+    if (ocrTotal != null && claudeTotal != null) {
+        compared++;
+        if (ocrTotal === claudeTotal) agreed++;
+    }
+    if (ocrTotal == null) {
+        team.total_points = claudeTotal;
+    } else if (claudeTotal != null && ocrTotal !== claudeTotal) {
+        const playerSum = players.reduce((s, p) => s + (p.total_points || 0), 0);
+        const overall = (ocrResult.quality && ocrResult.quality.overall_confidence) || 0;
+        let source = overall >= claudeConfidence ? 'ocr' : 'claude';
+        let method = 'confidence';
+        if ((ocrTotal === playerSum) !== (claudeTotal === playerSum)) {
+            source = ocrTotal === playerSum ? 'ocr' : 'claude';
+            method = 'arithmetic';
+        }
+        team.total_points = source === 'ocr' ? ocrTotal : claudeTotal;
+        disagreements.push({
+            target: 'team', row_index: null, player_number: null,
+            field: 'total_points', ocr: ocrTotal, claude: claudeTotal, value: team.total_points, source, method,
+        });
+    }
+
+    const ensemble = {
+        claude_confidence: claudeConfidence,
+        matched: pairs.filter(([, c]) => c).length,
+        ocr_only: pairs.filter(([, c]) => !c).map(([p]) => p.row_index),
+        claude_only: players.slice(pairs.length).map((p) => p.row_index),
+        agreement: compared > 0 ? Math.round(agreed / compared * 100) / 100 : null,
+        disagreements,
+    };
+
+    return revalidate({ ...ocrResult, players, team_totals: team, ensemble });
+}
+
+/**
+ * Claude's extraction on its own, in the scorebook result schema, so an
+ * /api/analyze-scorebook read can be stored and reviewed like a parse. No
+ * layout or bboxes – there is nothing to crop.
+ *
+ * @param {object} claudeStats - processScorebook stats
+ * @param {object} [opts]
+ * @param {number} [opts.claudeConfidence=CLAUDE_CONFIDENCE]
+ * @returns {object} box score with `validation`
+ */
+function claudeBoxScore(claudeStats, { claudeConfidence = CLAUDE_CONFIDENCE } = {}) {
+    const claudePlayers = (claudeStats && Array.isArray(claudeStats.players)) ? claudeStats.players : [];
+    const players = claudePlayers.map((claudePlayer, i) => applyCells({
+        row_index: i,
+        player_name: claudePlayer.name || null,
+        player_number: normalizeNumber(claudePlayer.number),
+        shooting: {},
+        quarters: null,
+        confidence: claudeConfidence,
+        flags: [],
+        bbox: null,
+    }, claudeCells(claudePlayer)));
+
+    const totals = (claudeStats && claudeStats.teamTotals) || {};
+    const team_totals = {
+        shooting: { fg2_made: null, fg2_att: null, fg3_made: null, fg3_att: null, ft_made: null, ft_att: null },
+        total_points: count(claudeStats && (claudeStats.finalScore || totals.totalPoints)),
+        turnovers: count(totals.turnovers),
+    };
+
+    return revalidate({ template: 'claude', players, team_totals, layout: null });
+}
+
+module.exports = {
+    CLAUDE_CONFIDENCE,
+    alignPlayers,
+    claudeBoxScore,
+    claudeCells,
+    reconcile,
+};
@@ -0,0 +1,313 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Multi-page game parsing
+//
+// A scanned game is usually several scorebook pages: one per team, plus an
+// overtime continuation page when the roster grid ran out of period boxes.
+// Each page is detected and parsed on its own, then:
+//
+//   team pages         – assigned to home / visitor from the printed HOME /
+//                        VISITORS label, or by page order when unlabelled
+//   continuation pages – marked CONTINUED / CONT'D, or a second page for a
+//                        team already seen; their summary columns hold the
+//                        extra (overtime) scoring, which is added to the team
+//   blank pages        – skipped
+//
+// The result carries one box score per side in the single-page schema, and
+// the game flow (runs, lead changes) when both pages have a running score.
+// ---------------------------------------------------------------------------
+
+const { clusterIntoRows, validate, emptyShooting, round2 } = require('./layout');
+const { mergeTimelines, checkRunningScore, gameFlow } = require('./running_score');
+const { addQuarters, checkQuarters } = require('./quarters');
+const { mergeTeamEvents, checkTeamEvents } = require('./team_events');
+
+const SIDES = ['home', 'visitor'];
+
+const SIDE_LABELS = [
+    { side: 'home', pattern: /^HOME(?:\s*TEAM)?\b\s*:?\s*(.*)$/ },
+    { side: 'visitor', pattern: /^(?:VISITORS?|VISITING|GUESTS?|AWAY)(?:\s*TEAM)?\b\s*:?\s*(.*)$/ },
+    { side: null, pattern: /^TEAM\b\s*:?\s*(.*)$/ },
+];
+
+const CONTINUATION_RE = /\bCONTINU(?:ED|ATION)\b|\bCONT['’]?D\b/;
+
+/** Team name / side labels sit in the page header, above the roster. */
+const HEADER_AREA = 0.25;
+
+const LABEL_WORDS_RE = /^(?:TOTALS?|FOULS?|TIME\s*OUTS?|TECHNICALS?|COACH|SCORER|TIMER|DATE)\b/;
+
+/**
+ * Side label and team name printed in a page header, e.g. "HOME" "Eagles".
+ *
+ * @returns {{ side: string|null, teamName: string|null, continuation: boolean }}
+ */
+function readPageHeader(page) {
+    const lines = (page && page.lines) || [];
+    const pageHeight = page && page.height ? page.height : 1;
+    const header = { side: null, teamName: null, continuation: false };
+
+    for (const row of clusterIntoRows(lines, pageHeight)) {
+        if (row.yCenter > HEADER_AREA) break;
+
+        for (let i = 0; i < row.tokens.length; i++) {
+            const text = row.tokens[i].text.toUpperCase().trim();
+            if (CONTINUATION_RE.test(text)) header.continuation = true;
+
+            for (const { side, pattern } of SIDE_LABELS) {
+                const m = text.match(pattern);
+                if (!m || LABEL_WORDS_RE.test(m[1])) continue;
+                if (side && !header.side) header.side = side;
+                if (!header.teamName) {
+                    const inline = row.tokens[i].text.trim().slice(text.length - m[1].length).trim();
+                    // Otherwise the name is the next token to the right of the label
+                    const label = row.tokens[i];
+                    const right = row.tokens.find((tk) => tk !== label && tk.normLeft >= label.normRight);
+                    const next = right ? right.text.trim() : '';
+                    const name = inline || (/[A-Za-z]/.test(next) && !isLabel(next) ? next : '');
+                    if (name) header.teamName = name;
+                }
+                break;
+            }
+        }
+    }
+
+    return header;
+}
+
+function isLabel(text) {
+    const upper = text.toUpperCase().trim();
+    return SIDE_LABELS.some(({ pattern }) => pattern.test(upper)) || LABEL_WORDS_RE.test(upper) || CONTINUATION_RE.test(upper);
+}
+
+/** Single-page document for the per-page parsers, which read pages[0]. */
+function pageDocument(page) {
+    return {
+        text: (page.lines || []).map((l) => l.text).join('\n'),
+        pages: [page],
+    };
+}
+
+function sameTeam(a, b) {
+    return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Merging continuation pages
+// ---------------------------------------------------------------------------
+
+/** Sum two nullable counts; null only when both are unknown. */
+function addCounts(a, b) {
+    if (a == null && b == null) return null;
+    return (a || 0) + (b || 0);
+}
+
+function addShooting(a, b) {
+    const sum = emptyShooting();
+    for (const key of Object.keys(sum)) sum[key] = addCounts(a[key], b[key]);
+    return sum;
+}
+
+function samePlayer(a, b) {
+    if (a.player_number && b.player_number) return a.player_number === b.player_number;
+    return sameTeam(a.player_name, b.player_name);
+}
+
+/**
+ * Add a continuation page's rows and totals to a team's box score.
+ * Players are matched by jersey number, falling back to name.
+ */
+function mergeContinuation(base, extra, pageNumber) {
+    const players = base.players.map((p) => ({ ...p, shooting: { ...p.shooting }, flags: [...p.flags] }));
+
+    for (const row of extra.players) {
+        const existing = players.find((p) => samePlayer(p, row));
+        if (existing) {
+            existing.shooting = addShooting(existing.shooting, row.shooting);
+            existing.total_points = addCounts(existing.total_points, row.total_points);
+            existing.personal_fouls_total = addCounts(existing.personal_fouls_total, row.personal_fouls_total);
+            if (existing.quarters || row.quarters) existing.quarters = addQuarters([existing.quarters, row.quarters]);
+            if ('turnovers' in existing || 'turnovers' in row) existing.turnovers = addCounts(existing.turnovers, row.turnovers);
+            existing.confidence = Math.min(existing.confidence, row.confidence);
+            existing.player_name = existing.player_name || row.player_name;
+            existing.flags.push(`merged_continuation_page_${pageNumber}`, ...row.flags);
+        } else {
+            players.push({
+                ...row,
+                row_index: players.length,
+                flags: [`from_continuation_page_${pageNumber}`, ...row.flags],
+            });
+        }
+    }
+
+    const teamTotals = {
+        shooting: addShooting(base.team_totals.shooting, extra.team_totals.shooting),
+        total_points: addCounts(base.team_totals.total_points, extra.team_totals.total_points),
+    };
+    if (base.team_totals.quarters || extra.team_totals.quarters) {
+        teamTotals.quarters = addQuarters([base.team_totals.quarters, extra.team_totals.quarters]);
+    }
+    if ('turnovers' in base.team_totals || 'turnovers' in extra.team_totals) {
+        teamTotals.turnovers = addCounts(base.team_totals.turnovers, extra.team_totals.turnovers);
+    }
+    if (base.team_totals.bbox) teamTotals.bbox = base.team_totals.bbox;
+    const issues = [...base.quality.issues, ...extra.quality.issues.map((i) => `Page ${pageNumber}: ${i}`)];
+
+    const merged = {
+        ...base,
+        quality: {
+            overall_confidence: round2(Math.min(base.quality.overall_confidence, extra.quality.overall_confidence)),
+            issues,
+        },
+        players,
+        team_totals: teamTotals,
+        validation: validate(players, teamTotals, { attempts: true }),
+    };
+    const extraChecks = [checkQuarters(players)];
+    if (base.running_score || extra.running_score) {
+        merged.running_score = mergeTimelines(base.running_score, extra.running_score);
+        extraChecks.push(checkRunningScore(merged.running_score, players, teamTotals));
+    }
+    if (base.team_events || extra.team_events) {
+        merged.team_events = mergeTeamEvents(base.team_events, extra.team_events);
+        extraChecks.push(checkTeamEvents(merged.team_events, players, teamTotals));
+    }
+    if (base.layout || extra.layout) {
+        // Rows keep the page they were read from; merged rows point at the first page
+        merged.layout = { pages: [...(base.layout ? base.layout.pages : []), ...(extra.layout ? extra.layout.pages : [])] };
+    }
+    for (const { checks, reviewReasons } of extraChecks) {
+        merged.validation.checks.push(...checks);
+        merged.validation.review_reasons.push(...reviewReasons);
+    }
+    merged.validation.needs_review = merged.validation.review_reasons.length > 0;
+    return merged;
+}
+
+// ---------------------------------------------------------------------------
+// Game parser
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} registry - scorebook template registry (scorebooks/registry.js)
+ * @returns {Function} parseGame(documentAiJson, { template }) → game result
+ */
+function createGameParser(registry) {
+    function parsePage(page, template) {
+        const doc = pageDocument(page);
+        const detection = registry.detect(doc);
+        const id = template === 'auto' ? detection.template : template;
+        if (!id) return { template: null, detection, result: null };
+        return registry.parse(doc, { template: id });
+    }
+
+    /**
+     * @param {object} documentAiJson - normalised Document AI response, any number of pages
+     * @param {object} [opts]
+     * @param {string} [opts.template='auto'] - template id for every page, or 'auto' to detect per page
+     * @returns {{ pages: object[], teams: { home: object|null, visitor: object|null }, flow: object|null, needs_review: boolean, warnings: string[] }}
+     */
+    return function parseGame(documentAiJson, { template = 'auto' } = {}) {
+        const sourcePages = (documentAiJson && documentAiJson.pages) || [];
+        const pages = [];
+        const teams = { home: null, visitor: null };
+        const warnings = [];
+        let lastTeamSide = null;
+
+        sourcePages.forEach((page, idx) => {
+            const pageNumber = page.pageNumber || idx + 1;
+            const { template: id, detection, result } = parsePage(page, template);
+            const entry = {
+                page_number: pageNumber,
+                template: id,
+                detection_confidence: detection.confidence,
+                role: null,
+                side: null,
+                team_name: null,
+            };
+            pages.push(entry);
+
+            if (!result) {
+                entry.role = (page.lines || []).length === 0 ? 'blank' : 'unrecognised';
+                if (entry.role === 'unrecognised') warnings.push(`Page ${pageNumber}: no scorebook template recognised.`);
+                return;
+            }
+            if (result.is_blank) {
+                entry.role = 'blank';
+                return;
+            }
+
+            const header = readPageHeader(page);
+            entry.team_name = header.teamName;
+
+            // Continuation: explicitly marked, or a second page for a team already seen
+            const seenSide = SIDES.find((side) => teams[side] && (
+                sameTeam(teams[side].team_name, header.teamName) ||
+                (header.side === side && (!header.teamName || !teams[side].team_name))
+            ));
+            const continues = header.continuation ? (seenSide || header.side || lastTeamSide) : seenSide;
+
+            if (continues && teams[continues]) {
+                const team = teams[continues];
+                team.result = mergeContinuation(team.result, result, pageNumber);
+                team.pages.push(pageNumber);
+                Object.assign(entry, { role: 'continuation', side: continues });
+                if (!header.side && !seenSide) {
+                    warnings.push(`Page ${pageNumber}: continuation page attached to the ${continues} team by page order.`);
+                }
+                return;
+            }
+
+            let side = header.side && !teams[header.side] ? header.side : null;
+            if (!side) {
+                side = SIDES.find((s) => !teams[s]) || null;
+                if (side && header.side) {
+                    warnings.push(`Page ${pageNumber}: labelled ${header.side} but that team is already assigned; using ${side}.`);
+                } else if (side) {
+                    warnings.push(`Page ${pageNumber}: no HOME / VISITORS label; assigned to ${side} by page order.`);
+                }
+            }
+            if (!side) {
+                entry.role = 'unassigned';
+                warnings.push(`Page ${pageNumber}: both teams already have a page; ignored.`);
+                return;
+            }
+
+            teams[side] = { team_name: header.teamName, template: id, pages: [pageNumber], result };
+            lastTeamSide = side;
+            Object.assign(entry, { role: 'team', side });
+        });
+
+        for (const side of SIDES) {
+            if (!teams[side]) warnings.push(`No ${side} team page found.`);
+        }
+
+        const boxScores = {};
+        for (const side of SIDES) {
+            const team = teams[side];
+            boxScores[side] = team ? {
+                team_name: team.team_name,
+                pages: team.pages,
+                ...team.result,
+                template: team.template,
+                template_name: team.result.template,
+            } : null;
+        }
+
+        // Runs / lead changes need both teams' running scores
+        const timelines = SIDES.map((side) => boxScores[side] && boxScores[side].running_score);
+        const flow = timelines.every((t) => t && t.events.length > 0) ? gameFlow(...timelines) : null;
+
+        return {
+            pages,
+            teams: boxScores,
+            flow,
+            needs_review: warnings.length > 0 ||
+                SIDES.some((side) => boxScores[side] && boxScores[side].validation.needs_review),
+            warnings,
+        };
+    };
+}
+
+module.exports = { createGameParser, readPageHeader, mergeContinuation };
@@ -0,0 +1,25 @@
+'use strict';
+
+// Built-in scorebook templates. Add new layouts by exporting a descriptor
+// from the parser module and registering it here.
+
+const { createTemplateRegistry } = require('./registry');
+const { MARK5_TEMPLATE } = require('./mark5_minimal_parser');
+const { MARK3_TEMPLATE } = require('./mark3_parser');
+const { ECOSTAT_TEMPLATE } = require('./ecostat_parser');
+const { BLUEBOOK_TEMPLATE } = require('./bluebook_parser');
+const { createGameParser } = require('./game');
+
+const registry = createTemplateRegistry();
+registry.register(MARK5_TEMPLATE);
+registry.register(MARK3_TEMPLATE);
+registry.register(ECOSTAT_TEMPLATE);
+registry.register(BLUEBOOK_TEMPLATE);
+
+module.exports = {
+    registry,
+    detectTemplate: registry.detect,
+    parseWithTemplate: registry.parse,
+    listTemplates: registry.list,
+    parseGame: createGameParser(registry),
+};
@@ -0,0 +1,432 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Shared layout helpers for the scorebook template parsers
+//
+// Row clustering, numeric column lookup, personal-foul mark counting and
+// validation – the pieces every printed-scorebook parser needs once it has
+// located its column headers. All parsers produce the same result schema
+// (see docs/scorebooks.md).
+// ---------------------------------------------------------------------------
+
+// ===========================================================================
+//  ROW CLUSTERING
+// ===========================================================================
+
+/**
+ * Group OCR lines into horizontal rows by y-coordinate proximity.
+ */
+function clusterIntoRows(lines, pageHeight) {
+    const tokens = lines
+        .filter((l) => l.bbox)
+        .map((l) => {
+            const bbox = l.bbox;
+            const yCenter = ((bbox.y1 + bbox.y3) / 2) / pageHeight;
+            return {
+                text: l.text.trim(),
+                confidence: l.confidence,
+                yCenter,
+                normLeft: Math.min(bbox.x1, bbox.x4),
+                normRight: Math.max(bbox.x2, bbox.x3),
+                rawBbox: bbox,
+            };
+        })
+        .sort((a, b) => a.yCenter - b.yCenter);
+
+    if (tokens.length === 0) return [];
+
+    const ROW_THRESHOLD = 0.015;
+    const rows = [];
+    let currentRow = { yCenter: tokens[0].yCenter, tokens: [tokens[0]] };
+
+    for (let i = 1; i < tokens.length; i++) {
+        const tk = tokens[i];
+        if (Math.abs(tk.yCenter - currentRow.yCenter) < ROW_THRESHOLD) {
+            currentRow.tokens.push(tk);
+            currentRow.yCenter =
+                currentRow.tokens.reduce((s, t) => s + t.yCenter, 0) / currentRow.tokens.length;
+        } else {
+            rows.push(currentRow);
+            currentRow = { yCenter: tk.yCenter, tokens: [tk] };
+        }
+    }
+    rows.push(currentRow);
+
+    for (const row of rows) {
+        row.tokens.sort((a, b) => a.normLeft - b.normLeft);
+    }
+
+    return rows;
+}
+
+// ===========================================================================
+//  PERSONAL FOULS — P1-P5 MARK COUNTING
+// ===========================================================================
+
+/**
+ * Count personal fouls by detecting X / cross-out marks on P1–P5 slots.
+ *
+ * Document AI may represent marked foul boxes as:
+ *  - "X", "x", "×", "✕", "✗", "/", "\" (standalone mark tokens)
+ *  - "P1X", "XP2", "P3/" (P-label merged with mark character)
+ *  - A P# token with unusually low confidence (mark overlaid on print)
+ *
+ * Falls back to a written numeric total if no marks detected.
+ *
+ * @param {Array} foulsTokens - tokens within the PERSONAL FOULS x-range
+ * @returns {{ count: number|null, foulFlags: string[] }}
+ */
+function countPersonalFouls(foulsTokens) {
+    if (foulsTokens.length === 0) {
+        return { count: null, foulFlags: [] };
+    }
+
+    const flags = [];
+
+    // --- Strategy 1: Detect explicit mark characters ---
+    // Standalone marks (X, x, ×, etc.)
+    let standaloneMarks = 0;
+    // P# labels with attached mark characters
+    const markedSlots = new Set();
+    // Clean P# labels (no marks)
+    const cleanSlots = new Set();
+    // Written numeric total candidate
+    let writtenTotal = null;
+
+    for (const tk of foulsTokens) {
+        const raw = tk.text.trim();
+        const upper = raw.toUpperCase();
+
+        // Check for P1-P5 labels (with or without marks)
+        const pMatch = upper.match(/P\s*([1-5])/);
+        if (pMatch) {
+            const slot = `P${pMatch[1]}`;
+            // Check if there are extra characters (mark merged with label)
+            const stripped = upper.replace(/P\s*[1-5]/g, '').replace(/\s/g, '');
+            if (stripped.length > 0 && isMarkChar(stripped)) {
+                markedSlots.add(slot);
+            } else if (stripped.length === 0) {
+                cleanSlots.add(slot);
+            } else {
+                // Garbled text over a P# — likely marked
+                markedSlots.add(slot);
+            }
+            continue;
+        }
+
+        // Standalone mark character(s)
+        if (isMarkText(raw)) {
+            standaloneMarks++;
+            continue;
+        }
+
+        // Single digit 0-5 not attached to P# — could be a written total
+        if (/^[0-5]$/.test(raw) && writtenTotal === null) {
+            writtenTotal = parseInt(raw, 10);
+            continue;
+        }
+    }
+
+    // --- Decide foul count ---
+
+    // If we found explicitly marked P# slots, use that count
+    if (markedSlots.size > 0) {
+        flags.push(`fouls_from_marked_slots: ${[...markedSlots].sort().join(',')}`);
+        return { count: markedSlots.size, foulFlags: flags };
+    }
+
+    // If we found standalone mark tokens (X, ×, etc.), count those.
+    // These are marks drawn over P# boxes where OCR couldn't merge them.
+    if (standaloneMarks > 0) {
+        const count = Math.min(standaloneMarks, 5);
+        flags.push(`fouls_from_mark_count: ${standaloneMarks} mark(s) detected`);
+        return { count, foulFlags: flags };
+    }
+
+    // If a written numeric total was found, use that
+    if (writtenTotal !== null) {
+        flags.push('fouls_from_written_total');
+        return { count: writtenTotal, foulFlags: flags };
+    }
+
+    // --- Strategy 2: Confidence-based detection ---
+    // If all P# labels are present but some have notably lower confidence,
+    // the low-confidence ones are likely marked/crossed.
+    if (cleanSlots.size > 0) {
+        const slotConfidences = [];
+        for (const tk of foulsTokens) {
+            const pm = tk.text.trim().toUpperCase().match(/^P\s*([1-5])$/);
+            if (pm && tk.confidence != null) {
+                slotConfidences.push({ slot: `P${pm[1]}`, confidence: tk.confidence });
+            }
+        }
+
+        if (slotConfidences.length >= 2) {
+            const avgConf = slotConfidences.reduce((s, sc) => s + sc.confidence, 0) / slotConfidences.length;
+            const lowConf = slotConfidences.filter((sc) => sc.confidence < avgConf - 0.15);
+            if (lowConf.length > 0 && lowConf.length < slotConfidences.length) {
+                const count = lowConf.length;
+                flags.push(`fouls_from_confidence_drop: ${lowConf.map(lc => lc.slot).join(',')} had low confidence`);
+                return { count, foulFlags: flags };
+            }
+        }
+    }
+
+    // Cannot determine fouls
+    if (cleanSlots.size > 0) {
+        flags.push('fouls_not_determined: P-slots visible but no marks detected');
+    }
+    return { count: null, foulFlags: flags };
+}
+
+/** Check if a single character looks like a cross/mark */
+function isMarkChar(str) {
+    return /^[Xx×✕✗✘\/\\|]+$/.test(str);
+}
+
+/** Check if a full token text is a mark (may be multi-char like "XX" or "X/") */
+function isMarkText(str) {
+    const cleaned = str.replace(/\s/g, '');
+    if (cleaned.length === 0) return false;
+    return /^[Xx×✕✗✘\/\\|]+$/.test(cleaned);
+}
+
+// ===========================================================================
+//  JERSEY NUMBER
+// ===========================================================================
+
+function findJerseyNumber(nameTokens, anchors, pageWidth) {
+    let best = null;
+    let bestDist = Infinity;
+
+    for (const tk of nameTokens) {
+        const cleaned = tk.text.replace(/[^0-9]/g, '');
+        if (cleaned.length < 1 || cleaned.length > 3 || !/^\d{1,3}$/.test(cleaned)) continue;
+
+        if (anchors.numberXRange) {
+            const colCtr = ((anchors.numberXRange.left + anchors.numberXRange.right) / 2) * pageWidth;
+            const tkCtr = (tk.normLeft + tk.normRight) / 2;
+            const dist = Math.abs(tkCtr - colCtr);
+            if (dist < bestDist) {
+                best = cleaned;
+                bestDist = dist;
+            }
+        } else if (!best) {
+            best = cleaned;
+        }
+    }
+
+    return best;
+}
+
+// ===========================================================================
+//  VALIDATION
+// ===========================================================================
+
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.attempts=false] - also check made <= attempted, for
+ *        books whose scoring summary records attempts
+ */
+function validate(players, teamTotals, { attempts = false } = {}) {
+    const checks = [];
+    const reviewReasons = [];
+
+    // Check 1: Points equation per player
+    // Mark 5 formula: TP = 2*fg2_made + 3*fg3_made + ft_made
+    for (const p of players) {
+        const s = p.shooting;
+        if (p.total_points != null && s.fg2_made != null && s.fg3_made != null && s.ft_made != null) {
+            const expected = 2 * s.fg2_made + 3 * s.fg3_made + s.ft_made;
+            const passed = expected === p.total_points;
+            checks.push({
+                name: `points_equation_player_${p.row_index}`,
+                passed,
+                details: passed
+                    ? `Player #${p.player_number || p.row_index}: ${p.total_points} = 2*${s.fg2_made} + 3*${s.fg3_made} + ${s.ft_made}`
+                    : `Player #${p.player_number || p.row_index}: expected ${expected} but got ${p.total_points}`,
+            });
+            if (!passed) {
+                reviewReasons.push(`Points mismatch for player row ${p.row_index}`);
+            }
+        }
+    }
+
+    // Check 2: Personal fouls > 5
+    for (const p of players) {
+        if (p.personal_fouls_total != null && p.personal_fouls_total > 5) {
+            checks.push({
+                name: `fouls_high_player_${p.row_index}`,
+                passed: false,
+                details: `Player #${p.player_number || p.row_index} has ${p.personal_fouls_total} fouls (>5 is unusual for HS).`,
+            });
+            reviewReasons.push(`High foul count for player row ${p.row_index}`);
+        }
+    }
+
+    // Check 2b: Made never exceeds attempted
+    if (attempts) {
+        for (const p of players) {
+            for (const shot of ['fg2', 'fg3', 'ft']) {
+                const made = p.shooting[`${shot}_made`];
+                const att = p.shooting[`${shot}_att`];
+                if (made == null || att == null) continue;
+                const passed = made <= att;
+                checks.push({
+                    name: `${shot}_made_le_att_player_${p.row_index}`,
+                    passed,
+                    details: passed
+                        ? `Player #${p.player_number || p.row_index}: ${shot} ${made}/${att}`
+                        : `Player #${p.player_number || p.row_index}: ${shot} made ${made} > attempted ${att}`,
+                });
+                if (!passed) reviewReasons.push(`${shot} made exceeds attempts for player row ${p.row_index}`);
+            }
+        }
+    }
+
+    // Check 3: Team total vs sum of players
+    const sumTP = players.reduce((s, p) => s + (p.total_points || 0), 0);
+    if (teamTotals.total_points != null && sumTP > 0) {
+        const passed = sumTP === teamTotals.total_points;
+        checks.push({
+            name: 'team_total_vs_player_sum',
+            passed,
+            details: passed
+                ? `Team total ${teamTotals.total_points} matches player sum.`
+                : `Team total ${teamTotals.total_points} != player sum ${sumTP}.`,
+        });
+        if (!passed) reviewReasons.push('Team total does not match sum of player points.');
+    }
+
+    // Check 4: Null total_points rate
+    const nullTpCount = players.filter((p) => p.total_points === null).length;
+    if (players.length > 0 && nullTpCount / players.length > 0.5) {
+        reviewReasons.push(`>${Math.round(nullTpCount / players.length * 100)}% of player rows have null total_points.`);
+    }
+
+    const needsReview = reviewReasons.length > 0;
+    return { checks, needs_review: needsReview, review_reasons: reviewReasons };
+}
+
+// ===========================================================================
+//  CELL GEOMETRY  (image crops, see crops.js)
+// ===========================================================================
+
+/**
+ * Pixel box enclosing a group of row tokens.
+ *
+ * @param {Array} tokens - clusterIntoRows tokens (rawBbox in page pixels)
+ * @param {number} pageNumber
+ * @returns {{ page: number, left: number, top: number, right: number, bottom: number }|null}
+ */
+function tokenBox(tokens, pageNumber) {
+    const boxes = tokens.map((tk) => tk.rawBbox).filter(Boolean);
+    if (boxes.length === 0) return null;
+    return {
+        page: pageNumber,
+        left: Math.min(...boxes.map((b) => Math.min(b.x1, b.x4))),
+        top: Math.min(...boxes.map((b) => Math.min(b.y1, b.y2))),
+        right: Math.max(...boxes.map((b) => Math.max(b.x2, b.x3))),
+        bottom: Math.max(...boxes.map((b) => Math.max(b.y3, b.y4))),
+    };
+}
+
+/**
+ * Geometry of one parsed page: its size and the pixel x-range of each
+ * field's column. A cell is its column crossed with the row's bbox.
+ *
+ * @param {object} page - Document AI page
+ * @param {object} columns - { field: { left, right } } normalised to page width; null ranges are skipped
+ */
+function pageLayout(page, columns) {
+    const width = page.width || 1;
+    const pixels = {};
+    for (const [field, range] of Object.entries(columns)) {
+        if (!range) continue;
+        pixels[field] = { left: Math.round(range.left * width), right: Math.round(range.right * width) };
+    }
+    return { page: page.pageNumber || 1, width, height: page.height || 1, columns: pixels };
+}
+
+// ===========================================================================
+//  UTILITIES
+// ===========================================================================
+
+function emptyShooting() {
+    return { fg2_made: null, fg2_att: null, fg3_made: null, fg3_att: null, ft_made: null, ft_att: null };
+}
+
+function blankResult(templateName, { isBlank = true, issues = [] } = {}) {
+    return {
+        template: templateName,
+        is_blank: isBlank,
+        quality: { overall_confidence: isBlank ? 1.0 : 0.0, issues },
+        players: [],
+        team_totals: {
+            shooting: emptyShooting(),
+            total_points: null,
+        },
+        validation: { checks: [], needs_review: !isBlank, review_reasons: isBlank ? [] : issues },
+    };
+}
+
+function parseNumerics(str) {
+    const nums = [];
+    const tokens = str.trim().split(/[\s,]+/);
+    for (const t of tokens) {
+        if (/^\d+\/\d+$/.test(t)) {
+            const [a, b] = t.split('/').map(Number);
+            if (!isNaN(a)) nums.push(a);
+            if (!isNaN(b)) nums.push(b);
+        } else {
+            const n = parseInt(t, 10);
+            if (!isNaN(n) && /^\d+$/.test(t.trim())) nums.push(n);
+        }
+    }
+    return nums;
+}
+
+function colCentre(range, pageWidth) {
+    return ((range.left + range.right) / 2) * pageWidth;
+}
+
+function closestNumeric(numericTokens, targetX, tolerance) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const nt of numericTokens) {
+        const dist = Math.abs(nt.centreX - targetX);
+        if (dist < tolerance && dist < bestDist) {
+            best = nt;
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+function computeOverallConfidence(confidences, issues) {
+    if (confidences.length === 0) return 0.0;
+    let avg = confidences.reduce((s, c) => s + c, 0) / confidences.length;
+    avg -= issues.length * 0.05;
+    return Math.max(0.0, Math.min(1.0, avg));
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+module.exports = {
+    clusterIntoRows,
+    countPersonalFouls,
+    isMarkText,
+    findJerseyNumber,
+    validate,
+    tokenBox,
+    pageLayout,
+    emptyShooting,
+    blankResult,
+    parseNumerics,
+    colCentre,
+    closestNumeric,
+    computeOverallConfidence,
+    round2,
+};
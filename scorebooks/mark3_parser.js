@@ -0,0 +1,69 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Mark 3 Basketball Scorebook Parser
+//
+//  NO. | PLAYERS | FOULS (1 2 3 4 5)   ← quarter number written per foul
+//       … scoring boxes by quarter …   (skipped)
+//  FIELD GOALS: 2 PT | 3 PT  | FREE THROWS: FTM | FTA | TP
+//
+// Field goals are makes only; the book doesn't record FG attempts.
+// ---------------------------------------------------------------------------
+
+const { createTableParser } = require('./table_parser');
+const { emptyShooting } = require('./layout');
+
+const TEMPLATE_NAME = 'Mark 3 Basketball Scorebook';
+
+const parseMark3 = createTableParser({
+    name: TEMPLATE_NAME,
+    playerHeader: /^PLAYERS?$/,
+    numberHeader: /^NO\.?$/,
+    fouls: { header: /^FOULS$/, mode: 'tally' },
+    columns: {
+        fg2: /^2\s*PT$/,
+        fg3: /^3\s*PT$/,
+        ftm: /^FTM$/,
+        fta: /^FTA$/,
+        tp: /^TP$/,
+    },
+    toStats: (v) => ({
+        shooting: {
+            ...emptyShooting(),
+            fg2_made: v.fg2,
+            fg3_made: v.fg3,
+            ft_made: v.ftm,
+            ft_att: v.fta,
+        },
+        total_points: v.tp,
+    }),
+    cells: {
+        fg2_made: ['fg2'],
+        fg3_made: ['fg3'],
+        ft_made: ['ftm'],
+        ft_att: ['fta'],
+        total_points: ['tp'],
+    },
+    attempts: true,
+    vocabulary: /MARK\s*(?:3|III)|FOULS|FIELD\s*GOALS|FREE\s*THROWS|[23]\s*PT|FT[MA]|TP/gi,
+});
+
+/** Registry descriptor (see scorebooks/registry.js). */
+const MARK3_TEMPLATE = {
+    id: 'mark3',
+    name: TEMPLATE_NAME,
+    anchors: [
+        { label: 'PLAYERS', pattern: /^PLAYERS$/, weight: 1 },
+        { label: 'NO.', pattern: /^NO\.?$/, weight: 0.5 },
+        { label: 'FOULS', pattern: /^FOULS$/, weight: 1 },
+        { label: 'FIELD GOALS', pattern: /FIELD\s*GOALS/, weight: 2 },
+        { label: '2 PT', pattern: /^2\s*PT$/, weight: 1.5 },
+        { label: '3 PT', pattern: /^3\s*PT$/, weight: 1.5 },
+        { label: 'FREE THROWS', pattern: /FREE\s*THROWS/, weight: 1.5 },
+        { label: 'TP', pattern: /^TP$/, weight: 1 },
+        { label: 'MARK 3', pattern: /\bMARK\s*(?:3|III)\b/, weight: 3, bonus: true },
+    ],
+    parse: ({ documentAiJson }) => parseMark3({ documentAiJson }),
+};
+
+module.exports = { parseMark3, MARK3_TEMPLATE };
@@ -8,16 +8,65 @@
 //  POS | QUARTERS | PLAYER | NO. | PERSONAL FOULS (P1-P5) |
 //       PLAYED                      ← X marks = fouls
 //
-//  … 1ST QTR | 2ND QTR | 3RD QTR | 4TH QTR | OT …   (skipped)
+//  … 1ST QTR | 2ND QTR | 3RD QTR | 4TH QTR | OT …   ← shot / foul marks (quarters.js)
 //
 //  SCORING SUMMARY:  FG 2's | 3's | FT A | FT M | TP
 //
-//  TURNOVERS (skipped)
+//  TURNOVERS   ← tally per player (team_events.js)
+//
+//  TEAM FOULS (per quarter) and TIME OUTS (per half) rows → team_events
+//
+//  RUNNING SCORE grid below the roster → scoring timeline (running_score.js)
 //
 // Extracts roster + per-player totals + team totals from a single
 // scorebook page using Google Document AI OCR output.
 // ---------------------------------------------------------------------------
 
+const {
+    clusterIntoRows,
+    countPersonalFouls,
+    findJerseyNumber,
+    validate,
+    tokenBox,
+    pageLayout,
+    blankResult,
+    parseNumerics,
+    colCentre,
+    closestNumeric,
+    computeOverallConfidence,
+    round2,
+} = require('./layout');
+const { parseRunningScore, checkRunningScore } = require('./running_score');
+const { quarterKey, quarterColumns, readQuarterBoxes, sumQuarters, addQuarters, checkQuarters } = require('./quarters');
+const { parseTeamEvents, readTurnovers, checkTeamEvents } = require('./team_events');
+
+const TEMPLATE_NAME = 'Mark 5 Basketball Scorebook';
+
+/**
+ * Registry descriptor (see scorebooks/registry.js). The anchors are the
+ * same printed header labels findAnchors keys off; the 2's / 3's scoring
+ * columns, QUARTERS PLAYED and SCORING SUMMARY are what set Mark 5 apart.
+ */
+const MARK5_TEMPLATE = {
+    id: 'mark5',
+    name: TEMPLATE_NAME,
+    anchors: [
+        { label: 'PLAYER', pattern: /\bPLAYER\b/, weight: 1 },
+        { label: 'NO.', pattern: /^NO\.?$/, weight: 0.5 },
+        { label: 'POS', pattern: /^POS$/, weight: 1 },
+        { label: 'QUARTERS PLAYED', pattern: /QUARTERS?\s*PLAYED/, weight: 2 },
+        { label: 'PERSONAL FOULS', pattern: /PERSONAL\s*FOULS?/, weight: 1 },
+        { label: 'SCORING SUMMARY', pattern: /SCORING\s*SUMM/, weight: 2 },
+        { label: "2's", pattern: /^2['’]?S$/, weight: 1.5 },
+        { label: "3's", pattern: /^3['’]?S$/, weight: 1.5 },
+        { label: 'TP', pattern: /^TP$/, weight: 1 },
+        { label: 'TURNOVERS', pattern: /\bTURNOVERS?\b/, weight: 0.5 },
+        { label: 'RUNNING SCORE', pattern: /RUNNING\s*SCORE/, weight: 0.5 },
+        { label: 'MARK 5', pattern: /\bMARK\s*(?:5|V)\b/, weight: 3, bonus: true },
+    ],
+    parse: (opts) => parseMark5Minimal(opts),
+};
+
 /**
  * Main entry point.
  *
@@ -29,14 +78,14 @@
  */
 function parseMark5Minimal({ documentAiJson, imageBytesOrPath } = {}) {
     if (!documentAiJson || typeof documentAiJson !== 'object') {
-        return blankResult({ issues: ['No Document AI JSON provided.'] });
+        return blankResult(TEMPLATE_NAME, { issues: ['No Document AI JSON provided.'] });
     }
 
     const fullText = documentAiJson.text || '';
     const page = (documentAiJson.pages || [])[0]; // single-page scorebook
 
     if (!page || !page.lines || page.lines.length === 0) {
-        return blankResult({
+        return blankResult(TEMPLATE_NAME, {
             isBlank: fullText.trim().length === 0,
             issues: fullText.trim().length === 0
                 ? []
@@ -46,6 +95,7 @@ function parseMark5Minimal({ documentAiJson, imageBytesOrPath } = {}) {
 
     const pageWidth = page.width || 1;
     const pageHeight = page.height || 1;
+    const pageNumber = page.pageNumber || 1;
     const lines = page.lines;
 
     // ----- 1. Locate anchor headers -----
@@ -53,7 +103,7 @@ function parseMark5Minimal({ documentAiJson, imageBytesOrPath } = {}) {
 
     if (!anchors.hasPlayerTable) {
         const isBlank = looksBlank(fullText);
-        return blankResult({
+        return blankResult(TEMPLATE_NAME, {
             isBlank,
             issues: isBlank ? [] : ['Could not locate player table headers.'],
         });
@@ -64,22 +114,53 @@ function parseMark5Minimal({ documentAiJson, imageBytesOrPath } = {}) {
 
     // ----- 3. Extract data -----
     const { players, teamTotals, confidences, issues } = extractData(
-        rows, anchors, pageWidth, pageHeight
+        rows, anchors, pageWidth, pageNumber
     );
 
     // ----- 4. Blank check (headers found but no data rows) -----
     if (players.length === 0 && teamTotals.total_points === null) {
         const isBlank = looksBlank(fullText);
-        return blankResult({ isBlank, issues: isBlank ? [] : issues });
+        return blankResult(TEMPLATE_NAME, { isBlank, issues: isBlank ? [] : issues });
+    }
+
+    // ----- 5. Team quarter totals -----
+    teamTotals.quarters = addQuarters(players.map((p) => p.quarters));
+    if (teamTotals.quarters && players.every((p) => p.quarters)) {
+        const q = sumQuarters(teamTotals.quarters);
+        if (teamTotals.shooting.fg2_att == null) teamTotals.shooting.fg2_att = q.fg2_att;
+        if (teamTotals.shooting.fg3_att == null) teamTotals.shooting.fg3_att = q.fg3_att;
     }
 
-    // ----- 5. Validation -----
+    // ----- 6. Running score timeline, team fouls and timeouts -----
+    const runningScore = parseRunningScore(page);
+    const { team_fouls: teamFouls, timeouts, issues: eventIssues } = parseTeamEvents(page, {
+        quarterColumns: anchors.quarterColumns,
+    });
+    const teamEvents = { team_fouls: teamFouls, timeouts };
+    issues.push(...eventIssues);
+
+    // ----- 7. Validation -----
     const validation = validate(players, teamTotals);
+    for (const { checks, reviewReasons } of [
+        checkQuarters(players),
+        checkRunningScore(runningScore, players, teamTotals),
+        checkTeamEvents(teamEvents, players, teamTotals),
+    ]) {
+        validation.checks.push(...checks);
+        validation.review_reasons.push(...reviewReasons);
+    }
+    validation.needs_review = validation.review_reasons.length > 0;
+
+    // Team turnovers default to the players' tallies when the totals row is empty
+    const playerTurnovers = players.filter((p) => p.turnovers != null);
+    if (teamTotals.turnovers == null && playerTurnovers.length > 0) {
+        teamTotals.turnovers = playerTurnovers.reduce((s, p) => s + p.turnovers, 0);
+    }
 
     const overallConfidence = computeOverallConfidence(confidences, issues);
 
     return {
-        template: 'Mark 5 Basketball Scorebook',
+        template: TEMPLATE_NAME,
         is_blank: false,
         quality: {
             overall_confidence: round2(overallConfidence),
@@ -87,6 +168,9 @@ function parseMark5Minimal({ documentAiJson, imageBytesOrPath } = {}) {
         },
         players,
         team_totals: teamTotals,
+        running_score: runningScore,
+        team_events: teamEvents,
+        layout: { pages: [cellLayout(page, anchors)] },
         validation,
     };
 }
@@ -107,6 +191,8 @@ function findAnchors(lines, pageWidth, pageHeight) {
         numberXRange: null,        // jersey NO. column
         posXRange: null,           // POS column (far left)
         quartersXRange: null,      // QUARTERS PLAYED column
+        quarterHeaders: {},        // 1ST QTR … OT box headers, by Q1 … OT
+        quarterColumns: [],        // quarter box x-ranges (see quarters.js)
         foulsXRange: null,         // PERSONAL FOULS area (P1-P5)
         scoringSummaryXStart: null,// where scoring summary begins
         fg2XRange: null,           // FG 2's column
@@ -152,6 +238,12 @@ function findAnchors(lines, pageWidth, pageHeight) {
             result.quartersXRange = { left: normLeft, right: normRight };
         }
 
+        // --- Quarter box headers: 1ST QTR. … 4TH QTR., OVER TIME ---
+        const quarter = quarterKey(t);
+        if (quarter && !result.quarterHeaders[quarter]) {
+            result.quarterHeaders[quarter] = { left: normLeft, right: normRight };
+        }
+
         // --- Personal Fouls header ---
         if (/PERSONAL\s*FOULS?/.test(t) || /\bPERSONAL\b/.test(t)) {
             result.foulsXRange = { left: normLeft, right: normRight };
@@ -245,57 +337,16 @@ function findAnchors(lines, pageWidth, pageHeight) {
         }
     }
 
-    return result;
-}
-
-// ===========================================================================
-//  ROW CLUSTERING
-// ===========================================================================
-
-/**
- * Group OCR lines into horizontal rows by y-coordinate proximity.
- */
-function clusterIntoRows(lines, pageHeight) {
-    const tokens = lines
-        .filter((l) => l.bbox)
-        .map((l) => {
-            const bbox = l.bbox;
-            const yCenter = ((bbox.y1 + bbox.y3) / 2) / pageHeight;
-            return {
-                text: l.text.trim(),
-                confidence: l.confidence,
-                yCenter,
-                normLeft: Math.min(bbox.x1, bbox.x4),
-                normRight: Math.max(bbox.x2, bbox.x3),
-                rawBbox: bbox,
-            };
-        })
-        .sort((a, b) => a.yCenter - b.yCenter);
-
-    if (tokens.length === 0) return [];
-
-    const ROW_THRESHOLD = 0.015;
-    const rows = [];
-    let currentRow = { yCenter: tokens[0].yCenter, tokens: [tokens[0]] };
-
-    for (let i = 1; i < tokens.length; i++) {
-        const tk = tokens[i];
-        if (Math.abs(tk.yCenter - currentRow.yCenter) < ROW_THRESHOLD) {
-            currentRow.tokens.push(tk);
-            currentRow.yCenter =
-                currentRow.tokens.reduce((s, t) => s + t.yCenter, 0) / currentRow.tokens.length;
-        } else {
-            rows.push(currentRow);
-            currentRow = { yCenter: tk.yCenter, tokens: [tk] };
-        }
-    }
-    rows.push(currentRow);
-
-    for (const row of rows) {
-        row.tokens.sort((a, b) => a.normLeft - b.normLeft);
+    // --- Quarter boxes fill the gap between PERSONAL FOULS and the summary ---
+    if (Object.keys(result.quarterHeaders).length > 0) {
+        result.quarterColumns = quarterColumns(
+            result.quarterHeaders,
+            result.foulsXRange ? result.foulsXRange.right : 0,
+            result.scoringSummaryXStart || 0.7
+        );
     }
 
-    return rows;
+    return result;
 }
 
 // ===========================================================================
@@ -305,13 +356,14 @@ function clusterIntoRows(lines, pageHeight) {
 /** Rows to skip entirely (non-data headers / footers) */
 const SKIP_ROW_RE = /\b(?:RUNNING\s*SCORE|TURNOVERS?|TIME\s*OUTS?|TECHNICALS?|COACH|SCORER|TIMER|REFEREE|DATE|LOCATION|POB|FTM\s*PERCENT|FIRST\s*(?:HALF|Q)|SECOND\s*(?:HALF)|THIRD|FOURTH|1ST\s*Q|2ND\s*Q|3RD\s*Q|4TH\s*Q|OVER\s*TIME|TEAM\s*FOULS?)\b/i;
 
-function extractData(rows, anchors, pageWidth, pageHeight) {
+function extractData(rows, anchors, pageWidth, pageNumber) {
     const players = [];
     const issues = [];
     const confidences = [];
     let teamTotals = {
         shooting: { fg2_made: null, fg2_att: null, fg3_made: null, fg3_att: null, ft_made: null, ft_att: null },
         total_points: null,
+        turnovers: null,
     };
 
     const headerY = anchors.playerHeaderY || 0;
@@ -324,6 +376,9 @@ function extractData(rows, anchors, pageWidth, pageHeight) {
         const rowTextUpper = rowText.toUpperCase();
 
         if (/^\s*$/.test(rowText)) continue;
+
+        // The running-score grid sits below the roster; it's parsed separately
+        if (/RUNNING\s*SCORE/.test(rowTextUpper)) break;
         if (SKIP_ROW_RE.test(rowTextUpper)) continue;
 
         // Skip header-echo rows (POS, QUARTERS PLAYED, PLAYER, NO.)
@@ -332,11 +387,13 @@ function extractData(rows, anchors, pageWidth, pageHeight) {
         // Detect totals row — match "TOTAL" or "TEAM TOTALS"
         if (/\bTOTALS?\b/i.test(rowTextUpper) && !/TECHNICAL/i.test(rowTextUpper)) {
             teamTotals = extractTotalsFromRow(row, anchors, pageWidth);
+            teamTotals.bbox = tokenBox(row.tokens, pageNumber);
             continue;
         }
 
         const playerResult = extractPlayerFromRow(row, anchors, pageWidth, rowIndex);
         if (playerResult) {
+            playerResult.bbox = tokenBox(row.tokens, pageNumber);
             players.push(playerResult);
             confidences.push(playerResult.confidence);
             rowIndex++;
@@ -369,23 +426,28 @@ function extractPlayerFromRow(row, anchors, pageWidth, rowIndex) {
     const scoringStart = anchors.scoringSummaryXStart
         ? anchors.scoringSummaryXStart * pageWidth
         : pageWidth * 0.7;
+    const turnoversStart = anchors.turnoversXStart ? anchors.turnoversXStart * pageWidth : Infinity;
 
     const nameTokens = [];       // left-side: name + number
     const foulsTokens = [];      // personal fouls area
     const scoringTokens = [];    // scoring summary columns
+    const quarterTokens = [];    // quarter boxes between fouls and scoring
+    const turnoverTokens = [];   // TURNOVERS tally, right of the summary
 
     for (const tk of tokens) {
         const tkCentreX = (tk.normLeft + tk.normRight) / 2;
         if (tk.confidence != null) rowConfidences.push(tk.confidence);
 
-        if (tkCentreX >= scoringStart) {
+        if (tkCentreX >= turnoversStart) {
+            turnoverTokens.push(tk);
+        } else if (tkCentreX >= scoringStart) {
             scoringTokens.push(tk);
         } else if (foulsLeft && foulsRight && tkCentreX >= foulsLeft && tkCentreX <= foulsRight) {
             foulsTokens.push(tk);
         } else if (tkCentreX < (foulsLeft || scoringStart)) {
             nameTokens.push(tk);
         } else {
-            // Tokens between fouls and scoring (quarter data) – skip
+            quarterTokens.push(tk);
         }
     }
 
@@ -411,10 +473,23 @@ function extractPlayerFromRow(row, anchors, pageWidth, rowIndex) {
     // If no name AND no scoring data, not a player row
     if (!playerName && scoringTokens.length === 0 && foulsTokens.length === 0) return null;
 
+    // ---- Turnovers (tally or written count) ----
+    const { turnovers, flags: turnoverFlags } = readTurnovers(turnoverTokens);
+    flags.push(...turnoverFlags);
+
     // ---- Personal Fouls (P1-P5 mark counting) ----
-    const { count: personalFoulsTotal, foulFlags } = countPersonalFouls(foulsTokens);
+    const { count: foulCount, foulFlags } = countPersonalFouls(foulsTokens);
+    let personalFoulsTotal = foulCount;
     flags.push(...foulFlags);
 
+    // ---- Quarter boxes (shot and foul marks) ----
+    let quarters = null;
+    if (anchors.quarterColumns.length > 0) {
+        const read = readQuarterBoxes(quarterTokens, anchors.quarterColumns, pageWidth);
+        quarters = read.quarters;
+        flags.push(...read.flags);
+    }
+
     // ---- Scoring Summary ----
     const shooting = {
         fg2_made: null, fg2_att: null,
@@ -477,6 +552,15 @@ function extractPlayerFromRow(row, anchors, pageWidth, rowIndex) {
         }
     }
 
+    // Attempts only exist in the quarter boxes (made + missed marks)
+    if (quarters) {
+        const q = sumQuarters(quarters);
+        if (shooting.fg2_att == null) shooting.fg2_att = q.fg2_att;
+        if (shooting.fg3_att == null) shooting.fg3_att = q.fg3_att;
+        if (shooting.ft_att == null) shooting.ft_att = q.ft_att;
+        if (personalFoulsTotal == null) personalFoulsTotal = q.fouls;
+    }
+
     // Confidence
     const avgConf = rowConfidences.length > 0
         ? rowConfidences.reduce((s, c) => s + c, 0) / rowConfidences.length
@@ -493,171 +577,13 @@ function extractPlayerFromRow(row, anchors, pageWidth, rowIndex) {
         personal_fouls_total: personalFoulsTotal,
         shooting,
         total_points: totalPoints,
+        quarters,
+        turnovers,
         confidence: round2(conf),
         flags,
     };
 }
 
-// ===========================================================================
-//  PERSONAL FOULS — P1-P5 MARK COUNTING
-// ===========================================================================
-
-/**
- * Count personal fouls by detecting X / cross-out marks on P1–P5 slots.
- *
- * Document AI may represent marked foul boxes as:
- *  - "X", "x", "×", "✕", "✗", "/", "\" (standalone mark tokens)
- *  - "P1X", "XP2", "P3/" (P-label merged with mark character)
- *  - A P# token with unusually low confidence (mark overlaid on print)
- *
- * Falls back to a written numeric total if no marks detected.
- *
- * @param {Array} foulsTokens - tokens within the PERSONAL FOULS x-range
- * @returns {{ count: number|null, foulFlags: string[] }}
- */
-function countPersonalFouls(foulsTokens) {
-    if (foulsTokens.length === 0) {
-        return { count: null, foulFlags: [] };
-    }
-
-    const flags = [];
-
-    // --- Strategy 1: Detect explicit mark characters ---
-    // Standalone marks (X, x, ×, etc.)
-    let standaloneMarks = 0;
-    // P# labels with attached mark characters
-    const markedSlots = new Set();
-    // Clean P# labels (no marks)
-    const cleanSlots = new Set();
-    // Written numeric total candidate
-    let writtenTotal = null;
-
-    for (const tk of foulsTokens) {
-        const raw = tk.text.trim();
-        const upper = raw.toUpperCase();
-
-        // Check for P1-P5 labels (with or without marks)
-        const pMatch = upper.match(/P\s*([1-5])/);
-        if (pMatch) {
-            const slot = `P${pMatch[1]}`;
-            // Check if there are extra characters (mark merged with label)
-            const stripped = upper.replace(/P\s*[1-5]/g, '').replace(/\s/g, '');
-            if (stripped.length > 0 && isMarkChar(stripped)) {
-                markedSlots.add(slot);
-            } else if (stripped.length === 0) {
-                cleanSlots.add(slot);
-            } else {
-                // Garbled text over a P# — likely marked
-                markedSlots.add(slot);
-            }
-            continue;
-        }
-
-        // Standalone mark character(s)
-        if (isMarkText(raw)) {
-            standaloneMarks++;
-            continue;
-        }
-
-        // Single digit 0-5 not attached to P# — could be a written total
-        if (/^[0-5]$/.test(raw) && writtenTotal === null) {
-            writtenTotal = parseInt(raw, 10);
-            continue;
-        }
-    }
-
-    // --- Decide foul count ---
-
-    // If we found explicitly marked P# slots, use that count
-    if (markedSlots.size > 0) {
-        flags.push(`fouls_from_marked_slots: ${[...markedSlots].sort().join(',')}`);
-        return { count: markedSlots.size, foulFlags: flags };
-    }
-
-    // If we found standalone mark tokens (X, ×, etc.), count those.
-    // These are marks drawn over P# boxes where OCR couldn't merge them.
-    if (standaloneMarks > 0) {
-        const count = Math.min(standaloneMarks, 5);
-        flags.push(`fouls_from_mark_count: ${standaloneMarks} mark(s) detected`);
-        return { count, foulFlags: flags };
-    }
-
-    // If a written numeric total was found, use that
-    if (writtenTotal !== null) {
-        flags.push('fouls_from_written_total');
-        return { count: writtenTotal, foulFlags: flags };
-    }
-
-    // --- Strategy 2: Confidence-based detection ---
-    // If all P# labels are present but some have notably lower confidence,
-    // the low-confidence ones are likely marked/crossed.
-    if (cleanSlots.size > 0) {
-        const slotConfidences = [];
-        for (const tk of foulsTokens) {
-            const pm = tk.text.trim().toUpperCase().match(/^P\s*([1-5])$/);
-            if (pm && tk.confidence != null) {
-                slotConfidences.push({ slot: `P${pm[1]}`, confidence: tk.confidence });
-            }
-        }
-
-        if (slotConfidences.length >= 2) {
-            const avgConf = slotConfidences.reduce((s, sc) => s + sc.confidence, 0) / slotConfidences.length;
-            const lowConf = slotConfidences.filter((sc) => sc.confidence < avgConf - 0.15);
-            if (lowConf.length > 0 && lowConf.length < slotConfidences.length) {
-                const count = lowConf.length;
-                flags.push(`fouls_from_confidence_drop: ${lowConf.map(lc => lc.slot).join(',')} had low confidence`);
-                return { count, foulFlags: flags };
-            }
-        }
-    }
-
-    // Cannot determine fouls
-    if (cleanSlots.size > 0) {
-        flags.push('fouls_not_determined: P-slots visible but no marks detected');
-    }
-    return { count: null, foulFlags: flags };
-}
-
-/** Check if a single character looks like a cross/mark */
-function isMarkChar(str) {
-    return /^[Xx×✕✗✘\/\\|]+$/.test(str);
-}
-
-/** Check if a full token text is a mark (may be multi-char like "XX" or "X/") */
-function isMarkText(str) {
-    const cleaned = str.replace(/\s/g, '');
-    if (cleaned.length === 0) return false;
-    return /^[Xx×✕✗✘\/\\|]+$/.test(cleaned);
-}
-
-// ===========================================================================
-//  JERSEY NUMBER
-// ===========================================================================
-
-function findJerseyNumber(nameTokens, anchors, pageWidth) {
-    let best = null;
-    let bestDist = Infinity;
-
-    for (const tk of nameTokens) {
-        const cleaned = tk.text.replace(/[^0-9]/g, '');
-        if (cleaned.length < 1 || cleaned.length > 3 || !/^\d{1,3}$/.test(cleaned)) continue;
-
-        if (anchors.numberXRange) {
-            const colCtr = ((anchors.numberXRange.left + anchors.numberXRange.right) / 2) * pageWidth;
-            const tkCtr = (tk.normLeft + tk.normRight) / 2;
-            const dist = Math.abs(tkCtr - colCtr);
-            if (dist < bestDist) {
-                best = cleaned;
-                bestDist = dist;
-            }
-        } else if (!best) {
-            best = cleaned;
-        }
-    }
-
-    return best;
-}
-
 // ===========================================================================
 //  TOTALS ROW
 // ===========================================================================
@@ -666,9 +592,16 @@ function extractTotalsFromRow(row, anchors, pageWidth) {
     const totals = {
         shooting: { fg2_made: null, fg2_att: null, fg3_made: null, fg3_att: null, ft_made: null, ft_att: null },
         total_points: null,
+        turnovers: null,
     };
 
+    // TURNOVERS column first, so its count isn't read as a summary value
+    const turnoversStart = anchors.turnoversXStart ? anchors.turnoversXStart * pageWidth : Infinity;
+    const isTurnover = (tk) => (tk.normLeft + tk.normRight) / 2 >= turnoversStart;
+    totals.turnovers = readTurnovers(row.tokens.filter(isTurnover)).turnovers;
+
     const numericTokens = row.tokens
+        .filter((tk) => !isTurnover(tk))
         .map((tk) => {
             const nums = parseNumerics(tk.text);
             return nums.map((n) => ({
@@ -713,87 +646,38 @@ function extractTotalsFromRow(row, anchors, pageWidth) {
 }
 
 // ===========================================================================
-//  VALIDATION
+//  CELL LAYOUT
 // ===========================================================================
 
-function validate(players, teamTotals) {
-    const checks = [];
-    const reviewReasons = [];
-
-    // Check 1: Points equation per player
-    // Mark 5 formula: TP = 2*fg2_made + 3*fg3_made + ft_made
-    for (const p of players) {
-        const s = p.shooting;
-        if (p.total_points != null && s.fg2_made != null && s.fg3_made != null && s.ft_made != null) {
-            const expected = 2 * s.fg2_made + 3 * s.fg3_made + s.ft_made;
-            const passed = expected === p.total_points;
-            checks.push({
-                name: `points_equation_player_${p.row_index}`,
-                passed,
-                details: passed
-                    ? `Player #${p.player_number || p.row_index}: ${p.total_points} = 2*${s.fg2_made} + 3*${s.fg3_made} + ${s.ft_made}`
-                    : `Player #${p.player_number || p.row_index}: expected ${expected} but got ${p.total_points}`,
-            });
-            if (!passed) {
-                reviewReasons.push(`Points mismatch for player row ${p.row_index}`);
-            }
-        }
-    }
-
-    // Check 2: Personal fouls > 5
-    for (const p of players) {
-        if (p.personal_fouls_total != null && p.personal_fouls_total > 5) {
-            checks.push({
-                name: `fouls_high_player_${p.row_index}`,
-                passed: false,
-                details: `Player #${p.player_number || p.row_index} has ${p.personal_fouls_total} fouls (>5 is unusual for HS).`,
-            });
-            reviewReasons.push(`High foul count for player row ${p.row_index}`);
-        }
-    }
-
-    // Check 3: Team total vs sum of players
-    const sumTP = players.reduce((s, p) => s + (p.total_points || 0), 0);
-    if (teamTotals.total_points != null && sumTP > 0) {
-        const passed = sumTP === teamTotals.total_points;
-        checks.push({
-            name: 'team_total_vs_player_sum',
-            passed,
-            details: passed
-                ? `Team total ${teamTotals.total_points} matches player sum.`
-                : `Team total ${teamTotals.total_points} != player sum ${sumTP}.`,
-        });
-        if (!passed) reviewReasons.push('Team total does not match sum of player points.');
-    }
-
-    // Check 4: Null total_points rate
-    const nullTpCount = players.filter((p) => p.total_points === null).length;
-    if (players.length > 0 && nullTpCount / players.length > 0.5) {
-        reviewReasons.push(`>${Math.round(nullTpCount / players.length * 100)}% of player rows have null total_points.`);
-    }
-
-    const needsReview = reviewReasons.length > 0;
-    return { checks, needs_review: needsReview, review_reasons: reviewReasons };
+/**
+ * Column of each result field, for cropping cells out of the photo.
+ * Attempts are counted from the quarter-box marks, so their "cell" is the
+ * whole quarter area; TURNOVERS is the last column on the page.
+ */
+function cellLayout(page, anchors) {
+    const boxes = anchors.quarterColumns;
+    const quarterArea = boxes.length > 0
+        ? { left: boxes[0].left, right: boxes[boxes.length - 1].right }
+        : null;
+    return pageLayout(page, {
+        player_name: anchors.nameXRange,
+        player_number: anchors.numberXRange,
+        personal_fouls_total: anchors.foulsXRange,
+        fg2_made: anchors.fg2XRange,
+        fg2_att: quarterArea,
+        fg3_made: anchors.fg3XRange,
+        fg3_att: quarterArea,
+        ft_made: anchors.ftMXRange,
+        ft_att: anchors.ftAXRange,
+        total_points: anchors.tpXRange,
+        turnovers: anchors.turnoversXStart != null ? { left: anchors.turnoversXStart, right: 1 } : null,
+    });
 }
 
 // ===========================================================================
 //  UTILITIES
 // ===========================================================================
 
-function blankResult({ isBlank = true, issues = [] } = {}) {
-    return {
-        template: 'Mark 5 Basketball Scorebook',
-        is_blank: isBlank,
-        quality: { overall_confidence: isBlank ? 1.0 : 0.0, issues },
-        players: [],
-        team_totals: {
-            shooting: { fg2_made: null, fg2_att: null, fg3_made: null, fg3_att: null, ft_made: null, ft_att: null },
-            total_points: null,
-        },
-        validation: { checks: [], needs_review: !isBlank, review_reasons: isBlank ? [] : issues },
-    };
-}
-
 function looksBlank(text) {
     const stripped = text
         .replace(/PLAYERS?|NO\.|SCORING|SUMMARY|FG|FT|FTM|FTA|TP|PTS|FOULS?|PERSONAL|QUARTERS?\s*PLAYED|QUARTER|HALF|TEAM|TOTALS?|HOME|VISITOR|DATE|LOCATION|COACH|SCORER|TIMER|REFEREE|POS|POB|TURNOVERS?|RUNNING\s*SCORE|TIME\s*OUTS?|TECHNICALS?|OVER\s*TIME|PERCENT|FIRST|SECOND|PLAYED|[1-4](?:ST|ND|RD|TH)\s*(?:Q(?:TR)?)?\.?|QTR\.?|2['']?S|3['']?S|P[1-5]|\b\d{1,2}\b|\b[AM]\b/gi, '')
@@ -801,39 +685,6 @@ function looksBlank(text) {
     return stripped.length < 15;
 }
 
-function parseNumerics(str) {
-    const nums = [];
-    const tokens = str.trim().split(/[\s,]+/);
-    for (const t of tokens) {
-        if (/^\d+\/\d+$/.test(t)) {
-            const [a, b] = t.split('/').map(Number);
-            if (!isNaN(a)) nums.push(a);
-            if (!isNaN(b)) nums.push(b);
-        } else {
-            const n = parseInt(t, 10);
-            if (!isNaN(n) && /^\d+$/.test(t.trim())) nums.push(n);
-        }
-    }
-    return nums;
-}
-
-function colCentre(range, pageWidth) {
-    return ((range.left + range.right) / 2) * pageWidth;
-}
-
-function closestNumeric(numericTokens, targetX, tolerance) {
-    let best = null;
-    let bestDist = Infinity;
-    for (const nt of numericTokens) {
-        const dist = Math.abs(nt.centreX - targetX);
-        if (dist < tolerance && dist < bestDist) {
-            best = nt;
-            bestDist = dist;
-        }
-    }
-    return best;
-}
-
 function numericsInRange(numericTokens, range, pageWidth) {
     const left = range.left * pageWidth;
     const right = range.right * pageWidth;
@@ -843,15 +694,4 @@ function numericsInRange(numericTokens, range, pageWidth) {
         .sort((a, b) => a.centreX - b.centreX);
 }
 
-function computeOverallConfidence(confidences, issues) {
-    if (confidences.length === 0) return 0.0;
-    let avg = confidences.reduce((s, c) => s + c, 0) / confidences.length;
-    avg -= issues.length * 0.05;
-    return Math.max(0.0, Math.min(1.0, avg));
-}
-
-function round2(n) {
-    return Math.round(n * 100) / 100;
-}
-
-module.exports = { parseMark5Minimal };
+module.exports = { parseMark5Minimal, MARK5_TEMPLATE };
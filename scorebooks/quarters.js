@@ -0,0 +1,271 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Quarter-by-quarter shots and fouls
+//
+// Each player row has a box per quarter (1ST QTR … 4TH QTR, OT) where the
+// scorer records every shot and foul as it happens:
+//
+//   2  3        made 2- / 3-point field goal
+//   1  ●        made free throw
+//   O  ○  (2)   missed 2-point field goal   (circled number = missed shot)
+//   (3)  ③      missed 3-point field goal
+//   X  (1)  ①   missed free throw
+//   F  PF       personal foul
+//
+// Summing the boxes gives field-goal attempts (the scoring summary only has
+// makes), per-quarter points and foul timing. normalizeClaudeQuarters does
+// the same for per-quarter counts from the Claude extraction path.
+// ---------------------------------------------------------------------------
+
+const QUARTER_KEYS = ['Q1', 'Q2', 'Q3', 'Q4', 'OT'];
+
+const QUARTER_HEADER_RE = /^(?:([1-4])(?:ST|ND|RD|TH)\s*(?:QTR|QUARTER|Q)\.?|Q([1-4])|(OVER\s*TIME|OT))$/;
+
+const MARK_RE = /\(\s*[123]\s*\)|[①②③]|PF|F|[123]|[●•]|[O○0]|[X×]/g;
+
+const MARKS = {
+    '2': { shot: 'fg2', made: true },
+    '3': { shot: 'fg3', made: true },
+    '1': { shot: 'ft', made: true },
+    '●': { shot: 'ft', made: true },
+    '•': { shot: 'ft', made: true },
+    'O': { shot: 'fg2', made: false },
+    '○': { shot: 'fg2', made: false },
+    '0': { shot: 'fg2', made: false },
+    '(2)': { shot: 'fg2', made: false },
+    '②': { shot: 'fg2', made: false },
+    '(3)': { shot: 'fg3', made: false },
+    '③': { shot: 'fg3', made: false },
+    'X': { shot: 'ft', made: false },
+    '×': { shot: 'ft', made: false },
+    '(1)': { shot: 'ft', made: false },
+    '①': { shot: 'ft', made: false },
+    'F': { foul: true },
+    'PF': { foul: true },
+};
+
+const POINTS = { fg2: 2, fg3: 3, ft: 1 };
+
+/** "2ND QTR." → 'Q2', "OVER TIME" → 'OT'; null for anything else. */
+function quarterKey(text) {
+    const m = String(text || '').toUpperCase().trim().match(QUARTER_HEADER_RE);
+    if (!m) return null;
+    return m[3] ? 'OT' : `Q${m[1] || m[2]}`;
+}
+
+function emptyQuarter() {
+    return { fg2_made: 0, fg2_att: 0, fg3_made: 0, fg3_att: 0, ft_made: 0, ft_att: 0, points: 0, fouls: 0 };
+}
+
+/**
+ * Tally the marks written in one quarter box.
+ * @returns {{ quarter: object, unread: string[] }} unread = text that isn't a mark
+ */
+function parseQuarterCell(text) {
+    const quarter = emptyQuarter();
+    const upper = String(text || '').toUpperCase().replace(/\s+/g, ' ');
+    const unread = upper.replace(MARK_RE, '').replace(/[\s,.;]/g, '');
+
+    for (const raw of upper.match(MARK_RE) || []) {
+        const mark = MARKS[raw.replace(/\s/g, '')];
+        if (!mark) continue;
+        if (mark.foul) {
+            quarter.fouls++;
+            continue;
+        }
+        quarter[`${mark.shot}_att`]++;
+        if (mark.made) {
+            quarter[`${mark.shot}_made`]++;
+            quarter.points += POINTS[mark.shot];
+        }
+    }
+
+    return { quarter, unread: unread ? [unread] : [] };
+}
+
+/**
+ * Column x-ranges for the quarter boxes, from their header anchors. Each box
+ * runs from midway to the previous header to midway to the next.
+ *
+ * @param {object} headers - { Q1: { left, right }, … } normalised x-ranges
+ * @param {number} areaLeft / areaRight - normalised bounds of the quarter area
+ */
+function quarterColumns(headers, areaLeft, areaRight) {
+    const keys = QUARTER_KEYS.filter((k) => headers[k]);
+    const centre = (k) => (headers[k].left + headers[k].right) / 2;
+    return keys.map((key, i) => ({
+        key,
+        left: i === 0 ? areaLeft : (centre(keys[i - 1]) + centre(key)) / 2,
+        right: i === keys.length - 1 ? areaRight : (centre(key) + centre(keys[i + 1])) / 2,
+    }));
+}
+
+/**
+ * Read a player row's quarter boxes.
+ *
+ * @param {Array} tokens - row tokens in the quarter area (pixel normLeft / normRight)
+ * @param {Array} columns - from quarterColumns (normalised)
+ * @param {number} pageWidth
+ * @returns {{ quarters: object|null, flags: string[] }} quarters is null when no box has a mark
+ */
+function readQuarterBoxes(tokens, columns, pageWidth) {
+    const quarters = {};
+    const flags = [];
+    let marked = false;
+
+    for (const { key } of columns) quarters[key] = emptyQuarter();
+
+    for (const tk of tokens) {
+        const centre = (tk.normLeft + tk.normRight) / 2 / pageWidth;
+        const column = columns.find((c) => centre >= c.left && centre < c.right);
+        if (!column) continue;
+
+        const { quarter, unread } = parseQuarterCell(tk.text);
+        for (const field of Object.keys(quarter)) {
+            quarters[column.key][field] += quarter[field];
+            if (quarter[field] > 0) marked = true;
+        }
+        for (const text of unread) flags.push(`quarter_mark_unread: ${column.key} "${text}"`);
+    }
+
+    return { quarters: marked ? quarters : null, flags };
+}
+
+/** Sum quarter objects across quarters → one totals object. */
+function sumQuarters(quarters) {
+    const total = emptyQuarter();
+    for (const q of Object.values(quarters || {})) {
+        for (const field of Object.keys(total)) total[field] += q[field] || 0;
+    }
+    return total;
+}
+
+/** Add several players' quarter objects, quarter by quarter. */
+function addQuarters(list) {
+    const sum = {};
+    for (const quarters of list) {
+        if (!quarters) continue;
+        for (const [key, q] of Object.entries(quarters)) {
+            sum[key] = sum[key] || emptyQuarter();
+            for (const field of Object.keys(q)) sum[key][field] += q[field];
+        }
+    }
+    return Object.keys(sum).length ? sum : null;
+}
+
+/**
+ * Cross-check the quarter boxes against the scoring summary.
+ * @returns {{ checks: object[], reviewReasons: string[] }}
+ */
+function checkQuarters(players) {
+    const checks = [];
+    const reviewReasons = [];
+
+    for (const p of players) {
+        if (!p.quarters) continue;
+        const totals = sumQuarters(p.quarters);
+        const pairs = [
+            ['fg2_made', p.shooting.fg2_made],
+            ['fg3_made', p.shooting.fg3_made],
+            ['ft_made', p.shooting.ft_made],
+            ['points', p.total_points],
+            ['fouls', p.personal_fouls_total],
+        ].filter(([, summary]) => summary != null);
+
+        const mismatched = pairs.filter(([field, summary]) => totals[field] !== summary);
+        const passed = mismatched.length === 0;
+        checks.push({
+            name: `quarters_vs_summary_player_${p.row_index}`,
+            passed,
+            details: passed
+                ? `Player #${p.player_number || p.row_index}: quarter boxes match the scoring summary.`
+                : `Player #${p.player_number || p.row_index}: quarter boxes differ on ${mismatched
+                    .map(([field, summary]) => `${field} (${totals[field]} vs ${summary})`).join(', ')}`,
+        });
+        if (!passed) reviewReasons.push(`Quarter boxes disagree with the summary for player row ${p.row_index}`);
+    }
+
+    return { checks, reviewReasons };
+}
+
+// ---------------------------------------------------------------------------
+// Claude extraction path
+// ---------------------------------------------------------------------------
+
+const CLAUDE_QUARTER_FIELDS = [
+    'fieldGoalsMade', 'fieldGoalsAttempted',
+    'threePointersMade', 'threePointersAttempted',
+    'freeThrowsMade', 'freeThrowsAttempted',
+    'points', 'fouls',
+];
+
+function toCount(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? Math.round(n) : 0;
+}
+
+/**
+ * Clean up per-quarter counts in a Claude scorebook extraction and derive
+ * attempts from them. The prompt asks for player.quarters as
+ * { Q1: { fieldGoalsMade, fieldGoalsAttempted, … }, … }.
+ *
+ * A player's fieldGoalsAttempted is replaced by the quarter total when the
+ * quarters record more attempts (Claude falls back to attempts = made when
+ * it can't see misses). Adds stats.quarterTotals – the team's counts per
+ * quarter – when any player has quarter data.
+ */
+function normalizeClaudeQuarters(stats) {
+    if (!stats || !Array.isArray(stats.players)) return stats;
+
+    const playerQuarters = [];
+    for (const player of stats.players) {
+        if (!player.quarters || typeof player.quarters !== 'object') {
+            delete player.quarters;
+            continue;
+        }
+
+        const quarters = {};
+        for (const key of QUARTER_KEYS) {
+            const q = player.quarters[key];
+            if (!q || typeof q !== 'object') continue;
+            quarters[key] = {};
+            for (const field of CLAUDE_QUARTER_FIELDS) quarters[key][field] = toCount(q[field]);
+        }
+        player.quarters = quarters;
+        playerQuarters.push(quarters);
+
+        const sum = (field) => Object.values(quarters).reduce((s, q) => s + q[field], 0);
+        if (sum('fieldGoalsAttempted') > (player.fieldGoalsAttempted || 0)) {
+            player.fieldGoalsAttempted = sum('fieldGoalsAttempted');
+        }
+        if (sum('freeThrowsAttempted') > (player.freeThrowsAttempted || 0)) {
+            player.freeThrowsAttempted = sum('freeThrowsAttempted');
+        }
+    }
+
+    if (playerQuarters.length > 0) {
+        const totals = {};
+        for (const quarters of playerQuarters) {
+            for (const [key, q] of Object.entries(quarters)) {
+                totals[key] = totals[key] || Object.fromEntries(CLAUDE_QUARTER_FIELDS.map((f) => [f, 0]));
+                for (const field of CLAUDE_QUARTER_FIELDS) totals[key][field] += q[field];
+            }
+        }
+        stats.quarterTotals = totals;
+    }
+
+    return stats;
+}
+
+module.exports = {
+    QUARTER_KEYS,
+    quarterKey,
+    parseQuarterCell,
+    quarterColumns,
+    readQuarterBoxes,
+    sumQuarters,
+    addQuarters,
+    checkQuarters,
+    normalizeClaudeQuarters,
+};
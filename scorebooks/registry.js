@@ -0,0 +1,147 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Scorebook template registry + detector
+//
+// Each template parser module exports a descriptor:
+//
+//   {
+//     id:      'mark5',                        // used in ?template=
+//     name:    'Mark 5 Basketball Scorebook',
+//     anchors: [{ label, pattern, weight, bonus? }],
+//     detect?: (page, anchorResult) => number, // optional custom score, 0–1
+//     parse:   ({ documentAiJson }) => result, // Mark 5 minimal schema
+//   }
+//
+// Anchors are the printed header labels the parser itself keys off. The
+// detection score is the weighted share of anchors found among the page's
+// OCR lines; `bonus` anchors (e.g. a brand name that isn't always captured)
+// add to the score when present but don't count against it when missing.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_MIN_SCORE = 0.35;
+
+function normaliseLine(text) {
+    return String(text || '').toUpperCase().trim();
+}
+
+/**
+ * Weighted share of anchors matched by at least one OCR line.
+ *
+ * @param {Array<{text: string}>} lines
+ * @param {Array<{label: string, pattern: RegExp, weight?: number, bonus?: boolean}>} anchors
+ * @returns {{ score: number, matched: string[] }}
+ */
+function anchorScore(lines, anchors) {
+    const texts = lines.map((l) => normaliseLine(l.text));
+    let total = 0;
+    let found = 0;
+    const matched = [];
+
+    for (const anchor of anchors) {
+        const weight = anchor.weight != null ? anchor.weight : 1;
+        if (!anchor.bonus) total += weight;
+        if (texts.some((t) => anchor.pattern.test(t))) {
+            found += weight;
+            matched.push(anchor.label);
+        }
+    }
+
+    return { score: total > 0 ? round2(Math.min(1, found / total)) : 0, matched };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.minScore=0.35] - best score below this means "unrecognised"
+ */
+function createTemplateRegistry({ minScore = DEFAULT_MIN_SCORE } = {}) {
+    const templates = new Map();
+
+    function register(template) {
+        if (!template || !template.id || typeof template.parse !== 'function') {
+            throw new Error('Scorebook template needs an id and a parse function');
+        }
+        if (!Array.isArray(template.anchors) && typeof template.detect !== 'function') {
+            throw new Error(`Scorebook template "${template.id}" needs anchors or a detect function`);
+        }
+        if (templates.has(template.id)) {
+            throw new Error(`Scorebook template "${template.id}" is already registered`);
+        }
+        templates.set(template.id, template);
+        return template;
+    }
+
+    function get(id) {
+        return templates.get(id) || null;
+    }
+
+    function list() {
+        return [...templates.values()];
+    }
+
+    function scorePage(template, page) {
+        const lines = (page && page.lines) || [];
+        const anchors = template.anchors ? anchorScore(lines, template.anchors) : { score: 0, matched: [] };
+        const score = typeof template.detect === 'function'
+            ? round2(Math.max(0, Math.min(1, template.detect(page, anchors))))
+            : anchors.score;
+        return { id: template.id, name: template.name, score, matched: anchors.matched };
+    }
+
+    /**
+     * Pick the best-matching template for a Document AI page.
+     *
+     * confidence is the winning score discounted by how close the runner-up
+     * came – two templates matching equally well is not a confident answer.
+     *
+     * @param {object} documentAiJson - normalised Document AI response
+     * @param {object} [opts]
+     * @param {number} [opts.pageIndex=0]
+     * @returns {{ template: string|null, confidence: number, candidates: object[] }}
+     */
+    function detect(documentAiJson, { pageIndex = 0 } = {}) {
+        const page = documentAiJson && documentAiJson.pages ? documentAiJson.pages[pageIndex] : null;
+        const candidates = list()
+            .map((template) => scorePage(template, page))
+            .sort((a, b) => b.score - a.score);
+
+        const best = candidates[0];
+        if (!best || best.score < minScore) {
+            return { template: null, confidence: 0, candidates };
+        }
+
+        const runnerUp = candidates[1] ? candidates[1].score : 0;
+        const margin = (best.score - runnerUp) / best.score;
+        return {
+            template: best.id,
+            confidence: round2(best.score * (0.5 + 0.5 * margin)),
+            candidates,
+        };
+    }
+
+    /**
+     * Parse with a named template, or detect one first with 'auto'.
+     *
+     * @returns {{ template: string|null, detection: object, result: object|null }}
+     *          result is null when auto-detection found no template
+     */
+    function parse(documentAiJson, { template = 'auto' } = {}) {
+        const detection = detect(documentAiJson);
+        const id = template === 'auto' ? detection.template : template;
+        if (!id) return { template: null, detection, result: null };
+
+        const chosen = get(id);
+        if (!chosen) {
+            throw Object.assign(new Error(`Unknown scorebook template "${id}"`), { statusCode: 400 });
+        }
+        return { template: id, detection, result: chosen.parse({ documentAiJson }) };
+    }
+
+    return { register, get, list, detect, parse };
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+module.exports = { createTemplateRegistry, anchorScore, DEFAULT_MIN_SCORE };
@@ -0,0 +1,201 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Coach review of stored scorebook parses
+//
+// A stored parse (see the scorebooks repository methods) can be corrected
+// cell by cell. Each edit addresses one cell of the box score:
+//
+//   { row_index: 2, field: 'fg2_made', value: 5 }    a player row
+//   { team: true, field: 'total_points', value: 52 } the TOTALS row
+//
+// After every edit the checks the parser ran (points equation, team total,
+// quarter boxes, running score, team fouls, OCR / Claude disagreements …)
+// are re-run on the corrected box score. A coach then confirms it; only
+// confirmed scorebooks feed downstream stats.
+// ---------------------------------------------------------------------------
+
+const { validate, emptyShooting } = require('./layout');
+const { checkQuarters } = require('./quarters');
+const { checkRunningScore } = require('./running_score');
+const { checkTeamEvents } = require('./team_events');
+
+const STATUSES = ['needs_review', 'ready', 'confirmed'];
+
+const SHOOTING_FIELDS = Object.keys(emptyShooting());
+const COUNT_FIELDS = ['total_points', 'personal_fouls_total', 'turnovers', ...SHOOTING_FIELDS];
+const TEXT_FIELDS = ['player_name', 'player_number'];
+const TEAM_FIELDS = ['total_points', 'turnovers', ...SHOOTING_FIELDS];
+
+/** Highest count accepted for any cell – well past any real game. */
+const MAX_COUNT = 250;
+const MAX_TEXT = 60;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function cleanValue(field, value, where) {
+    if (value === null) return null;
+    if (TEXT_FIELDS.includes(field)) {
+        if (typeof value !== 'string') throw badRequest(`${where}: ${field} must be a string or null.`);
+        const text = value.trim();
+        if (text.length > MAX_TEXT) throw badRequest(`${where}: ${field} is longer than ${MAX_TEXT} characters.`);
+        return text || null;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > MAX_COUNT) {
+        throw badRequest(`${where}: ${field} must be a whole number from 0 to ${MAX_COUNT}, or null.`);
+    }
+    return value;
+}
+
+/** Shooting fields live under .shooting, the rest on the row itself. */
+function holderOf(row, field) {
+    return SHOOTING_FIELDS.includes(field) ? row.shooting : row;
+}
+
+function getCell(row, field) {
+    const value = holderOf(row, field)[field];
+    return value == null ? null : value;
+}
+
+function setCell(row, field, value) {
+    holderOf(row, field)[field] = value;
+}
+
+/**
+ * Apply cell edits to a copy of a parse result.
+ *
+ * @param {object} result - box score in the scorebook result schema
+ * @param {Array} edits - [{ row_index | team, field, value }]
+ * @returns {{ result: object, changes: object[] }} changes = [{ target, row_index, field, from, to }], unchanged cells omitted
+ */
+function applyEdits(result, edits) {
+    if (!Array.isArray(edits) || edits.length === 0) throw badRequest('edits must be a non-empty array.');
+
+    const next = {
+        ...result,
+        players: result.players.map((p) => ({ ...p, shooting: { ...p.shooting }, flags: [...p.flags] })),
+        team_totals: { ...result.team_totals, shooting: { ...result.team_totals.shooting } },
+    };
+    const changes = [];
+
+    edits.forEach((edit, i) => {
+        const where = `edits[${i}]`;
+        if (!edit || typeof edit !== 'object') throw badRequest(`${where} must be an object.`);
+        const { field } = edit;
+
+        if (edit.team) {
+            if (!TEAM_FIELDS.includes(field)) {
+                throw badRequest(`${where}: team field must be one of ${TEAM_FIELDS.join(', ')}.`);
+            }
+            const to = cleanValue(field, edit.value, where);
+            const from = getCell(next.team_totals, field);
+            if (from === to) return;
+            setCell(next.team_totals, field, to);
+            changes.push({ target: 'team', row_index: null, field, from, to });
+            return;
+        }
+
+        if (![...TEXT_FIELDS, ...COUNT_FIELDS].includes(field)) {
+            throw badRequest(`${where}: field must be one of ${[...TEXT_FIELDS, ...COUNT_FIELDS].join(', ')}.`);
+        }
+        const player = next.players.find((p) => p.row_index === edit.row_index);
+        if (!player) throw badRequest(`${where}: no player row ${edit.row_index}.`);
+
+        const to = cleanValue(field, edit.value, where);
+        const from = getCell(player, field);
+        if (from === to) return;
+        setCell(player, field, to);
+        if (!player.flags.includes(`edited: ${field}`)) player.flags.push(`edited: ${field}`);
+        changes.push({ target: 'player', row_index: player.row_index, field, from, to });
+    });
+
+    return { result: next, changes };
+}
+
+/**
+ * OCR / Claude disagreements (scorebooks/ensemble.js) the arithmetic couldn't
+ * settle fail until the coach edits the cell; a team-total one until it
+ * matches the player sum. Players only one source read fail until any cell
+ * of the row is edited.
+ */
+function checkEnsemble(result) {
+    const checks = [];
+    const reviewReasons = [];
+    const { ensemble } = result;
+    if (!ensemble) return { checks, reviewReasons };
+
+    const rowOf = (rowIndex) => result.players.find((p) => p.row_index === rowIndex);
+    const pointsSum = result.players.reduce((s, p) => s + (p.total_points || 0), 0);
+
+    for (const d of ensemble.disagreements) {
+        const settled = `kept ${d.value} from ${d.source === 'ocr' ? 'OCR' : 'Claude'} (${d.method === 'arithmetic' ? 'only reading that adds up' : 'more confident'})`;
+        if (d.target === 'team') {
+            const passed = d.method === 'arithmetic' || result.team_totals.total_points === pointsSum;
+            checks.push({
+                name: `ensemble_team_${d.field}`,
+                passed,
+                details: `Team ${d.field}: OCR read ${d.ocr}, Claude read ${d.claude}; ${settled}.`,
+            });
+            if (!passed) reviewReasons.push(`OCR and Claude disagree on the team ${d.field}`);
+            continue;
+        }
+        const player = rowOf(d.row_index);
+        if (!player) continue;
+        const passed = d.method === 'arithmetic' || player.flags.includes(`edited: ${d.field}`);
+        checks.push({
+            name: `ensemble_${d.field}_player_${d.row_index}`,
+            passed,
+            details: `Player #${player.player_number || d.row_index} ${d.field}: OCR read ${d.ocr}, Claude read ${d.claude}; ${settled}.`,
+        });
+        if (!passed) reviewReasons.push(`OCR and Claude disagree on ${d.field} for player row ${d.row_index}`);
+    }
+
+    for (const [rowIndices, source] of [[ensemble.ocr_only, 'OCR'], [ensemble.claude_only, 'Claude']]) {
+        for (const rowIndex of rowIndices) {
+            const player = rowOf(rowIndex);
+            if (!player) continue;
+            const passed = player.flags.some((f) => f.startsWith('edited: '));
+            checks.push({
+                name: `ensemble_unmatched_player_${rowIndex}`,
+                passed,
+                details: `Player #${player.player_number || rowIndex} was only read by ${source}.`,
+            });
+            if (!passed) reviewReasons.push(`Player row ${rowIndex} was only read by ${source}`);
+        }
+    }
+
+    return { checks, reviewReasons };
+}
+
+/**
+ * Re-run the parser checks on a (corrected) box score. Made ≤ attempted is
+ * always checked, since a coach may have entered attempts by hand.
+ */
+function revalidate(result) {
+    const validation = validate(result.players, result.team_totals, { attempts: true });
+    for (const { checks, reviewReasons } of [
+        checkQuarters(result.players),
+        checkRunningScore(result.running_score || null, result.players, result.team_totals),
+        checkTeamEvents(result.team_events || null, result.players, result.team_totals),
+        checkEnsemble(result),
+    ]) {
+        validation.checks.push(...checks);
+        validation.review_reasons.push(...reviewReasons);
+    }
+    validation.needs_review = validation.review_reasons.length > 0;
+    return { ...result, validation };
+}
+
+/** Review status of an unconfirmed box score. */
+function reviewStatus(result) {
+    return result.validation && result.validation.needs_review ? 'needs_review' : 'ready';
+}
+
+module.exports = {
+    STATUSES,
+    applyEdits,
+    revalidate,
+    reviewStatus,
+};
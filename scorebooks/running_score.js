@@ -0,0 +1,390 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Running score
+//
+// The RUNNING SCORE grid is columns of printed numbers 1, 2, 3 … – one per
+// cumulative team point. When the team scores, the scorer writes the
+// shooter's jersey number in the box beside the new total (crossing off the
+// numbers in between), and writes the period (Q1, Q2, … OT) beside the last
+// total of each period:
+//
+//    …  11 |        |
+//       12 | 23     | Q1      ← #23 scored to reach 12, end of the 1st
+//       13 |        |
+//       14 | 15     |         ← #15 scored 2 (12 → 14)
+//
+// Points per basket are the gap between consecutive marked totals, so the
+// grid gives a per-team scoring timeline. Each team's page only orders its
+// own baskets; gameFlow interleaves two teams' timelines within each period
+// to estimate runs, lead changes and the largest lead.
+// ---------------------------------------------------------------------------
+
+const { clusterIntoRows, round2 } = require('./layout');
+
+const HEADER_RE = /RUNNING\s*SCORE/;
+
+/** A printed-number column needs at least this many consecutive totals. */
+const MIN_COLUMN_RUN = 5;
+
+/** x-distance (share of page width) for tokens written beside a total. */
+const CELL_REACH = 0.06;
+
+const PERIOD_RE = /^(?:Q(?:TR)?\s*([1-4])|([1-4])(?:ST|ND|RD|TH)\s*Q(?:TR)?\.?|OT\s*([1-9])?|END\s*(?:Q|OT)?\s*([1-9]))$/;
+
+/** Minimum unanswered points reported as a scoring run. */
+const DEFAULT_MIN_RUN = 8;
+
+// ===========================================================================
+//  GRID PARSING
+// ===========================================================================
+
+/** "Q2" / "2ND Q" → 'Q2', "OT" → 'OT1', "OT2" → 'OT2'; null if not a period mark. */
+function periodLabel(text) {
+    const upper = String(text || '').toUpperCase().replace(/\s+/g, ' ').trim();
+    const m = upper.match(PERIOD_RE);
+    if (!m) return null;
+    if (m[1] || m[2]) return `Q${m[1] || m[2]}`;
+    if (/^OT/.test(upper)) return `OT${m[3] || 1}`;
+    return /OT/.test(upper) ? `OT${m[4]}` : `Q${m[4]}`;
+}
+
+/** The period after `label`: Q1 → Q2, Q4 → OT1, OT1 → OT2. */
+function nextPeriod(label) {
+    const n = parseInt(label.slice(label.startsWith('OT') ? 2 : 1), 10);
+    if (label.startsWith('Q')) return n < 4 ? `Q${n + 1}` : 'OT1';
+    return `OT${n + 1}`;
+}
+
+/**
+ * Vertically aligned runs of consecutive integers – the printed totals.
+ * @returns {Array<object>} printed-number tokens with a `value`
+ */
+function findPrintedTotals(tokens, pageWidth) {
+    const numeric = tokens
+        .filter((tk) => /^\d{1,3}$/.test(tk.text))
+        .map((tk) => ({ ...tk, value: parseInt(tk.text, 10), centreX: (tk.normLeft + tk.normRight) / 2 }));
+
+    const columns = [];
+    for (const tk of numeric.sort((a, b) => a.centreX - b.centreX)) {
+        const column = columns.find((c) => Math.abs(c.centreX - tk.centreX) < pageWidth * 0.01);
+        if (column) column.tokens.push(tk);
+        else columns.push({ centreX: tk.centreX, tokens: [tk] });
+    }
+
+    const printed = [];
+    for (const column of columns) {
+        const sorted = column.tokens.sort((a, b) => a.yCenter - b.yCenter);
+        let run = [sorted[0]];
+        for (let i = 1; i <= sorted.length; i++) {
+            const tk = sorted[i];
+            if (tk && tk.value === run[run.length - 1].value + 1) {
+                run.push(tk);
+                continue;
+            }
+            if (run.length >= MIN_COLUMN_RUN) printed.push(...run);
+            run = tk ? [tk] : [];
+        }
+    }
+    return printed;
+}
+
+/**
+ * Parse the RUNNING SCORE grid of one team's page.
+ *
+ * @param {object} page - normalised Document AI page
+ * @returns {object|null} timeline (see summariseTimeline), or null when the
+ *          page has no running-score grid
+ */
+function parseRunningScore(page) {
+    if (!page || !page.lines || page.lines.length === 0) return null;
+    const pageWidth = page.width || 1;
+    const pageHeight = page.height || 1;
+
+    const header = page.lines.find((l) => l.bbox && HEADER_RE.test(l.text.toUpperCase()));
+    if (!header) return null;
+    const headerY = ((header.bbox.y1 + header.bbox.y3) / 2) / pageHeight;
+
+    const rows = clusterIntoRows(page.lines, pageHeight).filter((r) => r.yCenter > headerY);
+    const tokens = rows.flatMap((r) => r.tokens);
+    const printed = findPrintedTotals(tokens, pageWidth);
+    if (printed.length === 0) return null;
+
+    const printedSet = new Set(printed);
+    const rowHeight = 0.5 * medianGap(printed.map((tk) => tk.yCenter));
+    const reach = pageWidth * CELL_REACH;
+
+    const marked = [];
+    const markers = [];
+    const issues = [];
+
+    for (const total of printed) {
+        const beside = tokens.filter((tk) => !printedSet.has(tk) &&
+            Math.abs(tk.yCenter - total.yCenter) < rowHeight &&
+            tk.normLeft >= total.normRight - 1 &&
+            tk.normLeft <= total.normRight + reach);
+
+        let jersey = null;
+        const flags = [];
+        for (const tk of beside) {
+            const period = periodLabel(tk.text);
+            if (period) {
+                markers.push({ score: total.value, period });
+            } else if (/^#?\d{1,2}$/.test(tk.text)) {
+                jersey = jersey || tk.text.replace('#', '');
+            } else if (!jersey) {
+                jersey = '';
+                flags.push(`unreadable_jersey: "${tk.text}"`);
+            }
+        }
+        if (jersey !== null) {
+            marked.push({ score: total.value, player_number: jersey || null, flags, confidence: avg(beside) });
+        }
+    }
+
+    marked.sort((a, b) => a.score - b.score);
+    markers.sort((a, b) => a.score - b.score);
+
+    let previous = 0;
+    const events = marked.map((m) => {
+        const points = m.score - previous;
+        previous = m.score;
+        const flags = [...m.flags];
+        if (points > 3) {
+            flags.push(`gap_gt_3: ${points} points between marked totals`);
+        }
+        const end = markers.find((mk) => mk.score >= m.score);
+        const period = end
+            ? end.period
+            : (markers.length ? nextPeriod(markers[markers.length - 1].period) : null);
+        return { score: m.score, points, player_number: m.player_number, period, confidence: round2(m.confidence), flags };
+    });
+
+    if (events.some((e) => e.points > 3)) {
+        issues.push('Running score has gaps of more than 3 points – some baskets were not read.');
+    }
+    if (events.length > 0 && markers.length === 0) {
+        issues.push('No period marks in the running score; periods unknown.');
+    }
+
+    return summariseTimeline(events, issues);
+}
+
+/**
+ * Timeline totals from a list of scoring events.
+ *
+ * @returns {{ events: object[], final_score: number|null, period_scores: object,
+ *             player_points: object, issues: string[] }}
+ */
+function summariseTimeline(events, issues = []) {
+    const periodScores = {};
+    const playerPoints = {};
+    for (const e of events) {
+        if (e.period) periodScores[e.period] = (periodScores[e.period] || 0) + e.points;
+        if (e.player_number) playerPoints[e.player_number] = (playerPoints[e.player_number] || 0) + e.points;
+    }
+    return {
+        events,
+        final_score: events.length ? events[events.length - 1].score : null,
+        period_scores: periodScores,
+        player_points: playerPoints,
+        issues,
+    };
+}
+
+/** Append a continuation page's timeline (e.g. overtime) to a team's. */
+function mergeTimelines(base, extra) {
+    if (!base) return extra;
+    if (!extra) return base;
+    const events = [...base.events];
+    for (const e of extra.events) {
+        if (!events.some((b) => b.score === e.score)) events.push(e);
+    }
+    events.sort((a, b) => a.score - b.score);
+    return summariseTimeline(events, [...base.issues, ...extra.issues]);
+}
+
+// ===========================================================================
+//  VALIDATION
+// ===========================================================================
+
+/**
+ * Cross-check the running score against the scoring summary.
+ * @returns {{ checks: object[], reviewReasons: string[] }}
+ */
+function checkRunningScore(timeline, players, teamTotals) {
+    const checks = [];
+    const reviewReasons = [];
+    if (!timeline || timeline.events.length === 0) return { checks, reviewReasons };
+
+    if (teamTotals.total_points != null) {
+        const passed = timeline.final_score === teamTotals.total_points;
+        checks.push({
+            name: 'running_score_vs_team_total',
+            passed,
+            details: passed
+                ? `Running score ends at ${timeline.final_score}, matching the team total.`
+                : `Running score ends at ${timeline.final_score} but team total is ${teamTotals.total_points}.`,
+        });
+        if (!passed) reviewReasons.push('Running score does not match the team total.');
+    }
+
+    for (const p of players) {
+        if (!p.player_number || p.total_points == null) continue;
+        const fromTimeline = timeline.player_points[p.player_number] || 0;
+        const passed = fromTimeline === p.total_points;
+        checks.push({
+            name: `running_score_player_${p.row_index}`,
+            passed,
+            details: passed
+                ? `Player #${p.player_number}: ${fromTimeline} points in the running score.`
+                : `Player #${p.player_number}: ${fromTimeline} points in the running score but ${p.total_points} in the summary.`,
+        });
+        if (!passed) reviewReasons.push(`Running score points mismatch for player row ${p.row_index}`);
+    }
+
+    return { checks, reviewReasons };
+}
+
+// ===========================================================================
+//  GAME FLOW
+// ===========================================================================
+
+/**
+ * Interleave both teams' baskets. Order between teams within a period isn't
+ * recorded, so each team's baskets are spread evenly across the period.
+ */
+function interleave(home, visitor) {
+    const usePeriods = home.events.every((e) => e.period) && visitor.events.every((e) => e.period);
+    const periodOrder = (label) => (label.startsWith('Q') ? 0 : 4) + parseInt(label.replace(/\D/g, ''), 10);
+
+    const place = (team, events) => {
+        const groups = new Map();
+        for (const e of events) {
+            const key = usePeriods ? e.period : 'GAME';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(e);
+        }
+        const placed = [];
+        for (const [key, group] of groups) {
+            group.forEach((e, i) => placed.push({
+                team,
+                event: e,
+                order: (key === 'GAME' ? 0 : periodOrder(key)) + (i + 0.5) / group.length,
+            }));
+        }
+        return placed;
+    };
+
+    return {
+        periods: usePeriods,
+        sequence: [...place('home', home.events), ...place('visitor', visitor.events)]
+            .sort((a, b) => a.order - b.order || (a.team === 'home' ? -1 : 1)),
+    };
+}
+
+/**
+ * Scoring runs, lead changes and largest leads from two teams' timelines.
+ *
+ * @param {object} home    - home team timeline (parseRunningScore)
+ * @param {object} visitor - visitor team timeline
+ * @param {object} [opts]
+ * @param {number} [opts.minRun=8] - unanswered points to count as a run
+ */
+function gameFlow(home, visitor, { minRun = DEFAULT_MIN_RUN } = {}) {
+    const { periods, sequence } = interleave(home, visitor);
+    const score = { home: 0, visitor: 0 };
+    const timeline = [];
+    const largestLead = { home: null, visitor: null };
+    const runs = [];
+    let leader = null;
+    let leadChanges = 0;
+    let ties = 0;
+    let run = null;
+
+    const closeRun = () => {
+        if (run && run.points >= minRun) runs.push(run);
+        run = null;
+    };
+
+    for (const { team, event } of sequence) {
+        const before = { ...score };
+        score[team] += event.points;
+        timeline.push({
+            team,
+            player_number: event.player_number,
+            points: event.points,
+            period: event.period,
+            home_score: score.home,
+            visitor_score: score.visitor,
+        });
+
+        const margin = score.home - score.visitor;
+        const now = margin > 0 ? 'home' : margin < 0 ? 'visitor' : null;
+        if (now && leader && now !== leader) leadChanges++;
+        if (!now) ties++;
+        if (now) leader = now;
+
+        if (now) {
+            const lead = Math.abs(margin);
+            if (!largestLead[now] || lead > largestLead[now].margin) {
+                largestLead[now] = { margin: lead, home_score: score.home, visitor_score: score.visitor, period: event.period };
+            }
+        }
+
+        if (run && run.team === team) {
+            run.points += event.points;
+            run.end = { home_score: score.home, visitor_score: score.visitor, period: event.period };
+        } else {
+            closeRun();
+            run = {
+                team,
+                points: event.points,
+                start: { home_score: before.home, visitor_score: before.visitor, period: event.period },
+                end: { home_score: score.home, visitor_score: score.visitor, period: event.period },
+            };
+        }
+    }
+    closeRun();
+
+    return {
+        ordering: periods ? 'estimated_within_period' : 'estimated_whole_game',
+        final_score: { home: score.home, visitor: score.visitor },
+        period_scores: { home: home.period_scores, visitor: visitor.period_scores },
+        lead_changes: leadChanges,
+        ties,
+        largest_lead: largestLead,
+        runs,
+        timeline,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function medianGap(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const gaps = [];
+    for (let i = 1; i < sorted.length; i++) {
+        const gap = sorted[i] - sorted[i - 1];
+        if (gap > 0.001) gaps.push(gap);
+    }
+    if (gaps.length === 0) return 0.03;
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+}
+
+function avg(tokens) {
+    const c = tokens.map((tk) => tk.confidence).filter((x) => x != null);
+    return c.length ? c.reduce((s, x) => s + x, 0) / c.length : 0.5;
+}
+
+module.exports = {
+    parseRunningScore,
+    summariseTimeline,
+    mergeTimelines,
+    checkRunningScore,
+    gameFlow,
+    periodLabel,
+};
@@ -0,0 +1,377 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Column-table scorebook parser
+//
+// Most printed scorebooks share the Mark 5 shape – a roster table with a
+// header row, one row per player, a TOTALS row – and differ only in which
+// summary columns they print and how fouls are recorded. createTableParser
+// takes a layout spec describing those differences and returns a parser
+// producing the shared result schema.
+//
+// Layout spec:
+//
+//   {
+//     name:          'Ecostat Basketball Scorebook',
+//     playerHeader:  /^PLAYERS?$/,            // roster name column
+//     numberHeader:  /^(?:NO\.?|#)$/,         // jersey number column
+//     fouls:         { header: /^PF$/, mode: 'number' | 'tally' },
+//     columns:       { fgm: /^FGM$/, ... },   // single-number summary columns
+//     pairColumns:   { ft: /^FT$/ },          // "made-att" columns, e.g. "3-4"
+//     toStats:       (values, flags) => ({ shooting, total_points }),
+//     cells:         { fg2_made: ['fgm', 'fg3m'], ... }, // columns each result field is read from
+//     attempts:      true,                    // validate made <= attempted
+//     skipRow:       /SCORE BY.../,           // extra non-data rows below the header
+//     vocabulary:    /PLAYERS?|FGM|.../g,     // printed words, for blank detection
+//   }
+//
+// Foul modes:
+//   number – a written count in its own column
+//   tally  – one token per foul in the fouls boxes (quarter numbers or marks)
+// ---------------------------------------------------------------------------
+
+const {
+    clusterIntoRows,
+    isMarkText,
+    findJerseyNumber,
+    validate,
+    tokenBox,
+    pageLayout,
+    emptyShooting,
+    blankResult,
+    parseNumerics,
+    colCentre,
+    closestNumeric,
+    computeOverallConfidence,
+    round2,
+} = require('./layout');
+
+/** Column tolerance as a share of page width. */
+const COLUMN_TOLERANCE = 0.04;
+
+const COMMON_SKIP_ROW_RE = /\b(?:COACH|SCORER|TIMER|REFEREES?|OFFICIALS?|DATE|LOCATION|SITE|RUNNING\s*SCORE|TIME\s*OUTS?|TEAM\s*FOULS?|TECHNICALS?)\b/i;
+
+const PAIR_RE = /^(\d{1,2})\s*[-–/]\s*(\d{1,2})$/;
+
+/**
+ * @param {object} spec - layout spec (see above)
+ * @returns {Function} ({ documentAiJson }) => result
+ */
+function createTableParser(spec) {
+    const columns = Object.entries(spec.columns || {});
+    const pairColumns = Object.entries(spec.pairColumns || {});
+
+    function findAnchors(lines, pageWidth, pageHeight) {
+        const anchors = {
+            hasPlayerTable: false,
+            playerHeaderY: null,
+            headerBottomY: null,
+            nameXRange: null,
+            numberXRange: null,
+            foulsXRange: null,
+            columns: {},
+            pairColumns: {},
+        };
+
+        const mark = (line) => {
+            const bbox = line.bbox;
+            const range = {
+                left: Math.min(bbox.x1, bbox.x4) / pageWidth,
+                right: Math.max(bbox.x2, bbox.x3) / pageWidth,
+            };
+            const centreY = ((bbox.y1 + bbox.y3) / 2) / pageHeight;
+            return { range, centreY };
+        };
+
+        for (const line of lines) {
+            if (!line.bbox) continue;
+            const t = line.text.toUpperCase().trim();
+
+            if (spec.playerHeader.test(t) && !anchors.hasPlayerTable) {
+                const { range, centreY } = mark(line);
+                anchors.hasPlayerTable = true;
+                anchors.playerHeaderY = centreY;
+                anchors.nameXRange = range;
+                anchors.headerBottomY = Math.max(anchors.headerBottomY || 0, centreY);
+                continue;
+            }
+            if (spec.numberHeader && spec.numberHeader.test(t) && !anchors.numberXRange) {
+                anchors.numberXRange = mark(line).range;
+                continue;
+            }
+            if (spec.fouls && spec.fouls.header.test(t) && !anchors.foulsXRange) {
+                const { range, centreY } = mark(line);
+                anchors.foulsXRange = range;
+                anchors.headerBottomY = Math.max(anchors.headerBottomY || 0, centreY);
+                continue;
+            }
+            for (const [key, pattern] of columns) {
+                if (!anchors.columns[key] && pattern.test(t)) {
+                    const { range, centreY } = mark(line);
+                    anchors.columns[key] = range;
+                    anchors.headerBottomY = Math.max(anchors.headerBottomY || 0, centreY);
+                }
+            }
+            for (const [key, pattern] of pairColumns) {
+                if (!anchors.pairColumns[key] && pattern.test(t)) {
+                    const { range, centreY } = mark(line);
+                    anchors.pairColumns[key] = range;
+                    anchors.headerBottomY = Math.max(anchors.headerBottomY || 0, centreY);
+                }
+            }
+        }
+
+        // Stats start at the leftmost fouls / summary column
+        const starts = [
+            anchors.foulsXRange && anchors.foulsXRange.left,
+            ...Object.values(anchors.columns).map((r) => r.left),
+            ...Object.values(anchors.pairColumns).map((r) => r.left),
+        ].filter((x) => x != null);
+        anchors.statsXStart = starts.length ? Math.min(...starts) : 0.6;
+
+        return anchors;
+    }
+
+    function countFouls(foulTokens, flags, pageWidth, anchors) {
+        const mode = spec.fouls ? spec.fouls.mode : null;
+        if (!mode || !anchors.foulsXRange) return null;
+
+        if (mode === 'number') {
+            const numeric = toNumericTokens(foulTokens);
+            const m = closestNumeric(numeric, colCentre(anchors.foulsXRange, pageWidth), pageWidth * COLUMN_TOLERANCE);
+            return m ? m.value : null;
+        }
+
+        // tally: every quarter number or mark in the boxes is one foul
+        let count = 0;
+        for (const tk of foulTokens) {
+            for (const part of tk.text.trim().split(/\s+/)) {
+                if (/^[1-4]$/.test(part) || /^OT$/i.test(part) || isMarkText(part)) count++;
+            }
+        }
+        // Empty boxes on a filled-in row mean no fouls
+        if (count > 0) flags.push(`fouls_from_tally: ${count} entr${count === 1 ? 'y' : 'ies'}`);
+        return count;
+    }
+
+    /** Split a row's tokens into name / fouls / stats zones and read the columns. */
+    function readRow(row, anchors, pageWidth) {
+        const statsStart = anchors.statsXStart * pageWidth;
+        const foulsRange = anchors.foulsXRange
+            ? widen(anchors.foulsXRange, pageWidth)
+            : null;
+
+        const nameTokens = [];
+        const foulTokens = [];
+        const statTokens = [];
+        for (const tk of row.tokens) {
+            const centre = (tk.normLeft + tk.normRight) / 2;
+            if (foulsRange && centre >= foulsRange.left && centre <= foulsRange.right) foulTokens.push(tk);
+            else if (centre < statsStart) nameTokens.push(tk);
+            else statTokens.push(tk);
+        }
+
+        const numeric = toNumericTokens(statTokens);
+        const values = {};
+        for (const [key] of columns) {
+            const range = anchors.columns[key];
+            if (!range) { values[key] = null; continue; }
+            const m = closestNumeric(numeric, colCentre(range, pageWidth), pageWidth * COLUMN_TOLERANCE);
+            values[key] = m ? m.value : null;
+        }
+        for (const [key] of pairColumns) {
+            const range = anchors.pairColumns[key];
+            values[key] = range ? closestPair(statTokens, colCentre(range, pageWidth), pageWidth * COLUMN_TOLERANCE) : null;
+        }
+
+        return { nameTokens, foulTokens, statTokens, values };
+    }
+
+    function extractPlayer(row, anchors, pageWidth, rowIndex) {
+        const { nameTokens, foulTokens, statTokens, values } = readRow(row, anchors, pageWidth);
+        const flags = [];
+
+        const playerNumber = findJerseyNumber(nameTokens, anchors, pageWidth);
+        const nameFragments = nameTokens
+            .map((tk) => tk.text.trim())
+            .filter((t) => !(playerNumber && t.replace(/[^0-9]/g, '') === playerNumber && t.length <= 3))
+            .filter((t) => /[A-Za-z]/.test(t) && !/^\d+Q$/i.test(t));
+        const playerName = nameFragments.length ? nameFragments.join(' ') : null;
+
+        if (!playerName && statTokens.length === 0 && foulTokens.length === 0) return null;
+
+        const personalFouls = countFouls(foulTokens, flags, pageWidth, anchors);
+        const { shooting, total_points: totalPoints } = spec.toStats(values, flags);
+
+        const rowConfidences = row.tokens.map((tk) => tk.confidence).filter((c) => c != null);
+        let conf = rowConfidences.length
+            ? rowConfidences.reduce((s, c) => s + c, 0) / rowConfidences.length
+            : 0.5;
+        if (totalPoints === null) conf *= 0.7;
+        if (!playerName) conf *= 0.8;
+        if (flags.some((f) => /derived|inferred/.test(f))) conf *= 0.95;
+
+        return {
+            row_index: rowIndex,
+            player_name: playerName,
+            player_number: playerNumber,
+            personal_fouls_total: personalFouls,
+            shooting,
+            total_points: totalPoints,
+            confidence: round2(conf),
+            flags,
+        };
+    }
+
+    function extractTotals(row, anchors, pageWidth) {
+        const { values } = readRow(row, anchors, pageWidth);
+        const totals = spec.toStats(values, []);
+        if (totals.total_points === null) {
+            // Fallback: rightmost number is the team's points
+            const numeric = toNumericTokens(row.tokens).sort((a, b) => b.centreX - a.centreX);
+            if (numeric.length) totals.total_points = numeric[0].value;
+        }
+        return totals;
+    }
+
+    /** Result field → pixel column; a derived field spans all its source columns. */
+    function cellLayout(page, anchors) {
+        const range = (key) => anchors.columns[key] || anchors.pairColumns[key] || null;
+        const columnsFor = {
+            player_name: anchors.nameXRange,
+            player_number: anchors.numberXRange,
+            personal_fouls_total: anchors.foulsXRange,
+        };
+        for (const [field, keys] of Object.entries(spec.cells || {})) {
+            const ranges = keys.map(range);
+            columnsFor[field] = ranges.every(Boolean)
+                ? { left: Math.min(...ranges.map((r) => r.left)), right: Math.max(...ranges.map((r) => r.right)) }
+                : null;
+        }
+        return pageLayout(page, columnsFor);
+    }
+
+    function looksBlank(text) {
+        const stripped = text
+            .replace(spec.vocabulary || /$^/g, '')
+            .replace(/BASKETBALL|SCORE\s*BOOK|PLAYERS?|NAMES?|NO\.?|TEAM|TOTALS?|HOME|VISITORS?|COACH|SCORER|TIMER|REFEREES?|DATE|LOCATION|TIME\s*OUTS?|TEAM\s*FOULS?|RUNNING\s*SCORE|\b\d{1,2}\b|#/gi, '')
+            .replace(/[^A-Za-z0-9]/g, '');
+        return stripped.length < 15;
+    }
+
+    return function parse({ documentAiJson } = {}) {
+        if (!documentAiJson || typeof documentAiJson !== 'object') {
+            return blankResult(spec.name, { issues: ['No Document AI JSON provided.'] });
+        }
+
+        const fullText = documentAiJson.text || '';
+        const page = (documentAiJson.pages || [])[0];
+        if (!page || !page.lines || page.lines.length === 0) {
+            return blankResult(spec.name, {
+                isBlank: fullText.trim().length === 0,
+                issues: fullText.trim().length === 0 ? [] : ['Page has text but no parsed lines.'],
+            });
+        }
+
+        const pageWidth = page.width || 1;
+        const pageHeight = page.height || 1;
+        const pageNumber = page.pageNumber || 1;
+        const anchors = findAnchors(page.lines, pageWidth, pageHeight);
+
+        if (!anchors.hasPlayerTable) {
+            const isBlank = looksBlank(fullText);
+            return blankResult(spec.name, {
+                isBlank,
+                issues: isBlank ? [] : ['Could not locate player table headers.'],
+            });
+        }
+
+        const players = [];
+        const confidences = [];
+        const issues = [];
+        let teamTotals = { shooting: emptyShooting(), total_points: null };
+
+        for (const row of clusterIntoRows(page.lines, pageHeight)) {
+            if (row.yCenter <= anchors.headerBottomY + 0.005) continue;
+            const rowText = row.tokens.map((t) => t.text).join(' ').toUpperCase();
+            if (/^\s*$/.test(rowText) || (spec.skipRow && spec.skipRow.test(rowText)) || COMMON_SKIP_ROW_RE.test(rowText)) continue;
+
+            if (/\bTOTALS?\b/.test(rowText)) {
+                teamTotals = extractTotals(row, anchors, pageWidth);
+                teamTotals.bbox = tokenBox(row.tokens, pageNumber);
+                continue;
+            }
+
+            const player = extractPlayer(row, anchors, pageWidth, players.length);
+            if (player) {
+                player.bbox = tokenBox(row.tokens, pageNumber);
+                players.push(player);
+                confidences.push(player.confidence);
+            }
+        }
+
+        if (players.length === 0) {
+            issues.push('No player rows could be extracted from the table area.');
+            if (teamTotals.total_points === null) {
+                const isBlank = looksBlank(fullText);
+                return blankResult(spec.name, { isBlank, issues: isBlank ? [] : issues });
+            }
+        }
+
+        return {
+            template: spec.name,
+            is_blank: false,
+            quality: {
+                overall_confidence: round2(computeOverallConfidence(confidences, issues)),
+                issues,
+            },
+            players,
+            team_totals: teamTotals,
+            layout: { pages: [cellLayout(page, anchors)] },
+            validation: validate(players, teamTotals, { attempts: !!spec.attempts }),
+        };
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function toNumericTokens(tokens) {
+    return tokens.flatMap((tk) => parseNumerics(tk.text).map((value) => ({
+        value,
+        centreX: (tk.normLeft + tk.normRight) / 2,
+    })));
+}
+
+/** Nearest "made-att" token to a column centre → { made, att } */
+function closestPair(tokens, targetX, tolerance) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const tk of tokens) {
+        const m = tk.text.trim().match(PAIR_RE);
+        if (!m) continue;
+        const dist = Math.abs((tk.normLeft + tk.normRight) / 2 - targetX);
+        if (dist < tolerance && dist < bestDist) {
+            best = { made: parseInt(m[1], 10), att: parseInt(m[2], 10) };
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+/** Header ranges are often narrower than the boxes beneath them. */
+function widen(range, pageWidth) {
+    const pad = Math.max((range.right - range.left) * 0.25, 0.01);
+    return { left: (range.left - pad) * pageWidth, right: (range.right + pad) * pageWidth };
+}
+
+/**
+ * Two numbers where one is derived from a total, e.g. 2-pointers from all
+ * field goals minus 3-pointers. null unless both are known.
+ */
+function difference(total, part) {
+    return total != null && part != null && total >= part ? total - part : null;
+}
+
+module.exports = { createTableParser, difference };
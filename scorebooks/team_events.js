@@ -0,0 +1,456 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Turnovers, timeouts and team fouls
+//
+// Besides the roster, the scorer keeps three running tallies:
+//
+//   TURNOVERS   column right of the scoring summary – one stroke (or a
+//               written count) per turnover, per player
+//   TEAM FOULS  one row, a box per quarter under the quarter headers (or
+//               with its own 1ST Q … labels) – the printed 1 2 3 4 5 … are
+//               crossed off as fouls are called
+//   TIME OUTS   one row, 1ST HALF / 2ND HALF / OT boxes – a mark or the
+//               game clock written per timeout taken
+//
+// Team fouls decide the bonus: from the `bonusAt`-th team foul of a quarter
+// (NFHS: 5th) every common foul gives free throws. Overtime fouls count
+// with the 4th quarter.
+// ---------------------------------------------------------------------------
+
+const { clusterIntoRows } = require('./layout');
+const { QUARTER_KEYS } = require('./quarters');
+
+const TEAM_FOULS_RE = /TEAM\s*FOULS?/;
+const TIMEOUTS_RE = /TIME\s*-?\s*OUTS?/;
+const EVENT_LABEL_RE = /TEAM\s*FOULS?|TIME\s*-?\s*OUTS?|TURNOVERS?/;
+
+/** NFHS: bonus free throws from the 5th team foul of a quarter. */
+const DEFAULT_BONUS_AT = 5;
+
+/** NFHS: five timeouts per regulation game. */
+const DEFAULT_MAX_TIMEOUTS = 5;
+
+/** Segment labels written inside a tally row: "1ST Q", "Q2", "2ND HALF", "OT". */
+const SEGMENT_RE = /^(?:(1ST|2ND|3RD|4TH|FIRST|SECOND|THIRD|FOURTH)\s*(QTR|QUARTER|Q|HALF|H)\.?|Q([1-4])|H([12])|(OVER\s*TIME|OT))(?=\s|:|$)\s*:?\s*/;
+
+const ORDINALS = { '1ST': 1, FIRST: 1, '2ND': 2, SECOND: 2, '3RD': 3, THIRD: 3, '4TH': 4, FOURTH: 4 };
+
+const TALLY_CHAR_RE = /[Xx×✕✗✘✓|\/\\]/g;
+const CLOCK_RE = /\b\d{1,2}:\d{2}\b/g;
+
+/**
+ * Split a leading segment label off token text.
+ * "2ND HALF X X" → { key: 'H2', rest: 'X X' }; key is null when unlabelled.
+ */
+function segmentKey(text) {
+    const upper = String(text || '').toUpperCase().trim();
+    const m = upper.match(SEGMENT_RE);
+    if (!m) return { key: null, rest: upper };
+
+    const rest = upper.slice(m[0].length);
+    if (m[5]) return { key: 'OT', rest };
+    if (m[3]) return { key: `Q${m[3]}`, rest };
+    if (m[4]) return { key: `H${m[4]}`, rest };
+
+    const n = ORDINALS[m[1]];
+    if (/^H/.test(m[2])) return n <= 2 ? { key: `H${n}`, rest } : { key: null, rest: upper };
+    return { key: `Q${n}`, rest };
+}
+
+/**
+ * Count the tally marks in one box. Each X / stroke / check mark or written
+ * clock time ("4:32") is one event. Printed slot numbers (1 2 3 …) are
+ * ignored; a lone number with no marks is a written count.
+ *
+ * @param {string[]} texts - token texts in the box
+ * @param {object} [opts]
+ * @param {boolean} [opts.printedSlots=true] - the box has printed 1 2 3 … to cross off
+ * @returns {{ count: number|null, unread: string[] }} count is null when the box can't be read
+ */
+function countTally(texts, { printedSlots = true } = {}) {
+    let marks = 0;
+    const numbers = [];
+    const unread = [];
+
+    for (const text of texts) {
+        let rest = String(text || '').toUpperCase();
+        marks += (rest.match(CLOCK_RE) || []).length;
+        rest = rest.replace(CLOCK_RE, ' ');
+        marks += (rest.match(TALLY_CHAR_RE) || []).length;
+        rest = rest.replace(TALLY_CHAR_RE, ' ');
+        for (const n of rest.match(/\d+/g) || []) numbers.push(parseInt(n, 10));
+        const other = rest.replace(/\d+/g, '').replace(/[\s,.;:_-]/g, '');
+        if (other) unread.push(other);
+    }
+
+    if (marks > 0 || numbers.length === 0) return { count: marks, unread };
+    // Unmarked printed slots read 1, 2, 3 …
+    if (printedSlots && numbers.every((n, i) => n === i + 1)) return { count: 0, unread };
+    if (numbers.length === 1) return { count: numbers[0], unread };
+    return { count: null, unread: [...unread, numbers.join(' ')] };
+}
+
+/**
+ * Tokens of a labelled tally row, from just right of the label up to the
+ * next event label. Text merged into the label token itself is kept.
+ */
+function rowAfterLabel(row, labelRe) {
+    const idx = row.tokens.findIndex((tk) => labelRe.test(tk.text.toUpperCase()));
+    if (idx === -1) return null;
+
+    const label = row.tokens[idx];
+    const upper = label.text.toUpperCase();
+    const m = upper.match(labelRe);
+    const inline = upper.slice(m.index + m[0].length).trim();
+
+    const tokens = inline ? [{ ...label, text: inline }] : [];
+    for (const tk of row.tokens.slice(idx + 1)) {
+        if (EVENT_LABEL_RE.test(tk.text.toUpperCase())) break;
+        tokens.push(tk);
+    }
+    return tokens;
+}
+
+/**
+ * Group a tally row's tokens into boxes: by the labels written in the row,
+ * else by column (normalised x-ranges, e.g. the quarter box columns).
+ *
+ * @returns {{ boxes: object|null, loose: string[] }} boxes by key; loose = unassigned texts
+ */
+function groupBoxes(tokens, columns, pageWidth) {
+    const boxes = {};
+    const loose = [];
+    let current = null;
+    let labelled = false;
+
+    for (const tk of tokens) {
+        const { key, rest } = segmentKey(tk.text);
+        if (key) {
+            labelled = true;
+            current = key;
+            boxes[key] = boxes[key] || [];
+        }
+        const text = key ? rest : tk.text;
+        if (!text) continue;
+        if (current) boxes[current].push(text);
+        else loose.push(text);
+    }
+    if (labelled) return { boxes, loose };
+
+    if (columns && columns.length > 0) {
+        const byColumn = {};
+        for (const { key } of columns) byColumn[key] = [];
+        const outside = [];
+        for (const tk of tokens) {
+            const centre = (tk.normLeft + tk.normRight) / 2 / pageWidth;
+            const column = columns.find((c) => centre >= c.left && centre < c.right);
+            if (column) byColumn[column.key].push(tk.text);
+            else outside.push(tk.text);
+        }
+        return { boxes: byColumn, loose: outside };
+    }
+
+    return { boxes: null, loose: tokens.map((tk) => tk.text) };
+}
+
+/** Count each box; unreadable boxes become null and add an issue. */
+function countBoxes(boxes, name, issues) {
+    const counts = {};
+    for (const [key, texts] of Object.entries(boxes)) {
+        const { count, unread } = countTally(texts);
+        counts[key] = count;
+        for (const text of unread) issues.push(`${name}_unread: ${key} "${text}"`);
+    }
+    return counts;
+}
+
+function total(counts) {
+    const values = Object.values(counts).filter((n) => n != null);
+    return values.length > 0 ? values.reduce((s, n) => s + n, 0) : null;
+}
+
+/**
+ * Quarters at or past the bonus. OT continues the 4th quarter's count; it's
+ * only listed once it has fouls, since an empty OT box may not have been played.
+ */
+function bonusQuarters(quarters, bonusAt) {
+    const bonus = [];
+    for (const key of QUARTER_KEYS) {
+        if (quarters[key] == null || (key === 'OT' && quarters.OT === 0)) continue;
+        const fouls = key === 'OT' ? (quarters.Q4 || 0) + quarters.OT : quarters[key];
+        if (fouls >= bonusAt) bonus.push(key);
+    }
+    return bonus;
+}
+
+function teamFoulsFrom(quarters, bonusAt) {
+    return {
+        quarters,
+        total: quarters ? total(quarters) : null,
+        bonus_at: bonusAt,
+        bonus: quarters ? bonusQuarters(quarters, bonusAt) : [],
+    };
+}
+
+function timeoutsFrom(halves) {
+    const counts = {
+        first_half: halves.H1 != null ? halves.H1 : null,
+        second_half: halves.H2 != null ? halves.H2 : null,
+        overtime: halves.OT != null ? halves.OT : null,
+    };
+    return { ...counts, total: total(counts) };
+}
+
+// ===========================================================================
+//  PAGE PARSING
+// ===========================================================================
+
+/**
+ * Read the TEAM FOULS and TIME OUTS rows of a scorebook page.
+ *
+ * @param {object} page - normalised Document AI page
+ * @param {object} [opts]
+ * @param {Array} [opts.quarterColumns] - quarter box columns (quarters.js) for unlabelled team-foul boxes
+ * @param {number} [opts.bonusAt=5] - team foul that puts the opponent in the bonus
+ * @returns {{ team_fouls: object|null, timeouts: object|null, issues: string[] }}
+ */
+function parseTeamEvents(page, { quarterColumns = [], bonusAt = DEFAULT_BONUS_AT } = {}) {
+    const lines = (page && page.lines) || [];
+    const pageWidth = page && page.width ? page.width : 1;
+    const pageHeight = page && page.height ? page.height : 1;
+    const issues = [];
+    let teamFouls = null;
+    let timeouts = null;
+
+    for (const row of clusterIntoRows(lines, pageHeight)) {
+        const foulTokens = !teamFouls && rowAfterLabel(row, TEAM_FOULS_RE);
+        if (foulTokens && foulTokens.length > 0) {
+            const { boxes, loose } = groupBoxes(foulTokens, quarterColumns, pageWidth);
+            if (boxes) {
+                const quarters = countBoxes(boxes, 'team_fouls', issues);
+                for (const key of Object.keys(quarters)) {
+                    if (!QUARTER_KEYS.includes(key)) delete quarters[key];
+                }
+                teamFouls = teamFoulsFrom(quarters, bonusAt);
+            } else {
+                const { count, unread } = countTally(loose);
+                teamFouls = { ...teamFoulsFrom(null, bonusAt), total: count };
+                for (const text of unread) issues.push(`team_fouls_unread: "${text}"`);
+            }
+        }
+
+        const timeoutTokens = !timeouts && rowAfterLabel(row, TIMEOUTS_RE);
+        if (timeoutTokens && timeoutTokens.length > 0) {
+            const { boxes, loose } = groupBoxes(timeoutTokens, null, pageWidth);
+            if (boxes) {
+                const halves = countBoxes(boxes, 'timeouts', issues);
+                timeouts = timeoutsFrom(halves);
+            } else {
+                const { count, unread } = countTally(loose);
+                timeouts = { ...timeoutsFrom({}), total: count };
+                for (const text of unread) issues.push(`timeouts_unread: "${text}"`);
+            }
+        }
+    }
+
+    return { team_fouls: teamFouls, timeouts, issues };
+}
+
+/**
+ * Turnovers written in a player's (or the totals row's) TURNOVERS cell.
+ * @returns {{ turnovers: number|null, flags: string[] }} null when the cell is empty
+ */
+function readTurnovers(tokens) {
+    if (tokens.length === 0) return { turnovers: null, flags: [] };
+    const { count, unread } = countTally(tokens.map((tk) => tk.text), { printedSlots: false });
+    return { turnovers: count, flags: unread.map((text) => `turnovers_unread: "${text}"`) };
+}
+
+/** Add a continuation page's team fouls and timeouts to the team's. */
+function mergeTeamEvents(base, extra) {
+    if (!base) return extra || null;
+    if (!extra) return base;
+
+    const add = (a, b) => (a == null && b == null ? null : (a || 0) + (b || 0));
+    let teamFouls = base.team_fouls || extra.team_fouls;
+    if (base.team_fouls && extra.team_fouls) {
+        const bonusAt = base.team_fouls.bonus_at;
+        const a = base.team_fouls.quarters;
+        const b = extra.team_fouls.quarters;
+        if (a || b) {
+            const quarters = { ...a };
+            for (const [key, n] of Object.entries(b || {})) quarters[key] = add(quarters[key], n);
+            teamFouls = teamFoulsFrom(quarters, bonusAt);
+        } else {
+            teamFouls = { ...teamFoulsFrom(null, bonusAt), total: add(base.team_fouls.total, extra.team_fouls.total) };
+        }
+    }
+
+    let timeouts = base.timeouts || extra.timeouts;
+    if (base.timeouts && extra.timeouts) {
+        timeouts = {
+            first_half: add(base.timeouts.first_half, extra.timeouts.first_half),
+            second_half: add(base.timeouts.second_half, extra.timeouts.second_half),
+            overtime: add(base.timeouts.overtime, extra.timeouts.overtime),
+            total: add(base.timeouts.total, extra.timeouts.total),
+        };
+    }
+
+    return { team_fouls: teamFouls, timeouts };
+}
+
+// ===========================================================================
+//  VALIDATION
+// ===========================================================================
+
+/**
+ * Cross-check team fouls against the players' fouls, timeouts against the
+ * allowance and the team turnover total against the players'.
+ *
+ * @param {object|null} events - { team_fouls, timeouts }
+ * @returns {{ checks: object[], reviewReasons: string[] }}
+ */
+function checkTeamEvents(events, players, teamTotals, { maxTimeouts = DEFAULT_MAX_TIMEOUTS } = {}) {
+    const checks = [];
+    const reviewReasons = [];
+    const teamFouls = events && events.team_fouls;
+    const timeouts = events && events.timeouts;
+
+    if (teamFouls && teamFouls.quarters && players.some((p) => p.quarters)) {
+        for (const [key, fouls] of Object.entries(teamFouls.quarters)) {
+            if (fouls == null) continue;
+            const playerFouls = players.reduce((s, p) => s + (p.quarters && p.quarters[key] ? p.quarters[key].fouls : 0), 0);
+            const passed = fouls === playerFouls;
+            checks.push({
+                name: `team_fouls_vs_player_fouls_${key}`,
+                passed,
+                details: passed
+                    ? `${key}: ${fouls} team fouls match the players' quarter boxes.`
+                    : `${key}: ${fouls} team fouls but the players' quarter boxes have ${playerFouls}.`,
+            });
+            if (!passed) reviewReasons.push(`Team fouls in ${key} do not match the players' fouls.`);
+        }
+    } else if (teamFouls && teamFouls.total != null && players.some((p) => p.personal_fouls_total != null)) {
+        const personal = players.reduce((s, p) => s + (p.personal_fouls_total || 0), 0);
+        const passed = teamFouls.total === personal;
+        checks.push({
+            name: 'team_fouls_vs_personal_fouls',
+            passed,
+            details: passed
+                ? `${teamFouls.total} team fouls match the players' personal fouls.`
+                : `${teamFouls.total} team fouls but the players have ${personal} personal fouls.`,
+        });
+        if (!passed) reviewReasons.push('Team fouls do not match the sum of personal fouls.');
+    }
+
+    if (timeouts && timeouts.total != null) {
+        const regulation = (timeouts.first_half || 0) + (timeouts.second_half || 0);
+        const passed = regulation <= maxTimeouts;
+        checks.push({
+            name: 'timeouts_within_allowance',
+            passed,
+            details: passed
+                ? `${regulation} regulation timeouts (allowance ${maxTimeouts}).`
+                : `${regulation} regulation timeouts exceeds the allowance of ${maxTimeouts}.`,
+        });
+        if (!passed) reviewReasons.push('More timeouts recorded than the allowance.');
+    }
+
+    const playerTurnovers = players.filter((p) => p.turnovers != null);
+    if (teamTotals && teamTotals.turnovers != null && playerTurnovers.length > 0) {
+        const sum = playerTurnovers.reduce((s, p) => s + p.turnovers, 0);
+        const passed = sum === teamTotals.turnovers;
+        checks.push({
+            name: 'turnovers_vs_player_sum',
+            passed,
+            details: passed
+                ? `Team turnovers ${teamTotals.turnovers} match player sum.`
+                : `Team turnovers ${teamTotals.turnovers} != player sum ${sum}.`,
+        });
+        if (!passed) reviewReasons.push('Team turnovers do not match the sum of player turnovers.');
+    }
+
+    return { checks, reviewReasons };
+}
+
+// ---------------------------------------------------------------------------
+// Claude extraction path
+// ---------------------------------------------------------------------------
+
+function toCountOrNull(value) {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+}
+
+/**
+ * Clean up the turnovers, team fouls and timeouts in a Claude scorebook
+ * extraction. The prompt asks for player.turnovers, teamTurnovers,
+ * teamFouls { Q1 … OT } and timeouts { firstHalf, secondHalf, overtime }.
+ *
+ * Adds teamFouls.bonus (quarters at or past the bonus) and a
+ * teamEventWarnings list of the same cross-checks as the OCR path.
+ */
+function normalizeClaudeTeamEvents(stats, { bonusAt = DEFAULT_BONUS_AT, maxTimeouts = DEFAULT_MAX_TIMEOUTS } = {}) {
+    if (!stats || !Array.isArray(stats.players)) return stats;
+    const warnings = [];
+
+    for (const player of stats.players) {
+        player.turnovers = toCountOrNull(player.turnovers);
+    }
+    const playerTurnovers = stats.players.filter((p) => p.turnovers != null);
+    const sum = playerTurnovers.reduce((s, p) => s + p.turnovers, 0);
+    const written = toCountOrNull(stats.teamTurnovers);
+    if (written != null && playerTurnovers.length > 0 && written !== sum) {
+        warnings.push(`Team turnovers ${written} != player sum ${sum}.`);
+    }
+    stats.teamTurnovers = written != null ? written : (playerTurnovers.length > 0 ? sum : null);
+
+    if (stats.teamFouls && typeof stats.teamFouls === 'object') {
+        const quarters = {};
+        for (const key of QUARTER_KEYS) {
+            const n = toCountOrNull(stats.teamFouls[key]);
+            if (n != null) quarters[key] = n;
+        }
+        stats.teamFouls = { ...quarters, bonus: bonusQuarters(quarters, bonusAt) };
+
+        const teamTotal = total(quarters);
+        const personal = stats.players.reduce((s, p) => s + (toCountOrNull(p.fouls) || 0), 0);
+        if (teamTotal != null && teamTotal !== personal) {
+            warnings.push(`${teamTotal} team fouls but the players have ${personal} personal fouls.`);
+        }
+    } else {
+        delete stats.teamFouls;
+    }
+
+    if (stats.timeouts && typeof stats.timeouts === 'object') {
+        const t = {
+            firstHalf: toCountOrNull(stats.timeouts.firstHalf),
+            secondHalf: toCountOrNull(stats.timeouts.secondHalf),
+            overtime: toCountOrNull(stats.timeouts.overtime),
+        };
+        const regulation = (t.firstHalf || 0) + (t.secondHalf || 0);
+        if (regulation > maxTimeouts) {
+            warnings.push(`${regulation} regulation timeouts exceeds the allowance of ${maxTimeouts}.`);
+        }
+        stats.timeouts = t;
+    } else {
+        delete stats.timeouts;
+    }
+
+    stats.teamEventWarnings = warnings;
+    return stats;
+}
+
+module.exports = {
+    DEFAULT_BONUS_AT,
+    DEFAULT_MAX_TIMEOUTS,
+    segmentKey,
+    countTally,
+    parseTeamEvents,
+    readTurnovers,
+    mergeTeamEvents,
+    checkTeamEvents,
+    normalizeClaudeTeamEvents,
+};
@@ -2,7 +2,8 @@
 'use strict';
 
 /**
- * Quick smoke-test for the Document AI OCR service.
+ * Quick smoke-test for the configured OCR provider (OCR_PROVIDER, default
+ * Document AI).
  *
  * Usage:
  *   node scripts/ocr_test.js path/to/sample.jpg
@@ -11,7 +12,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { processDocumentAI, SUPPORTED_MIME_TYPES } = require('../services/documentai');
+const { getOcrProvider } = require('../services/ocr');
 
 const MIME_BY_EXT = {
     '.jpg': 'image/jpeg',
@@ -46,9 +47,10 @@ async function main() {
 
     const buffer = fs.readFileSync(resolved);
 
-    console.log('Calling Document AI...\n');
+    const ocr = getOcrProvider();
+    console.log(`Calling ${ocr.name}...\n`);
     const start = Date.now();
-    const result = await processDocumentAI(buffer, mimeType);
+    const result = await ocr.process(buffer, mimeType);
     const elapsed = ((Date.now() - start) / 1000).toFixed(2);
 
     console.log(`Done in ${elapsed}s`);
@@ -10,11 +10,32 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const { Resend } = require('resend');
-const { validateImage, compressImage, extractJSON, normalizeOrientation, computeTeamTotals } = require('./utils/imageProcessing');
-const { processDocumentAI, SUPPORTED_MIME_TYPES: OCR_MIME_TYPES, MAX_FILE_SIZE: OCR_MAX_FILE_SIZE } = require('./services/documentai');
+const { validateImage, compressImage, extractJSON, normalizeOrientation, computeTeamTotals, imageSize, extractRegions, preprocessScorebookImage } = require('./utils/imageProcessing');
+const { getOcrProvider, PROVIDER_NAMES: OCR_PROVIDERS, MAX_FILE_SIZE: OCR_MAX_FILE_SIZE } = require('./services/ocr');
 const { parseScorebook } = require('./services/scorebookParser');
+const { parseWithTemplate, listTemplates, parseGame } = require('./scorebooks');
+const { normalizeClaudeQuarters } = require('./scorebooks/quarters');
+const { normalizeClaudeTeamEvents } = require('./scorebooks/team_events');
+const { STATUSES: SCOREBOOK_STATUSES } = require('./scorebooks/review');
+const { CROP_SCOPES, cropTargets, scaleBox } = require('./scorebooks/crops');
+const { reconcile, claudeBoxScore } = require('./scorebooks/ensemble');
+const { renderReportPdf, LAYOUTS: PDF_LAYOUTS } = require('./services/reportPdf');
 const authRoutes = require('./routes/auth');
+const stripeRoutes = require('./routes/stripe');
+const teamRoutes = require('./routes/teams');
 const authMiddleware = require('./middleware/auth');
+const { requireReportOwner, requireScorebookOwner, requirePracticePlanOwner, requireSelf } = require('./middleware/ownership');
+const { requireEntitlement, usageFor } = require('./middleware/entitlement');
+const { getAuthProvider } = require('./services/auth');
+const { getRepository } = require('./repositories');
+const { createJobQueue, runStages, permanentError } = require('./services/jobQueue');
+const { createScheduler, priorityForPlan } = require('./services/scheduler');
+const { createScorebookReview } = require('./services/scorebookReview');
+const { createResultCache, promptVersion } = require('./services/resultCache');
+const { requireAdmin } = require('./middleware/admin');
+const { createTeamService, sideFor } = require('./services/teams');
+const { createPlayerMatching } = require('./services/playerMatching');
+const { boxScoreMetrics } = require('./services/seasonStats');
 
 // ===========================================
 // ENVIRONMENT VALIDATION
@@ -30,13 +51,25 @@ const FRONTEND_URL = process.env.FRONTEND_URL || '*';
     // --- Required variables ---
     const required = [
         'ANTHROPIC_API_KEY',
-        'JWT_SECRET',
         'STRIPE_SECRET_KEY',
         'STRIPE_PUBLISHABLE_KEY',
         'STRIPE_WEBHOOK_SECRET',
         'SUPABASE_URL',
         'SUPABASE_SERVICE_KEY',
     ];
+    // Self-issued tokens need a signing secret; Supabase Auth signs its own.
+    if ((process.env.AUTH_PROVIDER || 'local') === 'local') {
+        required.push('JWT_SECRET');
+    }
+    if (!['local', 'supabase'].includes(process.env.AUTH_PROVIDER || 'local')) {
+        errors.push('AUTH_PROVIDER must be "local" or "supabase"');
+    }
+    if (!OCR_PROVIDERS.includes(process.env.OCR_PROVIDER || 'documentai')) {
+        errors.push(`OCR_PROVIDER must be one of: ${OCR_PROVIDERS.join(', ')}`);
+    }
+    if (process.env.OCR_PROVIDER === 'fixture' && !process.env.OCR_FIXTURE_PATH) {
+        errors.push('OCR_FIXTURE_PATH is required when OCR_PROVIDER=fixture');
+    }
 
     const present = {};
     for (const key of required) {
@@ -106,14 +139,21 @@ const app = express();
 // Configure CORS with FRONTEND_URL
 app.use(cors({
     origin: FRONTEND_URL === '*' ? '*' : FRONTEND_URL.split(',').map(u => u.trim()),
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
+
+// Stripe routes go before express.json() – the webhook verifies the raw body
+app.use('/api/stripe', stripeRoutes);
+
 app.use(express.json({ limit: '100mb' }));
 
 // Auth routes
 app.use('/api/auth', authRoutes);
 
+// Teams, seasons, rosters and games
+app.use('/api', teamRoutes);
+
 // Configure multer
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -129,10 +169,38 @@ const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 * 1024 } }
 const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
 const resend = new Resend(process.env.RESEND_API_KEY);
 
-// Storage
-const reports = new Map();
-const users = new Map();
-const uploadSessions = new Map();
+// Caps on concurrent ffmpeg processes and Anthropic calls; extra work queues
+// by plan priority (see services/scheduler.js)
+const scheduler = createScheduler({
+    ffmpeg: parseInt(process.env.FFMPEG_CONCURRENCY || '1', 10),
+    anthropic: parseInt(process.env.ANTHROPIC_CONCURRENCY || '2', 10),
+});
+
+// OCR for the scorebook endpoints – Document AI, Tesseract or fixture replay (see services/ocr/)
+const ocr = getOcrProvider();
+console.log(`OCR provider: ${ocr.name}`);
+
+// Storage – reports, users and upload sessions (see repositories/)
+const repository = getRepository();
+console.log(`Storage driver: ${repository.driver}`);
+
+// Stored scorebook parses and their coach review (see services/scorebookReview.js)
+const scorebookReview = createScorebookReview({ repository });
+
+// Teams / seasons / games – uploads and parses can name a gameId to attach to
+// (see services/teams.js; the CRUD routes are in routes/teams.js)
+const teams = createTeamService({ repository });
+
+// Box score rows → roster players of the game's season (see services/playerMatching.js)
+const playerMatching = createPlayerMatching({ repository });
+
+// OCR and Claude scorebook results by image hash, so re-uploads are free
+// (see services/resultCache.js)
+const resultCache = createResultCache({ repository });
+
+// Scorebook photos are rectified, deskewed and contrast-normalised before OCR
+// and Claude extraction (utils/imageProcessing.js); "off" sends them as uploaded
+const IMAGE_PREPROCESSING = process.env.IMAGE_PREPROCESSING !== 'off';
 
 // ===========================================
 // COMPREHENSIVE BASKETBALL KNOWLEDGE BASE
@@ -1439,89 +1507,157 @@ app.get('/', (req, res) => {
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
 
 // User endpoints
-app.post('/api/users/register', (req, res) => {
-    const { email, name, teamName } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email required' });
-    const userId = uuidv4();
-    const user = { id: userId, email, name: name || 'Coach', teamName: teamName || '', createdAt: new Date().toISOString() };
-    users.set(userId, user);
-    users.set(email, user);
-    res.json({ user });
+app.post('/api/users/register', authMiddleware, async (req, res) => {
+    try {
+        const { email, name, teamName } = req.body;
+        if (email && email.toLowerCase().trim() !== req.user.email) {
+            return res.status(403).json({ error: 'You can only register your own account' });
+        }
+        const user = await repository.registerUser({ id: req.user.id, email: req.user.email, name: name || req.user.name, teamName });
+        res.json({ user });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
 });
 
-app.get('/api/users/:email', (req, res) => {
-    const user = users.get(req.params.email);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json({ user });
+app.get('/api/users/:email', authMiddleware, requireSelf, async (req, res) => {
+    try {
+        const user = await repository.findUserByEmail(req.params.email);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ user });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.get('/api/users/:email/reports', (req, res) => {
-    const userReports = [];
-    reports.forEach((report) => {
-        if (report.userEmail === req.params.email) {
-            userReports.push({
-                id: report.id, opponentName: report.opponentName, status: report.status,
-                progress: report.progress, progressText: report.progressText,
-                createdAt: report.createdAt, completedAt: report.completedAt
-            });
-        }
-    });
-    userReports.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    res.json({ reports: userReports });
+app.get('/api/users/:email/reports', authMiddleware, requireSelf, async (req, res) => {
+    try {
+        const userReports = (await repository.listReportsByUser(req.user.id)).map((report) => ({
+            id: report.id, opponentName: report.opponentName, status: report.status,
+            progress: report.progress, progressText: report.progressText,
+            createdAt: report.createdAt, completedAt: report.completedAt
+        }));
+        res.json({ reports: userReports });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.get('/api/reports/:id', (req, res) => {
-    const report = reports.get(req.params.id);
-    if (!report) return res.status(404).json({ error: 'Report not found' });
-    res.json(report);
+app.get('/api/reports/:id', authMiddleware, requireReportOwner(repository), (req, res) => {
+    res.json(req.report);
 });
 
+// PDF export: ?layout=full (multi-page report, default) or ?layout=card (one-page player card)
+app.get('/api/reports/:id/pdf', authMiddleware, requireReportOwner(repository), (req, res) => {
+    const layout = req.query.layout || 'full';
+    if (!PDF_LAYOUTS.includes(layout)) {
+        return res.status(400).json({ error: `layout must be one of: ${PDF_LAYOUTS.join(', ')}` });
+    }
+    if (req.report.status !== 'complete' || !req.report.report) {
+        return res.status(409).json({ error: 'Report is not ready yet', status: req.report.status });
+    }
+
+    try {
+        const doc = renderReportPdf(req.report.report, { layout });
+        const slug = (req.report.opponentName || 'opponent').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+        const fileName = `coachiq-${layout === 'card' ? 'player-card' : 'scouting-report'}-${slug || 'opponent'}.pdf`;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${fileName}"`);
+        doc.pipe(res);
+    } catch (error) {
+        console.error('PDF export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Plan and trial scan usage for the signed-in user
+app.get('/api/me/usage', authMiddleware, (req, res) => {
+    res.json(usageFor(req.user));
+});
+
+// Analysis endpoints spend a trial scan (refunded if the analysis fails);
+// raw OCR only needs a plan that may analyse
+const entitlement = requireEntitlement();
+const ocrEntitlement = requireEntitlement(undefined, { spendScan: false });
+
 // Upload endpoints
-app.post('/api/upload/init', (req, res) => {
-    const { fileName, fileSize, totalChunks, userEmail } = req.body;
-    const uploadId = uuidv4();
-    const uploadDir = `/tmp/coachiq_chunks_${uploadId}`;
-    fs.mkdirSync(uploadDir, { recursive: true });
-    uploadSessions.set(uploadId, {
-        id: uploadId, fileName, fileSize, totalChunks, receivedChunks: 0,
-        chunksDir: uploadDir, userEmail, createdAt: new Date().toISOString()
-    });
-    res.json({ uploadId, status: 'ready' });
+app.post('/api/upload/init', authMiddleware, async (req, res) => {
+    try {
+        const { fileName, fileSize, totalChunks } = req.body;
+        const uploadId = uuidv4();
+        const uploadDir = `/tmp/coachiq_chunks_${uploadId}`;
+        fs.mkdirSync(uploadDir, { recursive: true });
+        await repository.createUploadSession({
+            id: uploadId, fileName, fileSize, totalChunks, receivedChunks: 0,
+            chunksDir: uploadDir, userId: req.user.id, userEmail: req.user.email,
+            createdAt: new Date().toISOString()
+        });
+        res.json({ uploadId, status: 'ready' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.post('/api/upload/chunk', upload.single('chunk'), (req, res) => {
-    const { uploadId, chunkIndex } = req.body;
-    const session = uploadSessions.get(uploadId);
-    if (!session) return res.status(404).json({ error: 'Session not found' });
-    
-    const chunkPath = path.join(session.chunksDir, `chunk_${chunkIndex.padStart(6, '0')}`);
-    fs.renameSync(req.file.path, chunkPath);
-    session.receivedChunks++;
-    res.json({ received: session.receivedChunks, total: session.totalChunks });
+app.post('/api/upload/chunk', authMiddleware, upload.single('chunk'), async (req, res) => {
+    try {
+        const { uploadId, chunkIndex } = req.body;
+        const session = await repository.getUploadSession(uploadId);
+        if (!session || session.userId !== req.user.id) {
+            if (req.file) cleanup(req.file.path);
+            return session
+                ? res.status(403).json({ error: 'You do not have access to this upload' })
+                : res.status(404).json({ error: 'Session not found' });
+        }
+
+        const chunkPath = path.join(session.chunksDir, `chunk_${chunkIndex.padStart(6, '0')}`);
+        fs.renameSync(req.file.path, chunkPath);
+        const updated = await repository.incrementUploadChunks(uploadId);
+        res.json({ received: updated.receivedChunks, total: updated.totalChunks });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-app.post('/api/upload/finalize', async (req, res) => {
-    const { uploadId, opponentName, analysisOptions, userEmail, userName, teamInfo } = req.body;
-    const session = uploadSessions.get(uploadId);
-    if (!session) return res.status(404).json({ error: 'Session not found' });
-    
-    const reportId = uuidv4();
-    reports.set(reportId, {
-        id: reportId, userEmail, userName: userName || 'Coach', opponentName,
-        fileName: session.fileName, status: 'queued', progress: 0,
-        progressText: 'Video received...', createdAt: new Date().toISOString(),
-        teamInfo: teamInfo || null
-    });
-    
-    await sendConfirmationEmail(userEmail, userName, opponentName, reportId);
-    processVideoInBackground(reportId, uploadId, opponentName, analysisOptions || ['defense', 'offense', 'pace'], userEmail, userName, teamInfo);
-    
-    res.json({ reportId, status: 'queued', message: 'Video received!' });
+app.post('/api/upload/finalize', authMiddleware, entitlement, async (req, res) => {
+    try {
+        const { uploadId, opponentName, analysisOptions, teamInfo } = req.body;
+        const { email: userEmail } = req.user;
+        const userName = req.body.userName || req.user.name;
+        const session = await repository.getUploadSession(uploadId);
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+        if (session.userId !== req.user.id) {
+            return res.status(403).json({ error: 'You do not have access to this upload' });
+        }
+        const game = await teams.findGame(req.user, req.body.gameId);
+
+        const reportId = uuidv4();
+        await repository.createReport({
+            id: reportId, userId: req.user.id, userEmail, userName: userName || 'Coach', opponentName,
+            gameId: game ? game.id : null, fileName: session.fileName, status: 'queued', progress: 0,
+            progressText: 'Video received...', createdAt: new Date().toISOString(),
+            teamInfo: teamInfo || null
+        });
+
+        await sendConfirmationEmail(userEmail, userName, opponentName, reportId);
+        const priority = priorityForPlan(req.user.plan, req.user.planStatus);
+        await jobQueue.enqueue(VIDEO_JOB, {
+            reportId, opponentName, analysisOptions: analysisOptions || ['defense', 'offense', 'pace'],
+            userId: req.user.id, userEmail, userName, teamInfo: teamInfo || null, priority,
+            scanConsumed: req.entitlement.scanConsumed,
+            source: { type: 'chunks', uploadId, chunksDir: session.chunksDir }
+        }, { priority });
+
+        res.json({ reportId, status: 'queued', message: 'Video received!' });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
 });
 
-app.post('/api/upload/simple', upload.single('video'), async (req, res) => {
+app.post('/api/upload/simple', authMiddleware, entitlement, upload.single('video'), async (req, res) => {
     try {
-        const { opponentName, analysisOptions, userEmail, userName, teamInfo } = req.body;
+        const { opponentName, analysisOptions, teamInfo } = req.body;
+        const { email: userEmail } = req.user;
+        const userName = req.body.userName || req.user.name;
         if (!req.file) return res.status(400).json({ error: 'No video' });
         
         // Parse teamInfo if it's a string
@@ -1534,21 +1670,29 @@ app.post('/api/upload/simple', upload.single('video'), async (req, res) => {
             }
         }
         
+        const game = await teams.findGame(req.user, req.body.gameId);
+
         const reportId = uuidv4();
-        reports.set(reportId, {
-            id: reportId, userEmail, userName: userName || 'Coach', opponentName,
-            fileName: req.file.originalname, status: 'queued', progress: 0,
+        await repository.createReport({
+            id: reportId, userId: req.user.id, userEmail, userName: userName || 'Coach', opponentName,
+            gameId: game ? game.id : null, fileName: req.file.originalname, status: 'queued', progress: 0,
             progressText: 'Video received...', createdAt: new Date().toISOString(),
             teamInfo: parsedTeamInfo
         });
         
         await sendConfirmationEmail(userEmail, userName, opponentName, reportId);
-        processSimpleUploadInBackground(reportId, req.file.path, opponentName,
-            analysisOptions ? JSON.parse(analysisOptions) : ['defense', 'offense', 'pace'], userEmail, userName, parsedTeamInfo);
+        const priority = priorityForPlan(req.user.plan, req.user.planStatus);
+        await jobQueue.enqueue(VIDEO_JOB, {
+            reportId, opponentName,
+            analysisOptions: analysisOptions ? JSON.parse(analysisOptions) : ['defense', 'offense', 'pace'],
+            userId: req.user.id, userEmail, userName, teamInfo: parsedTeamInfo, priority,
+            scanConsumed: req.entitlement.scanConsumed,
+            source: { type: 'file', path: req.file.path }
+        }, { priority });
         
         res.json({ reportId, status: 'queued', message: 'Video received!' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -1603,80 +1747,152 @@ async function sendErrorEmail(email, name, opponentName, error) {
 // PROCESSING
 // ===========================================
 
-async function processVideoInBackground(reportId, uploadId, opponentName, analysisOptions, userEmail, userName, teamInfo = null) {
-    const session = uploadSessions.get(uploadId);
-    const tempDir = `/tmp/coachiq_${reportId}`;
-    
-    try {
-        fs.mkdirSync(tempDir, { recursive: true });
-        updateReport(reportId, { status: 'processing', progress: 5, progressText: 'Combining video...' });
-        
-        const combinedPath = path.join(tempDir, 'video.mp4');
-        await combineChunks(session.chunksDir, combinedPath);
-        fs.rmSync(session.chunksDir, { recursive: true, force: true });
-        uploadSessions.delete(uploadId);
-        
-        await processVideoFile(reportId, combinedPath, opponentName, analysisOptions, userEmail, userName, tempDir, teamInfo);
-    } catch (error) {
-        console.error('Error:', error);
-        updateReport(reportId, { status: 'failed', error: error.message });
-        await sendErrorEmail(userEmail, userName, opponentName, error.message);
-        cleanup(tempDir);
-    }
+const VIDEO_JOB = 'video-analysis';
+
+// Background worker – jobs survive restarts and resume from their last
+// completed stage (see services/jobQueue.js)
+const jobQueue = createJobQueue({
+    repository,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+});
+
+jobQueue.register(VIDEO_JOB, runVideoAnalysisJob, { onFailed: handleVideoJobFailed });
+
+/**
+ * Video analysis pipeline, split into resumable stages:
+ *   combine → compress → extract_frames → claude → report
+ * Each stage checkpoints the paths / results the next stages need.
+ */
+async function runVideoAnalysisJob(job, ctx) {
+    const { reportId, source, opponentName, analysisOptions, userEmail, userName, teamInfo, priority = 0 } = job.payload;
+    const tempDir = videoTempDir(reportId);
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    // Run on a scheduler pool, reporting queue position while waiting
+    const schedule = (resource, label, task) => scheduler.run(resource, task, {
+        priority,
+        onPosition: (position) => updateReport(reportId, {
+            progressText: `Waiting to start ${label} (position ${position} in queue)...`
+        })
+    });
+
+    await runStages([
+        {
+            name: 'combine',
+            run: async () => {
+                const videoPath = path.join(tempDir, 'video.mp4');
+                if (source.type === 'chunks') {
+                    await updateReport(reportId, { status: 'processing', progress: 5, progressText: 'Combining video...' });
+                    requireFile(source.chunksDir, 'Uploaded chunks');
+                    await combineChunks(source.chunksDir, videoPath);
+                    fs.rmSync(source.chunksDir, { recursive: true, force: true });
+                    await repository.deleteUploadSession(source.uploadId);
+                } else {
+                    await updateReport(reportId, { status: 'processing', progress: 5, progressText: 'Preparing video...' });
+                    requireFile(source.path, 'Uploaded video');
+                    fs.renameSync(source.path, videoPath);
+                }
+                return { videoPath };
+            }
+        },
+        {
+            name: 'compress',
+            run: async (state) => {
+                requireFile(state.videoPath, 'Combined video');
+                await updateReport(reportId, { status: 'processing' });
+                const videoInfo = await getVideoInfo(state.videoPath);
+                const fileSizeMB = fs.statSync(state.videoPath).size / (1024 * 1024);
+
+                let processedPath = state.videoPath;
+                if (fileSizeMB > 200) {
+                    processedPath = path.join(tempDir, 'compressed.mp4');
+                    await schedule('ffmpeg', 'compression', async () => {
+                        await updateReport(reportId, { progress: 15, progressText: 'Compressing...' });
+                        await compressVideo(state.videoPath, processedPath);
+                    });
+                }
+                return { videoInfo, processedPath };
+            }
+        },
+        {
+            name: 'extract_frames',
+            run: async (state) => {
+                requireFile(state.processedPath, 'Processed video');
+                await updateReport(reportId, { status: 'processing', progress: 30 });
+                const framesDir = await schedule('ffmpeg', 'frame extraction', async () => {
+                    await updateReport(reportId, { progressText: 'Extracting frames...' });
+                    return extractFrames(state.processedPath, tempDir, state.videoInfo?.duration);
+                });
+                return { framesDir };
+            }
+        },
+        {
+            name: 'claude',
+            run: async (state) => {
+                requireFile(state.framesDir, 'Extracted frames');
+                const frames = loadFrames(state.framesDir);
+
+                // Log team info for debugging
+                if (teamInfo) {
+                    console.log(`🎽 Team Info: Opponent(${teamInfo.opponent?.name})=${teamInfo.opponent?.jerseyColor}, YourTeam(${teamInfo.yourTeam?.name})=${teamInfo.yourTeam?.jerseyColor}`);
+                }
+
+                await updateReport(reportId, { status: 'processing', progress: 45 });
+                const analysis = await schedule('anthropic', 'AI analysis', async () => {
+                    await updateReport(reportId, { progressText: 'AI analyzing schemes...' });
+                    return analyzeWithClaude(frames, opponentName, analysisOptions, teamInfo);
+                });
+                return { analysis, frameCount: frames.length };
+            }
+        },
+        {
+            name: 'report',
+            run: async (state) => {
+                await updateReport(reportId, { status: 'processing', progress: 80, progressText: 'Generating report...' });
+                const report = generateReport(state.analysis, opponentName, state.frameCount, state.videoInfo, teamInfo);
+
+                await repository.saveReportVersion(reportId, report);
+                await repository.updateReport(reportId, {
+                    status: 'complete', progress: 100, progressText: 'Complete!',
+                    report, completedAt: new Date().toISOString()
+                });
+
+                cleanup(tempDir);
+                await sendCompletionEmail(userEmail, userName, opponentName, reportId, report);
+            }
+        }
+    ], job, ctx);
 }
 
-async function processSimpleUploadInBackground(reportId, videoPath, opponentName, analysisOptions, userEmail, userName, teamInfo = null) {
-    const tempDir = `/tmp/coachiq_${reportId}`;
-    try {
-        fs.mkdirSync(tempDir, { recursive: true });
-        const originalPath = path.join(tempDir, 'video.mp4');
-        fs.renameSync(videoPath, originalPath);
-        await processVideoFile(reportId, originalPath, opponentName, analysisOptions, userEmail, userName, tempDir, teamInfo);
-    } catch (error) {
-        console.error('Error:', error);
-        updateReport(reportId, { status: 'failed', error: error.message });
-        await sendErrorEmail(userEmail, userName, opponentName, error.message);
-        cleanup(tempDir);
+/** Called once a video job has used up its attempts. */
+async function handleVideoJobFailed(job, error) {
+    const { reportId, source, opponentName, userId, userEmail, userName, scanConsumed } = job.payload;
+    console.error('Error:', error);
+    await updateReport(reportId, { status: 'failed', error: error.message });
+    if (scanConsumed) {
+        await getAuthProvider().refundScan(userId).catch((err) => {
+            console.error(`Scan refund failed for user ${userId}:`, err.message);
+        });
+    }
+    await sendErrorEmail(userEmail, userName, opponentName, error.message);
+    cleanup(videoTempDir(reportId));
+    if (source.type === 'chunks') {
+        cleanup(source.chunksDir);
+        await repository.deleteUploadSession(source.uploadId).catch(() => {});
+    } else {
+        cleanup(source.path);
     }
 }
 
-async function processVideoFile(reportId, videoPath, opponentName, analysisOptions, userEmail, userName, tempDir, teamInfo = null) {
-    try {
-        const videoInfo = await getVideoInfo(videoPath);
-        const fileSizeMB = fs.statSync(videoPath).size / (1024 * 1024);
-        
-        let processedPath = videoPath;
-        if (fileSizeMB > 200) {
-            updateReport(reportId, { progress: 15, progressText: 'Compressing...' });
-            processedPath = path.join(tempDir, 'compressed.mp4');
-            await compressVideo(videoPath, processedPath);
-        }
-        
-        updateReport(reportId, { progress: 30, progressText: 'Extracting frames...' });
-        const frames = await extractFrames(processedPath, tempDir, videoInfo?.duration);
-        
-        // Log team info for debugging
-        if (teamInfo) {
-            console.log(`🎽 Team Info: Opponent(${teamInfo.opponent?.name})=${teamInfo.opponent?.jerseyColor}, YourTeam(${teamInfo.yourTeam?.name})=${teamInfo.yourTeam?.jerseyColor}`);
-        }
-        
-        updateReport(reportId, { progress: 45, progressText: 'AI analyzing schemes...' });
-        const analysis = await analyzeWithClaude(frames, opponentName, analysisOptions, teamInfo);
-        
-        updateReport(reportId, { progress: 80, progressText: 'Generating report...' });
-        const report = generateReport(analysis, opponentName, frames.length, videoInfo, teamInfo);
-        
-        reports.set(reportId, {
-            ...reports.get(reportId),
-            status: 'complete', progress: 100, progressText: 'Complete!',
-            report, completedAt: new Date().toISOString()
-        });
-        
-        await sendCompletionEmail(userEmail, userName, opponentName, reportId, report);
-    } catch (error) {
-        throw error;
-    } finally {
-        cleanup(tempDir);
+function videoTempDir(reportId) {
+    return `/tmp/coachiq_${reportId}`;
+}
+
+// Intermediate files live on local disk; if the container was replaced they
+// are gone and retrying cannot help.
+function requireFile(filePath, label) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        throw permanentError(`${label} no longer available on this server. Please re-upload the video.`);
     }
 }
 
@@ -1735,9 +1951,13 @@ async function analyzeWithClaude(frames, opponentName, analysisOptions, teamInfo
 // HELPERS
 // ===========================================
 
-function updateReport(reportId, updates) {
-    const current = reports.get(reportId);
-    if (current) reports.set(reportId, { ...current, ...updates });
+// Progress updates must never take down the pipeline – log and carry on
+async function updateReport(reportId, updates) {
+    try {
+        await repository.updateReport(reportId, updates);
+    } catch (e) {
+        console.error(`Report ${reportId} update failed:`, e.message);
+    }
 }
 
 async function combineChunks(chunksDir, outputPath) {
@@ -1780,7 +2000,6 @@ function compressVideo(inputPath, outputPath) {
 
 async function extractFrames(videoPath, outputDir, videoDuration = null) {
     return new Promise((resolve, reject) => {
-        const frames = [];
         const framesDir = path.join(outputDir, 'frames');
         fs.mkdirSync(framesDir, { recursive: true });
 
@@ -1798,20 +2017,20 @@ async function extractFrames(videoPath, outputDir, videoDuration = null) {
         ffmpeg(videoPath)
             .outputOptions(['-vf', `fps=1/${interval},scale=800:-2`, '-frames:v', `${maxFrames}`, '-q:v', '2'])
             .output(path.join(framesDir, 'frame_%03d.jpg'))
-            .on('end', () => {
-                const files = fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg')).sort();
-                for (const file of files) {
-                    const filePath = path.join(framesDir, file);
-                    frames.push({ filename: file, base64: fs.readFileSync(filePath).toString('base64') });
-                    fs.unlinkSync(filePath);
-                }
-                resolve(frames);
-            })
+            .on('end', () => resolve(framesDir))
             .on('error', reject)
             .run();
     });
 }
 
+// Frames stay on disk between pipeline stages so a restarted job can reuse them
+function loadFrames(framesDir) {
+    return fs.readdirSync(framesDir)
+        .filter(f => f.endsWith('.jpg'))
+        .sort()
+        .map(file => ({ filename: file, base64: fs.readFileSync(path.join(framesDir, file)).toString('base64') }));
+}
+
 // Sanitize AI response: ensure numeric fields contain numbers, not text
 function sanitizeNumeric(value, fallback = null) {
     if (value === null || value === undefined) return fallback;
@@ -2022,6 +2241,8 @@ function cleanup(dir) {
 // SCOREBOOK ANALYSIS ENDPOINTS
 // ===========================================
 
+const SCOREBOOK_MODEL = 'claude-sonnet-4-5-20250929';
+
 const SCOREBOOK_EXTRACTION_PROMPT = (teamLabel) => `You are an expert at reading handwritten basketball scorebooks. Analyze this scorebook photo for the ${teamLabel} team.
 
 Follow these steps IN ORDER. Do each step carefully before moving on.
@@ -2049,10 +2270,24 @@ Each player row has columns. Focus on the SCORING SUMMARY columns on the FAR RIG
   • "FT M" or "FM" column = free throws MADE
   • "TP" column = TOTAL POINTS (the rightmost number column — this is authoritative)
 
-For field goals attempted: count made shots + missed shots from the quarter sections if visible. A filled dot ● = made shot, an open circle ○ = missed shot. If attempts are unclear, set fieldGoalsAttempted = fieldGoalsMade (conservative estimate).
-
 For personal fouls: count how many of P1, P2, P3, P4, P5 are marked/crossed out.
 
+━━━ STEP 2B: READ EACH PLAYER'S QUARTER BOXES ━━━
+Between the fouls and the scoring summary, each player row has a box per quarter (1ST QTR, 2ND QTR, 3RD QTR, 4TH QTR, OT). Every shot and foul is written there as it happens:
+  • "2" or "3" = made 2- or 3-point field goal
+  • "1" or a filled dot ● = made free throw
+  • An open circle ○ or circled 2 = missed 2-point field goal; circled 3 = missed 3-point field goal
+  • "X" or circled 1 = missed free throw
+  • "F" = personal foul in that quarter
+
+For each quarter box count made and attempted (made + missed) field goals, three-pointers and free throws, the points scored and the fouls. fieldGoalsMade / fieldGoalsAttempted in a quarter include three-pointers. Omit quarters whose box is empty. If the quarter boxes are not legible, omit "quarters" for that player and set fieldGoalsAttempted = fieldGoalsMade (conservative estimate); otherwise fieldGoalsAttempted is the sum over the quarters.
+
+━━━ STEP 2C: READ TURNOVERS, TEAM FOULS AND TIME OUTS ━━━
+  • TURNOVERS column (right of TP): one stroke or mark per turnover, or a written number. Count it for each player; use the TOTALS row entry as teamTurnovers.
+  • TEAM FOULS row: a box per quarter with printed numbers 1 2 3 4 5 … that are crossed off as fouls are called. Count the crossed-off numbers per quarter; do not count printed numbers that are not marked.
+  • TIME OUTS row: boxes for the 1ST HALF, 2ND HALF and OT. Each mark, check or written game clock (e.g. 4:32) is one timeout taken.
+If one of these areas is blank or not on the page, return null for it.
+
 Include EVERY player listed, even those with all zeros.
 
 ━━━ STEP 3: COMPUTE TEAM TOTALS ━━━
@@ -2074,6 +2309,7 @@ Before outputting, check:
   ✓ Sum of all players' points ≈ finalScore (should match or be very close)
   ✓ fieldGoalPercentage and freeThrowPercentage are between 0 and 1
   ✓ No quarter value is 0 unless you are certain from the header
+  ✓ Each player's quarter points add up to their TP, and quarter fouls to their foul count
 
 ━━━ OUTPUT ━━━
 Return ONLY this JSON (no markdown fences, no explanation):
@@ -2089,9 +2325,16 @@ Return ONLY this JSON (no markdown fences, no explanation):
       "fieldGoalsAttempted": <total FG attempts>,
       "freeThrowsMade": <FT made>,
       "freeThrowsAttempted": <FT attempted>,
-      "fouls": <personal foul count>
+      "fouls": <personal foul count>,
+      "turnovers": <turnover count or null>,
+      "quarters": {
+        "Q1": {"fieldGoalsMade": <n>, "fieldGoalsAttempted": <n>, "threePointersMade": <n>, "threePointersAttempted": <n>, "freeThrowsMade": <n>, "freeThrowsAttempted": <n>, "points": <n>, "fouls": <n>}
+      }
     }
   ],
+  "teamTurnovers": <TURNOVERS total or null>,
+  "teamFouls": {"Q1": <n>, "Q2": <n>, "Q3": <n>, "Q4": <n>, "OT": <n>},
+  "timeouts": {"firstHalf": <n>, "secondHalf": <n>, "overtime": <n>},
   "teamTotals": {
     "totalPoints": <FINAL SCORE from header>,
     "totalFieldGoalsMade": <sum of all FG made>,
@@ -2104,11 +2347,14 @@ Return ONLY this JSON (no markdown fences, no explanation):
 }`;
 
 /**
- * Processes a single scorebook image: validates, orients, compresses,
- * sends to Claude for extraction, parses JSON, and computes team totals.
- * Returns { stats } or throws an error with a user-facing message.
+ * Processes a single scorebook image: validates, preprocesses (perspective,
+ * skew, contrast), compresses, sends to Claude for extraction, parses JSON,
+ * and computes team totals. Claude's raw JSON is cached by the hash of the
+ * image Claude would see, the model and the prompt; the server-side
+ * normalisation runs on every lookup, so changes to it apply to cached reads.
+ * Returns { stats, preprocessing, cache } or throws an error with a user-facing message.
  */
-async function processScorebook(imageBase64, teamLabel) {
+async function processScorebook(imageBase64, teamLabel, priority = 0) {
     // Validate image
     const validation = validateImage(imageBase64);
     if (!validation.valid) {
@@ -2119,16 +2365,33 @@ async function processScorebook(imageBase64, teamLabel) {
 
     let { base64Data, mediaType } = validation;
 
-    // Auto-rotate based on EXIF orientation so the image is right-side-up
-    try {
-        const oriented = await normalizeOrientation(imageBase64);
-        base64Data = oriented.base64Data;
-        mediaType = oriented.mediaType;
-        if (oriented.rotated) {
-            console.log(`[SCOREBOOK] Image auto-rotated for ${teamLabel} team`);
+    // Flatten the page: perspective, skew and gym lighting (metrics go in the response)
+    let preprocessing = null;
+    if (IMAGE_PREPROCESSING) {
+        try {
+            const prepared = await preprocessScorebookImage(Buffer.from(base64Data, 'base64'));
+            base64Data = prepared.buffer.toString('base64');
+            mediaType = prepared.mediaType;
+            preprocessing = prepared.metrics;
+            console.log(`[SCOREBOOK] ${teamLabel} image preprocessed: ${preprocessing.steps.join(', ')} (${preprocessing.duration_ms}ms)`);
+        } catch (preprocessError) {
+            console.error('Image preprocessing error:', preprocessError.message);
+            preprocessing = { error: preprocessError.message };
+        }
+    }
+
+    // Otherwise just auto-rotate based on EXIF orientation so the image is right-side-up
+    if (!preprocessing || preprocessing.error) {
+        try {
+            const oriented = await normalizeOrientation(imageBase64);
+            base64Data = oriented.base64Data;
+            mediaType = oriented.mediaType;
+            if (oriented.rotated) {
+                console.log(`[SCOREBOOK] Image auto-rotated for ${teamLabel} team`);
+            }
+        } catch (orientError) {
+            console.error('Orientation normalization error:', orientError.message);
         }
-    } catch (orientError) {
-        console.error('Orientation normalization error:', orientError.message);
     }
 
     // Compress if over 10MB (preserve detail for handwritten scorebooks)
@@ -2145,11 +2408,40 @@ async function processScorebook(imageBase64, teamLabel) {
         console.error('Image compression error:', compressError.message);
     }
 
+    const prompt = SCOREBOOK_EXTRACTION_PROMPT(teamLabel);
+    const { result: raw, cache } = await resultCache.remember(
+        'claude',
+        `${SCOREBOOK_MODEL}:${promptVersion(prompt)}:raw`,
+        Buffer.from(base64Data, 'base64'),
+        () => extractScorebookStats(base64Data, mediaType, prompt, priority)
+    );
+
+    return { stats: normalizeScorebookStats(raw), preprocessing, cache };
+}
+
+/**
+ * Server-side team totals computation as safety net; quarter boxes first,
+ * since they can raise the attempt counts. Adds advanced metrics to the
+ * team totals and each player, read the same way as stored scorebooks.
+ */
+function normalizeScorebookStats(raw) {
+    const stats = computeTeamTotals(normalizeClaudeTeamEvents(normalizeClaudeQuarters(structuredClone(raw))));
+    if (!stats || !Array.isArray(stats.players)) return stats;
+    const metrics = boxScoreMetrics(stats);
+    stats.players.forEach((player, i) => {
+        player.metrics = metrics.players[i].metrics;
+    });
+    stats.teamTotals.metrics = metrics.team;
+    return stats;
+}
+
+/** Claude vision extraction of one scorebook image → the JSON Claude returned. */
+async function extractScorebookStats(base64Data, mediaType, prompt, priority) {
     // Call Claude vision to extract stats
     let statsResponse;
     try {
-        statsResponse = await anthropic.messages.create({
-            model: 'claude-sonnet-4-5-20250929',
+        statsResponse = await scheduler.run('anthropic', () => anthropic.messages.create({
+            model: SCOREBOOK_MODEL,
             max_tokens: 4096,
             messages: [{
                 role: 'user',
@@ -2164,11 +2456,11 @@ async function processScorebook(imageBase64, teamLabel) {
                     },
                     {
                         type: 'text',
-                        text: SCOREBOOK_EXTRACTION_PROMPT(teamLabel)
+                        text: prompt
                     }
                 ]
             }]
-        });
+        }), { priority });
     } catch (apiError) {
         const err = new Error('Failed to analyze scorebook image. Claude API error: ' + apiError.message);
         err.statusCode = 502;
@@ -2176,9 +2468,8 @@ async function processScorebook(imageBase64, teamLabel) {
     }
 
     // Parse JSON from Claude response
-    let stats;
     try {
-        stats = extractJSON(statsResponse.content[0].text);
+        return extractJSON(statsResponse.content[0].text);
     } catch (parseError) {
         console.error('JSON parse error:', parseError.message);
         console.error('Raw response:', statsResponse.content[0].text);
@@ -2186,11 +2477,6 @@ async function processScorebook(imageBase64, teamLabel) {
         err.statusCode = 422;
         throw err;
     }
-
-    // Server-side team totals computation as safety net
-    stats = computeTeamTotals(stats);
-
-    return stats;
 }
 
 function scorebookLogger(req, res, next) {
@@ -2226,7 +2512,9 @@ function scorebookLogger(req, res, next) {
 // Accepts either:
 //   { homeImage, opponentImage }  — analyzes both scorebooks
 //   { image, team }               — legacy single-image mode
-app.post('/api/analyze-scorebook', scorebookLogger, async (req, res) => {
+// With "gameId", each team's stats are also stored as a scorebook on that
+// game (source "claude") for review and season stats.
+app.post('/api/analyze-scorebook', authMiddleware, entitlement, scorebookLogger, async (req, res) => {
     const startTime = Date.now();
 
     try {
@@ -2239,16 +2527,20 @@ app.post('/api/analyze-scorebook', scorebookLogger, async (req, res) => {
                 error: 'Missing image data. Provide "homeImage" and/or "opponentImage", or "image" with "team".'
             });
         }
+        const game = await teams.findGame(req.user, req.body.gameId);
 
         let homeStats = null;
         let opponentStats = null;
+        const preprocessing = {};
+        const cache = {};
         let insights = '';
+        const priority = priorityForPlan(req.user.plan, req.user.planStatus);
 
         if (isDualMode) {
             // Process both scorebooks in parallel if both provided
             const jobs = [];
-            if (homeImage) jobs.push(processScorebook(homeImage, 'home').then(s => { homeStats = s; }));
-            if (opponentImage) jobs.push(processScorebook(opponentImage, 'opponent').then(s => { opponentStats = s; }));
+            if (homeImage) jobs.push(processScorebook(homeImage, 'home', priority).then(r => { homeStats = r.stats; preprocessing.home = r.preprocessing; cache.home = r.cache; }));
+            if (opponentImage) jobs.push(processScorebook(opponentImage, 'opponent', priority).then(r => { opponentStats = r.stats; preprocessing.opponent = r.preprocessing; cache.opponent = r.cache; }));
             await Promise.all(jobs);
         } else {
             // Legacy single-image mode
@@ -2258,9 +2550,11 @@ app.post('/api/analyze-scorebook', scorebookLogger, async (req, res) => {
                     error: 'Missing or invalid "team" field. Must be "home" or "away".'
                 });
             }
-            const stats = await processScorebook(image, team);
+            const { stats, preprocessing: metrics, cache: cached } = await processScorebook(image, team, priority);
             if (team === 'home') homeStats = stats;
             else opponentStats = stats;
+            preprocessing[team === 'home' ? 'home' : 'opponent'] = metrics;
+            cache[team === 'home' ? 'home' : 'opponent'] = cached;
         }
 
         // Build context for insights generation
@@ -2291,11 +2585,11 @@ ${homeStats && opponentStats ? 'Compare the two teams where relevant and highlig
 Be specific, actionable, and reference the actual numbers from the game stats.`;
 
         try {
-            const insightsResponse = await anthropic.messages.create({
+            const insightsResponse = await scheduler.run('anthropic', () => anthropic.messages.create({
                 model: 'claude-sonnet-4-5-20250929',
                 max_tokens: 4096,
                 messages: [{ role: 'user', content: insightsPrompt }]
-            });
+            }), { priority });
             insights = insightsResponse.content[0].text;
         } catch (apiError) {
             console.error('Claude API error (insights):', apiError.message);
@@ -2306,6 +2600,21 @@ Be specific, actionable, and reference the actual numbers from the game stats.`;
             });
         }
 
+        // Home stats are the coach's team, so they go on the game's own side
+        const scorebookIds = game ? {} : null;
+        if (game) {
+            for (const [key, stats] of [['home', homeStats], ['opponent', opponentStats]]) {
+                if (!stats) continue;
+                const stored = await scorebookReview.save({
+                    userId: req.user.id, source: 'claude', template: 'claude',
+                    side: sideFor(game, { opponent: key === 'opponent' }),
+                    teamName: key === 'opponent' ? game.opponentName : null,
+                    gameId: game.id, result: claudeBoxScore(stats),
+                });
+                scorebookIds[key] = stored.id;
+            }
+        }
+
         const processingTime = ((Date.now() - startTime) / 1000).toFixed(1) + 's';
 
         res.json({
@@ -2315,6 +2624,9 @@ Be specific, actionable, and reference the actual numbers from the game stats.`;
             // Legacy compat: also include "stats" pointing to whichever was requested
             stats: homeStats || opponentStats,
             insights,
+            preprocessing,
+            cache,
+            scorebookIds,
             processingTime
         });
 
@@ -2334,7 +2646,7 @@ Be specific, actionable, and reference the actual numbers from the game stats.`;
 // PRACTICE PLAN GENERATION ENDPOINT
 // ===========================================
 
-app.post('/api/generate-practice-plan', scorebookLogger, async (req, res) => {
+app.post('/api/generate-practice-plan', authMiddleware, scorebookLogger, async (req, res) => {
     const startTime = Date.now();
 
     try {
@@ -2348,6 +2660,7 @@ app.post('/api/generate-practice-plan', scorebookLogger, async (req, res) => {
                 error: 'Missing stats data. Provide "homeStats" or "stats" from a previous scorebook analysis.'
             });
         }
+        const game = await teams.findGame(req.user, req.body.gameId);
 
         const practicePlanPrompt = `You are an elite basketball coach creating a detailed practice plan based on recent game performance.
 
@@ -2399,11 +2712,11 @@ Be specific with drill descriptions. Reference actual game stats to justify each
 
         let planResponse;
         try {
-            planResponse = await anthropic.messages.create({
+            planResponse = await scheduler.run('anthropic', () => anthropic.messages.create({
                 model: 'claude-sonnet-4-5-20250929',
                 max_tokens: 8192,
                 messages: [{ role: 'user', content: practicePlanPrompt }]
-            });
+            }), { priority: priorityForPlan(req.user.plan, req.user.planStatus) });
         } catch (apiError) {
             console.error('Claude API error (practice plan):', apiError.message);
             return res.status(502).json({
@@ -2416,13 +2729,24 @@ Be specific with drill descriptions. Reference actual game stats to justify each
         const practicePlan = planResponse.content[0].text;
         const processingTime = ((Date.now() - startTime) / 1000).toFixed(1) + 's';
 
+        // Kept so it can be attached to a game later (POST /api/games/:id/attachments)
+        const stored = await repository.createPracticePlan({
+            id: uuidv4(), userId: req.user.id, gameId: game ? game.id : null,
+            opponentName: game ? game.opponentName : null, plan: practicePlan,
+            createdAt: new Date().toISOString(),
+        });
+
         res.json({
             success: true,
             practicePlan,
+            practicePlanId: stored.id,
             processingTime
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
         console.error('Practice plan generation error:', error);
         const processingTime = ((Date.now() - startTime) / 1000).toFixed(1) + 's';
         res.status(500).json({
@@ -2434,8 +2758,13 @@ Be specific with drill descriptions. Reference actual game stats to justify each
     }
 });
 
+// GET /api/practice-plans/:id
+app.get('/api/practice-plans/:id', authMiddleware, requirePracticePlanOwner(repository), (req, res) => {
+    res.json({ practicePlan: req.practicePlan });
+});
+
 // ===========================================
-// DOCUMENT AI OCR ENDPOINTS
+// OCR ENDPOINTS
 // ===========================================
 
 // Separate multer instance for OCR – memory storage (no disk temp files),
@@ -2445,12 +2774,8 @@ const ocrUpload = multer({
     limits: { fileSize: OCR_MAX_FILE_SIZE },
 });
 
-/**
- * POST /api/ocr/scorebook
- * Accept multipart/form-data with field "file" (image or PDF).
- * Returns normalised OCR JSON: { text, pages[] }.
- */
-app.post('/api/ocr/scorebook', (req, res, next) => {
+/** multer for the OCR endpoints, with size errors mapped to 413. */
+function receiveOcrFile(req, res, next) {
     ocrUpload.single('file')(req, res, (err) => {
         if (err) {
             if (err.code === 'LIMIT_FILE_SIZE') {
@@ -2462,7 +2787,47 @@ app.post('/api/ocr/scorebook', (req, res, next) => {
         }
         next();
     });
-}, async (req, res) => {
+}
+
+/**
+ * Preprocess an uploaded JPEG / PNG for OCR (binarised – OCR engines read
+ * clean black-on-white best). PDFs pass through; so does an image sharp
+ * can't process, with the error in preprocessing. The crops endpoint runs
+ * the same step so its photo matches the OCR'd page's pixel coordinates.
+ *
+ * @returns {Promise<{ buffer: Buffer, mimetype: string, preprocessing: object|null }>}
+ */
+async function prepareOcrImage(buffer, mimetype) {
+    if (!IMAGE_PREPROCESSING || !['image/jpeg', 'image/png'].includes(mimetype)) {
+        return { buffer, mimetype, preprocessing: null };
+    }
+    try {
+        const prepared = await preprocessScorebookImage(buffer, { binarize: true });
+        return { buffer: prepared.buffer, mimetype: prepared.mediaType, preprocessing: prepared.metrics };
+    } catch (error) {
+        console.error('Image preprocessing error:', error.message);
+        return { buffer, mimetype, preprocessing: { error: error.message } };
+    }
+}
+
+/**
+ * Run the OCR provider on a prepared upload, through the result cache.
+ * Fixture replay is free and its files change, so it is never cached.
+ *
+ * @returns {Promise<{ result: object, cache: object|null }>}
+ */
+async function runOcr(prepared) {
+    const recognise = () => ocr.process(prepared.buffer, prepared.mimetype);
+    if (ocr.name === 'fixture') return { result: await recognise(), cache: null };
+    return resultCache.remember('ocr', ocr.version, prepared.buffer, recognise);
+}
+
+/**
+ * POST /api/ocr/scorebook
+ * Accept multipart/form-data with field "file" (image or PDF).
+ * Returns normalised OCR JSON: { text, pages[] }.
+ */
+app.post('/api/ocr/scorebook', authMiddleware, ocrEntitlement, receiveOcrFile, async (req, res) => {
     const requestId = uuidv4().slice(0, 8);
     const startTime = Date.now();
 
@@ -2475,21 +2840,24 @@ app.post('/api/ocr/scorebook', (req, res, next) => {
 
         console.log(`[OCR ${requestId}] Received ${mimetype} (${(size / 1024).toFixed(1)} KB)`);
 
-        if (!OCR_MIME_TYPES.has(mimetype)) {
+        if (!ocr.SUPPORTED_MIME_TYPES.has(mimetype)) {
             return res.status(400).json({
-                error: `Unsupported file type: ${mimetype}. Supported: ${[...OCR_MIME_TYPES].join(', ')}`,
+                error: `Unsupported file type: ${mimetype}. Supported: ${[...ocr.SUPPORTED_MIME_TYPES].join(', ')}`,
             });
         }
 
-        const result = await processDocumentAI(buffer, mimetype);
+        const prepared = await prepareOcrImage(buffer, mimetype);
+        const { result, cache } = await runOcr(prepared);
 
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`[OCR ${requestId}] Done in ${elapsed}s – ${result.text.length} chars, ${result.pages.length} page(s)`);
+        console.log(`[OCR ${requestId}] Done in ${elapsed}s – ${result.text.length} chars, ${result.pages.length} page(s)${cache && cache.hit ? ' (cached)' : ''}`);
 
         res.json({
             success: true,
             requestId,
             processingTime: `${elapsed}s`,
+            preprocessing: prepared.preprocessing,
+            cache,
             ...result,
         });
     } catch (error) {
@@ -2507,23 +2875,69 @@ app.post('/api/ocr/scorebook', (req, res, next) => {
     }
 });
 
+// ?template= for /api/ocr/scorebook/parse
+//   text    – regex parser over the OCR text (services/scorebookParser.js), the default
+//   <id>    – a layout template from the scorebooks/ registry, e.g. mark5
+//   auto    – detect the template from its header anchors; text if none matches
+// ?gameId= attaches the stored scorebook to one of the coach's games (also on
+// /game and /ensemble).
+function ocrParseTemplates() {
+    return ['text', 'auto', ...listTemplates().map((t) => t.id)];
+}
+
+function parseOcrResult(ocrResult, template) {
+    let detection = null;
+    if (template !== 'text') {
+        const { template: id, detection: detected, result } = parseWithTemplate(ocrResult, { template });
+        detection = detected;
+
+        if (result) {
+            return {
+                template: id,
+                boxScore: result,
+                detection,
+                parsed: {
+                    players: result.players,
+                    teamTotals: result.team_totals,
+                    runningScore: result.running_score || null,
+                },
+                validation: result.validation,
+                needs_review: result.validation.needs_review,
+                metrics: boxScoreMetrics(result),
+                quality: result.quality,
+                is_blank: result.is_blank,
+                warnings: result.quality.issues,
+            };
+        }
+    }
+
+    // Text parser – requested, or auto-detection found no layout template
+    const parsed = parseScorebook(ocrResult.text);
+    return {
+        template: 'text',
+        boxScore: null,
+        ...(detection && { detection }),
+        parsed: { players: parsed.players, teamTotals: parsed.teamTotals },
+        warnings: detection
+            ? ['No scorebook template recognised; used the text parser.', ...parsed.warnings]
+            : parsed.warnings,
+    };
+}
+
 /**
  * POST /api/ocr/scorebook/parse
  * Same as /api/ocr/scorebook but also runs the heuristic scorebook parser
  * to extract player stats, team totals, etc.
  */
-app.post('/api/ocr/scorebook/parse', (req, res, next) => {
-    ocrUpload.single('file')(req, res, (err) => {
-        if (err) {
-            if (err.code === 'LIMIT_FILE_SIZE') {
-                return res.status(413).json({
-                    error: `File too large. Maximum size: ${OCR_MAX_FILE_SIZE / 1024 / 1024} MB.`,
-                });
-            }
-            return res.status(400).json({ error: err.message });
-        }
-        next();
-    });
+app.post('/api/ocr/scorebook/parse', authMiddleware, entitlement, (req, res, next) => {
+    const template = req.query.template || 'text';
+    const supported = ocrParseTemplates();
+    if (!supported.includes(template)) {
+        return res.status(400).json({
+            error: `Unknown template "${template}". Supported: ${supported.join(', ')}`,
+        });
+    }
+    receiveOcrFile(req, res, next);
 }, async (req, res) => {
     const requestId = uuidv4().slice(0, 8);
     const startTime = Date.now();
@@ -2537,28 +2951,40 @@ app.post('/api/ocr/scorebook/parse', (req, res, next) => {
 
         console.log(`[OCR-PARSE ${requestId}] Received ${mimetype} (${(size / 1024).toFixed(1)} KB)`);
 
-        if (!OCR_MIME_TYPES.has(mimetype)) {
+        if (!ocr.SUPPORTED_MIME_TYPES.has(mimetype)) {
             return res.status(400).json({
-                error: `Unsupported file type: ${mimetype}. Supported: ${[...OCR_MIME_TYPES].join(', ')}`,
+                error: `Unsupported file type: ${mimetype}. Supported: ${[...ocr.SUPPORTED_MIME_TYPES].join(', ')}`,
             });
         }
-
-        const ocrResult = await processDocumentAI(buffer, mimetype);
-        const parsed = parseScorebook(ocrResult.text);
+        const attachTo = await teams.findGame(req.user, req.query.gameId);
+
+        const prepared = await prepareOcrImage(buffer, mimetype);
+        const { result: ocrResult, cache } = await runOcr(prepared);
+        const { template, boxScore, ...result } = parseOcrResult(ocrResult, req.query.template || 'text');
+
+        // Layout-template parses are kept for review (GET/PATCH /api/scorebooks/:id)
+        let scorebookId = null;
+        if (boxScore && !boxScore.is_blank) {
+            const stored = await scorebookReview.save({
+                userId: req.user.id, source: 'parse', template, result: boxScore,
+                gameId: attachTo ? attachTo.id : null,
+            });
+            scorebookId = stored.id;
+        }
 
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`[OCR-PARSE ${requestId}] Done in ${elapsed}s – ${parsed.players.length} players detected`);
+        console.log(`[OCR-PARSE ${requestId}] Done in ${elapsed}s – ${template} parser, ${result.parsed.players.length} players detected`);
 
         res.json({
             success: true,
             requestId,
             processingTime: `${elapsed}s`,
+            template,
+            scorebookId,
+            preprocessing: prepared.preprocessing,
+            cache,
             ocr: ocrResult,
-            parsed: {
-                players: parsed.players,
-                teamTotals: parsed.teamTotals,
-            },
-            warnings: parsed.warnings,
+            ...result,
         });
     } catch (error) {
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -2575,7 +3001,342 @@ app.post('/api/ocr/scorebook/parse', (req, res, next) => {
     }
 });
 
+/**
+ * POST /api/ocr/scorebook/game
+ * OCR a multi-page scan of one game (usually a PDF) and return both teams'
+ * box scores. Pages are detected and parsed individually, assigned to
+ * home / visitor, and overtime continuation pages are merged into their
+ * team (scorebooks/game.js). ?template=auto (default) or a template id,
+ * ?gameId= to attach both teams' scorebooks to a game.
+ */
+app.post('/api/ocr/scorebook/game', authMiddleware, entitlement, (req, res, next) => {
+    const template = req.query.template || 'auto';
+    const supported = ['auto', ...listTemplates().map((t) => t.id)];
+    if (!supported.includes(template)) {
+        return res.status(400).json({
+            error: `Unknown template "${template}". Supported: ${supported.join(', ')}`,
+        });
+    }
+    receiveOcrFile(req, res, next);
+}, async (req, res) => {
+    const requestId = uuidv4().slice(0, 8);
+    const startTime = Date.now();
+
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Missing file. Send multipart/form-data with field name "file".' });
+        }
+
+        const { mimetype, buffer, size } = req.file;
+
+        console.log(`[OCR-GAME ${requestId}] Received ${mimetype} (${(size / 1024).toFixed(1)} KB)`);
+
+        if (!ocr.SUPPORTED_MIME_TYPES.has(mimetype)) {
+            return res.status(400).json({
+                error: `Unsupported file type: ${mimetype}. Supported: ${[...ocr.SUPPORTED_MIME_TYPES].join(', ')}`,
+            });
+        }
+        const attachTo = await teams.findGame(req.user, req.query.gameId);
+
+        const prepared = await prepareOcrImage(buffer, mimetype);
+        const { result: ocrResult, cache } = await runOcr(prepared);
+        const game = parseGame(ocrResult, { template: req.query.template || 'auto' });
+
+        for (const side of ['home', 'visitor']) {
+            const team = game.teams[side];
+            if (!team) continue;
+            const { team_name: teamName, pages, template, template_name: templateName, ...result } = team;
+            const stored = await scorebookReview.save({
+                userId: req.user.id, source: 'game', template, side, teamName,
+                gameId: attachTo ? attachTo.id : null, result: { ...result, template: templateName },
+            });
+            team.scorebook_id = stored.id;
+            team.metrics = boxScoreMetrics(result);
+        }
+
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        const found = ['home', 'visitor'].filter((side) => game.teams[side]).join(' + ') || 'no teams';
+        console.log(`[OCR-GAME ${requestId}] Done in ${elapsed}s – ${ocrResult.pages.length} page(s), ${found}`);
+
+        res.json({
+            success: true,
+            requestId,
+            processingTime: `${elapsed}s`,
+            preprocessing: prepared.preprocessing,
+            cache,
+            ...game,
+        });
+    } catch (error) {
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        const status = error.statusCode || 500;
+        console.error(`[OCR-GAME ${requestId}] Error (${elapsed}s):`, error.message);
+
+        res.status(status).json({
+            success: false,
+            requestId,
+            error: status === 500
+                ? 'Internal server error during OCR processing.'
+                : error.message,
+        });
+    }
+});
+
+/**
+ * POST /api/ocr/scorebook/ensemble
+ * Read one scorebook photo both ways – OCR + a layout template, and Claude
+ * vision – and reconcile them into one consensus box score
+ * (scorebooks/ensemble.js). Disagreements are returned and stored as review
+ * flags. ?template=mark5 (default) | auto | <id>, ?team=home (default) | opponent,
+ * ?gameId= to attach it to a game.
+ */
+const ENSEMBLE_MIME_TYPES = ['image/jpeg', 'image/png'];
+const ENSEMBLE_TEAMS = ['home', 'opponent'];
+
+app.post('/api/ocr/scorebook/ensemble', authMiddleware, entitlement, (req, res, next) => {
+    const template = req.query.template || 'mark5';
+    const supported = ['auto', ...listTemplates().map((t) => t.id)];
+    if (!supported.includes(template)) {
+        return res.status(400).json({
+            error: `Unknown template "${template}". Supported: ${supported.join(', ')}`,
+        });
+    }
+    if (req.query.team && !ENSEMBLE_TEAMS.includes(req.query.team)) {
+        return res.status(400).json({ error: `team must be one of: ${ENSEMBLE_TEAMS.join(', ')}` });
+    }
+    receiveOcrFile(req, res, next);
+}, async (req, res) => {
+    const requestId = uuidv4().slice(0, 8);
+    const startTime = Date.now();
+
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Missing file. Send multipart/form-data with field name "file".' });
+        }
+
+        const { mimetype, buffer, size } = req.file;
+
+        console.log(`[OCR-ENSEMBLE ${requestId}] Received ${mimetype} (${(size / 1024).toFixed(1)} KB)`);
+
+        if (!ENSEMBLE_MIME_TYPES.includes(mimetype) || !ocr.SUPPORTED_MIME_TYPES.has(mimetype)) {
+            return res.status(400).json({
+                error: `Unsupported file type: ${mimetype}. Supported: ${ENSEMBLE_MIME_TYPES.filter((t) => ocr.SUPPORTED_MIME_TYPES.has(t)).join(', ')}`,
+            });
+        }
+        const attachTo = await teams.findGame(req.user, req.query.gameId);
+
+        // Both readings in parallel; either failing fails the request
+        const readOcr = async () => {
+            const prepared = await prepareOcrImage(buffer, mimetype);
+            const { result: ocrResult, cache } = await runOcr(prepared);
+            const parsed = parseWithTemplate(ocrResult, { template: req.query.template || 'mark5' });
+            if (!parsed.result) {
+                throw Object.assign(new Error('No scorebook template recognised on this page.'), { statusCode: 422 });
+            }
+            return { ...parsed, preprocessing: prepared.preprocessing, cache };
+        };
+        const [ocrRead, claudeRead] = await Promise.all([
+            readOcr(),
+            processScorebook(`data:${mimetype};base64,${buffer.toString('base64')}`, req.query.team || 'home', priorityForPlan(req.user.plan, req.user.planStatus)),
+        ]);
+
+        const boxScore = reconcile(ocrRead.result, claudeRead.stats);
+        const opponent = req.query.team === 'opponent';
+        const stored = await scorebookReview.save({
+            userId: req.user.id, source: 'ensemble', template: ocrRead.template, result: boxScore,
+            gameId: attachTo ? attachTo.id : null,
+            side: attachTo ? sideFor(attachTo, { opponent }) : null,
+            teamName: attachTo && opponent ? attachTo.opponentName : null,
+        });
+
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        const { ensemble } = boxScore;
+        console.log(`[OCR-ENSEMBLE ${requestId}] Done in ${elapsed}s – ${ocrRead.template}, ${ensemble.matched} players matched, ${ensemble.disagreements.length} disagreement(s)`);
+
+        res.json({
+            success: true,
+            requestId,
+            processingTime: `${elapsed}s`,
+            template: ocrRead.template,
+            detection: ocrRead.detection,
+            scorebookId: stored.id,
+            boxScore,
+            ensemble,
+            validation: boxScore.validation,
+            needs_review: boxScore.validation.needs_review,
+            metrics: boxScoreMetrics(boxScore),
+            sources: { ocr: ocrRead.result, claude: claudeRead.stats },
+            preprocessing: { ocr: ocrRead.preprocessing, claude: claudeRead.preprocessing },
+            cache: { ocr: ocrRead.cache, claude: claudeRead.cache },
+        });
+    } catch (error) {
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+        const status = error.statusCode || 500;
+        console.error(`[OCR-ENSEMBLE ${requestId}] Error (${elapsed}s):`, error.message);
+
+        res.status(status).json({
+            success: false,
+            requestId,
+            error: status === 500
+                ? 'Internal server error during scorebook extraction.'
+                : error.message,
+        });
+    }
+});
+
+// ===========================================
+// SCOREBOOK REVIEW
+// ===========================================
+
+// GET /api/scorebooks?status=needs_review|ready|confirmed – the user's stored parses
+app.get('/api/scorebooks', authMiddleware, async (req, res) => {
+    const { status } = req.query;
+    if (status && !SCOREBOOK_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${SCOREBOOK_STATUSES.join(', ')}` });
+    }
+    try {
+        const scorebooks = (await repository.listScorebooksByUser(req.user.id, { status })).map((s) => ({
+            id: s.id, source: s.source, template: s.template, side: s.side, teamName: s.teamName,
+            gameId: s.gameId || null, status: s.status, reviewReasons: s.result.validation.review_reasons,
+            createdAt: s.createdAt, updatedAt: s.updatedAt, confirmedAt: s.confirmedAt,
+        }));
+        res.json({ scorebooks });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/scorebooks/:id – box score with validation, its edit history and
+// advanced metrics
+app.get('/api/scorebooks/:id', authMiddleware, requireScorebookOwner(repository), async (req, res) => {
+    try {
+        const edits = await repository.listScorebookEdits(req.scorebook.id);
+        res.json({ scorebook: req.scorebook, edits, metrics: boxScoreMetrics(req.scorebook.result) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/scorebooks/:id
+//   { edits: [{ row_index, field, value } | { team: true, field, value }], confirm?: boolean }
+// Corrections re-run the validation checks; confirm: true marks the box score
+// as final for downstream stats, confirm: false reopens it.
+app.patch('/api/scorebooks/:id', authMiddleware, requireScorebookOwner(repository), async (req, res) => {
+    try {
+        const { edits, confirm } = req.body || {};
+        const { scorebook, edit } = await scorebookReview.update(req.scorebook, { edits, confirm }, req.user);
+        res.json({ scorebook, edit });
+    } catch (error) {
+        const status = error.statusCode || 500;
+        if (status === 500) console.error('Scorebook update error:', error);
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// GET /api/scorebooks/:id/players – each player row's roster link: confirmed
+// by the coach, matched on number / name / history, or ambiguous with candidates.
+// The scorebook must be attached to a game.
+app.get('/api/scorebooks/:id/players', authMiddleware, requireScorebookOwner(repository), async (req, res) => {
+    try {
+        res.json(await playerMatching.suggest(req.scorebook));
+    } catch (error) {
+        const status = error.statusCode || 500;
+        if (status === 500) console.error('Player matching error:', error);
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// PATCH /api/scorebooks/:id/players
+//   { links?: [{ rowIndex, rosterPlayerId | null }], acceptMatched?: boolean }
+// Confirms row → roster player links (null: not on the roster); acceptMatched
+// confirms every automatic match. Season stats and later matches use them.
+app.patch('/api/scorebooks/:id/players', authMiddleware, requireScorebookOwner(repository), async (req, res) => {
+    try {
+        const { links, acceptMatched } = req.body || {};
+        res.json(await playerMatching.confirm(req.scorebook, { links, acceptMatched }));
+    } catch (error) {
+        const status = error.statusCode || 500;
+        if (status === 500) console.error('Player link error:', error);
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// POST /api/scorebooks/:id/crops?scope=flagged|rows&page=N
+// multipart/form-data "file": the photo of that page (JPEG / PNG) – the
+// server keeps no images. Returns the cropped handwriting behind each
+// flagged cell (default) or each row, so the review UI can show it next to
+// the parsed value.
+const CROP_MIME_TYPES = new Set(['image/jpeg', 'image/png']);
+
+app.post('/api/scorebooks/:id/crops', authMiddleware, requireScorebookOwner(repository), (req, res, next) => {
+    const scope = req.query.scope || 'flagged';
+    if (!CROP_SCOPES.includes(scope)) {
+        return res.status(400).json({ error: `scope must be one of: ${CROP_SCOPES.join(', ')}` });
+    }
+    if (req.query.page !== undefined && !/^\d+$/.test(req.query.page)) {
+        return res.status(400).json({ error: 'page must be a page number.' });
+    }
+    receiveOcrFile(req, res, next);
+}, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ error: 'Missing file. Send multipart/form-data with field name "file".' });
+        }
+        if (!CROP_MIME_TYPES.has(req.file.mimetype)) {
+            return res.status(400).json({
+                error: `Unsupported file type: ${req.file.mimetype}. Upload the page as ${[...CROP_MIME_TYPES].join(' or ')}.`,
+            });
+        }
+
+        const { page, crops } = cropTargets(req.scorebook.result, {
+            scope: req.query.scope || 'flagged',
+            page: req.query.page !== undefined ? parseInt(req.query.page, 10) : undefined,
+        });
+        // Same preprocessing as the OCR, so the photo lines up with the parsed positions
+        const { buffer } = await prepareOcrImage(req.file.buffer, req.file.mimetype);
+        const image = await imageSize(buffer).catch(() => {
+            throw Object.assign(new Error('Could not read the uploaded image.'), { statusCode: 400 });
+        });
+        const regions = crops
+            .map((crop) => ({ ...crop, region: scaleBox(crop.box, page, image) }))
+            .filter((crop) => crop.region);
+        const images = await extractRegions(buffer, regions.map((crop) => crop.region));
+
+        res.json({
+            scorebookId: req.scorebook.id,
+            page: page.page,
+            crops: regions.map(({ box, ...crop }, i) => ({
+                ...crop,
+                image: `data:image/jpeg;base64,${images[i]}`,
+            })),
+        });
+    } catch (error) {
+        const status = error.statusCode || 500;
+        if (status === 500) console.error('Scorebook crop error:', error);
+        res.status(status).json({ error: error.message });
+    }
+});
+
+// ===========================================
+// ADMIN
+// ===========================================
+
+// DELETE /api/admin/cache?kind=ocr|claude&key=<sha256>&olderThan=<ISO date>
+// Purge cached OCR / Claude results; no filters empties the cache
+app.delete('/api/admin/cache', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const { kind, key, olderThan } = req.query;
+        const purged = await resultCache.purge({ kind, key, olderThan });
+        console.log(`[CACHE] ${req.user.email} purged ${purged} entr${purged === 1 ? 'y' : 'ies'}`, { kind, key, olderThan });
+        res.json({ success: true, purged });
+    } catch (error) {
+        const status = error.statusCode || 500;
+        if (status === 500) console.error('Cache purge error:', error);
+        res.status(status).json({ error: status === 500 ? 'Internal server error' : error.message });
+    }
+});
+
 app.listen(PORT, () => {
+    jobQueue.start();
     console.log('===========================================');
     console.log(`CoachIQ v6.0 COMPREHENSIVE`);
     console.log(`Environment: ${NODE_ENV}`);
@@ -2591,13 +3352,34 @@ app.listen(PORT, () => {
     console.log('  GET  /api/users/:email          Get user');
     console.log('  GET  /api/users/:email/reports  Get user reports');
     console.log('  GET  /api/reports/:id            Get report');
+    console.log('  GET  /api/reports/:id/pdf        Report PDF');
+    console.log('  GET  /api/me/usage              Plan / scan usage');
     console.log('  POST /api/upload/init           Init upload');
     console.log('  POST /api/upload/chunk          Upload chunk');
     console.log('  POST /api/upload/finalize       Finalize upload');
     console.log('  POST /api/upload/simple         Simple upload');
     console.log('  POST /api/analyze-scorebook     Scorebook analysis');
-    console.log('  POST /api/ocr/scorebook         Document AI OCR');
-    console.log('  POST /api/ocr/scorebook/parse   OCR + stat parsing');
+    console.log('  POST /api/ocr/scorebook         OCR (Document AI / Tesseract / fixture)');
+    console.log('  POST /api/ocr/scorebook/parse   OCR + stat parsing (?template=text|auto|<id>)');
+    console.log('  POST /api/ocr/scorebook/game    Multi-page game: home + visitor box scores');
+    console.log('  POST /api/ocr/scorebook/ensemble OCR + Claude consensus box score');
+    console.log('  GET  /api/scorebooks            Stored scorebook parses (?status=)');
+    console.log('  GET  /api/scorebooks/:id        Scorebook + edit history');
+    console.log('  PATCH /api/scorebooks/:id       Correct cells / confirm');
+    console.log('  POST /api/scorebooks/:id/crops  Image crops of flagged cells / rows');
+    console.log('  GET  /api/scorebooks/:id/players Row → roster player matches');
+    console.log('  PATCH /api/scorebooks/:id/players Confirm roster links');
+    console.log('  DELETE /api/admin/cache         Purge cached OCR / Claude results (admin)');
+    console.log('  POST /api/stripe/checkout       Stripe checkout');
+    console.log('  POST /api/stripe/portal         Billing portal');
+    console.log('  POST /api/stripe/webhook        Stripe webhook');
     console.log('  POST /api/generate-practice-plan Practice plan');
+    console.log('  GET  /api/practice-plans/:id    Stored practice plan');
+    console.log('  *    /api/teams[/:id]           Teams (+ /seasons)');
+    console.log('  *    /api/seasons/:id           Seasons (+ /roster, /games)');
+    console.log('  *    /api/roster/:id            Roster players');
+    console.log('  *    /api/games/:id             Games (+ /attachments)');
+    console.log('  GET  /api/teams/:id/season-stats Season record, splits, player lines');
+    console.log('  GET  /api/players/:id/stats     Player season line + game log');
     console.log('===========================================');
 });
@@ -0,0 +1,76 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Auth provider selection
+//
+// AUTH_PROVIDER=local     → bcrypt + JWT against models/User (tests, self-hosting)
+// AUTH_PROVIDER=supabase  → Supabase Auth + user_profiles
+//
+// Both providers expose the same interface and map the profile into the same
+// req.user shape, so routes never need to know which one is active:
+//
+//   signup({ email, password, name, school, coachingLevel }) → { token, user }
+//   login({ email, password })                               → { token, user }
+//   verifyToken(token)                                       → user
+//   consumeScan(userId)   → trial scans left after taking one, or null if none
+//   refundScan(userId)    → trial scans left after giving one back
+//   updateBilling(userId, { plan, planStatus, stripeCustomerId, stripeSubscriptionId }) → user
+//   findByStripeCustomerId(customerId) → user or null
+//
+// Failures are thrown as Errors carrying a statusCode.
+// ---------------------------------------------------------------------------
+
+const PROVIDERS = {
+    local: () => require('./local').createLocalProvider(),
+    supabase: () => require('./supabase').createSupabaseProvider(),
+};
+
+/** Profile fields exposed on req.user, identical for every provider. */
+const PROFILE_FIELDS = [
+    'id',
+    'email',
+    'name',
+    'school',
+    'coachingLevel',
+    'plan',
+    'planStatus',
+    'trialScansRemaining',
+    'trialEndsAt',
+    'stripeCustomerId',
+    'stripeSubscriptionId',
+    'createdAt',
+    'updatedAt',
+];
+
+/** Copy only the public profile fields (missing ones become null). */
+function toRequestUser(profile) {
+    const user = {};
+    for (const field of PROFILE_FIELDS) {
+        user[field] = profile[field] !== undefined ? profile[field] : null;
+    }
+    return user;
+}
+
+function resolveProvider() {
+    return process.env.AUTH_PROVIDER || 'local';
+}
+
+let _provider = null;
+
+/** Process-wide auth provider singleton. */
+function getAuthProvider() {
+    if (_provider) return _provider;
+    const name = resolveProvider();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown AUTH_PROVIDER "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    _provider = factory();
+    return _provider;
+}
+
+function authError(message, statusCode = 401) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+module.exports = { getAuthProvider, resolveProvider, toRequestUser, authError, PROFILE_FIELDS };
@@ -0,0 +1,78 @@
+'use strict';
+
+const jwt = require('jsonwebtoken');
+const {
+    createUser, findByEmail, findById, findByStripeCustomerId, updateBilling,
+    comparePassword, consumeTrialScan, refundTrialScan,
+} = require('../../models/User');
+const { toRequestUser, authError } = require('./index');
+
+const JWT_EXPIRES_IN = '7d';
+
+/**
+ * Local users (models/User) with bcrypt passwords and self-issued JWTs.
+ */
+function createLocalProvider({ secret = process.env.JWT_SECRET } = {}) {
+    function requireSecret() {
+        if (!secret) {
+            console.error('JWT_SECRET is not configured');
+            throw authError('Server authentication misconfigured', 500);
+        }
+    }
+
+    function generateToken(userId) {
+        requireSecret();
+        return jwt.sign({ userId }, secret, { expiresIn: JWT_EXPIRES_IN });
+    }
+
+    return {
+        name: 'local',
+
+        async signup({ email, password, name, school, coachingLevel }) {
+            const user = await createUser({ email, password, name, school, coachingLevel });
+            return { token: generateToken(user.id), user: toRequestUser(user) };
+        },
+
+        async login({ email, password }) {
+            const user = findByEmail(email);
+            if (!user || !(await comparePassword(password, user.password))) {
+                throw authError('Invalid email or password');
+            }
+            return { token: generateToken(user.id), user: toRequestUser(user) };
+        },
+
+        async verifyToken(token) {
+            requireSecret();
+            let decoded;
+            try {
+                decoded = jwt.verify(token, secret);
+            } catch (err) {
+                throw authError(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+            }
+            const user = findById(decoded.userId);
+            if (!user) throw authError('User not found');
+            return toRequestUser(user);
+        },
+
+        async consumeScan(userId) {
+            return consumeTrialScan(userId);
+        },
+
+        async refundScan(userId) {
+            return refundTrialScan(userId);
+        },
+
+        async updateBilling(userId, updates) {
+            const user = updateBilling(userId, updates);
+            if (!user) throw authError('User not found', 404);
+            return toRequestUser(user);
+        },
+
+        async findByStripeCustomerId(customerId) {
+            const user = findByStripeCustomerId(customerId);
+            return user ? toRequestUser(user) : null;
+        },
+    };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,157 @@
+'use strict';
+
+const { createClient } = require('@supabase/supabase-js');
+const { COACHING_LEVELS } = require('../../models/User');
+const { toRequestUser, authError } = require('./index');
+
+// Fields updateBilling may change → user_profiles columns
+const BILLING_COLUMNS = {
+    plan: 'plan',
+    planStatus: 'plan_status',
+    stripeCustomerId: 'stripe_customer_id',
+    stripeSubscriptionId: 'stripe_subscription_id',
+};
+
+/**
+ * Supabase Auth for identity, user_profiles for the coach profile.
+ *
+ * @param {object} [opts]
+ * @param {object} [opts.client] - service-role Supabase client; defaults to config/supabase
+ */
+function createSupabaseProvider({ client } = {}) {
+    // Required lazily: config/supabase throws when the env vars are absent.
+    const supabase = client || require('../../config/supabase');
+
+    // Password sign-in stores the user's session on the client it runs on, which
+    // would replace the service-role key for later queries – use a throwaway one.
+    function signInClient() {
+        return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY, {
+            auth: { autoRefreshToken: false, persistSession: false },
+        });
+    }
+
+    async function fetchProfile(userId) {
+        const { data: profile, error } = await supabase
+            .from('user_profiles')
+            .select('*')
+            .eq('id', userId)
+            .single();
+        if (error || !profile) throw authError('User profile not found');
+        return profileFromRow(profile);
+    }
+
+    async function signIn(email, password) {
+        const { data, error } = await signInClient().auth.signInWithPassword({ email, password });
+        if (error || !data.session) throw authError('Invalid email or password');
+        return data;
+    }
+
+    return {
+        name: 'supabase',
+
+        async signup({ email, password, name, school, coachingLevel }) {
+            const normalizedEmail = email.toLowerCase().trim();
+            const { data: created, error: createError } = await supabase.auth.admin.createUser({
+                email: normalizedEmail,
+                password,
+                email_confirm: true,
+                user_metadata: { name },
+            });
+            if (createError) {
+                const exists = /already (?:been )?registered|already exists/i.test(createError.message);
+                throw authError(
+                    exists ? 'A user with this email already exists' : createError.message,
+                    exists ? 409 : 400
+                );
+            }
+
+            const { error: profileError } = await supabase.from('user_profiles').insert({
+                id: created.user.id,
+                email: normalizedEmail,
+                name,
+                school: school || null,
+                coaching_level: COACHING_LEVELS.includes(coachingLevel) ? coachingLevel : null,
+            });
+            if (profileError) {
+                // Don't leave an auth user without a profile behind
+                await supabase.auth.admin.deleteUser(created.user.id).catch(() => {});
+                throw authError(`Could not create user profile: ${profileError.message}`, 500);
+            }
+
+            const { session } = await signIn(normalizedEmail, password);
+            return { token: session.access_token, user: await fetchProfile(created.user.id) };
+        },
+
+        async login({ email, password }) {
+            const { session, user } = await signIn(email.toLowerCase().trim(), password);
+            return { token: session.access_token, user: await fetchProfile(user.id) };
+        },
+
+        async verifyToken(token) {
+            const { data, error } = await supabase.auth.getUser(token);
+            if (error || !data || !data.user) throw authError('Invalid or expired token');
+            return fetchProfile(data.user.id);
+        },
+
+        // consume_trial_scan / refund_trial_scan are single UPDATE statements, so
+        // two analyses started at once can't both take the last scan.
+        async consumeScan(userId) {
+            const { data, error } = await supabase.rpc('consume_trial_scan', { p_user_id: userId });
+            if (error) throw authError(`Could not update scan count: ${error.message}`, 500);
+            return data === null || data === undefined ? null : data;
+        },
+
+        async refundScan(userId) {
+            const { data, error } = await supabase.rpc('refund_trial_scan', { p_user_id: userId });
+            if (error) throw authError(`Could not refund scan: ${error.message}`, 500);
+            return data;
+        },
+
+        async updateBilling(userId, updates) {
+            const row = { updated_at: new Date().toISOString() };
+            for (const [field, column] of Object.entries(BILLING_COLUMNS)) {
+                if (updates[field] !== undefined) row[column] = updates[field];
+            }
+            const { data, error } = await supabase
+                .from('user_profiles')
+                .update(row)
+                .eq('id', userId)
+                .select('*')
+                .maybeSingle();
+            if (error) throw authError(`Could not update billing: ${error.message}`, 500);
+            if (!data) throw authError('User not found', 404);
+            return profileFromRow(data);
+        },
+
+        async findByStripeCustomerId(customerId) {
+            const { data, error } = await supabase
+                .from('user_profiles')
+                .select('*')
+                .eq('stripe_customer_id', customerId)
+                .maybeSingle();
+            if (error) throw authError(`Could not look up customer: ${error.message}`, 500);
+            return data ? profileFromRow(data) : null;
+        },
+    };
+}
+
+/** Map a user_profiles row onto the shared req.user shape. */
+function profileFromRow(profile) {
+    return toRequestUser({
+        id: profile.id,
+        email: profile.email,
+        name: profile.name,
+        school: profile.school,
+        coachingLevel: profile.coaching_level,
+        plan: profile.plan,
+        planStatus: profile.plan_status,
+        trialScansRemaining: profile.trial_scans_remaining,
+        trialEndsAt: profile.trial_ends_at,
+        stripeCustomerId: profile.stripe_customer_id,
+        stripeSubscriptionId: profile.stripe_subscription_id,
+        createdAt: profile.created_at,
+        updatedAt: profile.updated_at,
+    });
+}
+
+module.exports = { createSupabaseProvider, profileFromRow };
@@ -0,0 +1,203 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Stripe billing
+//
+// Checkout sessions for the monthly / yearly plans, billing-portal links, and
+// webhook handling that keeps the user's plan, planStatus and Stripe ids in
+// sync. Profile updates go through the auth provider, which owns the user
+// record for both local and Supabase auth.
+//
+// STRIPE_API_BASE points the client at a local fake (e.g. stripe-mock on
+// http://localhost:12111) for development and tests.
+// ---------------------------------------------------------------------------
+
+const Stripe = require('stripe');
+const { getAuthProvider } = require('./auth');
+
+const PAID_PLANS = ['monthly', 'yearly'];
+
+/** Stripe subscription status → user_profiles.plan_status (null = leave as is). */
+const SUBSCRIPTION_STATUS = {
+    active: 'active',
+    trialing: 'active',
+    past_due: 'expired',
+    unpaid: 'expired',
+    incomplete_expired: 'expired',
+    canceled: 'cancelled',
+    incomplete: null,
+    paused: 'expired',
+};
+
+function billingError(message, statusCode) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/** Stripe client options for STRIPE_API_BASE, e.g. http://localhost:12111 */
+function apiBaseOptions(apiBase) {
+    if (!apiBase) return {};
+    const url = new URL(apiBase);
+    return {
+        host: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        protocol: url.protocol.replace(':', ''),
+    };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {object} [opts.stripe]        - Stripe client (defaults to one built from STRIPE_SECRET_KEY)
+ * @param {object} [opts.provider]      - auth provider (defaults to getAuthProvider())
+ * @param {string} [opts.webhookSecret] - STRIPE_WEBHOOK_SECRET
+ * @param {object} [opts.prices]        - { monthly: price_..., yearly: price_... }
+ * @param {string} [opts.appUrl]        - frontend base URL for checkout / portal redirects
+ */
+function createBilling({
+    stripe = new Stripe(process.env.STRIPE_SECRET_KEY, apiBaseOptions(process.env.STRIPE_API_BASE)),
+    provider = getAuthProvider(),
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+    prices = { monthly: process.env.STRIPE_PRICE_MONTHLY, yearly: process.env.STRIPE_PRICE_YEARLY },
+    appUrl = process.env.APP_URL || 'https://coachiq.com',
+} = {}) {
+    function planForPrice(priceId) {
+        return PAID_PLANS.find((plan) => prices[plan] === priceId) || null;
+    }
+
+    async function ensureCustomer(user) {
+        if (user.stripeCustomerId) return user.stripeCustomerId;
+        const customer = await stripe.customers.create({
+            email: user.email,
+            name: user.name || undefined,
+            metadata: { userId: user.id },
+        });
+        await provider.updateBilling(user.id, { stripeCustomerId: customer.id });
+        return customer.id;
+    }
+
+    /**
+     * Start a subscription checkout for `plan`.
+     * @returns {Promise<{ sessionId: string, url: string }>}
+     */
+    async function createCheckoutSession(user, plan) {
+        if (!PAID_PLANS.includes(plan)) {
+            throw billingError(`Plan must be one of: ${PAID_PLANS.join(', ')}`, 400);
+        }
+        if (!prices[plan]) {
+            throw billingError(`No Stripe price configured for the ${plan} plan`, 500);
+        }
+        if (PAID_PLANS.includes(user.plan) && user.planStatus === 'active' && user.stripeSubscriptionId) {
+            throw billingError('You already have an active subscription. Use the billing portal to change plans.', 409);
+        }
+
+        const customer = await ensureCustomer(user);
+        const session = await stripe.checkout.sessions.create({
+            mode: 'subscription',
+            customer,
+            client_reference_id: user.id,
+            line_items: [{ price: prices[plan], quantity: 1 }],
+            success_url: `${appUrl}/billing/success?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${appUrl}/billing/cancelled`,
+            metadata: { userId: user.id, plan },
+            subscription_data: { metadata: { userId: user.id, plan } },
+        });
+        return { sessionId: session.id, url: session.url };
+    }
+
+    /** @returns {Promise<{ url: string }>} a Stripe customer-portal link */
+    async function createPortalSession(user) {
+        if (!user.stripeCustomerId) {
+            throw billingError('No billing account yet. Subscribe to a plan first.', 400);
+        }
+        const session = await stripe.billingPortal.sessions.create({
+            customer: user.stripeCustomerId,
+            return_url: `${appUrl}/account`,
+        });
+        return { url: session.url };
+    }
+
+    /** Verify the Stripe-Signature header; throws 400 on mismatch. */
+    function constructEvent(rawBody, signature) {
+        if (!webhookSecret) throw billingError('Stripe webhook secret is not configured', 500);
+        try {
+            return stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+        } catch (err) {
+            throw billingError(`Webhook signature verification failed: ${err.message}`, 400);
+        }
+    }
+
+    async function onCheckoutCompleted(session) {
+        if (session.mode !== 'subscription') return false;
+        const userId = session.client_reference_id || (session.metadata && session.metadata.userId);
+        const plan = session.metadata && session.metadata.plan;
+        if (!userId || !PAID_PLANS.includes(plan)) return false;
+
+        await provider.updateBilling(userId, {
+            plan,
+            planStatus: 'active',
+            stripeCustomerId: session.customer,
+            stripeSubscriptionId: session.subscription,
+        });
+        return true;
+    }
+
+    /**
+     * Events for a subscription other than the user's current one are late
+     * deliveries about a replaced subscription – except a live subscription
+     * taking over, which can arrive before its checkout.session.completed.
+     */
+    async function onSubscriptionChanged(subscription, deleted) {
+        const user = await provider.findByStripeCustomerId(subscription.customer);
+        if (!user) return false;
+
+        const status = deleted ? 'cancelled' : SUBSCRIPTION_STATUS[subscription.status];
+        const current = !user.stripeSubscriptionId || user.stripeSubscriptionId === subscription.id;
+        if (!current && status !== 'active') return false;
+        const item = subscription.items && subscription.items.data && subscription.items.data[0];
+        const plan = item ? planForPrice(item.price && item.price.id) : null;
+
+        const updates = { stripeSubscriptionId: subscription.id };
+        if (status) updates.planStatus = status;
+        if (plan) updates.plan = plan;
+        await provider.updateBilling(user.id, updates);
+        return true;
+    }
+
+    /**
+     * Verify and apply a webhook delivery.
+     * @returns {Promise<{ type: string, handled: boolean }>}
+     */
+    async function handleWebhook(rawBody, signature) {
+        const event = constructEvent(rawBody, signature);
+        let handled = false;
+
+        switch (event.type) {
+            case 'checkout.session.completed':
+                handled = await onCheckoutCompleted(event.data.object);
+                break;
+            case 'customer.subscription.created':
+            case 'customer.subscription.updated':
+                handled = await onSubscriptionChanged(event.data.object, false);
+                break;
+            case 'customer.subscription.deleted':
+                handled = await onSubscriptionChanged(event.data.object, true);
+                break;
+            default:
+                break;
+        }
+
+        console.log(`[STRIPE] ${event.type} ${event.id}${handled ? '' : ' (ignored)'}`);
+        return { type: event.type, handled };
+    }
+
+    return { createCheckoutSession, createPortalSession, handleWebhook, planForPrice };
+}
+
+let _billing = null;
+
+/** Process-wide billing singleton, built on first use. */
+function getBilling() {
+    if (!_billing) _billing = createBilling();
+    return _billing;
+}
+
+module.exports = { createBilling, getBilling, apiBaseOptions, PAID_PLANS, SUBSCRIPTION_STATUS };
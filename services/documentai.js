@@ -8,6 +8,14 @@ const { DocumentProcessorServiceClient } = require('@google-cloud/documentai').v
 const PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT_ID;
 const LOCATION = process.env.GOOGLE_CLOUD_LOCATION || 'us';
 const PROCESSOR_ID = process.env.GOOGLE_DOCUMENTAI_PROCESSOR_ID;
+const PROCESSOR_VERSION = process.env.GOOGLE_DOCUMENTAI_PROCESSOR_VERSION;
+
+// A pinned processor version, or whichever version is the processor's default
+const PROCESSOR_NAME = `projects/${PROJECT_ID}/locations/${LOCATION}/processors/${PROCESSOR_ID}` +
+    (PROCESSOR_VERSION ? `/processorVersions/${PROCESSOR_VERSION}` : '');
+
+// Result-cache version: a different processor or version gives different OCR
+const VERSION = `documentai:${LOCATION}/${PROCESSOR_ID}@${PROCESSOR_VERSION || 'default'}`;
 
 const SUPPORTED_MIME_TYPES = new Set([
     'image/jpeg',
@@ -84,12 +92,10 @@ async function processDocumentAI(fileBuffer, mimeType) {
     }
 
     const client = getClient();
-    const processorName = `projects/${PROJECT_ID}/locations/${LOCATION}/processors/${PROCESSOR_ID}`;
-
-    console.log(`[DocumentAI] Processing ${mimeType} (${(fileBuffer.length / 1024).toFixed(1)} KB) via ${processorName}`);
+    console.log(`[DocumentAI] Processing ${mimeType} (${(fileBuffer.length / 1024).toFixed(1)} KB) via ${PROCESSOR_NAME}`);
 
     const request = {
-        name: processorName,
+        name: PROCESSOR_NAME,
         rawDocument: {
             content: fileBuffer.toString('base64'),
             mimeType,
@@ -197,4 +203,5 @@ module.exports = {
     processDocumentAI,
     SUPPORTED_MIME_TYPES,
     MAX_FILE_SIZE,
+    VERSION,
 };
@@ -0,0 +1,238 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+// ---------------------------------------------------------------------------
+// Durable background job queue
+//
+// Jobs live in the repository (Postgres `jobs` table or the in-memory store),
+// so work survives restarts. A worker claims a job by taking a lease; while
+// it runs it keeps extending the lease. If the process dies the lease lapses
+// and the next worker to poll — usually this same service after it boots —
+// picks the job up again.
+//
+// A job whose worker died on its last attempt is failed at claim time
+// rather than run again, and its onFailed hook runs then. A worker that
+// finds its lease gone (another worker reclaimed the job) aborts ctx.signal
+// and stops writing to the job.
+//
+// Handlers split their work into named stages. After each stage the handler
+// checkpoints the stage name plus any state it needs later, and on retry the
+// completed stages are skipped (see runStages).
+// ---------------------------------------------------------------------------
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_LEASE_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 30 * 1000;
+
+/**
+ * @param {object} opts
+ * @param {object} opts.repository              - repository with job methods
+ * @param {string} [opts.workerId]              - unique id for this process
+ * @param {number} [opts.concurrency=1]         - jobs run in parallel
+ * @param {number} [opts.pollIntervalMs=2000]
+ * @param {number} [opts.leaseMs=60000]
+ * @param {number} [opts.retryBackoffMs=30000]  - delay before a failed attempt is retried
+ */
+function createJobQueue({
+    repository,
+    workerId = `worker-${uuidv4().slice(0, 8)}`,
+    concurrency = 1,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    leaseMs = DEFAULT_LEASE_MS,
+    retryBackoffMs = RETRY_BACKOFF_MS,
+} = {}) {
+    const handlers = new Map();
+    const running = new Set();
+    let timer = null;
+    let currentPoll = null;
+    let stopped = true;
+
+    /**
+     * Register a handler for a job type.
+     *
+     * @param {string}   type
+     * @param {Function} run - async (job, ctx) => void; ctx.signal aborts when the lease is lost
+     * @param {object}   [opts]
+     * @param {number}   [opts.maxAttempts=3]
+     * @param {Function} [opts.onFailed] - async (job, error) => void, called once
+     *        when the job has exhausted its attempts, thrown or abandoned
+     */
+    function register(type, run, { maxAttempts = DEFAULT_MAX_ATTEMPTS, onFailed = null } = {}) {
+        handlers.set(type, { run, maxAttempts, onFailed });
+    }
+
+    /**
+     * @param {string} type
+     * @param {object} payload
+     * @param {object} [opts]
+     * @param {number} [opts.priority=0] - higher-priority jobs are claimed first
+     */
+    async function enqueue(type, payload, { id = uuidv4(), priority = 0 } = {}) {
+        const handler = handlers.get(type);
+        return repository.enqueueJob({
+            id,
+            type,
+            payload,
+            priority,
+            maxAttempts: handler ? handler.maxAttempts : DEFAULT_MAX_ATTEMPTS,
+        });
+    }
+
+    /** Claim and run jobs until the concurrency limit is reached or none remain. */
+    async function poll() {
+        while (!stopped && running.size < concurrency) {
+            let job;
+            try {
+                job = await repository.claimJob({ workerId, leaseMs });
+            } catch (err) {
+                console.error(`[JOBS ${workerId}] Claim failed:`, err.message);
+                return;
+            }
+            if (!job) return;
+
+            const p = execute(job).finally(() => running.delete(p));
+            running.add(p);
+        }
+    }
+
+    async function execute(job) {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+            console.error(`[JOBS ${workerId}] No handler for job type "${job.type}" (${job.id})`);
+            await repository.updateJob(job.id, {
+                status: 'failed', lastError: `No handler for job type "${job.type}"`, lockedBy: null,
+            });
+            return;
+        }
+
+        if (job.status === 'failed') {
+            // claimJob failed it: its worker died during the last attempt
+            console.error(`[JOBS ${workerId}] ${job.type} ${job.id} abandoned on attempt ${job.attempts}/${job.maxAttempts}: ${job.lastError}`);
+            await runOnFailed(handler, job, new Error(job.lastError));
+            return;
+        }
+
+        const resumed = job.stage ? ` (resuming after "${job.stage}")` : '';
+        console.log(`[JOBS ${workerId}] Running ${job.type} ${job.id}, attempt ${job.attempts}${resumed}`);
+
+        // Aborted when a renewal finds the lease gone (it lapsed and another
+        // worker reclaimed the job); from then on this run writes nothing
+        const lease = new AbortController();
+        const heartbeat = setInterval(() => {
+            repository.extendJobLease(job.id, workerId, leaseMs).then((held) => {
+                if (held || lease.signal.aborted) return;
+                console.error(`[JOBS ${workerId}] Lost the lease on ${job.id}, stopping`);
+                lease.abort(new Error(`Lost the lease on job ${job.id}`));
+            }).catch((err) => {
+                console.error(`[JOBS ${workerId}] Lease renewal failed for ${job.id}:`, err.message);
+            });
+        }, Math.max(1000, Math.floor(leaseMs / 3)));
+
+        const ctx = {
+            workerId,
+            signal: lease.signal,
+            state: { ...(job.state || {}) },
+            async checkpoint(stage, stateUpdates = {}) {
+                lease.signal.throwIfAborted();
+                Object.assign(ctx.state, stateUpdates);
+                job.stage = stage;
+                job.state = ctx.state;
+                await repository.updateJob(job.id, { stage, state: ctx.state });
+            },
+        };
+
+        try {
+            await handler.run(job, ctx);
+            lease.signal.throwIfAborted();
+            await repository.updateJob(job.id, {
+                status: 'complete', lockedBy: null, leaseExpiresAt: null,
+                lastError: null, completedAt: new Date().toISOString(),
+            });
+        } catch (error) {
+            if (lease.signal.aborted) return; // the job belongs to another worker now
+
+            const maxAttempts = job.maxAttempts || handler.maxAttempts;
+            const exhausted = error.permanent || job.attempts >= maxAttempts;
+            console.error(`[JOBS ${workerId}] ${job.type} ${job.id} attempt ${job.attempts}/${maxAttempts} failed:`, error.message);
+
+            await repository.updateJob(job.id, exhausted
+                ? { status: 'failed', lockedBy: null, leaseExpiresAt: null, lastError: error.message }
+                : {
+                    status: 'queued', lockedBy: null, leaseExpiresAt: null, lastError: error.message,
+                    runAt: new Date(Date.now() + retryBackoffMs).toISOString(),
+                });
+
+            if (exhausted) await runOnFailed(handler, job, error);
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    async function runOnFailed(handler, job, error) {
+        if (!handler.onFailed) return;
+        try {
+            await handler.onFailed(job, error);
+        } catch (hookError) {
+            console.error(`[JOBS ${workerId}] onFailed hook error for ${job.id}:`, hookError.message);
+        }
+    }
+
+    function runPoll() {
+        currentPoll = poll();
+        return currentPoll;
+    }
+
+    function schedule() {
+        if (stopped) return;
+        timer = setTimeout(async () => {
+            await runPoll();
+            schedule();
+        }, pollIntervalMs);
+    }
+
+    /** Start polling. Jobs left queued or abandoned by a previous process are picked up first. */
+    function start() {
+        if (!stopped) return;
+        stopped = false;
+        console.log(`[JOBS ${workerId}] Worker started (concurrency ${concurrency})`);
+        runPoll().then(schedule);
+    }
+
+    /** Stop polling and wait for in-flight jobs to settle. */
+    async function stop() {
+        stopped = true;
+        if (timer) clearTimeout(timer);
+        timer = null;
+        if (currentPoll) await currentPoll;
+        await Promise.allSettled([...running]);
+    }
+
+    return { register, enqueue, start, stop, poll, workerId };
+}
+
+/**
+ * Run an ordered list of stages, skipping those already completed in an
+ * earlier attempt. Each stage returns the state it wants checkpointed.
+ *
+ * @param {Array<{name: string, run: Function}>} stages - run: async (state) => object|void
+ * @param {object} job - job record (job.stage is the last completed stage)
+ * @param {object} ctx - context passed to the job handler
+ */
+async function runStages(stages, job, ctx) {
+    const completedIndex = job.stage ? stages.findIndex((s) => s.name === job.stage) : -1;
+
+    for (let i = completedIndex + 1; i < stages.length; i++) {
+        const stage = stages[i];
+        const updates = await stage.run(ctx.state);
+        await ctx.checkpoint(stage.name, updates || {});
+    }
+}
+
+/** Mark an error as not worth retrying (bad input rather than a transient fault). */
+function permanentError(message) {
+    return Object.assign(new Error(message), { permanent: true });
+}
+
+module.exports = { createJobQueue, runStages, permanentError };
@@ -0,0 +1,64 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ---------------------------------------------------------------------------
+// Fixture-replay OCR provider
+//
+// Returns saved OCR responses instead of calling an OCR engine, so the
+// scorebook endpoints run end to end in local dev and CI. OCR_FIXTURE_PATH is
+// either:
+//
+//   a .json file  – returned for every upload
+//   a directory   – <sha256 of the upload>.json, else default.json
+//
+// Fixtures are normalised responses ({ text, pages }), e.g. the output of
+// POST /api/ocr/scorebook or the files in tests/fixtures.
+// ---------------------------------------------------------------------------
+
+const SUPPORTED_MIME_TYPES = new Set(['image/jpeg', 'image/png', 'application/pdf']);
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.fixturePath=process.env.OCR_FIXTURE_PATH]
+ */
+function createFixtureProvider({ fixturePath = process.env.OCR_FIXTURE_PATH } = {}) {
+    if (!fixturePath) {
+        throw new Error('OCR_PROVIDER=fixture needs OCR_FIXTURE_PATH (a fixture .json file or a directory of them).');
+    }
+    const resolved = path.resolve(fixturePath);
+
+    function fixtureFor(buffer) {
+        if (!fs.statSync(resolved).isDirectory()) return resolved;
+
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        for (const name of [`${hash}.json`, 'default.json']) {
+            const candidate = path.join(resolved, name);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+        throw Object.assign(
+            new Error(`No OCR fixture for this upload. Save one as ${path.join(resolved, `${hash}.json`)} or add default.json.`),
+            { statusCode: 404 }
+        );
+    }
+
+    async function replay(buffer, mimeType) {
+        if (!SUPPORTED_MIME_TYPES.has(mimeType)) {
+            throw Object.assign(
+                new Error(`Unsupported file type: ${mimeType}. Supported: ${[...SUPPORTED_MIME_TYPES].join(', ')}`),
+                { statusCode: 400 }
+            );
+        }
+        const file = fixtureFor(buffer);
+        console.log(`[OCR-Fixture] Replaying ${path.basename(file)}`);
+        // Read fresh every call, so callers can't mutate a shared copy
+        const { text = '', pages = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { text, pages };
+    }
+
+    return { name: 'fixture', version: 'fixture', SUPPORTED_MIME_TYPES, process: replay };
+}
+
+module.exports = { createFixtureProvider };
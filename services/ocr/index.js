@@ -0,0 +1,56 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// OCR provider selection
+//
+// OCR_PROVIDER=documentai  → Google Document AI (services/documentai.js), the default
+// OCR_PROVIDER=tesseract   → local Tesseract CLI – no cloud account, no per-page cost
+// OCR_PROVIDER=fixture     → replays saved OCR JSON (OCR_FIXTURE_PATH) for dev / CI
+//
+// Every provider exposes the same interface and returns the same normalised
+// response, so the scorebook parsers never need to know which one ran:
+//
+//   name                           → 'documentai' | 'tesseract' | 'fixture'
+//   version                        → name plus the settings that change its
+//                                      output, e.g. tesseract:eng:psm11:oemdefault;
+//                                      the result cache keys OCR on it
+//   SUPPORTED_MIME_TYPES           → Set of accepted upload types
+//   process(buffer, mimeType)      → { text, pages: [{ pageNumber, width, height,
+//                                      lines: [{ text, confidence, bbox }] }] }
+//
+// bbox is { x1,y1, x2,y2, x3,y3, x4,y4 } in page pixels, clockwise from the
+// top-left; confidence is 0–1 or null. Failures are thrown as Errors, with a
+// statusCode when the upload itself is at fault.
+// ---------------------------------------------------------------------------
+
+const PROVIDERS = {
+    documentai: () => {
+        const { processDocumentAI, SUPPORTED_MIME_TYPES, VERSION } = require('../documentai');
+        return { name: 'documentai', version: VERSION, SUPPORTED_MIME_TYPES, process: processDocumentAI };
+    },
+    tesseract: () => require('./tesseract').createTesseractProvider(),
+    fixture: () => require('./fixture').createFixtureProvider(),
+};
+
+/** Max upload size for the OCR endpoints, whichever provider runs. */
+const MAX_FILE_SIZE = parseInt(process.env.OCR_MAX_FILE_SIZE_MB || '20', 10) * 1024 * 1024;
+
+function resolveProvider() {
+    return process.env.OCR_PROVIDER || 'documentai';
+}
+
+let _provider = null;
+
+/** Process-wide OCR provider singleton. */
+function getOcrProvider() {
+    if (_provider) return _provider;
+    const name = resolveProvider();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown OCR_PROVIDER "${name}". Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    _provider = factory();
+    return _provider;
+}
+
+module.exports = { getOcrProvider, resolveProvider, MAX_FILE_SIZE, PROVIDER_NAMES: Object.keys(PROVIDERS) };
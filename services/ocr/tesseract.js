@@ -0,0 +1,157 @@
+'use strict';
+
+const { spawn } = require('child_process');
+
+// ---------------------------------------------------------------------------
+// Tesseract OCR provider
+//
+// Runs the `tesseract` CLI (apt install tesseract-ocr) on the upload and
+// converts its TSV word boxes into the Document AI line shape. Tesseract
+// joins a whole table row into one line, so lines are split wherever the
+// gap between words is wider than the text is tall – one segment per cell,
+// which is what the layout parsers expect.
+//
+//   TESSERACT_PATH        binary (default: tesseract on PATH)
+//   TESSERACT_LANG        language pack (default: eng)
+//   TESSERACT_PSM         page segmentation mode (default: 11 – sparse text,
+//                         suits printed grids with handwriting in the boxes)
+//   TESSERACT_OEM         OCR engine mode (default: Tesseract's own)
+//   TESSERACT_TIMEOUT_MS  per-page limit (default: 60000)
+// ---------------------------------------------------------------------------
+
+const SUPPORTED_MIME_TYPES = new Set(['image/jpeg', 'image/png']);
+
+/** A word gap wider than this many line heights starts a new segment. */
+const SEGMENT_GAP = 1.0;
+
+/**
+ * Parse `tesseract … tsv` output into the normalised OCR response.
+ *
+ * @param {string} tsv
+ * @returns {{ text: string, pages: Array }}
+ */
+function parseTesseractTsv(tsv) {
+    const pages = new Map();
+    const lines = new Map();
+
+    for (const row of tsv.split('\n').slice(1)) {
+        const cols = row.split('\t');
+        if (cols.length < 12) continue;
+        const [level, page, block, par, line, , left, top, width, height, conf] = cols.slice(0, 11).map(Number);
+        const text = cols.slice(11).join('\t').trim();
+
+        if (level === 1) {
+            pages.set(page, { pageNumber: page, width, height, lines: [] });
+            continue;
+        }
+        if (level !== 5 || !text) continue;
+
+        const key = `${page}:${block}:${par}:${line}`;
+        if (!lines.has(key)) lines.set(key, { page, words: [] });
+        lines.get(key).words.push({ text, left, top, right: left + width, bottom: top + height, conf });
+    }
+
+    for (const { page, words } of lines.values()) {
+        const target = pages.get(page);
+        if (!target) continue;
+        for (const segment of splitAtGaps(words)) target.lines.push(toLine(segment));
+    }
+
+    const sorted = [...pages.values()].sort((a, b) => a.pageNumber - b.pageNumber);
+    for (const page of sorted) page.lines.sort((a, b) => a.bbox.y1 - b.bbox.y1 || a.bbox.x1 - b.bbox.x1);
+    const text = sorted.map((page) => page.lines.map((l) => l.text).join('\n')).join('\n');
+    return { text, pages: sorted };
+}
+
+function splitAtGaps(words) {
+    const ordered = [...words].sort((a, b) => a.left - b.left);
+    const height = Math.max(...ordered.map((w) => w.bottom - w.top));
+    const segments = [];
+    let current = [];
+    for (const word of ordered) {
+        const prev = current[current.length - 1];
+        if (prev && word.left - prev.right > height * SEGMENT_GAP) {
+            segments.push(current);
+            current = [];
+        }
+        current.push(word);
+    }
+    if (current.length > 0) segments.push(current);
+    return segments;
+}
+
+function toLine(words) {
+    const left = Math.min(...words.map((w) => w.left));
+    const top = Math.min(...words.map((w) => w.top));
+    const right = Math.max(...words.map((w) => w.right));
+    const bottom = Math.max(...words.map((w) => w.bottom));
+    const confs = words.map((w) => w.conf).filter((c) => c >= 0);
+    return {
+        text: words.map((w) => w.text).join(' '),
+        confidence: confs.length ? Math.round(confs.reduce((s, c) => s + c, 0) / confs.length) / 100 : null,
+        bbox: { x1: left, y1: top, x2: right, y2: top, x3: right, y3: bottom, x4: left, y4: bottom },
+    };
+}
+
+/**
+ * @param {object} [opts] - defaults from the TESSERACT_* env vars
+ */
+function createTesseractProvider({
+    command = process.env.TESSERACT_PATH || 'tesseract',
+    lang = process.env.TESSERACT_LANG || 'eng',
+    psm = process.env.TESSERACT_PSM || '11',
+    oem = process.env.TESSERACT_OEM || null,
+    timeoutMs = parseInt(process.env.TESSERACT_TIMEOUT_MS || '60000', 10),
+} = {}) {
+    function run(buffer) {
+        return new Promise((resolve, reject) => {
+            const engine = oem != null ? ['--oem', String(oem)] : [];
+            const child = spawn(command, ['stdin', 'stdout', '-l', lang, '--psm', String(psm), ...engine, 'tsv']);
+            const stdout = [];
+            const stderr = [];
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error(`Tesseract timed out after ${timeoutMs / 1000}s.`));
+            }, timeoutMs);
+
+            child.stdout.on('data', (chunk) => stdout.push(chunk));
+            child.stderr.on('data', (chunk) => stderr.push(chunk));
+            child.on('error', (err) => {
+                clearTimeout(timer);
+                reject(err.code === 'ENOENT'
+                    ? new Error(`Tesseract is not installed ("${command}" not found). Install tesseract-ocr or set OCR_PROVIDER.`)
+                    : err);
+            });
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    return reject(new Error(`Tesseract exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+                }
+                resolve(Buffer.concat(stdout).toString('utf8'));
+            });
+            // An early exit closes stdin; the close handler reports why
+            child.stdin.on('error', () => {});
+            child.stdin.end(buffer);
+        });
+    }
+
+    async function recognise(buffer, mimeType) {
+        if (!SUPPORTED_MIME_TYPES.has(mimeType)) {
+            throw Object.assign(
+                new Error(`Unsupported file type: ${mimeType}. Tesseract OCR supports: ${[...SUPPORTED_MIME_TYPES].join(', ')}`),
+                { statusCode: 400 }
+            );
+        }
+        console.log(`[Tesseract] Processing ${mimeType} (${(buffer.length / 1024).toFixed(1)} KB), psm ${psm}`);
+        return parseTesseractTsv(await run(buffer));
+    }
+
+    return {
+        name: 'tesseract',
+        version: `tesseract:${lang}:psm${psm}:oem${oem != null ? oem : 'default'}`,
+        SUPPORTED_MIME_TYPES,
+        process: recognise,
+    };
+}
+
+module.exports = { createTesseractProvider, parseTesseractTsv };
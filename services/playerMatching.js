@@ -0,0 +1,341 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Linking box score rows to roster players
+//
+// Scorebooks name players however the scorer wrote them – "Smith",
+// "J. Smith #23", "Smith, Jordan" – so a row is scored against every roster
+// player of the game's season on three pieces of evidence:
+//
+//   number   the jersey number matches
+//   name     fuzzy name similarity (surname edit distance, first-name initials)
+//   history  the coach linked the same number + name to this player in
+//            another game of the season
+//
+// A row is 'matched' when its best candidate scores MATCH_SCORE or more and
+// clearly beats the runner-up, 'ambiguous' while it has candidates but no
+// clear winner, and 'unmatched' without candidates. The coach settles rows
+// by confirming links, kept on the scorebook as playerLinks
+// { [rowIndex]: rosterPlayerId | null } – null for "not on the roster".
+// Confirmed links always win, and are the history for later games.
+// ---------------------------------------------------------------------------
+
+/** Best candidate score needed for an automatic match. */
+const MATCH_SCORE = 0.8;
+
+/** ...and how far it must be ahead of the runner-up. */
+const MATCH_MARGIN = 0.15;
+
+/** Lowest score offered as a candidate. */
+const CANDIDATE_SCORE = 0.4;
+
+const MAX_CANDIDATES = 3;
+
+/** Inactive players (graduated, left the team) only win on clearly better evidence. */
+const INACTIVE_PENALTY = 0.2;
+
+/** How far history can lift a score towards 1. */
+const HISTORY_WEIGHT = 0.8;
+
+const STATUSES = ['confirmed', 'matched', 'ambiguous', 'unmatched'];
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function round3(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+function normalizeNumber(number) {
+    if (number == null) return null;
+    const text = String(number).trim().replace(/^#\s*/, '');
+    return /^\d{1,3}$/.test(text) ? text : null;
+}
+
+/**
+ * Split what the scorer wrote into a jersey number and a name: "J. Smith #23"
+ * → { number: '23', name: 'J. Smith' }. A number in its own column wins.
+ */
+function rowIdentity(rawNumber, rawName) {
+    let name = typeof rawName === 'string' ? rawName.trim() : '';
+    const inName = name.match(/#\s*(\d{1,3})\b|\b(\d{1,3})$/);
+    if (inName) name = name.replace(inName[0], '').trim();
+    const number = normalizeNumber(rawNumber) || (inName ? inName[1] || inName[2] : null);
+    return { number, name: name || null };
+}
+
+/** Lower-case name tokens without accents or punctuation; "Smith, Jordan" → ['jordan', 'smith']. */
+function nameTokens(name) {
+    if (!name) return [];
+    let text = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const comma = text.indexOf(',');
+    if (comma > 0) text = `${text.slice(comma + 1)} ${text.slice(0, comma)}`;
+    return text.split(/[^a-z]+/).filter(Boolean);
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function tokenSimilarity(a, b) {
+    if (a.length === 1 || b.length === 1) return a[0] === b[0] ? 1 : 0;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * How alike two player names are, 0–1, or null when either is missing.
+ * Surnames carry the weight; a first name may be an initial. A lone token
+ * ("Smith") is compared with the other's surname, or less strongly its
+ * first name.
+ */
+function nameSimilarity(a, b) {
+    const ta = nameTokens(a);
+    const tb = nameTokens(b);
+    if (ta.length === 0 || tb.length === 0) return null;
+    const last = (tokens) => tokens[tokens.length - 1];
+
+    if (ta.length === 1 || tb.length === 1) {
+        const [single, other] = ta.length === 1 ? [ta[0], tb] : [tb[0], ta];
+        if (single.length === 1) return other[0][0] === single ? 0.5 : 0;
+        return round3(Math.max(tokenSimilarity(single, last(other)), 0.8 * tokenSimilarity(single, other[0])));
+    }
+    return round3(0.7 * tokenSimilarity(last(ta), last(tb)) + 0.3 * tokenSimilarity(ta[0], tb[0]));
+}
+
+/**
+ * The player rows of a box score in either shape (see services/seasonStats.js).
+ *
+ * @param {object} result - box score
+ * @returns {Array<{ rowIndex: number, number: string|null, name: string|null }>}
+ */
+function extractRows(result) {
+    return ((result && result.players) || []).map((p, i) => ({
+        rowIndex: Number.isInteger(p.row_index) ? p.row_index : i,
+        ...rowIdentity(p.player_number !== undefined ? p.player_number : p.number,
+            p.player_name !== undefined ? p.player_name : p.name),
+    }));
+}
+
+function aliasKey(row) {
+    const name = nameTokens(row.name).join(' ');
+    return row.number || name ? `${row.number || ''}|${name}` : null;
+}
+
+/**
+ * What the coach has linked before: alias (number + name) → rosterPlayerId → times.
+ *
+ * @param {Array<{ result: object, playerLinks?: object }>} scorebooks
+ * @returns {Map<string, Map<string, number>>}
+ */
+function linkHistory(scorebooks) {
+    const history = new Map();
+    for (const { result, playerLinks } of scorebooks) {
+        if (!playerLinks) continue;
+        for (const row of extractRows(result)) {
+            const rosterPlayerId = playerLinks[row.rowIndex];
+            const key = aliasKey(row);
+            if (!rosterPlayerId || !key) continue;
+            if (!history.has(key)) history.set(key, new Map());
+            const counts = history.get(key);
+            counts.set(rosterPlayerId, (counts.get(rosterPlayerId) || 0) + 1);
+        }
+    }
+    return history;
+}
+
+function scoreCandidate(row, player, aliasCounts) {
+    const reasons = [];
+    let weight = 0;
+    let total = 0;
+    if (row.number && player.number) {
+        weight += 0.5;
+        if (row.number === player.number) {
+            total += 0.5;
+            reasons.push('number');
+        }
+    }
+    const name = nameSimilarity(row.name, player.name);
+    if (name !== null) {
+        weight += 0.5;
+        total += 0.5 * name;
+        if (name >= MATCH_SCORE) reasons.push('name');
+    }
+    let score = weight > 0 ? total / weight : 0;
+
+    if (aliasCounts && aliasCounts.has(player.id)) {
+        const times = [...aliasCounts.values()].reduce((sum, n) => sum + n, 0);
+        score += (1 - score) * HISTORY_WEIGHT * (aliasCounts.get(player.id) / times);
+        reasons.push('history');
+    }
+    if (!player.active) score -= INACTIVE_PENALTY;
+    return { score: round3(Math.max(0, score)), reasons };
+}
+
+/**
+ * Link each row of one box score to the roster.
+ *
+ * @param {Array} rows - from extractRows
+ * @param {Array} roster - the season's roster players
+ * @param {object} [opts]
+ * @param {object} [opts.links] - the scorebook's confirmed playerLinks
+ * @param {Map} [opts.history] - from linkHistory, over the season's other scorebooks
+ * @returns {Array<{ rowIndex, number, name, status, rosterPlayerId, score, candidates }>}
+ *   status is one of STATUSES; rosterPlayerId is set for confirmed and matched rows;
+ *   candidates are the best few roster players with their score and reasons
+ */
+function matchRows(rows, roster, { links = {}, history = new Map() } = {}) {
+    const rosterIds = new Set(roster.map((p) => p.id));
+    const isConfirmed = (row) => Object.prototype.hasOwnProperty.call(links, row.rowIndex)
+        && (links[row.rowIndex] === null || rosterIds.has(links[row.rowIndex]));
+    const claimed = new Set(rows.filter(isConfirmed).map((row) => links[row.rowIndex]).filter(Boolean));
+
+    const matches = rows.map((row) => {
+        const aliasCounts = history.get(aliasKey(row));
+        const candidates = roster
+            .map((player) => ({
+                rosterPlayerId: player.id, number: player.number, name: player.name,
+                ...scoreCandidate(row, player, aliasCounts),
+            }))
+            .filter((c) => c.score >= CANDIDATE_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_CANDIDATES);
+
+        if (isConfirmed(row)) {
+            return { ...row, status: 'confirmed', rosterPlayerId: links[row.rowIndex], score: null, candidates };
+        }
+        const [best, runnerUp] = candidates;
+        const clear = best && best.score >= MATCH_SCORE && !claimed.has(best.rosterPlayerId)
+            && (!runnerUp || best.score - runnerUp.score >= MATCH_MARGIN);
+        return {
+            ...row,
+            status: clear ? 'matched' : candidates.length > 0 ? 'ambiguous' : 'unmatched',
+            rosterPlayerId: clear ? best.rosterPlayerId : null,
+            score: best ? best.score : 0,
+            candidates,
+        };
+    });
+
+    // One roster player per book: when two rows match the same player, the
+    // stronger keeps it; a tie leaves both for the coach.
+    const winners = new Map();
+    for (const match of matches.filter((m) => m.status === 'matched').sort((a, b) => b.score - a.score)) {
+        const winner = winners.get(match.rosterPlayerId);
+        if (!winner) {
+            winners.set(match.rosterPlayerId, match);
+            continue;
+        }
+        if (winner.score === match.score) Object.assign(winner, { status: 'ambiguous', rosterPlayerId: null });
+        Object.assign(match, { status: 'ambiguous', rosterPlayerId: null });
+    }
+    return matches;
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.repository - repository with game / roster / scorebook methods
+ */
+function createPlayerMatching({ repository }) {
+    /** The scorebook's game, its season's roster and the links made on the season's other books. */
+    async function seasonContext(scorebook) {
+        const game = scorebook.gameId ? await repository.getGame(scorebook.gameId) : null;
+        if (!game) {
+            throw badRequest('Attach this scorebook to a game first; its roster comes from the game\'s season.');
+        }
+        const [roster, games] = await Promise.all([
+            repository.listRosterBySeason(game.seasonId),
+            repository.listGamesBySeason(game.seasonId),
+        ]);
+        const books = (await Promise.all(games.map((g) => repository.listScorebooksByGame(g.id)))).flat();
+        return { game, roster, history: linkHistory(books.filter((b) => b.id !== scorebook.id)) };
+    }
+
+    function matchReport(scorebook, game, rows) {
+        const summary = {};
+        for (const status of STATUSES) summary[status] = rows.filter((r) => r.status === status).length;
+        return { scorebookId: scorebook.id, gameId: game.id, seasonId: game.seasonId, summary, rows };
+    }
+
+    /** Suggested and confirmed roster links for every row of a scorebook. */
+    async function suggest(scorebook) {
+        const { game, roster, history } = await seasonContext(scorebook);
+        const rows = matchRows(extractRows(scorebook.result), roster, { links: scorebook.playerLinks || {}, history });
+        return matchReport(scorebook, game, rows);
+    }
+
+    /**
+     * Confirm row links.
+     *
+     * @param {object} scorebook
+     * @param {object} body
+     * @param {Array<{ rowIndex: number, rosterPlayerId: string|null }>} [body.links] -
+     *   null: the row is not a roster player
+     * @param {boolean} [body.acceptMatched] - also confirm every automatic match
+     * @returns the updated suggestions, as suggest()
+     * @throws 400 unknown row or roster player, or one player linked to two rows
+     */
+    async function confirm(scorebook, { links = [], acceptMatched = false } = {}) {
+        if (!Array.isArray(links)) throw badRequest('links must be an array of { rowIndex, rosterPlayerId }.');
+        if (typeof acceptMatched !== 'boolean') throw badRequest('acceptMatched must be true or false.');
+        if (links.length === 0 && !acceptMatched) throw badRequest('Send links and / or acceptMatched: true.');
+
+        const { game, roster, history } = await seasonContext(scorebook);
+        const current = matchRows(extractRows(scorebook.result), roster, { links: scorebook.playerLinks || {}, history });
+        const next = { ...(scorebook.playerLinks || {}) };
+
+        if (acceptMatched) {
+            for (const row of current) if (row.status === 'matched') next[row.rowIndex] = row.rosterPlayerId;
+        }
+        const rosterIds = new Set(roster.map((p) => p.id));
+        for (const link of links) {
+            const { rowIndex, rosterPlayerId } = link || {};
+            if (!current.some((row) => row.rowIndex === rowIndex)) {
+                throw badRequest(`rowIndex ${rowIndex} is not a player row of this scorebook.`);
+            }
+            if (rosterPlayerId !== null && !rosterIds.has(rosterPlayerId)) {
+                throw badRequest(`rosterPlayerId ${rosterPlayerId} is not on this season's roster.`);
+            }
+            next[rowIndex] = rosterPlayerId;
+        }
+
+        const rowsByPlayer = new Map();
+        for (const [rowIndex, rosterPlayerId] of Object.entries(next)) {
+            if (!rosterPlayerId) continue;
+            if (rowsByPlayer.has(rosterPlayerId)) {
+                throw badRequest(`Rows ${rowsByPlayer.get(rosterPlayerId)} and ${rowIndex} are both linked to the same player.`);
+            }
+            rowsByPlayer.set(rosterPlayerId, rowIndex);
+        }
+
+        const updated = await repository.updateScorebook(scorebook.id, {
+            playerLinks: next,
+            updatedAt: new Date().toISOString(),
+        });
+        const rows = matchRows(extractRows(updated.result), roster, { links: next, history });
+        return matchReport(updated, game, rows);
+    }
+
+    return { suggest, confirm };
+}
+
+module.exports = {
+    createPlayerMatching,
+    matchRows,
+    extractRows,
+    linkHistory,
+    nameSimilarity,
+    rowIdentity,
+    STATUSES,
+};
@@ -0,0 +1,555 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+
+// ---------------------------------------------------------------------------
+// Scouting report PDF export
+//
+// Renders the object built by generateReport() (server.js) into a printable
+// PDF. Two layouts:
+//   full  – multi-page report: keys to victory, defense, offense, key
+//           players, shot chart zones, pace, special situations, game plan
+//   card  – one-page "player card" summary for handing to players
+//
+// Claude's output is loosely shaped (fields may be strings, objects or
+// missing), so every section renders only what is actually present.
+// ---------------------------------------------------------------------------
+
+const BRAND = {
+    orange: '#FF6B35',
+    teal: '#00D4AA',
+    dark: '#1F2933',
+    muted: '#6B7280',
+    rule: '#E5E7EB',
+    hot: '#E4572E',
+    cold: '#3D7DD8',
+};
+
+const LAYOUTS = ['full', 'card'];
+
+const SHOT_AREAS = [
+    ['paint', 'Paint'],
+    ['midRange', 'Mid-range'],
+    ['leftCorner3', 'Left corner 3'],
+    ['rightCorner3', 'Right corner 3'],
+    ['leftWing3', 'Left wing 3'],
+    ['rightWing3', 'Right wing 3'],
+    ['topKey3', 'Top of key 3'],
+];
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+/** Printable text for a loosely-typed field, or null if there's nothing to show. */
+function str(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string') return value.trim() || null;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) {
+        const parts = value.map(str).filter(Boolean);
+        return parts.length ? parts.join(', ') : null;
+    }
+    return null;
+}
+
+/** 'left_corner_3' / 'afterTimeout' → 'Left corner 3' / 'After timeout' */
+function humanize(key) {
+    const words = String(key)
+        .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function list(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/** Scheme / system name whether the field is a string or { scheme } / { system }. */
+function schemeName(value, key) {
+    if (!value) return null;
+    return str(value) || str(value[key]);
+}
+
+function pct(value) {
+    const n = Number(value);
+    return Number.isFinite(n) ? `${Math.round(n * 10) / 10}%` : '–';
+}
+
+// ---------------------------------------------------------------------------
+// Drawing helpers
+// ---------------------------------------------------------------------------
+
+function contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pageBottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+function banner(doc, report, subtitle) {
+    const { left } = doc.page.margins;
+    doc.rect(0, 0, doc.page.width, 86).fill(BRAND.orange);
+    doc.fillColor('white').font('Helvetica-Bold').fontSize(22).text('CoachIQ', left, 20);
+    doc.font('Helvetica').fontSize(12)
+        .text(subtitle.toUpperCase(), left, 28, { width: contentWidth(doc), align: 'right' });
+    doc.font('Helvetica-Bold').fontSize(16)
+        .text(report.opponent || 'Opponent', left, 52, { width: contentWidth(doc) });
+
+    const jersey = str(report.teamInfo?.opponent?.jerseyColor);
+    const meta = [
+        report.generatedAt ? `Generated ${new Date(report.generatedAt).toLocaleDateString('en-US', { dateStyle: 'medium' })}` : null,
+        Number.isFinite(Number(report.confidence)) ? `Confidence ${report.confidence}%` : null,
+        str(report.skillLevel && report.skillLevel.estimated) ? `Level: ${humanize(report.skillLevel.estimated)}` : null,
+        jersey && jersey !== 'unknown' ? `Jerseys: ${jersey}` : null,
+    ].filter(Boolean).join('   ·   ');
+
+    doc.fillColor(BRAND.muted).font('Helvetica').fontSize(9).text(meta, left, 96, { width: contentWidth(doc) });
+    doc.moveDown(1);
+}
+
+function sectionTitle(doc, title) {
+    ensureSpace(doc, 60);
+    doc.moveDown(0.6);
+    const { left } = doc.page.margins;
+    const y = doc.y;
+    doc.rect(left, y, 4, 16).fill(BRAND.teal);
+    doc.fillColor(BRAND.dark).font('Helvetica-Bold').fontSize(14).text(title, left + 12, y + 1);
+    doc.moveTo(left, doc.y + 3).lineTo(left + contentWidth(doc), doc.y + 3)
+        .lineWidth(0.5).strokeColor(BRAND.rule).stroke();
+    doc.moveDown(0.6);
+}
+
+function subheading(doc, title) {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.3);
+    doc.fillColor(BRAND.orange).font('Helvetica-Bold').fontSize(11)
+        .text(title, doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+    doc.moveDown(0.2);
+}
+
+/** "Label: value" line; skipped when the value is empty. */
+function field(doc, label, value) {
+    const text = str(value);
+    if (!text) return;
+    ensureSpace(doc, 16);
+    doc.fillColor(BRAND.dark).font('Helvetica-Bold').fontSize(10)
+        .text(`${label}: `, doc.page.margins.left, doc.y, { continued: true, width: contentWidth(doc) })
+        .font('Helvetica').text(text);
+}
+
+function bullets(doc, items, { color = BRAND.dark } = {}) {
+    const { left } = doc.page.margins;
+    for (const item of items) {
+        const text = str(item);
+        if (!text) continue;
+        ensureSpace(doc, 16);
+        const y = doc.y;
+        doc.circle(left + 4, y + 5, 1.8).fill(BRAND.orange);
+        doc.fillColor(color).font('Helvetica').fontSize(10).text(text, left + 14, y, { width: contentWidth(doc) - 14 });
+        doc.moveDown(0.15);
+    }
+}
+
+function paragraph(doc, text, { size = 10, color = BRAND.dark } = {}) {
+    const value = str(text);
+    if (!value) return;
+    ensureSpace(doc, 16);
+    doc.fillColor(color).font('Helvetica').fontSize(size)
+        .text(value, doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+    doc.moveDown(0.3);
+}
+
+/** Page numbers and brand line on every buffered page. */
+function footer(doc, report) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        const y = doc.page.height - 30;
+        doc.fillColor(BRAND.muted).font('Helvetica').fontSize(8)
+            .text(`CoachIQ scouting report · ${report.opponent || ''}`, doc.page.margins.left, y, { lineBreak: false })
+            .text(`${i + 1} / ${range.count}`, doc.page.margins.left, y, { width: contentWidth(doc), align: 'right', lineBreak: false });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Full report sections
+// ---------------------------------------------------------------------------
+
+function keysToVictory(doc, report) {
+    const keys = list(report.recommendations && report.recommendations.keysToVictory);
+    if (!keys.length) return;
+    sectionTitle(doc, 'Keys to Victory');
+    keys.forEach((key, i) => {
+        const text = str(key);
+        if (!text) return;
+        ensureSpace(doc, 22);
+        const { left } = doc.page.margins;
+        const y = doc.y;
+        doc.circle(left + 8, y + 7, 8).fill(BRAND.teal);
+        doc.fillColor('white').font('Helvetica-Bold').fontSize(9).text(String(i + 1), left, y + 3, { width: 16, align: 'center' });
+        doc.fillColor(BRAND.dark).font('Helvetica-Bold').fontSize(11).text(text, left + 24, y + 1, { width: contentWidth(doc) - 24 });
+        doc.moveDown(0.4);
+    });
+}
+
+function defenseSection(doc, report) {
+    const defense = report.defense || {};
+    sectionTitle(doc, 'Defense');
+    field(doc, 'Primary', schemeName(defense.primary, 'scheme'));
+    paragraph(doc, defense.primary && defense.primary.details, { color: BRAND.muted });
+    field(doc, 'Execution', defense.primary && defense.primary.execution);
+    field(doc, 'Secondary', schemeName(defense.secondary, 'scheme'));
+    paragraph(doc, defense.secondary && defense.secondary.details, { color: BRAND.muted });
+
+    const breakdown = list(defense.breakdown).filter((b) => str(b && b.name));
+    if (breakdown.length) {
+        subheading(doc, 'Breakdown');
+        bullets(doc, breakdown.map((b) => [b.name, Number.isFinite(Number(b.percentage)) ? `${b.percentage}%` : null, str(b.notes)]
+            .filter(Boolean).join(' – ')));
+    }
+
+    const coverage = defense.ballScreenCoverage;
+    if (coverage && str(coverage.primary)) {
+        subheading(doc, 'Ball screen coverage');
+        field(doc, 'Primary', humanize(coverage.primary));
+        field(doc, 'Big', coverage.bigTechnique);
+        field(doc, 'Guard', coverage.guardTechnique);
+    }
+
+    if (defense.press && defense.press.observed) {
+        subheading(doc, 'Press');
+        field(doc, 'Type', defense.press.type && humanize(defense.press.type));
+        field(doc, 'Formation', defense.press.formation);
+        field(doc, 'Triggers', defense.press.triggers);
+    }
+
+    weaknesses(doc, defense.weaknesses, 'How to attack');
+}
+
+function offenseSection(doc, report) {
+    const offense = report.offense || {};
+    sectionTitle(doc, 'Offense');
+    field(doc, 'Primary', schemeName(offense.primary, 'system'));
+    paragraph(doc, offense.primary && offense.primary.details, { color: BRAND.muted });
+    field(doc, 'Secondary', schemeName(offense.secondary, 'system'));
+    field(doc, 'Spacing', offense.spacing && offense.spacing.formation);
+
+    const sets = list(offense.setsAndActions).filter((s) => str(s && s.name));
+    if (sets.length) {
+        subheading(doc, 'Sets and actions');
+        for (const set of sets) {
+            ensureSpace(doc, 40);
+            const freq = Number.isFinite(Number(set.frequency)) ? ` (${set.frequency}%)` : '';
+            doc.fillColor(BRAND.dark).font('Helvetica-Bold').fontSize(10)
+                .text(`${set.name}${freq}`, doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+            paragraph(doc, set.description, { size: 9, color: BRAND.muted });
+            field(doc, 'Defend it', set.howToDefend);
+            doc.moveDown(0.2);
+        }
+    }
+
+    weaknesses(doc, offense.weaknesses, 'How to exploit');
+}
+
+function weaknesses(doc, items, label) {
+    const entries = list(items).filter((w) => str(w && w.weakness));
+    if (!entries.length) return;
+    subheading(doc, 'Weaknesses');
+    for (const entry of entries) {
+        bullets(doc, [entry.weakness]);
+        if (str(entry.howToExploit)) {
+            doc.fillColor(BRAND.muted).font('Helvetica-Oblique').fontSize(9)
+                .text(`${label}: ${entry.howToExploit}`, doc.page.margins.left + 14, doc.y, { width: contentWidth(doc) - 14 });
+            doc.moveDown(0.2);
+        }
+    }
+}
+
+function playerLabel(player) {
+    return str(player.identifier) || str(player.jerseyNumber) || 'Player';
+}
+
+function keyPlayersSection(doc, report) {
+    const players = list(report.keyPlayers).length ? list(report.keyPlayers) : list(report.startingFive);
+    if (!players.length) return;
+    sectionTitle(doc, 'Key Players');
+
+    for (const player of players) {
+        ensureSpace(doc, 90);
+        const { left } = doc.page.margins;
+        const threat = str(player.threatLevel);
+        const y = doc.y;
+        doc.fillColor(BRAND.dark).font('Helvetica-Bold').fontSize(12)
+            .text([playerLabel(player), str(player.position)].filter(Boolean).join(' · '), left, y);
+        if (threat) {
+            const color = threat === 'high' ? BRAND.hot : threat === 'low' ? BRAND.teal : BRAND.orange;
+            doc.fillColor(color).font('Helvetica-Bold').fontSize(9)
+                .text(`${threat.toUpperCase()} THREAT`, left, y + 2, { width: contentWidth(doc), align: 'right' });
+        }
+        doc.y = Math.max(doc.y, y + 16);
+        field(doc, 'Role', player.role && humanize(player.role));
+        field(doc, 'Strengths', player.strengths);
+        field(doc, 'Weaknesses', player.weaknesses);
+        const tendencies = player.offensiveTendencies || {};
+        field(doc, 'Preferred hand', tendencies.preferredHand);
+        field(doc, 'Go-to moves', tendencies.goToMoves);
+        field(doc, 'How to guard', player.howToGuard);
+        doc.moveDown(0.5);
+    }
+}
+
+function shotChartSection(doc, report) {
+    const chart = report.shotChart || {};
+    const areas = SHOT_AREAS.filter(([key]) => chart.byArea && chart.byArea[key]);
+    const hot = list(chart.hotZones);
+    const cold = list(chart.coldZones);
+    if (!areas.length && !hot.length && !cold.length) return;
+
+    sectionTitle(doc, 'Shot Chart Zones');
+    if (Number.isFinite(Number(chart.totalShots))) {
+        field(doc, 'Overall', `${chart.totalMade ?? '–'} / ${chart.totalShots} (${pct(chart.overallPercentage)})`);
+    }
+
+    if (areas.length) {
+        const { left } = doc.page.margins;
+        const labelWidth = 110;
+        const barWidth = contentWidth(doc) - labelWidth - 90;
+        ensureSpace(doc, areas.length * 18 + 10);
+        doc.moveDown(0.3);
+        for (const [key, label] of areas) {
+            const zone = chart.byArea[key];
+            const percentage = Number(zone.percentage);
+            const y = doc.y;
+            doc.fillColor(BRAND.dark).font('Helvetica').fontSize(9).text(label, left, y + 2, { width: labelWidth });
+            doc.rect(left + labelWidth, y, barWidth, 12).fill(BRAND.rule);
+            if (Number.isFinite(percentage)) {
+                const color = percentage >= 50 ? BRAND.hot : percentage < 33 ? BRAND.cold : BRAND.orange;
+                doc.rect(left + labelWidth, y, barWidth * Math.min(percentage, 100) / 100, 12).fill(color);
+            }
+            doc.fillColor(BRAND.dark).font('Helvetica').fontSize(9)
+                .text(`${zone.made ?? '–'}/${zone.attempts ?? '–'}  ${pct(zone.percentage)}`,
+                    left + labelWidth + barWidth + 8, y + 2, { width: 82 });
+            doc.y = y + 18;
+        }
+    }
+
+    zones(doc, 'Hot zones', hot, BRAND.hot);
+    zones(doc, 'Cold zones', cold, BRAND.cold);
+}
+
+function zones(doc, title, items, color) {
+    const entries = items.filter((z) => str(z && z.area));
+    if (!entries.length) return;
+    subheading(doc, title);
+    bullets(doc, entries.map((z) => `${humanize(z.area)} (${pct(z.percentage)})${str(z.description) ? ` – ${z.description}` : ''}`), { color });
+}
+
+function paceSection(doc, report) {
+    const pace = report.pace || {};
+    sectionTitle(doc, 'Pace');
+    if (Number.isFinite(Number(pace.rating))) {
+        const { left } = doc.page.margins;
+        const width = contentWidth(doc);
+        const y = doc.y;
+        doc.rect(left, y, width, 10).fill(BRAND.rule);
+        doc.rect(left, y, width * Math.min(Number(pace.rating), 100) / 100, 10).fill(BRAND.teal);
+        doc.fillColor(BRAND.muted).font('Helvetica').fontSize(8)
+            .text('Slow', left, y + 13).text('Fast', left, y + 13, { width, align: 'right' });
+        doc.y = y + 26;
+        field(doc, 'Rating', `${pace.rating}/100`);
+    }
+    field(doc, 'Category', pace.category && humanize(pace.category));
+    field(doc, 'Style', pace.preferredStyle && humanize(pace.preferredStyle));
+    field(doc, 'Shot clock', pace.shotClockUsage && humanize(pace.shotClockUsage));
+    field(doc, 'Possession length', pace.possessionLength);
+    paragraph(doc, pace.description, { color: BRAND.muted });
+}
+
+function specialSituationsSection(doc, report) {
+    const situations = Object.entries(report.specialSituations || {}).filter(([, v]) => str(v));
+    const oob = (report.offense && report.offense.outOfBounds) || {};
+    const plays = ['blob', 'slob'].filter((k) => oob[k] && oob[k].observed);
+    if (!situations.length && !plays.length) return;
+
+    sectionTitle(doc, 'Special Situations');
+    for (const [key, value] of situations) field(doc, humanize(key), value);
+    for (const key of plays) {
+        subheading(doc, key === 'blob' ? 'Baseline out of bounds' : 'Sideline out of bounds');
+        field(doc, 'Sets', oob[key].commonSets);
+        field(doc, 'Primary option', oob[key].primaryOption);
+        field(doc, 'Defend it', oob[key].howToDefend);
+    }
+}
+
+function gamePlanSection(doc, report) {
+    const recs = report.recommendations || {};
+    const offense = recs.offensiveGamePlan || {};
+    const defense = recs.defensiveGamePlan || {};
+    const warnings = list(recs.warningPoints);
+    if (!str(offense.primaryStrategy) && !str(defense.recommendedScheme) && !warnings.length) return;
+
+    sectionTitle(doc, 'Game Plan');
+    if (str(offense.primaryStrategy)) {
+        subheading(doc, 'On offense');
+        paragraph(doc, offense.primaryStrategy);
+        bullets(doc, list(offense.setsToRun).map((s) => s && str(s.set) && `${s.set}${str(s.why) ? ` – ${s.why}` : ''}`));
+        field(doc, 'Tempo', offense.tempoStrategy);
+    }
+    if (str(defense.recommendedScheme)) {
+        subheading(doc, 'On defense');
+        field(doc, 'Scheme', defense.recommendedScheme);
+        paragraph(doc, defense.schemeDetails, { color: BRAND.muted });
+        field(doc, 'Ball screens', defense.ballScreenCoverage);
+        bullets(doc, list(defense.keyAssignments).map((a) => a && str(a.offensive_player) &&
+            `${a.offensive_player}: ${[str(a.defensive_assignment), str(a.instructions)].filter(Boolean).join(' – ')}`));
+    }
+    if (warnings.length) {
+        subheading(doc, 'Watch out for');
+        bullets(doc, warnings);
+    }
+}
+
+function renderFull(doc, report) {
+    banner(doc, report, 'Scouting Report');
+    keysToVictory(doc, report);
+    defenseSection(doc, report);
+    offenseSection(doc, report);
+    keyPlayersSection(doc, report);
+    shotChartSection(doc, report);
+    paceSection(doc, report);
+    specialSituationsSection(doc, report);
+    gamePlanSection(doc, report);
+}
+
+// ---------------------------------------------------------------------------
+// One-page player card
+// ---------------------------------------------------------------------------
+
+/** Text clipped to a fixed box so the card never spills onto a second page. */
+function boxText(doc, text, x, y, width, height, { font = 'Helvetica', size = 9, color = BRAND.dark } = {}) {
+    const value = str(text);
+    if (!value) return;
+    doc.fillColor(color).font(font).fontSize(size).text(value, x, y, { width, height, ellipsis: true });
+}
+
+function cardPanel(doc, title, x, y, width, height) {
+    doc.roundedRect(x, y, width, height, 6).lineWidth(0.75).strokeColor(BRAND.rule).stroke();
+    doc.fillColor(BRAND.orange).font('Helvetica-Bold').fontSize(10).text(title.toUpperCase(), x + 10, y + 8, { width: width - 20 });
+    return { x: x + 10, y: y + 24, width: width - 20, height: height - 32 };
+}
+
+function renderCard(doc, report) {
+    banner(doc, report, 'Player Card');
+    const { left } = doc.page.margins;
+    const width = contentWidth(doc);
+    const half = (width - 12) / 2;
+    const top = doc.y + 4;
+
+    // Row 1: their defense / their offense
+    const defense = report.defense || {};
+    const offense = report.offense || {};
+    let box = cardPanel(doc, 'Their defense', left, top, half, 96);
+    boxText(doc, schemeName(defense.primary, 'scheme'), box.x, box.y, box.width, 16, { font: 'Helvetica-Bold', size: 12 });
+    boxText(doc, defense.weaknesses && defense.weaknesses[0] && defense.weaknesses[0].howToExploit,
+        box.x, box.y + 18, box.width, box.height - 18, { color: BRAND.muted });
+
+    box = cardPanel(doc, 'Their offense', left + half + 12, top, half, 96);
+    boxText(doc, schemeName(offense.primary, 'system'), box.x, box.y, box.width, 16, { font: 'Helvetica-Bold', size: 12 });
+    const sets = list(offense.setsAndActions).map((s) => s && s.name).filter(Boolean).slice(0, 3);
+    boxText(doc, sets.length ? `Sets: ${sets.join(', ')}` : null, box.x, box.y + 18, box.width, box.height - 18, { color: BRAND.muted });
+
+    // Row 2: keys to victory
+    const keysTop = top + 108;
+    box = cardPanel(doc, 'Keys to victory', left, keysTop, width, 118);
+    list(report.recommendations && report.recommendations.keysToVictory).slice(0, 3).forEach((key, i) => {
+        boxText(doc, `${i + 1}. ${str(key) || ''}`, box.x, box.y + i * 28, box.width, 26, { font: 'Helvetica-Bold', size: 10 });
+    });
+
+    // Row 3: players to know
+    const playersTop = keysTop + 130;
+    const players = (list(report.keyPlayers).length ? list(report.keyPlayers) : list(report.startingFive)).slice(0, 5);
+    box = cardPanel(doc, 'Players to know', left, playersTop, width, 212);
+    players.forEach((player, i) => {
+        const y = box.y + i * 36;
+        const threat = str(player.threatLevel);
+        boxText(doc, [playerLabel(player), str(player.position), threat && `${threat} threat`].filter(Boolean).join(' · '),
+            box.x, y, box.width, 12, { font: 'Helvetica-Bold', size: 10 });
+        boxText(doc, player.howToGuard || str(player.strengths), box.x, y + 13, box.width, 22, { size: 8.5, color: BRAND.muted });
+    });
+
+    // Row 4: pace / shooting zones
+    const bottomTop = playersTop + 224;
+    const pace = report.pace || {};
+    box = cardPanel(doc, 'Pace', left, bottomTop, half, 92);
+    boxText(doc, Number.isFinite(Number(pace.rating)) ? `${pace.rating}/100` : null, box.x, box.y, box.width, 18,
+        { font: 'Helvetica-Bold', size: 14 });
+    boxText(doc, [pace.category && humanize(pace.category), pace.preferredStyle && humanize(pace.preferredStyle)].filter(Boolean).join(' · '),
+        box.x, box.y + 22, box.width, box.height - 22, { color: BRAND.muted });
+
+    const chart = report.shotChart || {};
+    box = cardPanel(doc, 'Shooting zones', left + half + 12, bottomTop, half, 92);
+    const hot = list(chart.hotZones).filter((z) => z && z.area).slice(0, 2).map((z) => `${humanize(z.area)} ${pct(z.percentage)}`);
+    const cold = list(chart.coldZones).filter((z) => z && z.area).slice(0, 2).map((z) => `${humanize(z.area)} ${pct(z.percentage)}`);
+    boxText(doc, hot.length ? `Take away: ${hot.join(', ')}` : null, box.x, box.y, box.width, 28, { color: BRAND.hot });
+    boxText(doc, cold.length ? `Live with: ${cold.join(', ')}` : null, box.x, box.y + 30, box.width, 28, { color: BRAND.cold });
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the PDF for a generated report. The returned document is already
+ * ended – pipe it to a response or file.
+ *
+ * @param {object} report           - generateReport() output
+ * @param {object} [opts]
+ * @param {'full'|'card'} [opts.layout='full']
+ * @returns {PDFDocument}
+ */
+function renderReportPdf(report, { layout = 'full' } = {}) {
+    if (!LAYOUTS.includes(layout)) {
+        throw Object.assign(new Error(`layout must be one of: ${LAYOUTS.join(', ')}`), { statusCode: 400 });
+    }
+
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 40, bottom: 50, left: 48, right: 48 },
+        bufferPages: true,
+        info: {
+            Title: `${layout === 'card' ? 'Player Card' : 'Scouting Report'}: ${report.opponent || 'Opponent'}`,
+            Author: 'CoachIQ',
+        },
+    });
+
+    if (layout === 'card') renderCard(doc, report);
+    else renderFull(doc, report);
+
+    footer(doc, report);
+    doc.end();
+    return doc;
+}
+
+/** Render to a Buffer (tests, email attachments). */
+function renderReportPdfBuffer(report, opts) {
+    return new Promise((resolve, reject) => {
+        const doc = renderReportPdf(report, opts);
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+}
+
+module.exports = { renderReportPdf, renderReportPdfBuffer, LAYOUTS };
@@ -0,0 +1,121 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// ---------------------------------------------------------------------------
+// Content-hash cache for OCR and Claude scorebook results
+//
+// Coaches re-upload the same photo after a failed parse or to switch views.
+// Results are keyed by SHA-256 of the kind, a version string and the
+// normalised image bytes (after preprocessing), so an identical upload is
+// answered without paying for Document AI or Claude again:
+//
+//   kind     'ocr' | 'claude'
+//   version  OCR provider + its settings (services/ocr), or Claude model +
+//            prompt hash – changing any of them starts a fresh set of entries
+//
+// Entries older than the TTL count as misses. Cache errors are logged and
+// never fail the request; a failed computation is not cached.
+//
+//   RESULT_CACHE               "on" (default) or "off"
+//   RESULT_CACHE_TTL_DAYS      default 30
+// ---------------------------------------------------------------------------
+
+const KINDS = ['ocr', 'claude'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} kind
+ * @param {string} version
+ * @param {Buffer} buffer - normalised image bytes
+ * @returns {string} hex SHA-256
+ */
+function cacheKey(kind, version, buffer) {
+    return crypto.createHash('sha256')
+        .update(`${kind}\n${version}\n`)
+        .update(buffer)
+        .digest('hex');
+}
+
+/** Short stable hash of a prompt, for use in a version string. */
+function promptVersion(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.repository - repository with the result-cache methods
+ * @param {number} [opts.ttlMs]
+ * @param {boolean} [opts.enabled]
+ */
+function createResultCache({
+    repository,
+    ttlMs = parseFloat(process.env.RESULT_CACHE_TTL_DAYS || '30') * DAY_MS,
+    enabled = process.env.RESULT_CACHE !== 'off',
+}) {
+    /**
+     * Return the cached result for this image, or compute and store it.
+     *
+     * @param {string} kind - 'ocr' | 'claude'
+     * @param {string} version
+     * @param {Buffer} buffer - normalised image bytes
+     * @param {() => Promise<any>} compute
+     * @returns {Promise<{ result: any, cache: { hit: boolean, key: string, cachedAt: string } | null }>}
+     *   cache is null when caching is off
+     */
+    async function remember(kind, version, buffer, compute) {
+        if (!enabled) return { result: await compute(), cache: null };
+
+        const key = cacheKey(kind, version, buffer);
+        try {
+            const entry = await repository.getCachedResult(key);
+            if (entry && Date.now() - new Date(entry.createdAt).getTime() < ttlMs) {
+                console.log(`[CACHE] ${kind} hit ${key.slice(0, 12)}`);
+                return { result: structuredClone(entry.result), cache: { hit: true, key, cachedAt: entry.createdAt } };
+            }
+        } catch (error) {
+            console.error(`[CACHE] ${kind} lookup failed:`, error.message);
+        }
+
+        const result = await compute();
+        const cachedAt = new Date().toISOString();
+        try {
+            await repository.saveCachedResult({ key, kind, version, result: structuredClone(result), createdAt: cachedAt });
+        } catch (error) {
+            console.error(`[CACHE] ${kind} save failed:`, error.message);
+        }
+        return { result, cache: { hit: false, key, cachedAt } };
+    }
+
+    /**
+     * Delete entries. With no filters, empties the cache.
+     *
+     * @param {object} [filters]
+     * @param {string} [filters.key] - one entry
+     * @param {string} [filters.kind] - 'ocr' | 'claude'
+     * @param {string} [filters.olderThan] - ISO date; entries cached before it
+     * @returns {Promise<number>} entries deleted
+     */
+    async function purge({ key, kind, olderThan } = {}) {
+        if (kind && !KINDS.includes(kind)) {
+            throw Object.assign(new Error(`kind must be one of: ${KINDS.join(', ')}`), { statusCode: 400 });
+        }
+        if (key && !/^[0-9a-f]{64}$/.test(key)) {
+            throw Object.assign(new Error('key must be a 64-character hex SHA-256.'), { statusCode: 400 });
+        }
+        let createdBefore;
+        if (olderThan) {
+            const date = new Date(olderThan);
+            if (Number.isNaN(date.getTime())) {
+                throw Object.assign(new Error('olderThan must be an ISO date.'), { statusCode: 400 });
+            }
+            createdBefore = date.toISOString();
+        }
+        return repository.deleteCachedResults({ key, kind, createdBefore });
+    }
+
+    return { enabled, remember, purge };
+}
+
+module.exports = { createResultCache, cacheKey, promptVersion, KINDS };
@@ -0,0 +1,121 @@
+'use strict';
+
+// ---------------------------------------------------------------------------
+// Resource scheduler
+//
+// Caps how many tasks may use a shared resource at once (ffmpeg processes,
+// Anthropic API calls) and queues the rest. Each resource has its own pool so
+// a long Claude call doesn't hold back frame extraction and vice versa.
+//
+// Waiting tasks are ordered by priority (higher first), then by arrival.
+// Callers can pass onPosition to hear about their place in line — used to
+// show "position N in queue" in the report's progressText.
+// ---------------------------------------------------------------------------
+
+/** Paid plans jump ahead of trial users. */
+const PLAN_PRIORITY = {
+    yearly: 10,
+    monthly: 10,
+    trial: 0,
+};
+
+/** Queue priority of a user's plan; a cancelled or expired plan gets none. */
+function priorityForPlan(plan, planStatus) {
+    return planStatus === 'active' ? PLAN_PRIORITY[plan] || 0 : 0;
+}
+
+/**
+ * @param {Object<string, number>} limits - max concurrent tasks per resource,
+ *        e.g. { ffmpeg: 1, anthropic: 2 }
+ */
+function createScheduler(limits) {
+    const pools = {};
+    for (const [resource, limit] of Object.entries(limits)) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Scheduler limit for "${resource}" must be a positive integer (got ${limit})`);
+        }
+        pools[resource] = { limit, active: 0, waiting: [] };
+    }
+    let sequence = 0;
+
+    /**
+     * Run `task` once a slot for `resource` is free.
+     *
+     * @param {string}   resource
+     * @param {Function} task - async () => any
+     * @param {object}   [opts]
+     * @param {number}   [opts.priority=0]
+     * @param {Function} [opts.onPosition] - (position) => void, 1-based, called
+     *        whenever the task's place in the waiting line changes
+     * @returns {Promise<any>} the task's result
+     */
+    function run(resource, task, { priority = 0, onPosition = null } = {}) {
+        const pool = pools[resource];
+        if (!pool) {
+            return Promise.reject(new Error(`Unknown scheduler resource "${resource}"`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                priority,
+                seq: sequence++,
+                onPosition,
+                lastPosition: null,
+                start() {
+                    pool.active++;
+                    Promise.resolve()
+                        .then(task)
+                        .then(resolve, reject)
+                        .finally(() => {
+                            pool.active--;
+                            drain(pool);
+                        });
+                },
+            };
+
+            if (pool.active < pool.limit && pool.waiting.length === 0) {
+                entry.start();
+                return;
+            }
+
+            // Insert after every waiting entry with the same or higher priority
+            const idx = pool.waiting.findIndex((w) => w.priority < priority);
+            if (idx === -1) pool.waiting.push(entry);
+            else pool.waiting.splice(idx, 0, entry);
+            notifyPositions(pool);
+        });
+    }
+
+    function drain(pool) {
+        while (pool.active < pool.limit && pool.waiting.length > 0) {
+            pool.waiting.shift().start();
+        }
+        notifyPositions(pool);
+    }
+
+    function notifyPositions(pool) {
+        pool.waiting.forEach((entry, i) => {
+            const position = i + 1;
+            if (!entry.onPosition || entry.lastPosition === position) return;
+            entry.lastPosition = position;
+            try {
+                entry.onPosition(position);
+            } catch (err) {
+                console.error('[SCHEDULER] onPosition callback error:', err.message);
+            }
+        });
+    }
+
+    /** Snapshot of active / waiting counts per resource (for logging and health). */
+    function stats() {
+        const out = {};
+        for (const [resource, pool] of Object.entries(pools)) {
+            out[resource] = { limit: pool.limit, active: pool.active, waiting: pool.waiting.length };
+        }
+        return out;
+    }
+
+    return { run, stats };
+}
+
+module.exports = { createScheduler, priorityForPlan, PLAN_PRIORITY };
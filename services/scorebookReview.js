@@ -0,0 +1,100 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { applyEdits, revalidate, reviewStatus } = require('../scorebooks/review');
+
+// ---------------------------------------------------------------------------
+// Stored scorebook parses and their review workflow
+//
+// Every layout-template parse (single page, one team of a game, or an
+// OCR + Claude consensus) and every Claude read stored against a game is
+// saved as a scorebook with status:
+//
+//   needs_review – the parser's checks failed
+//   ready        – checks pass, not yet confirmed by the coach
+//   confirmed    – the coach signed off; downstream stats use only these
+//
+// Corrections re-run the checks and are kept as an edit history. Editing a
+// confirmed scorebook reopens it unless the same request confirms again.
+// ---------------------------------------------------------------------------
+
+/**
+ * @param {object} opts
+ * @param {object} opts.repository - repository with scorebook methods
+ */
+function createScorebookReview({ repository }) {
+    /**
+     * Store a parse result.
+     *
+     * @param {object} scorebook - { userId, source ('parse' | 'game' | 'ensemble' | 'claude'), template, result, side?, teamName?, gameId? }
+     */
+    async function save({ userId, source, template, result, side = null, teamName = null, gameId = null }) {
+        const now = new Date().toISOString();
+        return repository.createScorebook({
+            id: uuidv4(),
+            userId,
+            source,
+            template,
+            side,
+            teamName,
+            gameId,
+            status: reviewStatus(result),
+            result,
+            createdAt: now,
+            updatedAt: now,
+            confirmedAt: null,
+        });
+    }
+
+    /**
+     * Apply a coach's corrections and / or change the confirmed state.
+     *
+     * @param {object} scorebook - the stored scorebook
+     * @param {object} body
+     * @param {Array} [body.edits] - cell edits (scorebooks/review.js)
+     * @param {boolean} [body.confirm] - true to confirm, false to reopen
+     * @param {object} user - req.user
+     * @returns {{ scorebook: object, edit: object|null }} edit = the history entry, null when nothing changed
+     */
+    async function update(scorebook, { edits, confirm } = {}, user) {
+        if (edits === undefined && confirm === undefined) {
+            throw Object.assign(new Error('Send edits and / or confirm.'), { statusCode: 400 });
+        }
+        if (confirm !== undefined && typeof confirm !== 'boolean') {
+            throw Object.assign(new Error('confirm must be true or false.'), { statusCode: 400 });
+        }
+
+        let result = scorebook.result;
+        let changes = [];
+        if (edits !== undefined) {
+            ({ result, changes } = applyEdits(scorebook.result, edits));
+            if (changes.length > 0) result = revalidate(result);
+        }
+
+        const wasConfirmed = scorebook.status === 'confirmed';
+        const confirmed = confirm !== undefined ? confirm : wasConfirmed && changes.length === 0;
+        const action = confirmed && !wasConfirmed ? 'confirm'
+            : !confirmed && wasConfirmed ? (changes.length > 0 ? 'edit_reopened' : 'reopen')
+                : changes.length > 0 ? 'edit' : null;
+        if (!action) return { scorebook, edit: null };
+
+        const now = new Date().toISOString();
+        const updated = await repository.updateScorebook(scorebook.id, {
+            result,
+            status: confirmed ? 'confirmed' : reviewStatus(result),
+            confirmedAt: confirmed ? (wasConfirmed ? scorebook.confirmedAt : now) : null,
+            updatedAt: now,
+        });
+        const edit = await repository.appendScorebookEdit(scorebook.id, {
+            userId: user.id,
+            action,
+            changes,
+            reviewReasons: result.validation.review_reasons,
+        });
+        return { scorebook: updated, edit };
+    }
+
+    return { save, update };
+}
+
+module.exports = { createScorebookReview };
@@ -0,0 +1,349 @@
+'use strict';
+
+const { claudeCells } = require('../scorebooks/ensemble');
+const { computeMetrics, combineMetrics, sumLines } = require('../utils/metrics');
+const { sideFor } = require('./teams');
+const { extractRows, linkHistory, matchRows } = require('./playerMatching');
+
+// ---------------------------------------------------------------------------
+// Season stat aggregation
+//
+// Rolls a season's games up into team and per-player season lines. Each game
+// contributes at most one box score per team: the newest *confirmed*
+// scorebook attached to it on that team's sheet side (services/teams.js
+// sideFor). Box scores may be in either shape:
+//
+//   layout template  players[{ player_number, total_points, shooting{…} }], team_totals
+//                    (parseMark5Minimal and friends; also stored Claude reads)
+//   Claude stats     players[{ number, points, fieldGoalsMade, … }], teamTotals
+//                    (processScorebook / computeTeamTotals)
+//
+// Books record different things – the Mark 5 has no field-goal attempts – so
+// every stat is summed and averaged over the games where it was recorded,
+// and a percentage is null until some attempts were. Advanced metrics
+// (utils/metrics.js) follow the same rule. Rows count for a roster player
+// once the coach confirmed the link or services/playerMatching.js matched
+// them clearly; the rest keep lines of their own.
+// ---------------------------------------------------------------------------
+
+/** Counting stats of one game line. */
+const STATS = ['points', 'fgm', 'fga', 'fg3m', 'fg3a', 'ftm', 'fta', 'fouls', 'turnovers'];
+
+/** Percentage name → [made, attempted]. */
+const PERCENTAGES = { fg: ['fgm', 'fga'], fg3: ['fg3m', 'fg3a'], ft: ['ftm', 'fta'] };
+
+function count(value) {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+function add(a, b) {
+    return a == null || b == null ? null : a + b;
+}
+
+function round1(n) {
+    return Math.round(n * 10) / 10;
+}
+
+function round3(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+/** Template-schema cells ({ total_points, fg2_made, … }) as a game line. */
+function lineFromCells(cells) {
+    return {
+        points: count(cells.total_points),
+        fgm: add(count(cells.fg2_made), count(cells.fg3_made)),
+        fga: add(count(cells.fg2_att), count(cells.fg3_att)),
+        fg3m: count(cells.fg3_made),
+        fg3a: count(cells.fg3_att),
+        ftm: count(cells.ft_made),
+        fta: count(cells.ft_att),
+        fouls: count(cells.personal_fouls_total),
+        turnovers: count(cells.turnovers),
+    };
+}
+
+/**
+ * Claude reads don't split field goals; claudeCells finds the 3s when it can.
+ * Attempts only count with quarter boxes – without them the extraction prompt
+ * has Claude copy the makes into fieldGoalsAttempted.
+ */
+function lineFromClaude(player) {
+    const hasQuarters = !!player.quarters && Object.values(player.quarters).length > 0;
+    return {
+        ...lineFromCells(claudeCells(player)),
+        fgm: count(player.fieldGoalsMade),
+        fga: hasQuarters ? count(player.fieldGoalsAttempted) : null,
+    };
+}
+
+function isClaudeShape(result) {
+    return result.team_totals === undefined && !(result.players || []).some((p) => p.shooting !== undefined);
+}
+
+/**
+ * Game lines for every player row and the team, from a box score in either
+ * shape. The team line sums the players, with the book's team points when
+ * it has them.
+ *
+ * @param {object} result - box score
+ * @returns {{ players: Array<{ number: string|null, name: string|null, line: object }>, team: object }}
+ */
+function boxScoreLines(result) {
+    const claude = isClaudeShape(result);
+    const players = (result.players || []).map((p) => (claude
+        ? { number: p.number == null ? null : String(p.number).trim().replace(/^#/, ''), name: p.name || null, line: lineFromClaude(p) }
+        : { number: p.player_number || null, name: p.player_name || null, line: lineFromCells({ ...p.shooting, ...p }) }));
+
+    const team = {};
+    for (const stat of STATS) team[stat] = null;
+    Object.assign(team, sumLines(players.map((p) => p.line)));
+    const bookPoints = claude
+        ? count(result.finalScore || (result.teamTotals && result.teamTotals.totalPoints))
+        : count(result.team_totals && result.team_totals.total_points);
+    if (bookPoints != null) team.points = bookPoints;
+
+    return { players, team };
+}
+
+/**
+ * Advanced metrics of one box score (either shape), for the team and each
+ * player row.
+ *
+ * @param {object} result - box score
+ * @returns {{ team: object, players: Array<{ number, name, metrics }> }}
+ */
+function boxScoreMetrics(result) {
+    const { players, team } = boxScoreLines(result);
+    return {
+        team: computeMetrics(team),
+        players: players.map(({ number, name, line }) => ({ number, name, metrics: computeMetrics(line) })),
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Accumulating game lines into season lines
+// ---------------------------------------------------------------------------
+
+function newAccumulator() {
+    const acc = { games: 0, totals: {}, recorded: {}, made: {}, attempted: {}, lines: [] };
+    for (const stat of STATS) {
+        acc.totals[stat] = 0;
+        acc.recorded[stat] = 0;
+    }
+    for (const pct of Object.keys(PERCENTAGES)) {
+        acc.made[pct] = 0;
+        acc.attempted[pct] = 0;
+    }
+    return acc;
+}
+
+function accumulate(acc, line) {
+    acc.games++;
+    acc.lines.push(line);
+    for (const stat of STATS) {
+        if (line[stat] == null) continue;
+        acc.totals[stat] += line[stat];
+        acc.recorded[stat]++;
+    }
+    for (const [pct, [made, attempted]] of Object.entries(PERCENTAGES)) {
+        if (line[made] == null || line[attempted] == null) continue;
+        acc.made[pct] += line[made];
+        acc.attempted[pct] += line[attempted];
+    }
+}
+
+/**
+ * @returns {{ games: number, totals: object, perGame: object, percentages: object, metrics: object }}
+ *   perGame.points is PPG; null wherever the stat was never recorded
+ */
+function summarise(acc) {
+    const totals = {};
+    const perGame = {};
+    for (const stat of STATS) {
+        const recorded = acc.recorded[stat];
+        totals[stat] = recorded > 0 ? acc.totals[stat] : null;
+        perGame[stat] = recorded > 0 ? round1(acc.totals[stat] / recorded) : null;
+    }
+    const percentages = {};
+    for (const pct of Object.keys(PERCENTAGES)) {
+        percentages[pct] = acc.attempted[pct] > 0 ? round3(acc.made[pct] / acc.attempted[pct]) : null;
+    }
+    return { games: acc.games, totals, perGame, percentages, metrics: combineMetrics(acc.lines) };
+}
+
+function newSplit() {
+    return { games: 0, wins: 0, losses: 0, ties: 0, pointsFor: [], pointsAgainst: [], box: newAccumulator() };
+}
+
+function summariseSplit(split) {
+    const average = (values) => (values.length > 0 ? round1(values.reduce((s, v) => s + v, 0) / values.length) : null);
+    const { games: boxScores, ...stats } = summarise(split.box);
+    return {
+        games: split.games,
+        record: { wins: split.wins, losses: split.losses, ties: split.ties },
+        pointsFor: average(split.pointsFor),
+        pointsAgainst: average(split.pointsAgainst),
+        boxScores,
+        ...stats,
+    };
+}
+
+/**
+ * Aggregate a season.
+ *
+ * @param {object} opts
+ * @param {Array<{ game: object, own: object|null, opponent: object|null, ownLinks?: object }>} opts.games -
+ *   each game with the team's and the opponent's box score (either shape), when
+ *   stored, and the roster links confirmed on the team's (scorebook playerLinks)
+ * @param {Array} [opts.roster] - the season's roster players
+ * @returns {{ games: Array, team: { overall: object, splits: object }, players: Array }}
+ *   players are sorted by PPG; each has a gameLog
+ */
+function aggregateSeason({ games, roster = [] }) {
+    const overall = newSplit();
+    const splits = { home: newSplit(), away: newSplit(), neutral: newSplit(), wins: newSplit(), losses: newSplit() };
+    const rosterById = new Map(roster.map((p) => [p.id, p]));
+    const books = games.filter((g) => g.own).map((g) => ({ result: g.own, playerLinks: g.ownLinks }));
+    const players = new Map();
+    const gameSummaries = [];
+
+    for (const { game, own, opponent, ownLinks } of games) {
+        const ownLines = own ? boxScoreLines(own) : null;
+        const opponentLines = opponent ? boxScoreLines(opponent) : null;
+        const matches = own
+            ? matchRows(extractRows(own), roster, {
+                links: ownLinks || {},
+                history: linkHistory(books.filter((b) => b.result !== own)),
+            })
+            : [];
+
+        // The scores entered on the game win over the books' totals
+        const teamScore = game.teamScore != null ? game.teamScore : (ownLines ? ownLines.team.points : null);
+        const opponentScore = game.opponentScore != null ? game.opponentScore : (opponentLines ? opponentLines.team.points : null);
+        const result = teamScore == null || opponentScore == null ? null
+            : teamScore > opponentScore ? 'W' : teamScore < opponentScore ? 'L' : 'T';
+
+        const buckets = [overall, splits[game.location] || splits.home];
+        if (result === 'W') buckets.push(splits.wins);
+        if (result === 'L') buckets.push(splits.losses);
+        for (const split of buckets) {
+            split.games++;
+            if (result === 'W') split.wins++;
+            if (result === 'L') split.losses++;
+            if (result === 'T') split.ties++;
+            if (teamScore != null) split.pointsFor.push(teamScore);
+            if (opponentScore != null) split.pointsAgainst.push(opponentScore);
+            if (ownLines) accumulate(split.box, ownLines.team);
+        }
+
+        gameSummaries.push({
+            id: game.id, date: game.date, opponentName: game.opponentName, location: game.location,
+            teamScore, opponentScore, result, hasBoxScore: !!ownLines,
+            ambiguousRows: matches.filter((m) => m.status === 'ambiguous').length,
+        });
+
+        if (!ownLines) continue;
+        for (const [i, row] of ownLines.players.entries()) {
+            const rosterPlayer = rosterById.get(matches[i].rosterPlayerId) || null;
+            const key = rosterPlayer ? rosterPlayer.id : `${row.number || ''}|${(row.name || '').toLowerCase()}`;
+            if (!players.has(key)) {
+                players.set(key, {
+                    rosterPlayerId: rosterPlayer ? rosterPlayer.id : null,
+                    number: rosterPlayer ? rosterPlayer.number : row.number,
+                    name: rosterPlayer ? rosterPlayer.name : row.name,
+                    acc: newAccumulator(),
+                    gameLog: [],
+                });
+            }
+            const entry = players.get(key);
+            accumulate(entry.acc, row.line);
+            entry.gameLog.push({
+                gameId: game.id, date: game.date, opponentName: game.opponentName, result,
+                ...row.line, metrics: computeMetrics(row.line),
+            });
+        }
+    }
+
+    const playerLines = [...players.values()]
+        .map(({ acc, ...player }) => ({ ...player, ...summarise(acc) }))
+        .sort((a, b) => (b.perGame.points || 0) - (a.perGame.points || 0));
+
+    const summarisedSplits = {};
+    for (const [name, split] of Object.entries(splits)) summarisedSplits[name] = summariseSplit(split);
+
+    return {
+        games: gameSummaries,
+        team: { overall: summariseSplit(overall), splits: summarisedSplits },
+        players: playerLines,
+    };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.repository - repository with team / season / game / scorebook methods
+ */
+function createSeasonStats({ repository }) {
+    async function loadSeason(season) {
+        const [games, roster] = await Promise.all([
+            repository.listGamesBySeason(season.id),
+            repository.listRosterBySeason(season.id),
+        ]);
+        const entries = await Promise.all(games.map(async (game) => {
+            // Newest first; a single-page parse has no side and counts as the coach's own book
+            const confirmed = (await repository.listScorebooksByGame(game.id)).filter((s) => s.status === 'confirmed');
+            const ownSide = sideFor(game);
+            const own = confirmed.find((s) => s.side === ownSide) || confirmed.find((s) => !s.side);
+            const opponent = confirmed.find((s) => s.side && s.side !== ownSide);
+            return {
+                game,
+                own: own ? own.result : null,
+                ownLinks: own ? own.playerLinks : null,
+                opponent: opponent ? opponent.result : null,
+            };
+        }));
+        return { games: entries, roster };
+    }
+
+    /**
+     * Team season stats.
+     *
+     * @param {object} team
+     * @param {string} [seasonId] - defaults to the team's newest season
+     */
+    async function teamSeason(team, seasonId) {
+        let season;
+        if (seasonId) {
+            season = await repository.getSeason(seasonId);
+            if (!season || season.teamId !== team.id) {
+                throw Object.assign(new Error('Season not found for this team'), { statusCode: 404 });
+            }
+        } else {
+            [season] = await repository.listSeasonsByTeam(team.id);
+            if (!season) throw Object.assign(new Error('This team has no seasons yet'), { statusCode: 404 });
+        }
+
+        const { games, team: teamStats, players } = aggregateSeason(await loadSeason(season));
+        return {
+            team: { id: team.id, name: team.name },
+            season: { id: season.id, name: season.name },
+            games,
+            ...teamStats,
+            players: players.map(({ gameLog, ...line }) => line),
+        };
+    }
+
+    /** One roster player's season line and game log. */
+    async function playerSeason(rosterPlayer) {
+        const season = await repository.getSeason(rosterPlayer.seasonId);
+        const { players } = aggregateSeason(await loadSeason(season));
+        const line = players.find((p) => p.rosterPlayerId === rosterPlayer.id)
+            || { ...summarise(newAccumulator()), gameLog: [] };
+        const { rosterPlayerId, number, name, ...stats } = line;
+        return { player: rosterPlayer, season: { id: season.id, name: season.name }, ...stats };
+    }
+
+    return { teamSeason, playerSeason };
+}
+
+module.exports = { createSeasonStats, aggregateSeason, boxScoreLines, boxScoreMetrics, STATS };
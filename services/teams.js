@@ -0,0 +1,349 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+// ---------------------------------------------------------------------------
+// Teams, seasons, rosters and games
+//
+//   team ─┬─ season ─┬─ roster player
+//         │          └─ game ── scorebooks, video reports, practice plans
+//
+// Every record carries the coach's userId (checked by middleware/ownership.js)
+// and its parent ids. Scorebooks, reports and practice plans point at a game
+// through an optional gameId; deleting the game detaches them, while a team
+// or season can only be deleted once it is empty.
+// ---------------------------------------------------------------------------
+
+const LOCATIONS = ['home', 'away', 'neutral'];
+
+const MAX_SCORE = 250;
+
+/**
+ * Accepted fields per entity. Unknown body keys are ignored; optional
+ * fields can be cleared with null.
+ */
+const FIELDS = {
+    team: {
+        name: { type: 'string', max: 80, required: true },
+        level: { type: 'string', max: 40 },
+    },
+    season: {
+        name: { type: 'string', max: 40, required: true },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+    },
+    rosterPlayer: {
+        number: { type: 'jersey', required: true },
+        name: { type: 'string', max: 60, required: true },
+        position: { type: 'string', max: 20 },
+        active: { type: 'boolean' },
+    },
+    game: {
+        opponentName: { type: 'string', max: 80, required: true },
+        date: { type: 'date', required: true },
+        location: { type: 'enum', values: LOCATIONS },
+        teamScore: { type: 'score' },
+        opponentScore: { type: 'score' },
+        notes: { type: 'string', max: 2000 },
+    },
+};
+
+/**
+ * What can be attached to a game, and the repository methods that load and
+ * update it.
+ */
+const ATTACHMENTS = {
+    scorebook: { get: 'getScorebook', update: 'updateScorebook' },
+    report: { get: 'getReport', update: 'updateReport' },
+    practice_plan: { get: 'getPracticePlan', update: 'updatePracticePlan' },
+};
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function conflict(message) {
+    return Object.assign(new Error(message), { statusCode: 409 });
+}
+
+function isDate(value) {
+    return typeof value === 'string'
+        && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function coerce(field, spec, value) {
+    switch (spec.type) {
+        case 'string': {
+            if (typeof value !== 'string') throw badRequest(`${field} must be a string.`);
+            const text = value.trim();
+            if (text.length > spec.max) throw badRequest(`${field} must be at most ${spec.max} characters.`);
+            return text || null;
+        }
+        case 'jersey': {
+            const text = typeof value === 'number' ? String(value) : value;
+            if (typeof text !== 'string' || !/^\d{1,3}$/.test(text.trim())) {
+                throw badRequest(`${field} must be a jersey number of 1–3 digits, e.g. "4" or "00".`);
+            }
+            return text.trim();
+        }
+        case 'date':
+            if (!isDate(value)) throw badRequest(`${field} must be a YYYY-MM-DD date.`);
+            return value;
+        case 'enum':
+            if (!spec.values.includes(value)) throw badRequest(`${field} must be one of: ${spec.values.join(', ')}`);
+            return value;
+        case 'score':
+            if (!Number.isInteger(value) || value < 0 || value > MAX_SCORE) {
+                throw badRequest(`${field} must be a whole number from 0 to ${MAX_SCORE}.`);
+            }
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') throw badRequest(`${field} must be true or false.`);
+            return value;
+        default:
+            throw new Error(`Unknown field type ${spec.type}`);
+    }
+}
+
+/**
+ * Validate a request body against FIELDS[entity].
+ *
+ * @param {string} entity
+ * @param {object} body
+ * @param {object} [opts]
+ * @param {boolean} [opts.partial] - PATCH: only the fields sent, required ones may not be cleared
+ * @returns {object} the accepted fields
+ */
+function pickFields(entity, body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw badRequest('Request body must be a JSON object.');
+    }
+    const fields = {};
+    for (const [field, spec] of Object.entries(FIELDS[entity])) {
+        const value = body[field];
+        if (value === undefined && partial) continue;
+        if (value === undefined || value === null || value === '') {
+            if (spec.required) throw badRequest(`${field} is required.`);
+            fields[field] = null;
+            continue;
+        }
+        fields[field] = coerce(field, spec, value);
+        if (fields[field] === null && spec.required) throw badRequest(`${field} is required.`);
+    }
+    if (partial && Object.keys(fields).length === 0) {
+        throw badRequest(`Send at least one of: ${Object.keys(FIELDS[entity]).join(', ')}`);
+    }
+    return fields;
+}
+
+function checkSeasonDates({ startDate, endDate }) {
+    if (startDate && endDate && endDate < startDate) {
+        throw badRequest('endDate must be on or after startDate.');
+    }
+}
+
+/**
+ * Which side of the scorebook ('home' | 'visitor') a team kept in this game:
+ * the coach's own team, or with `opponent` the other one. Neutral-site games
+ * count as home.
+ */
+function sideFor(game, { opponent = false } = {}) {
+    const away = game.location === 'away';
+    return away !== opponent ? 'visitor' : 'home';
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.repository - repository with team / season / roster / game methods
+ */
+function createTeamService({ repository }) {
+    function stamp(fields) {
+        const now = new Date().toISOString();
+        return { id: uuidv4(), ...fields, createdAt: now, updatedAt: now };
+    }
+
+    function touch(fields) {
+        return { ...fields, updatedAt: new Date().toISOString() };
+    }
+
+    // --- Teams ---
+
+    async function createTeam(user, body) {
+        const fields = pickFields('team', body);
+        return repository.createTeam(stamp({ userId: user.id, ...fields }));
+    }
+
+    async function updateTeam(team, body) {
+        return repository.updateTeam(team.id, touch(pickFields('team', body, { partial: true })));
+    }
+
+    async function deleteTeam(team) {
+        const seasons = await repository.listSeasonsByTeam(team.id);
+        if (seasons.length > 0) {
+            throw conflict(`Delete this team's ${seasons.length} season(s) first.`);
+        }
+        await repository.deleteTeam(team.id);
+    }
+
+    // --- Seasons ---
+
+    async function createSeason(team, body) {
+        const fields = pickFields('season', body);
+        checkSeasonDates(fields);
+        return repository.createSeason(stamp({ userId: team.userId, teamId: team.id, ...fields }));
+    }
+
+    async function updateSeason(season, body) {
+        const fields = pickFields('season', body, { partial: true });
+        checkSeasonDates({ ...season, ...fields });
+        return repository.updateSeason(season.id, touch(fields));
+    }
+
+    async function deleteSeason(season) {
+        const games = await repository.listGamesBySeason(season.id);
+        if (games.length > 0) {
+            throw conflict(`Delete this season's ${games.length} game(s) first.`);
+        }
+        for (const player of await repository.listRosterBySeason(season.id)) {
+            await repository.deleteRosterPlayer(player.id);
+        }
+        await repository.deleteSeason(season.id);
+    }
+
+    // --- Roster ---
+
+    async function assertNumberFree(seasonId, number, exceptId = null) {
+        const roster = await repository.listRosterBySeason(seasonId);
+        const taken = roster.find((p) => p.active && p.number === number && p.id !== exceptId);
+        if (taken) throw conflict(`#${number} is already worn by ${taken.name} this season.`);
+    }
+
+    async function addRosterPlayer(season, body) {
+        const fields = pickFields('rosterPlayer', body);
+        if (fields.active === null) fields.active = true;
+        if (fields.active) await assertNumberFree(season.id, fields.number);
+        return repository.createRosterPlayer(stamp({
+            userId: season.userId, teamId: season.teamId, seasonId: season.id, ...fields,
+        }));
+    }
+
+    async function updateRosterPlayer(player, body) {
+        const fields = pickFields('rosterPlayer', body, { partial: true });
+        if (fields.active === null) fields.active = true;
+        const next = { ...player, ...fields };
+        if (next.active && (fields.number !== undefined || fields.active !== undefined)) {
+            await assertNumberFree(player.seasonId, next.number, player.id);
+        }
+        return repository.updateRosterPlayer(player.id, touch(fields));
+    }
+
+    // --- Games ---
+
+    async function createGame(season, body) {
+        const fields = pickFields('game', body);
+        if (fields.location === null) fields.location = 'home';
+        return repository.createGame(stamp({
+            userId: season.userId, teamId: season.teamId, seasonId: season.id, ...fields,
+        }));
+    }
+
+    async function updateGame(game, body) {
+        const fields = pickFields('game', body, { partial: true });
+        if (fields.location === null) fields.location = 'home';
+        return repository.updateGame(game.id, touch(fields));
+    }
+
+    /** The game with short summaries of everything attached to it. */
+    async function gameDetail(game) {
+        const [scorebooks, reports, practicePlans] = await Promise.all([
+            repository.listScorebooksByGame(game.id),
+            repository.listReportsByGame(game.id),
+            repository.listPracticePlansByGame(game.id),
+        ]);
+        return {
+            ...game,
+            scorebooks: scorebooks.map((s) => ({
+                id: s.id, source: s.source, template: s.template, side: s.side,
+                teamName: s.teamName, status: s.status, createdAt: s.createdAt,
+            })),
+            reports: reports.map((r) => ({
+                id: r.id, opponentName: r.opponentName, status: r.status,
+                createdAt: r.createdAt, completedAt: r.completedAt,
+            })),
+            practicePlans: practicePlans.map((p) => ({
+                id: p.id, opponentName: p.opponentName, createdAt: p.createdAt,
+            })),
+        };
+    }
+
+    /**
+     * Resolve an optional gameId sent with an upload or parse.
+     *
+     * @returns {Promise<object|null>} the game, or null when no gameId was sent
+     * @throws 404 unknown game, 403 another coach's game
+     */
+    async function findGame(user, gameId) {
+        if (gameId === undefined || gameId === null || gameId === '') return null;
+        const game = typeof gameId === 'string' ? await repository.getGame(gameId) : null;
+        if (!game) throw Object.assign(new Error('Game not found'), { statusCode: 404 });
+        if (game.userId !== user.id) {
+            throw Object.assign(new Error('You do not have access to this game'), { statusCode: 403 });
+        }
+        return game;
+    }
+
+    // --- Attachments ---
+
+    async function loadAttachment(type, id, user) {
+        const methods = ATTACHMENTS[type];
+        if (!methods) throw badRequest(`type must be one of: ${Object.keys(ATTACHMENTS).join(', ')}`);
+        if (typeof id !== 'string' || !id) throw badRequest('id is required.');
+        const record = await repository[methods.get](id);
+        if (!record) throw Object.assign(new Error(`No ${type} with id ${id}`), { statusCode: 404 });
+        if (record.userId !== user.id) {
+            throw Object.assign(new Error(`You do not have access to this ${type}`), { statusCode: 403 });
+        }
+        return { record, methods };
+    }
+
+    /** Attach a scorebook, report or practice plan; moves it if it was on another game. */
+    async function attach(game, { type, id } = {}, user) {
+        const { methods } = await loadAttachment(type, id, user);
+        await repository[methods.update](id, { gameId: game.id });
+        return { type, id, gameId: game.id };
+    }
+
+    async function detach(game, type, id, user) {
+        const { record, methods } = await loadAttachment(type, id, user);
+        if (record.gameId !== game.id) {
+            throw Object.assign(new Error(`This ${type} is not attached to this game`), { statusCode: 404 });
+        }
+        await repository[methods.update](id, { gameId: null });
+    }
+
+    return {
+        createTeam,
+        updateTeam,
+        deleteTeam,
+        listTeams: (user) => repository.listTeamsByUser(user.id),
+        createSeason,
+        updateSeason,
+        deleteSeason,
+        listSeasons: (team) => repository.listSeasonsByTeam(team.id),
+        addRosterPlayer,
+        updateRosterPlayer,
+        removeRosterPlayer: (player) => repository.deleteRosterPlayer(player.id),
+        listRoster: (season) => repository.listRosterBySeason(season.id),
+        createGame,
+        updateGame,
+        deleteGame: (game) => repository.deleteGame(game.id),
+        listGames: (season) => repository.listGamesBySeason(season.id),
+        gameDetail,
+        findGame,
+        attach,
+        detach,
+    };
+}
+
+module.exports = { createTeamService, pickFields, sideFor, LOCATIONS, ATTACHMENT_TYPES: Object.keys(ATTACHMENTS) };
@@ -51,3 +51,370 @@ CREATE TRIGGER user_profiles_updated_at
   BEFORE UPDATE ON user_profiles
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at();
+
+-- ===========================================
+-- CoachIQ – reports, report_versions, upload_sessions
+-- Backing tables for repositories/supabaseRepository.js
+-- ===========================================
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS team_name TEXT;
+
+CREATE TABLE reports (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,               -- owner (req.user.id); not an FK so local auth works too
+  user_email TEXT,
+  user_name TEXT,
+  opponent_name TEXT,
+  file_name TEXT,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'complete', 'failed')),
+  progress INTEGER NOT NULL DEFAULT 0,
+  progress_text TEXT,
+  error TEXT,
+  team_info JSONB,
+  report JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_reports_user_id ON reports(user_id, created_at DESC);
+
+CREATE TRIGGER reports_updated_at
+  BEFORE UPDATE ON reports
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- Every generated report payload is kept, newest version wins in reports.report
+CREATE TABLE report_versions (
+  id BIGSERIAL PRIMARY KEY,
+  report_id UUID NOT NULL REFERENCES reports(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  report JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (report_id, version)
+);
+
+CREATE TABLE upload_sessions (
+  id UUID PRIMARY KEY,
+  file_name TEXT,
+  file_size BIGINT,
+  total_chunks INTEGER,
+  received_chunks INTEGER NOT NULL DEFAULT 0,
+  chunks_dir TEXT NOT NULL,
+  user_id UUID NOT NULL,
+  user_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE upload_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reports"
+  ON reports FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Atomic chunk counter (parallel chunk uploads must not lose increments)
+CREATE OR REPLACE FUNCTION increment_upload_chunks(p_session_id UUID)
+RETURNS SETOF upload_sessions AS $$
+  UPDATE upload_sessions
+     SET received_chunks = received_chunks + 1
+   WHERE id = p_session_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Append the next report version number for a report
+CREATE OR REPLACE FUNCTION append_report_version(p_report_id UUID, p_report JSONB)
+RETURNS SETOF report_versions AS $$
+  INSERT INTO report_versions (report_id, version, report)
+  SELECT p_report_id, COALESCE(MAX(version), 0) + 1, p_report
+    FROM report_versions
+   WHERE report_id = p_report_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- ===========================================
+-- CoachIQ – jobs (durable background work queue)
+-- Used by services/jobQueue.js
+-- ===========================================
+
+CREATE TABLE jobs (
+  id UUID PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'complete', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  priority INTEGER NOT NULL DEFAULT 0,      -- paid plans > trial
+  stage TEXT,                               -- last completed stage
+  state JSONB NOT NULL DEFAULT '{}'::jsonb, -- checkpoint data for resuming
+  locked_by TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  run_at TIMESTAMPTZ DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_jobs_claimable ON jobs(status, priority DESC, created_at);
+
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER jobs_updated_at
+  BEFORE UPDATE ON jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- Claim the highest-priority, oldest runnable job: queued and due, or running
+-- with an expired lease (its worker died). SKIP LOCKED keeps concurrent
+-- workers apart. A job abandoned on its last attempt is marked failed
+-- instead of claimed, and returned so the worker runs its onFailed hook.
+CREATE OR REPLACE FUNCTION claim_job(p_worker_id TEXT, p_lease_seconds INTEGER)
+RETURNS SETOF jobs AS $$
+  WITH next AS (
+    SELECT id, status = 'running' AND attempts >= max_attempts AS abandoned
+      FROM jobs
+     WHERE (status = 'queued' AND run_at <= NOW())
+        OR (status = 'running' AND lease_expires_at < NOW())
+     ORDER BY priority DESC, created_at
+     LIMIT 1
+     FOR UPDATE SKIP LOCKED
+  )
+  UPDATE jobs
+     SET status = CASE WHEN next.abandoned THEN 'failed' ELSE 'running' END,
+         attempts = CASE WHEN next.abandoned THEN jobs.attempts ELSE jobs.attempts + 1 END,
+         locked_by = CASE WHEN next.abandoned THEN NULL ELSE p_worker_id END,
+         lease_expires_at = CASE WHEN next.abandoned THEN NULL
+                                 ELSE NOW() + make_interval(secs => p_lease_seconds) END,
+         last_error = CASE WHEN next.abandoned THEN 'Processing stopped unexpectedly on the final attempt'
+                           ELSE jobs.last_error END
+    FROM next
+   WHERE jobs.id = next.id
+  RETURNING jobs.*;
+$$ LANGUAGE sql;
+
+-- ===========================================
+-- Trial scan accounting
+-- ===========================================
+
+-- Take one trial scan if any remain. Returns the new count, or NULL when the
+-- user has none left – the WHERE clause makes concurrent calls safe.
+CREATE OR REPLACE FUNCTION consume_trial_scan(p_user_id UUID)
+RETURNS INTEGER AS $$
+  UPDATE user_profiles
+     SET trial_scans_remaining = trial_scans_remaining - 1,
+         updated_at = NOW()
+   WHERE id = p_user_id
+     AND trial_scans_remaining > 0
+  RETURNING trial_scans_remaining;
+$$ LANGUAGE sql;
+
+-- Give back a scan taken by consume_trial_scan when the analysis fails
+CREATE OR REPLACE FUNCTION refund_trial_scan(p_user_id UUID)
+RETURNS INTEGER AS $$
+  UPDATE user_profiles
+     SET trial_scans_remaining = trial_scans_remaining + 1,
+         updated_at = NOW()
+   WHERE id = p_user_id
+  RETURNING trial_scans_remaining;
+$$ LANGUAGE sql;
+
+-- ===========================================
+-- CoachIQ – scorebooks (stored parses under coach review)
+-- Used by services/scorebookReview.js
+-- ===========================================
+
+CREATE TABLE scorebooks (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('parse', 'game', 'ensemble', 'claude')),
+  template TEXT NOT NULL,                   -- scorebooks/ registry id, e.g. mark5; 'claude' for Claude-only reads
+  side TEXT CHECK (side IN ('home', 'visitor')),
+  team_name TEXT,
+  status TEXT NOT NULL CHECK (status IN ('needs_review', 'ready', 'confirmed')),
+  result JSONB NOT NULL,                    -- box score, corrections applied
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  confirmed_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_scorebooks_user_id ON scorebooks(user_id, created_at DESC);
+
+CREATE TRIGGER scorebooks_updated_at
+  BEFORE UPDATE ON scorebooks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- Edit history: one row per correction / confirm / reopen
+CREATE TABLE scorebook_edits (
+  id BIGSERIAL PRIMARY KEY,
+  scorebook_id UUID NOT NULL REFERENCES scorebooks(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  user_id UUID NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('edit', 'confirm', 'reopen', 'edit_reopened')),
+  changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+  review_reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (scorebook_id, version)
+);
+
+ALTER TABLE scorebooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scorebook_edits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own scorebooks"
+  ON scorebooks FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Append the next edit version for a scorebook
+CREATE OR REPLACE FUNCTION append_scorebook_edit(
+  p_scorebook_id UUID, p_user_id UUID, p_action TEXT, p_changes JSONB, p_review_reasons JSONB
+)
+RETURNS SETOF scorebook_edits AS $$
+  INSERT INTO scorebook_edits (scorebook_id, version, user_id, action, changes, review_reasons)
+  SELECT p_scorebook_id, COALESCE(MAX(version), 0) + 1, p_user_id, p_action, p_changes, p_review_reasons
+    FROM scorebook_edits
+   WHERE scorebook_id = p_scorebook_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- ===========================================
+-- CoachIQ – result cache (OCR / Claude results by content hash)
+-- Used by services/resultCache.js
+-- ===========================================
+
+CREATE TABLE result_cache (
+  key TEXT PRIMARY KEY,                     -- sha256 of kind, version and image bytes
+  kind TEXT NOT NULL CHECK (kind IN ('ocr', 'claude')),
+  version TEXT NOT NULL,                    -- OCR provider / Claude model + prompt hash
+  result JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_result_cache_created_at ON result_cache(kind, created_at);
+
+-- Server-side only (service_role key); no client access
+ALTER TABLE result_cache ENABLE ROW LEVEL SECURITY;
+
+-- ===========================================
+-- CoachIQ – teams, seasons, rosters, games, practice plans
+-- Used by services/teams.js
+-- ===========================================
+
+CREATE TABLE teams (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  level TEXT,                               -- e.g. "Varsity", "U14"
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_teams_user_id ON teams(user_id);
+
+-- Teams and seasons are only deleted once empty (services/teams.js)
+CREATE TABLE seasons (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE RESTRICT,
+  name TEXT NOT NULL,                       -- e.g. "2025-26"
+  start_date DATE,
+  end_date DATE CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_seasons_team_id ON seasons(team_id, created_at DESC);
+
+CREATE TABLE roster_players (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE RESTRICT,
+  season_id UUID NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  number TEXT NOT NULL,                     -- jersey number as written, "00" ≠ "0"
+  name TEXT NOT NULL,
+  position TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One active player per number per season
+CREATE UNIQUE INDEX idx_roster_players_number ON roster_players(season_id, number) WHERE active;
+
+CREATE TABLE games (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  team_id UUID NOT NULL REFERENCES teams(id) ON DELETE RESTRICT,
+  season_id UUID NOT NULL REFERENCES seasons(id) ON DELETE RESTRICT,
+  opponent_name TEXT NOT NULL,
+  date DATE NOT NULL,
+  location TEXT NOT NULL DEFAULT 'home' CHECK (location IN ('home', 'away', 'neutral')),
+  team_score INTEGER CHECK (team_score BETWEEN 0 AND 250),
+  opponent_score INTEGER CHECK (opponent_score BETWEEN 0 AND 250),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_games_season_id ON games(season_id, date);
+
+CREATE TABLE practice_plans (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  game_id UUID REFERENCES games(id) ON DELETE SET NULL,
+  opponent_name TEXT,
+  plan TEXT NOT NULL,                       -- markdown from /api/generate-practice-plan
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_practice_plans_game_id ON practice_plans(game_id);
+
+-- Scorebooks and video reports can be attached to a game; deleting the game detaches them
+ALTER TABLE scorebooks ADD COLUMN IF NOT EXISTS game_id UUID REFERENCES games(id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS game_id UUID REFERENCES games(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_scorebooks_game_id ON scorebooks(game_id);
+CREATE INDEX idx_reports_game_id ON reports(game_id);
+
+CREATE TRIGGER teams_updated_at
+  BEFORE UPDATE ON teams
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER seasons_updated_at
+  BEFORE UPDATE ON seasons
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER roster_players_updated_at
+  BEFORE UPDATE ON roster_players
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER games_updated_at
+  BEFORE UPDATE ON games
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE roster_players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE games ENABLE ROW LEVEL SECURITY;
+ALTER TABLE practice_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own teams"
+  ON teams FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own games"
+  ON games FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- ===========================================
+-- CoachIQ – scorebook rows linked to roster players
+-- Used by services/playerMatching.js
+-- ===========================================
+
+-- { "<row_index>": roster player id | null }; null marks a row that is not on the roster
+ALTER TABLE scorebooks ADD COLUMN IF NOT EXISTS player_links JSONB NOT NULL DEFAULT '{}'::jsonb;
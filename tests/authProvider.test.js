@@ -0,0 +1,90 @@
+'use strict';
+
+const { createLocalProvider } = require('../services/auth/local');
+const { createSupabaseProvider, profileFromRow } = require('../services/auth/supabase');
+const { PROFILE_FIELDS } = require('../services/auth');
+
+const SECRET = 'test-secret-that-is-at-least-32-characters';
+
+function fakeSupabase(profileRow) {
+    return {
+        auth: {
+            getUser: jest.fn(async (token) => (token === 'good-token'
+                ? { data: { user: { id: profileRow.id } }, error: null }
+                : { data: { user: null }, error: { message: 'invalid JWT' } })),
+        },
+        from: () => ({
+            select() { return this; },
+            eq() { return this; },
+            single: async () => ({ data: profileRow, error: null }),
+        }),
+    };
+}
+
+describe('local auth provider', () => {
+    const provider = createLocalProvider({ secret: SECRET });
+
+    test('signup returns a token that verifies back to the same user', async () => {
+        const { token, user } = await provider.signup({
+            email: 'Coach@Example.com', password: 'password123', name: 'Coach K',
+        });
+        expect(user.email).toBe('coach@example.com');
+        expect(user.plan).toBe('trial');
+        expect(user).not.toHaveProperty('password');
+
+        const verified = await provider.verifyToken(token);
+        expect(verified.id).toBe(user.id);
+    });
+
+    test('login rejects a wrong password with 401', async () => {
+        await provider.signup({ email: 'login@example.com', password: 'password123', name: 'A' });
+        await expect(provider.login({ email: 'login@example.com', password: 'nope-nope' }))
+            .rejects.toMatchObject({ statusCode: 401, message: 'Invalid email or password' });
+
+        const { token } = await provider.login({ email: 'login@example.com', password: 'password123' });
+        expect(typeof token).toBe('string');
+    });
+
+    test('verifyToken rejects tokens signed with another secret', async () => {
+        const other = createLocalProvider({ secret: `${SECRET}-other` });
+        const { token } = await other.signup({ email: 'other@example.com', password: 'password123', name: 'B' });
+        await expect(provider.verifyToken(token)).rejects.toMatchObject({ statusCode: 401, message: 'Invalid token' });
+    });
+});
+
+describe('supabase auth provider', () => {
+    const row = {
+        id: 'uuid-1',
+        email: 'coach@example.com',
+        name: 'Coach K',
+        school: 'Duke',
+        coaching_level: 'college',
+        plan: 'monthly',
+        plan_status: 'active',
+        trial_scans_remaining: 0,
+        trial_ends_at: null,
+        stripe_customer_id: 'cus_1',
+        stripe_subscription_id: 'sub_1',
+        created_at: '2026-01-01T00:00:00Z',
+        updated_at: '2026-01-02T00:00:00Z',
+    };
+
+    test('verifyToken maps the profile row onto req.user', async () => {
+        const provider = createSupabaseProvider({ client: fakeSupabase(row) });
+        const user = await provider.verifyToken('good-token');
+        expect(user).toMatchObject({ id: 'uuid-1', coachingLevel: 'college', planStatus: 'active' });
+    });
+
+    test('verifyToken rejects tokens Supabase does not recognise', async () => {
+        const provider = createSupabaseProvider({ client: fakeSupabase(row) });
+        await expect(provider.verifyToken('bad-token')).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    test('both providers expose the same req.user fields', async () => {
+        const local = createLocalProvider({ secret: SECRET });
+        const { user } = await local.signup({ email: 'shape@example.com', password: 'password123', name: 'C' });
+
+        expect(Object.keys(user).sort()).toEqual([...PROFILE_FIELDS].sort());
+        expect(Object.keys(profileFromRow(row)).sort()).toEqual([...PROFILE_FIELDS].sort());
+    });
+});
@@ -0,0 +1,186 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Stripe = require('stripe');
+const { createBilling, apiBaseOptions } = require('../services/billing');
+const { createLocalProvider } = require('../services/auth/local');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+const PRICES = { monthly: 'price_monthly_test', yearly: 'price_yearly_test' };
+const FIXTURES = path.join(__dirname, 'fixtures', 'stripe');
+
+/** Load a recorded webhook event, filling in the user id. */
+function loadEvent(name, userId) {
+    return fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8').replace(/\{\{USER_ID\}\}/g, userId);
+}
+
+function sign(stripe, payload, secret = WEBHOOK_SECRET) {
+    return stripe.webhooks.generateTestHeaderString({ payload, secret });
+}
+
+/** Minimal stand-in for the Stripe API: records requests and answers by path. */
+function startFakeStripe() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, body: new URLSearchParams(body) });
+            const responses = {
+                '/v1/customers': { id: 'cus_fake_1', object: 'customer' },
+                '/v1/checkout/sessions': { id: 'cs_fake_1', object: 'checkout.session', url: 'https://checkout.test/cs_fake_1' },
+                '/v1/billing_portal/sessions': { id: 'bps_fake_1', object: 'billing_portal.session', url: 'https://portal.test/bps_fake_1' },
+            };
+            const payload = responses[req.url];
+            res.writeHead(payload ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload || { error: { message: `No fake for ${req.url}` } }));
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+let emailCounter = 0;
+async function signupUser(provider) {
+    const { user } = await provider.signup({
+        email: `billing${emailCounter++}@example.com`, password: 'password123', name: 'Coach',
+    });
+    return user;
+}
+
+describe('billing webhooks (recorded fixtures)', () => {
+    let stripe;
+    let provider;
+    let billing;
+
+    beforeEach(() => {
+        stripe = new Stripe('sk_test_fake');
+        provider = createLocalProvider({ secret: 'test-secret-that-is-at-least-32-characters' });
+        billing = createBilling({ stripe, provider, webhookSecret: WEBHOOK_SECRET, prices: PRICES });
+    });
+
+    test('checkout.session.completed activates the plan and stores Stripe ids', async () => {
+        const user = await signupUser(provider);
+        const payload = loadEvent('checkout_session_completed', user.id);
+
+        const result = await billing.handleWebhook(payload, sign(stripe, payload));
+
+        expect(result).toEqual({ type: 'checkout.session.completed', handled: true });
+        const updated = await provider.findByStripeCustomerId('cus_test_123');
+        expect(updated).toMatchObject({
+            id: user.id, plan: 'monthly', planStatus: 'active', stripeSubscriptionId: 'sub_test_123',
+        });
+    });
+
+    test('subscription updates switch plan by price and deletion cancels', async () => {
+        const user = await signupUser(provider);
+        await provider.updateBilling(user.id, { stripeCustomerId: 'cus_test_123' });
+
+        const updated = loadEvent('customer_subscription_updated', user.id);
+        await billing.handleWebhook(updated, sign(stripe, updated));
+        expect(await provider.findByStripeCustomerId('cus_test_123'))
+            .toMatchObject({ plan: 'yearly', planStatus: 'active' });
+
+        const deleted = loadEvent('customer_subscription_deleted', user.id);
+        await billing.handleWebhook(deleted, sign(stripe, deleted));
+        expect(await provider.findByStripeCustomerId('cus_test_123'))
+            .toMatchObject({ plan: 'yearly', planStatus: 'cancelled' });
+    });
+
+    test('ignores late events for a subscription the user has replaced', async () => {
+        const user = await signupUser(provider);
+        await provider.updateBilling(user.id, {
+            stripeCustomerId: 'cus_replaced', stripeSubscriptionId: 'sub_new', plan: 'monthly', planStatus: 'active',
+        });
+        const event = (name) => loadEvent(name, user.id).replace(/cus_test_123/g, 'cus_replaced');
+
+        const deleted = event('customer_subscription_deleted');
+        const lapsed = event('customer_subscription_updated').replace('"status": "active"', '"status": "past_due"');
+        for (const payload of [deleted, lapsed]) {
+            expect((await billing.handleWebhook(payload, sign(stripe, payload))).handled).toBe(false);
+        }
+        expect(await provider.findByStripeCustomerId('cus_replaced'))
+            .toMatchObject({ plan: 'monthly', planStatus: 'active', stripeSubscriptionId: 'sub_new' });
+
+        // A live subscription taking over is applied
+        const replaced = event('customer_subscription_updated');
+        expect((await billing.handleWebhook(replaced, sign(stripe, replaced))).handled).toBe(true);
+        expect(await provider.findByStripeCustomerId('cus_replaced'))
+            .toMatchObject({ plan: 'yearly', stripeSubscriptionId: 'sub_test_123' });
+    });
+
+    test('rejects payloads with a bad signature', async () => {
+        const payload = loadEvent('checkout_session_completed', 'someone');
+        await expect(billing.handleWebhook(payload, sign(stripe, payload, 'whsec_wrong')))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('ignores events for unknown customers', async () => {
+        const payload = loadEvent('customer_subscription_deleted', 'nobody')
+            .replace(/cus_test_123/g, 'cus_unknown');
+        const result = await billing.handleWebhook(payload, sign(stripe, payload));
+        expect(result.handled).toBe(false);
+    });
+});
+
+describe('billing checkout and portal (fake Stripe server)', () => {
+    let fake;
+    let provider;
+    let billing;
+
+    beforeAll(async () => {
+        fake = await startFakeStripe();
+    });
+
+    afterAll(() => new Promise((resolve) => fake.server.close(resolve)));
+
+    beforeEach(() => {
+        fake.requests.length = 0;
+        provider = createLocalProvider({ secret: 'test-secret-that-is-at-least-32-characters' });
+        const stripe = new Stripe('sk_test_fake', { ...apiBaseOptions(fake.url), maxNetworkRetries: 0 });
+        billing = createBilling({
+            stripe, provider, webhookSecret: WEBHOOK_SECRET, prices: PRICES, appUrl: 'https://app.test',
+        });
+    });
+
+    test('creates a customer once and a subscription checkout session', async () => {
+        const user = await signupUser(provider);
+        const session = await billing.createCheckoutSession(user, 'yearly');
+
+        expect(session).toEqual({ sessionId: 'cs_fake_1', url: 'https://checkout.test/cs_fake_1' });
+        expect(fake.requests.map((r) => r.path)).toEqual(['/v1/customers', '/v1/checkout/sessions']);
+
+        const checkout = fake.requests[1].body;
+        expect(checkout.get('mode')).toBe('subscription');
+        expect(checkout.get('customer')).toBe('cus_fake_1');
+        expect(checkout.get('client_reference_id')).toBe(user.id);
+        expect(checkout.get('line_items[0][price]')).toBe('price_yearly_test');
+        expect(checkout.get('metadata[plan]')).toBe('yearly');
+
+        const stored = await provider.findByStripeCustomerId('cus_fake_1');
+        expect(stored.id).toBe(user.id);
+    });
+
+    test('refuses unknown plans and existing subscribers', async () => {
+        const user = await signupUser(provider);
+        await expect(billing.createCheckoutSession(user, 'lifetime')).rejects.toMatchObject({ statusCode: 400 });
+
+        const subscribed = { ...user, plan: 'monthly', planStatus: 'active', stripeSubscriptionId: 'sub_1' };
+        await expect(billing.createCheckoutSession(subscribed, 'yearly')).rejects.toMatchObject({ statusCode: 409 });
+        expect(fake.requests).toHaveLength(0);
+    });
+
+    test('portal links need an existing Stripe customer', async () => {
+        const user = await signupUser(provider);
+        await expect(billing.createPortalSession(user)).rejects.toMatchObject({ statusCode: 400 });
+
+        const portal = await billing.createPortalSession({ ...user, stripeCustomerId: 'cus_fake_1' });
+        expect(portal.url).toBe('https://portal.test/bps_fake_1');
+        expect(fake.requests[0].body.get('return_url')).toBe('https://app.test/account');
+    });
+});
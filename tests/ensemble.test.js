@@ -0,0 +1,117 @@
+'use strict';
+
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+const { reconcile, claudeCells, claudeBoxScore } = require('../scorebooks/ensemble');
+const { applyEdits, revalidate } = require('../scorebooks/review');
+const { flaggedCells } = require('../scorebooks/crops');
+
+const sampleFixture = require('./fixtures/mark5_sample_ocr.json');
+
+// The fixture page: #23 Smith 13, #11 Johnson 10, #5 Williams 11, #32 Brown 5, #15 Davis 13 = 52
+function ocrParse() {
+    return parseMark5Minimal({ documentAiJson: sampleFixture });
+}
+
+/** Claude's reading of the same page, agreeing everywhere unless overridden. */
+function claudeStats(overrides = {}) {
+    const players = [
+        { number: '23', name: 'Smith', points: 13, fieldGoalsMade: 5, freeThrowsMade: 2, freeThrowsAttempted: 2, fouls: 3 },
+        { number: '11', name: 'Johnson', points: 10, fieldGoalsMade: 3, freeThrowsMade: 4, freeThrowsAttempted: 6, fouls: 2 },
+        { number: '5', name: 'Williams', points: 11, fieldGoalsMade: 4, freeThrowsMade: 1, freeThrowsAttempted: 2, fouls: 4 },
+        { number: '32', name: 'Brown', points: 5, fieldGoalsMade: 1, freeThrowsMade: 3, freeThrowsAttempted: 4, fouls: null },
+        { number: '15', name: 'Davis', points: 13, fieldGoalsMade: 6, freeThrowsMade: 0, freeThrowsAttempted: 0, fouls: 3 },
+    ].map((p) => ({ ...p, ...overrides[p.number] }));
+    return { finalScore: 52, players: players.filter((p) => !p.drop) };
+}
+
+const row = (result, number) => result.players.find((p) => p.player_number === number);
+
+describe('claudeCells', () => {
+    test('splits field goals using the quarter boxes, else the points', () => {
+        expect(claudeCells({ points: 13, fieldGoalsMade: 5, freeThrowsMade: 2 }))
+            .toMatchObject({ fg2_made: 4, fg3_made: 1, ft_made: 2, total_points: 13 });
+        expect(claudeCells({
+            points: 13, fieldGoalsMade: 5, fieldGoalsAttempted: 9, freeThrowsMade: 2,
+            quarters: { Q1: { threePointersMade: 1, threePointersAttempted: 2 }, Q3: { threePointersMade: 1, threePointersAttempted: 1 } },
+        })).toMatchObject({ fg2_made: 3, fg3_made: 2, fg2_att: 6, fg3_att: 3 });
+    });
+});
+
+describe('reconcile', () => {
+    test('full agreement passes through with agreement 1', () => {
+        const result = reconcile(ocrParse(), claudeStats());
+        expect(result.ensemble).toMatchObject({ matched: 5, ocr_only: [], claude_only: [], agreement: 1, disagreements: [] });
+        expect(result.validation.needs_review).toBe(false);
+    });
+
+    test('players are matched by number, then by name', () => {
+        const result = reconcile(ocrParse(), claudeStats({ 32: { number: '' }, 23: { name: 'J. Smith' } }));
+        expect(result.ensemble.matched).toBe(5);
+    });
+
+    test('the points equation picks between readings', () => {
+        // Claude misreads Johnson's free throws: no split of 3 field goals + 5 makes 10
+        const result = reconcile(ocrParse(), claudeStats({ 11: { freeThrowsMade: 5 } }));
+        const [d] = result.ensemble.disagreements;
+        expect(d).toMatchObject({ row_index: 1, field: 'ft_made', ocr: 4, claude: 5, value: 4, source: 'ocr', method: 'arithmetic' });
+        expect(row(result, '11').flags).toContain('disagreement: ft_made (ocr 4, claude 5)');
+        expect(result.validation.checks.find((c) => c.name === 'ensemble_ft_made_player_1').passed).toBe(true);
+        expect(result.validation.needs_review).toBe(false);
+    });
+
+    test('the team total settles rows that add up either way', () => {
+        // Williams as 12 = 2*1 + 3*3 + 1 also adds up, but the team is 52
+        const result = reconcile(ocrParse(), claudeStats({ 5: { points: 12 } }));
+        expect(row(result, '5')).toMatchObject({ total_points: 11, shooting: expect.objectContaining({ fg2_made: 2, fg3_made: 2 }) });
+        expect(result.ensemble.disagreements.every((d) => d.method === 'arithmetic')).toBe(true);
+
+        // …unless Claude is trusted more and the team total says Claude is right
+        const trusted = reconcile(ocrParse(), { ...claudeStats({ 5: { points: 12 } }), finalScore: 53 }, { claudeConfidence: 0.95 });
+        expect(row(trusted, '5').total_points).toBe(12);
+        expect(trusted.team_totals.total_points).toBe(53);
+    });
+
+    test('unsettled disagreements and unmatched players need review until edited', () => {
+        const result = reconcile(ocrParse(), claudeStats({
+            11: { freeThrowsAttempted: 7 },
+            15: { drop: true },
+        }));
+        expect(result.ensemble.ocr_only).toEqual([4]);
+        expect(result.validation.review_reasons).toEqual([
+            'OCR and Claude disagree on ft_att for player row 1',
+            'Player row 4 was only read by OCR',
+        ]);
+        expect(flaggedCells(result)).toEqual(expect.arrayContaining([
+            { target: 'player', row_index: 1, field: 'ft_att', reasons: ['ensemble_ft_att_player_1'] },
+            { target: 'player', row_index: 4, field: null, reasons: ['ensemble_unmatched_player_4'] },
+        ]));
+
+        const { result: edited } = applyEdits(result, [
+            { row_index: 1, field: 'ft_att', value: 7 },
+            { row_index: 4, field: 'turnovers', value: 1 },
+        ]);
+        expect(revalidate(edited).validation.needs_review).toBe(false);
+    });
+
+    test('players only Claude read get a new row', () => {
+        const claude = claudeStats();
+        claude.players.push({ number: '44', name: 'Miller', points: 0, fieldGoalsMade: 0, freeThrowsMade: 0, fouls: 1 });
+        const result = reconcile(ocrParse(), claude);
+        expect(row(result, '44')).toMatchObject({ row_index: 5, bbox: null, total_points: 0, flags: ['ensemble: only read by Claude'] });
+        expect(result.validation.review_reasons).toEqual(['Player row 5 was only read by Claude']);
+    });
+});
+
+describe('claudeBoxScore', () => {
+    test('puts a Claude read in the scorebook schema and runs the checks', () => {
+        const result = claudeBoxScore(claudeStats());
+        expect(result).toMatchObject({ template: 'claude', layout: null, team_totals: { total_points: 52 } });
+        expect(row(result, '23')).toMatchObject({
+            row_index: 0, total_points: 13, shooting: { fg2_made: 4, fg3_made: 1, ft_made: 2 }, bbox: null, flags: [],
+        });
+        expect(result.validation.needs_review).toBe(false);
+
+        const off = claudeBoxScore({ ...claudeStats(), finalScore: 50 });
+        expect(off.validation.needs_review).toBe(true);
+    });
+});
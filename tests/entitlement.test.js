@@ -0,0 +1,199 @@
+'use strict';
+
+const http = require('http');
+const { EventEmitter, once } = require('events');
+const express = require('express');
+const multer = require('multer');
+const { requireEntitlement, checkEntitlement, usageFor } = require('../middleware/entitlement');
+const { createLocalProvider } = require('../services/auth/local');
+
+function mockRes() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+const future = () => new Date(Date.now() + 86400000).toISOString();
+const past = () => new Date(Date.now() - 86400000).toISOString();
+
+function trialUser(overrides = {}) {
+    return {
+        id: 'u1', plan: 'trial', planStatus: 'active',
+        trialScansRemaining: 2, trialEndsAt: future(), ...overrides,
+    };
+}
+
+describe('checkEntitlement', () => {
+    test('allows active trials with scans left and active paid plans', () => {
+        expect(checkEntitlement(trialUser())).toBeNull();
+        expect(checkEntitlement({ plan: 'monthly', planStatus: 'active', trialScansRemaining: 0 })).toBeNull();
+    });
+
+    test.each([
+        [{ planStatus: 'cancelled' }, 'plan_cancelled'],
+        [{ planStatus: 'expired' }, 'plan_expired'],
+        [{ trialEndsAt: past() }, 'trial_expired'],
+        [{ trialScansRemaining: 0 }, 'trial_scans_exhausted'],
+    ])('denies %o with %s', (overrides, code) => {
+        expect(checkEntitlement(trialUser(overrides)).code).toBe(code);
+    });
+
+    test('cancelled paid plans are denied too', () => {
+        expect(checkEntitlement({ plan: 'yearly', planStatus: 'cancelled' }).code).toBe('plan_cancelled');
+    });
+});
+
+describe('usageFor', () => {
+    test('reports remaining trial scans', () => {
+        expect(usageFor(trialUser())).toMatchObject({
+            plan: 'trial', unlimited: false, trialScansRemaining: 2, canAnalyze: true, reason: null,
+        });
+    });
+
+    test('paid plans are unlimited', () => {
+        expect(usageFor({ plan: 'monthly', planStatus: 'active' })).toMatchObject({
+            unlimited: true, trialScansRemaining: null, canAnalyze: true,
+        });
+    });
+});
+
+describe('requireEntitlement', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = {
+            consumeScan: jest.fn(async () => 1),
+            refundScan: jest.fn(async () => 2),
+        };
+    });
+
+    test('takes a trial scan and continues', async () => {
+        const req = { user: trialUser() };
+        const next = jest.fn();
+        await requireEntitlement(provider)(req, mockRes(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(provider.consumeScan).toHaveBeenCalledWith('u1');
+        expect(req.entitlement.scanConsumed).toBe(true);
+        expect(req.user.trialScansRemaining).toBe(1);
+    });
+
+    test('does not touch scans for paid plans', async () => {
+        const req = { user: { id: 'u1', plan: 'yearly', planStatus: 'active' } };
+        const next = jest.fn();
+        await requireEntitlement(provider)(req, mockRes(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(provider.consumeScan).not.toHaveBeenCalled();
+        expect(req.entitlement.scanConsumed).toBe(false);
+    });
+
+    test('only checks the plan when no scan is spent', async () => {
+        const req = { user: trialUser() };
+        const next = jest.fn();
+        await requireEntitlement(provider, { spendScan: false })(req, mockRes(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(provider.consumeScan).not.toHaveBeenCalled();
+        expect(req.entitlement.scanConsumed).toBe(false);
+
+        const res = mockRes();
+        await requireEntitlement(provider, { spendScan: false })({ user: trialUser({ trialEndsAt: past() }) }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(402);
+    });
+
+    test('refuses cancelled plans with 402', async () => {
+        const res = mockRes();
+        const next = jest.fn();
+        await requireEntitlement(provider)({ user: trialUser({ planStatus: 'cancelled' }) }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(402);
+        expect(res.json.mock.calls[0][0].code).toBe('plan_cancelled');
+    });
+
+    test('refuses with 402 when the last scan was taken concurrently', async () => {
+        provider.consumeScan.mockResolvedValue(null);
+        const res = mockRes();
+        await requireEntitlement(provider)({ user: trialUser() }, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(402);
+        expect(res.json.mock.calls[0][0].code).toBe('trial_scans_exhausted');
+    });
+
+    test('refunds the scan when the response is an error', async () => {
+        const res = mockRes();
+        await requireEntitlement(provider)({ user: trialUser() }, res, jest.fn());
+
+        res.statusCode = 500;
+        res.emit('finish');
+        res.emit('finish');
+        await new Promise(setImmediate);
+        expect(provider.refundScan).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps the scan when the analysis succeeds', async () => {
+        const res = mockRes();
+        await requireEntitlement(provider)({ user: trialUser() }, res, jest.fn());
+
+        res.emit('finish');
+        await new Promise(setImmediate);
+        expect(provider.refundScan).not.toHaveBeenCalled();
+    });
+
+    test('refunds the scan when the client aborts an upload mid-body', async () => {
+        let scanTaken;
+        let responseClosed;
+        const taken = new Promise((resolve) => { scanTaken = resolve; });
+        const closed = new Promise((resolve) => { responseClosed = resolve; });
+        const handler = jest.fn((req, res) => res.json({ ok: true }));
+
+        const app = express();
+        app.post('/upload',
+            (req, res, next) => {
+                req.user = trialUser();
+                res.on('close', responseClosed);
+                next();
+            },
+            requireEntitlement(provider),
+            (req, res, next) => { scanTaken(); next(); },
+            multer({ storage: multer.memoryStorage() }).single('video'),
+            handler);
+        app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+        const server = app.listen(0);
+        await once(server, 'listening');
+
+        try {
+            const client = http.request({
+                port: server.address().port, method: 'POST', path: '/upload',
+                headers: { 'content-type': 'multipart/form-data; boundary=x', 'content-length': 10000000 },
+            });
+            client.on('error', () => {});
+            client.write('--x\r\nContent-Disposition: form-data; name="video"; filename="game.mp4"\r\n' +
+                'Content-Type: video/mp4\r\n\r\n' + 'a'.repeat(1000));
+            await taken;
+            client.destroy();
+
+            await closed;
+            await new Promise(setImmediate);
+            expect(provider.consumeScan).toHaveBeenCalledTimes(1);
+            expect(provider.refundScan).toHaveBeenCalledTimes(1);
+            expect(handler).not.toHaveBeenCalled();
+        } finally {
+            server.close();
+        }
+    });
+});
+
+describe('local provider scan accounting', () => {
+    test('never goes below zero', async () => {
+        const provider = createLocalProvider({ secret: 'test-secret-that-is-at-least-32-characters' });
+        const { user } = await provider.signup({ email: 'scans@example.com', password: 'password123', name: 'S' });
+
+        const results = await Promise.all([1, 2, 3, 4].map(() => provider.consumeScan(user.id)));
+        expect(results).toEqual([2, 1, 0, null]);
+        expect(await provider.refundScan(user.id)).toBe(1);
+    });
+});
@@ -0,0 +1,187 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createJobQueue, runStages, permanentError } = require('../services/jobQueue');
+
+describe('job queue', () => {
+    let repository;
+    let queue;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        repository = createRepository('memory');
+        queue = createJobQueue({ repository, workerId: 'test-worker', retryBackoffMs: 0 });
+    });
+
+    afterEach(async () => {
+        await queue.stop();
+        jest.restoreAllMocks();
+    });
+
+    /** Run one claim-and-execute pass and wait for it to finish. */
+    async function drain() {
+        queue.start();
+        await queue.stop();
+    }
+
+    test('runs a queued job to completion', async () => {
+        const run = jest.fn();
+        queue.register('noop', run);
+        const job = await queue.enqueue('noop', { a: 1 });
+
+        await drain();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(run.mock.calls[0][0].payload).toEqual({ a: 1 });
+        expect((await repository.getJob(job.id)).status).toBe('complete');
+    });
+
+    test('requeues a failed attempt and records the error', async () => {
+        queue.register('flaky', async () => { throw new Error('ffmpeg crashed'); }, { maxAttempts: 2 });
+        const job = await queue.enqueue('flaky', {});
+
+        await drain();
+
+        const stored = await repository.getJob(job.id);
+        expect(stored).toMatchObject({ status: 'queued', attempts: 1, lastError: 'ffmpeg crashed' });
+    });
+
+    test('calls onFailed once attempts are exhausted', async () => {
+        const onFailed = jest.fn();
+        queue.register('broken', async () => { throw new Error('boom'); }, { maxAttempts: 1, onFailed });
+        const job = await queue.enqueue('broken', {});
+
+        await drain();
+
+        expect((await repository.getJob(job.id)).status).toBe('failed');
+        expect(onFailed).toHaveBeenCalledTimes(1);
+        expect(onFailed.mock.calls[0][1].message).toBe('boom');
+    });
+
+    test('permanent errors skip the remaining attempts', async () => {
+        const onFailed = jest.fn();
+        queue.register('bad-input', async () => { throw permanentError('file gone'); }, { maxAttempts: 5, onFailed });
+        const job = await queue.enqueue('bad-input', {});
+
+        await drain();
+
+        expect((await repository.getJob(job.id)).status).toBe('failed');
+        expect(onFailed).toHaveBeenCalled();
+    });
+
+    test('reclaims a running job whose lease has expired', async () => {
+        await repository.enqueueJob({ id: 'orphan', type: 'noop', payload: {}, maxAttempts: 3 });
+        await repository.claimJob({ workerId: 'dead-worker', leaseMs: -1000 });
+
+        const run = jest.fn();
+        queue.register('noop', run);
+        await drain();
+
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(await repository.getJob('orphan')).toMatchObject({ status: 'complete', attempts: 2 });
+    });
+
+    test('fails a job abandoned on its last attempt instead of running it again', async () => {
+        await repository.enqueueJob({ id: 'crashed', type: 'video', payload: {}, maxAttempts: 2 });
+        await repository.claimJob({ workerId: 'dead-worker', leaseMs: -1000 });
+        await repository.claimJob({ workerId: 'dead-worker', leaseMs: -1000 });
+
+        const run = jest.fn();
+        const onFailed = jest.fn();
+        queue.register('video', run, { maxAttempts: 2, onFailed });
+        await drain();
+
+        expect(run).not.toHaveBeenCalled();
+        expect(await repository.getJob('crashed')).toMatchObject({ status: 'failed', attempts: 2, lockedBy: null });
+        expect(onFailed).toHaveBeenCalledTimes(1);
+        expect(onFailed.mock.calls[0][1].message).toBe('Processing stopped unexpectedly on the final attempt');
+
+        await drain();
+        expect(onFailed).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops writing to a job once another worker has reclaimed it', async () => {
+        queue = createJobQueue({ repository, workerId: 'test-worker', leaseMs: 3000 });
+        const onFailed = jest.fn();
+        queue.register('video', async (job, ctx) => {
+            await ctx.checkpoint('one', { a: 1 });
+            // The lease lapses (say the event loop stalled) and another worker takes over
+            await repository.updateJob(job.id, { leaseExpiresAt: new Date(Date.now() - 1000).toISOString() });
+            await repository.claimJob({ workerId: 'other-worker', leaseMs: 60000 });
+            await new Promise((resolve) => ctx.signal.addEventListener('abort', resolve));
+            await ctx.checkpoint('two', { b: 2 });
+        }, { maxAttempts: 2, onFailed });
+        const job = await queue.enqueue('video', {});
+
+        await drain();
+
+        expect(await repository.getJob(job.id)).toMatchObject({
+            status: 'running', lockedBy: 'other-worker', attempts: 2, stage: 'one', state: { a: 1 },
+        });
+        expect(onFailed).not.toHaveBeenCalled();
+    });
+
+    test('claims higher-priority jobs first', async () => {
+        const order = [];
+        queue.register('video', async (job) => { order.push(job.payload.name); });
+        await queue.enqueue('video', { name: 'trial' }, { priority: 0 });
+        await queue.enqueue('video', { name: 'paid' }, { priority: 10 });
+
+        await drain();
+        await drain();
+
+        expect(order).toEqual(['paid', 'trial']);
+    });
+
+    test('does not steal a job with a live lease', async () => {
+        await repository.enqueueJob({ id: 'busy', type: 'noop', payload: {}, maxAttempts: 3 });
+        await repository.claimJob({ workerId: 'other-worker', leaseMs: 60000 });
+
+        const run = jest.fn();
+        queue.register('noop', run);
+        await drain();
+
+        expect(run).not.toHaveBeenCalled();
+    });
+});
+
+describe('runStages', () => {
+    function fakeCtx(state = {}) {
+        const ctx = {
+            state: { ...state },
+            checkpoints: [],
+            async checkpoint(stage, updates) {
+                Object.assign(ctx.state, updates);
+                ctx.checkpoints.push(stage);
+            },
+        };
+        return ctx;
+    }
+
+    test('runs every stage and checkpoints state between them', async () => {
+        const ctx = fakeCtx();
+        await runStages([
+            { name: 'one', run: async () => ({ path: '/tmp/a' }) },
+            { name: 'two', run: async (state) => ({ size: state.path.length }) },
+        ], { stage: null }, ctx);
+
+        expect(ctx.checkpoints).toEqual(['one', 'two']);
+        expect(ctx.state).toEqual({ path: '/tmp/a', size: 6 });
+    });
+
+    test('resumes after the last completed stage', async () => {
+        const first = jest.fn();
+        const second = jest.fn(async () => ({ done: true }));
+        const ctx = fakeCtx({ path: '/tmp/a' });
+
+        await runStages([
+            { name: 'one', run: first },
+            { name: 'two', run: second },
+        ], { stage: 'one' }, ctx);
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledWith(expect.objectContaining({ path: '/tmp/a' }));
+        expect(ctx.checkpoints).toEqual(['two']);
+    });
+});
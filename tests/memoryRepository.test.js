@@ -0,0 +1,62 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+
+describe('memory repository', () => {
+    let repo;
+
+    beforeEach(() => {
+        repo = createRepository('memory');
+    });
+
+    test('rejects unknown drivers', () => {
+        expect(() => createRepository('redis')).toThrow(/Unknown STORAGE_DRIVER/);
+    });
+
+    test('creates, updates and reads back a report', async () => {
+        await repo.createReport({ id: 'r1', userEmail: 'coach@example.com', status: 'queued', progress: 0 });
+        const updated = await repo.updateReport('r1', { status: 'processing', progress: 30 });
+        expect(updated.status).toBe('processing');
+
+        const report = await repo.getReport('r1');
+        expect(report).toMatchObject({ id: 'r1', userEmail: 'coach@example.com', progress: 30 });
+    });
+
+    test('updateReport returns null for unknown reports', async () => {
+        expect(await repo.updateReport('missing', { status: 'failed' })).toBeNull();
+    });
+
+    test('lists a user\'s reports newest first', async () => {
+        await repo.createReport({ id: 'old', userId: 'a', createdAt: '2025-01-01T00:00:00Z' });
+        await repo.createReport({ id: 'new', userId: 'a', createdAt: '2025-02-01T00:00:00Z' });
+        await repo.createReport({ id: 'other', userId: 'b', createdAt: '2025-03-01T00:00:00Z' });
+
+        const reports = await repo.listReportsByUser('a');
+        expect(reports.map((r) => r.id)).toEqual(['new', 'old']);
+    });
+
+    test('numbers report versions sequentially', async () => {
+        await repo.saveReportVersion('r1', { opponent: 'A' });
+        const second = await repo.saveReportVersion('r1', { opponent: 'B' });
+        expect(second.version).toBe(2);
+        expect((await repo.listReportVersions('r1')).map((v) => v.report.opponent)).toEqual(['A', 'B']);
+    });
+
+    test('tracks upload session chunk counts', async () => {
+        await repo.createUploadSession({ id: 'u1', totalChunks: 3, receivedChunks: 0, chunksDir: '/tmp/x' });
+        await repo.incrementUploadChunks('u1');
+        const session = await repo.incrementUploadChunks('u1');
+        expect(session.receivedChunks).toBe(2);
+
+        await repo.deleteUploadSession('u1');
+        expect(await repo.getUploadSession('u1')).toBeNull();
+    });
+
+    test('registerUser normalises email and keeps the original id', async () => {
+        const first = await repo.registerUser({ id: 'u-1', email: 'Coach@Example.com ', name: 'Pat' });
+        const again = await repo.registerUser({ id: 'u-2', email: 'coach@example.com', teamName: 'Eagles' });
+        expect(again.id).toBe(first.id);
+        expect(again).toMatchObject({ name: 'Pat', teamName: 'Eagles' });
+        expect(await repo.findUserByEmail('COACH@example.com')).toMatchObject({ id: 'u-1' });
+    });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const { computeMetrics, combineMetrics, sumLines } = require('../utils/metrics');
+
+const claudeGame = { points: 21, fgm: 8, fga: 14, fg3m: 2, fg3a: 5, ftm: 3, fta: 4, turnovers: 3 };
+const otherGame = { points: 10, fgm: 4, fga: 10, fg3m: 0, fg3a: 2, ftm: 2, fta: 2, turnovers: 2 };
+// What a Mark 5 book yields: no attempts from the field, no turnovers
+const mark5Game = { points: 13, fgm: 5, fga: null, fg3m: 1, fg3a: null, ftm: 2, fta: 2, turnovers: null };
+
+describe('computeMetrics', () => {
+    test('derives every metric when the counts exist', () => {
+        expect(computeMetrics(claudeGame)).toEqual({
+            efg: 0.643, ts: 0.666, pps: 1.5, ftr: 0.286, threePar: 0.357, possessions: 18.8, ortg: 111.9,
+        });
+    });
+
+    test('is null wherever a count is missing or the denominator is zero', () => {
+        expect(computeMetrics(mark5Game)).toEqual({
+            efg: null, ts: null, pps: null, ftr: null, threePar: null, possessions: null, ortg: null,
+        });
+        expect(computeMetrics({ ...claudeGame, fga: 0, fta: 0, turnovers: 0 })).toMatchObject({ efg: null, ts: null, ortg: null, possessions: 0 });
+        expect(computeMetrics(null).efg).toBeNull();
+    });
+
+    test('offensive rebounds reduce possessions when recorded', () => {
+        expect(computeMetrics({ ...claudeGame, orb: 4 }).possessions).toBe(14.8);
+    });
+});
+
+describe('combineMetrics', () => {
+    test('sums each metric over the games that recorded its counts', () => {
+        expect(combineMetrics([claudeGame, mark5Game])).toMatchObject({ efg: 0.643, possessions: 18.8 });
+        expect(combineMetrics([claudeGame, otherGame])).toMatchObject({ efg: 0.542, possessions: 15.8, ortg: 98 });
+        expect(combineMetrics([mark5Game]).ts).toBeNull();
+        expect(combineMetrics([]).efg).toBeNull();
+    });
+
+    test('sumLines keeps unrecorded stats null', () => {
+        expect(sumLines([mark5Game, { ...mark5Game, points: 7 }])).toMatchObject({ points: 20, fga: null, fta: 4 });
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseTesseractTsv, createTesseractProvider } = require('../services/ocr/tesseract');
+const { createFixtureProvider } = require('../services/ocr/fixture');
+
+const TSV = fs.readFileSync(path.join(__dirname, 'fixtures', 'tesseract_sample.tsv'), 'utf8');
+const SAMPLE_OCR = path.join(__dirname, 'fixtures', 'mark5_sample_ocr.json');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    console.log.mockRestore();
+});
+
+describe('parseTesseractTsv', () => {
+    const result = parseTesseractTsv(TSV);
+    const [page] = result.pages;
+
+    test('takes page size from the page row', () => {
+        expect(result.pages).toHaveLength(1);
+        expect(page).toMatchObject({ pageNumber: 1, width: 3300, height: 2550 });
+    });
+
+    test('splits table rows into one line per cell at wide gaps', () => {
+        expect(page.lines.map((l) => l.text)).toEqual(['PLAYER NO.', 'TP', 'Smith J.', '23', '13']);
+        expect(result.text).toBe('PLAYER NO.\nTP\nSmith J.\n23\n13');
+    });
+
+    test('line boxes span their words and confidence is 0–1', () => {
+        const name = page.lines[2];
+        expect(name.bbox).toEqual({ x1: 330, y1: 300, x2: 500, y2: 300, x3: 500, y3: 340, x4: 330, y4: 340 });
+        expect(name.confidence).toBe(0.9);
+        expect(page.lines[4].confidence).toBe(0.84);
+    });
+});
+
+describe('tesseract provider', () => {
+    test('rejects PDFs and reports a missing binary', async () => {
+        const provider = createTesseractProvider({ command: path.join(os.tmpdir(), 'no-such-tesseract') });
+        await expect(provider.process(Buffer.from('x'), 'application/pdf'))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(provider.process(Buffer.from('x'), 'image/png'))
+            .rejects.toThrow(/not installed/);
+    });
+
+    test('the version names every setting that changes the output', () => {
+        expect(createTesseractProvider({ lang: 'eng', psm: '11' }).version).toBe('tesseract:eng:psm11:oemdefault');
+        expect(createTesseractProvider({ lang: 'eng+spa', psm: '6', oem: '1' }).version).toBe('tesseract:eng+spa:psm6:oem1');
+    });
+});
+
+describe('fixture provider', () => {
+    test('a fixture file is replayed for every upload', async () => {
+        const provider = createFixtureProvider({ fixturePath: SAMPLE_OCR });
+        const expected = JSON.parse(fs.readFileSync(SAMPLE_OCR, 'utf8'));
+        const result = await provider.process(Buffer.from('any image'), 'image/jpeg');
+        expect(result.text).toBe(expected.text);
+        expect(result.pages).toEqual(expected.pages);
+    });
+
+    test('a directory is looked up by upload hash, then default.json', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-fixtures-'));
+        try {
+            const upload = Buffer.from('scorebook photo');
+            const hash = crypto.createHash('sha256').update(upload).digest('hex');
+            fs.writeFileSync(path.join(dir, `${hash}.json`), JSON.stringify({ text: 'exact', pages: [] }));
+            const provider = createFixtureProvider({ fixturePath: dir });
+
+            expect((await provider.process(upload, 'image/png')).text).toBe('exact');
+            await expect(provider.process(Buffer.from('other'), 'image/png'))
+                .rejects.toMatchObject({ statusCode: 404 });
+
+            fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ text: 'fallback' }));
+            expect(await provider.process(Buffer.from('other'), 'image/png')).toEqual({ text: 'fallback', pages: [] });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('requires a fixture path', () => {
+        expect(() => createFixtureProvider({ fixturePath: '' })).toThrow(/OCR_FIXTURE_PATH/);
+    });
+});
+
+describe('provider selection', () => {
+    const saved = { ...process.env };
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    test('OCR_PROVIDER picks the backend; unknown names fail', () => {
+        jest.isolateModules(() => {
+            process.env.OCR_PROVIDER = 'fixture';
+            process.env.OCR_FIXTURE_PATH = SAMPLE_OCR;
+            const { getOcrProvider } = require('../services/ocr');
+            expect(getOcrProvider().name).toBe('fixture');
+            expect(getOcrProvider()).toBe(getOcrProvider());
+        });
+        jest.isolateModules(() => {
+            process.env.OCR_PROVIDER = 'abbyy';
+            const { getOcrProvider } = require('../services/ocr');
+            expect(() => getOcrProvider()).toThrow(/Unknown OCR_PROVIDER "abbyy"/);
+        });
+    });
+
+    test('the Document AI version follows the processor and its version', () => {
+        const versionFor = (env) => {
+            let version;
+            jest.isolateModules(() => {
+                Object.assign(process.env, { OCR_PROVIDER: 'documentai', GOOGLE_CLOUD_LOCATION: 'us', ...env });
+                version = require('../services/ocr').getOcrProvider().version;
+            });
+            return version;
+        };
+        delete process.env.GOOGLE_DOCUMENTAI_PROCESSOR_VERSION;
+        expect(versionFor({ GOOGLE_DOCUMENTAI_PROCESSOR_ID: 'abc' })).toBe('documentai:us/abc@default');
+        expect(versionFor({ GOOGLE_DOCUMENTAI_PROCESSOR_ID: 'abc', GOOGLE_DOCUMENTAI_PROCESSOR_VERSION: 'v2' }))
+            .toBe('documentai:us/abc@v2');
+        expect(versionFor({ GOOGLE_DOCUMENTAI_PROCESSOR_ID: 'def', GOOGLE_DOCUMENTAI_PROCESSOR_VERSION: 'v2' }))
+            .toBe('documentai:us/def@v2');
+    });
+});
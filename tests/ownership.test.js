@@ -0,0 +1,75 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { requireReportOwner, requireScorebookOwner, requireSelf } = require('../middleware/ownership');
+
+function mockRes() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('requireReportOwner', () => {
+    let repository;
+    let middleware;
+
+    beforeEach(async () => {
+        repository = createRepository('memory');
+        middleware = requireReportOwner(repository);
+        await repository.createReport({ id: 'r1', userId: 'owner', status: 'complete' });
+    });
+
+    test('attaches the report for its owner', async () => {
+        const req = { params: { id: 'r1' }, user: { id: 'owner' } };
+        const next = jest.fn();
+        await middleware(req, mockRes(), next);
+        expect(next).toHaveBeenCalled();
+        expect(req.report.id).toBe('r1');
+    });
+
+    test('returns 403 for another user', async () => {
+        const res = mockRes();
+        const next = jest.fn();
+        await middleware({ params: { id: 'r1' }, user: { id: 'intruder' } }, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('returns 404 for unknown reports', async () => {
+        const res = mockRes();
+        await middleware({ params: { id: 'nope' }, user: { id: 'owner' } }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+});
+
+describe('requireScorebookOwner', () => {
+    test('attaches the scorebook for its owner and rejects others', async () => {
+        const repository = createRepository('memory');
+        await repository.createScorebook({ id: 's1', userId: 'owner', status: 'ready' });
+        const middleware = requireScorebookOwner(repository);
+
+        const req = { params: { id: 's1' }, user: { id: 'owner' } };
+        const next = jest.fn();
+        await middleware(req, mockRes(), next);
+        expect(req.scorebook.id).toBe('s1');
+
+        const res = mockRes();
+        await middleware({ params: { id: 's1' }, user: { id: 'intruder' } }, res, jest.fn());
+        expect(res.json).toHaveBeenCalledWith({ error: 'You do not have access to this scorebook' });
+    });
+});
+
+describe('requireSelf', () => {
+    test('allows the user\'s own email regardless of case', () => {
+        const next = jest.fn();
+        requireSelf({ params: { email: 'Coach@Example.com' }, user: { email: 'coach@example.com' } }, mockRes(), next);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('rejects other emails with 403', () => {
+        const res = mockRes();
+        requireSelf({ params: { email: 'other@example.com' }, user: { email: 'coach@example.com' } }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
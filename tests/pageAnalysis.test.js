@@ -0,0 +1,97 @@
+'use strict';
+
+const {
+    downsample,
+    otsuThreshold,
+    findPageCorners,
+    fillsFrame,
+    rectifiedSize,
+    pageTransform,
+    warp,
+    estimateSkew,
+    imageStats,
+    binarize,
+} = require('../utils/pageAnalysis');
+
+const W = 800;
+const H = 600;
+
+/** Bright quadrilateral page (clockwise corners) on a dark gym floor. */
+function photoOfPage(quad) {
+    const data = new Uint8Array(W * H).fill(40);
+    const inside = (x, y) => quad.every(([x0, y0], i) => {
+        const [x1, y1] = quad[(i + 1) % 4];
+        return (x1 - x0) * (y - y0) - (y1 - y0) * (x - x0) >= 0;
+    });
+    for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) if (inside(x, y)) data[y * W + x] = 220;
+    }
+    return { data, width: W, height: H };
+}
+
+/** White page with ruled lines tilted by `degrees`. */
+function ruledPage(degrees) {
+    const data = new Uint8Array(W * H).fill(230);
+    const slope = Math.tan(degrees * Math.PI / 180);
+    for (let k = 0; k < 12; k++) {
+        for (let x = 50; x < 750; x++) {
+            const y = Math.round(60 + k * 40 + x * slope);
+            if (y >= 0 && y < H) data[y * W + x] = 20;
+        }
+    }
+    return { data, width: W, height: H };
+}
+
+describe('page boundary and perspective', () => {
+    const quad = [[100, 80], [700, 110], [680, 540], [120, 520]];
+    const photo = photoOfPage(quad);
+    const threshold = otsuThreshold(photo);
+
+    test('finds the corners of a page shot at an angle', () => {
+        const page = findPageCorners(photo, threshold);
+        page.corners.forEach(([x, y], i) => {
+            expect(Math.abs(x - quad[i][0])).toBeLessThanOrEqual(8);
+            expect(Math.abs(y - quad[i][1])).toBeLessThanOrEqual(8);
+        });
+        expect(page.coverage).toBeCloseTo(0.52, 1);
+        expect(fillsFrame(page.corners, W, H)).toBe(false);
+    });
+
+    test('rectifying maps the page onto the whole output', () => {
+        const { corners } = findPageCorners(photo, threshold);
+        const size = rectifiedSize(corners);
+        const flat = warp(photo, pageTransform({ corners, ...size }), size.width, size.height);
+        const floor = flat.data.filter((v) => v < 100).length;
+        expect(floor / flat.data.length).toBeLessThan(0.01);
+    });
+
+    test('a photo with no clear page returns null', () => {
+        const dark = { data: new Uint8Array(W * H).fill(40), width: W, height: H };
+        expect(findPageCorners(dark, 128)).toBeNull();
+    });
+});
+
+describe('deskew', () => {
+    test('measures the tilt of the ruled lines and levels them', () => {
+        const page = ruledPage(2);
+        const threshold = otsuThreshold(page);
+        expect(estimateSkew(page, threshold)).toBe(2);
+
+        const levelled = warp(page, pageTransform({ width: W, height: H, skew: 2 }), W, H);
+        expect(estimateSkew(levelled, threshold)).toBe(0);
+        expect(estimateSkew(ruledPage(-1.5), threshold)).toBe(-1.5);
+    });
+});
+
+describe('metrics and contrast', () => {
+    test('binarising raises contrast; downsampling keeps the mean', () => {
+        const page = ruledPage(0);
+        const bw = binarize(page, otsuThreshold(page));
+        expect(new Set(bw.data)).toEqual(new Set([0, 255]));
+        expect(imageStats(bw).contrast).toBeGreaterThan(imageStats(page).contrast);
+
+        const small = downsample(page, 400);
+        expect(small).toMatchObject({ width: 400, height: 300, factor: 2 });
+        expect(Math.abs(imageStats(small).brightness - imageStats(page).brightness)).toBeLessThanOrEqual(1);
+    });
+});
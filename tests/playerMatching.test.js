@@ -0,0 +1,137 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createTeamService } = require('../services/teams');
+const { createSeasonStats } = require('../services/seasonStats');
+const {
+    createPlayerMatching, matchRows, extractRows, linkHistory, nameSimilarity, rowIdentity,
+} = require('../services/playerMatching');
+
+const coach = { id: 'coach-1' };
+
+const roster = [
+    { id: 'p23', number: '23', name: 'Jordan Smith', active: true },
+    { id: 'p11', number: '11', name: 'Chris Johnson', active: true },
+    { id: 'p4', number: '4', name: 'Jordan Smythe', active: true },
+    { id: 'p23-old', number: '23', name: 'Sam Graduated', active: false },
+];
+
+/** A Claude read with free-text names. */
+const claudeRead = (players) => ({ finalScore: 40, players: players.map((p) => ({ points: 10, ...p })) });
+
+describe('matching rows to the roster', () => {
+    test('reads numbers out of names and compares names fuzzily', () => {
+        expect(rowIdentity(null, 'J. Smith #23')).toEqual({ number: '23', name: 'J. Smith' });
+        expect(rowIdentity('#5', 'Williams 12')).toEqual({ number: '5', name: 'Williams' });
+        expect(nameSimilarity('Smith', 'Jordan Smith')).toBe(1);
+        expect(nameSimilarity('Smith, J.', 'Jordan Smith')).toBe(1);
+        expect(nameSimilarity('J. Smith', 'Kevin Smith')).toBe(0.7);
+        expect(nameSimilarity('Smyth', 'Jordan Smith')).toBe(0.8);
+        expect(nameSimilarity('José', 'Jose Ortiz')).toBe(0.8);
+        expect(nameSimilarity(null, 'Jordan Smith')).toBeNull();
+    });
+
+    test('matches clear rows and leaves conflicting evidence for the coach', () => {
+        const rows = extractRows(claudeRead([
+            { number: null, name: 'J. Smith #23' }, // number and name agree
+            { number: '11', name: null }, // number alone
+            { number: '23', name: 'Johnson' }, // number says Smith, name says Johnson
+            { number: '7', name: 'Nobody' },
+        ]));
+        const [smith, eleven, conflict, stranger] = matchRows(rows, roster);
+
+        expect(smith).toMatchObject({ rowIndex: 0, status: 'matched', rosterPlayerId: 'p23', score: 1 });
+        expect(smith.candidates[0].reasons).toEqual(['number', 'name']);
+        expect(eleven).toMatchObject({ status: 'matched', rosterPlayerId: 'p11' });
+        expect(conflict).toMatchObject({ status: 'ambiguous', rosterPlayerId: null });
+        expect(conflict.candidates.map((c) => c.rosterPlayerId)).toEqual(['p23', 'p11']);
+        expect(stranger).toMatchObject({ status: 'unmatched', rosterPlayerId: null, candidates: [] });
+    });
+
+    test('a player is matched to one row; confirmed links win and history counts', () => {
+        const rows = extractRows(claudeRead([
+            { number: '23', name: 'Smith' },
+            { number: '23', name: 'Smith' },
+            { number: '4', name: 'Smyth' },
+        ]));
+        expect(matchRows(rows, roster).map((m) => m.status)).toEqual(['ambiguous', 'ambiguous', 'matched']);
+
+        const confirmed = matchRows(rows, roster, { links: { 0: 'p23', 1: null } });
+        expect(confirmed.map((m) => [m.status, m.rosterPlayerId])).toEqual([
+            ['confirmed', 'p23'], ['confirmed', null], ['matched', 'p4'],
+        ]);
+
+        // "#4 Smyth" looks like Smythe, but last game the coach linked it to Smith
+        const misread = extractRows(claudeRead([{ number: '4', name: 'Smyth' }]));
+        const history = linkHistory([{ result: claudeRead([{ number: '4', name: 'Smyth' }]), playerLinks: { 0: 'p23' } }]);
+        expect(matchRows(misread, roster)[0]).toMatchObject({ status: 'matched', rosterPlayerId: 'p4' });
+        const [withHistory] = matchRows(misread, roster, { history });
+        expect(withHistory.status).toBe('ambiguous');
+        expect(withHistory.candidates[1]).toMatchObject({ rosterPlayerId: 'p23', score: 0.88, reasons: ['name', 'history'] });
+    });
+});
+
+describe('player matching service', () => {
+    let repository;
+    let matching;
+    let season;
+    let smith;
+    let game;
+
+    beforeEach(async () => {
+        repository = createRepository('memory');
+        matching = createPlayerMatching({ repository });
+        const teams = createTeamService({ repository });
+        const team = await teams.createTeam(coach, { name: 'Eagles' });
+        season = await teams.createSeason(team, { name: '2025-26' });
+        smith = await teams.addRosterPlayer(season, { number: '23', name: 'Jordan Smith' });
+        await teams.addRosterPlayer(season, { number: '11', name: 'Chris Johnson' });
+        game = await teams.createGame(season, { opponentName: 'Hawks', date: '2025-12-05' });
+    });
+
+    const book = (id, players, extra = {}) => repository.createScorebook({
+        id, userId: coach.id, gameId: game.id, source: 'claude', status: 'confirmed',
+        result: claudeRead(players), createdAt: '2025-12-06T00:00:00Z', ...extra,
+    });
+
+    test('suggests links and confirms them', async () => {
+        const scorebook = await book('s1', [{ number: '23', name: 'Smith' }, { number: '32', name: 'Smith' }]);
+
+        const suggested = await matching.suggest(scorebook);
+        expect(suggested).toMatchObject({
+            scorebookId: 's1', gameId: game.id, seasonId: season.id,
+            summary: { confirmed: 0, matched: 1, ambiguous: 1, unmatched: 0 },
+        });
+
+        await expect(matching.confirm(scorebook, { links: [{ rowIndex: 1, rosterPlayerId: smith.id }], acceptMatched: true }))
+            .rejects.toThrow('Rows 0 and 1 are both linked to the same player.');
+        await expect(matching.confirm(scorebook, { links: [{ rowIndex: 9, rosterPlayerId: null }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(matching.confirm(scorebook, {})).rejects.toMatchObject({ statusCode: 400 });
+
+        const confirmed = await matching.confirm(scorebook, { links: [{ rowIndex: 1, rosterPlayerId: null }], acceptMatched: true });
+        expect(confirmed.summary).toMatchObject({ confirmed: 2, ambiguous: 0 });
+        expect((await repository.getScorebook('s1')).playerLinks).toEqual({ 0: smith.id, 1: null });
+    });
+
+    test('needs the scorebook on a game', async () => {
+        const loose = await book('s2', [{ number: '23', name: 'Smith' }], { gameId: null });
+        await expect(matching.suggest(loose)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('season stats count confirmed links and report ambiguous rows', async () => {
+        // The scorer wrote Smith's number as 32; until the coach links it, it is its own line
+        const scorebook = await book('s3', [{ number: '32', name: 'Smith' }], { side: 'home' });
+        const seasonStats = createSeasonStats({ repository });
+        const team = { id: season.teamId, name: 'Eagles' };
+
+        const before = await seasonStats.teamSeason(team);
+        expect(before.games[0].ambiguousRows).toBe(1);
+        expect(before.players[0]).toMatchObject({ rosterPlayerId: null, number: '32' });
+
+        await matching.confirm(scorebook, { links: [{ rowIndex: 0, rosterPlayerId: smith.id }] });
+        const after = await seasonStats.teamSeason(team);
+        expect(after.games[0].ambiguousRows).toBe(0);
+        expect(after.players[0]).toMatchObject({ rosterPlayerId: smith.id, number: '23', games: 1 });
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const { quarterKey, parseQuarterCell, normalizeClaudeQuarters } = require('../scorebooks/quarters');
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+
+const quartersFixture = require('./fixtures/mark5_quarters_ocr.json');
+
+function parseWithCell(from, to) {
+    const page = quartersFixture.pages[0];
+    const lines = page.lines.map((l) => (l.text === from ? { ...l, text: to } : l));
+    return parseMark5Minimal({ documentAiJson: { text: '', pages: [{ ...page, lines }] } });
+}
+
+describe('quarter box marks', () => {
+    test.each([
+        ['1ST QTR.', 'Q1'],
+        ['2nd Qtr', 'Q2'],
+        ['Q4', 'Q4'],
+        ['OVER TIME', 'OT'],
+        ['TOTAL', null],
+    ])('quarterKey(%p) → %p', (text, key) => {
+        expect(quarterKey(text)).toBe(key);
+    });
+
+    test('tallies makes, misses and fouls', () => {
+        const { quarter, unread } = parseQuarterCell('2 ○ (3) 3 1 X F');
+        expect(quarter).toEqual({
+            fg2_made: 1, fg2_att: 2, fg3_made: 1, fg3_att: 2, ft_made: 1, ft_att: 2, points: 6, fouls: 1,
+        });
+        expect(unread).toEqual([]);
+    });
+
+    test('reports text that is not a mark', () => {
+        expect(parseQuarterCell('2 ?').unread).toEqual(['?']);
+    });
+});
+
+describe('Mark 5 quarter boxes', () => {
+    const result = parseMark5Minimal({ documentAiJson: quartersFixture });
+
+    test('derives attempts and per-quarter points from the boxes', () => {
+        const smith = result.players.find((p) => p.player_number === '23');
+        expect(smith.shooting).toEqual({ fg2_made: 4, fg2_att: 6, fg3_made: 1, fg3_att: 2, ft_made: 2, ft_att: 2 });
+        expect(smith.personal_fouls_total).toBe(3);
+        expect(Object.fromEntries(Object.entries(smith.quarters).map(([k, q]) => [k, q.points])))
+            .toEqual({ Q1: 2, Q2: 3, Q3: 5, Q4: 3, OT: 0 });
+        expect(smith.quarters.Q3.fouls).toBe(1);
+    });
+
+    test('adds team attempts and passes the cross-checks', () => {
+        expect(result.team_totals.shooting).toMatchObject({ fg2_att: 22, fg3_att: 7 });
+        expect(result.team_totals.quarters.Q1.points).toBe(12);
+        expect(result.validation.checks.filter((c) => c.name.startsWith('quarters_vs_summary')))
+            .toHaveLength(5);
+        expect(result.validation.needs_review).toBe(false);
+    });
+
+    test('flags a player whose boxes disagree with the summary', () => {
+        const edited = parseWithCell('2 2 1 F', '2 2 F');
+        const check = edited.validation.checks.find((c) => c.name === 'quarters_vs_summary_player_0');
+        expect(check.passed).toBe(false);
+        expect(check.details).toMatch(/ft_made \(1 vs 2\)/);
+        expect(edited.validation.needs_review).toBe(true);
+    });
+});
+
+describe('normalizeClaudeQuarters', () => {
+    test('raises attempts to the quarter sums and totals the team by quarter', () => {
+        const stats = normalizeClaudeQuarters({
+            players: [
+                {
+                    number: '4', fieldGoalsMade: 3, fieldGoalsAttempted: 3, freeThrowsAttempted: 1,
+                    quarters: {
+                        Q1: { fieldGoalsMade: 2, fieldGoalsAttempted: 4, points: '4' },
+                        Q2: { fieldGoalsMade: 1, fieldGoalsAttempted: 2, freeThrowsMade: 1, freeThrowsAttempted: 2, points: 3, fouls: 1 },
+                        Q9: { points: 10 },
+                    },
+                },
+                { number: '10', fieldGoalsAttempted: 5, quarters: 'n/a' },
+            ],
+        });
+
+        const [first, second] = stats.players;
+        expect(first.fieldGoalsAttempted).toBe(6);
+        expect(first.freeThrowsAttempted).toBe(2);
+        expect(Object.keys(first.quarters)).toEqual(['Q1', 'Q2']);
+        expect(first.quarters.Q1.points).toBe(4);
+        expect(second.quarters).toBeUndefined();
+        expect(second.fieldGoalsAttempted).toBe(5);
+        expect(stats.quarterTotals.Q2).toMatchObject({ points: 3, fouls: 1 });
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { renderReportPdf, renderReportPdfBuffer } = require('../services/reportPdf');
+
+const report = require('./fixtures/scouting_report.json');
+
+function pageCount(buffer) {
+    return (buffer.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('renderReportPdfBuffer', () => {
+    test('renders the full report across multiple pages', async () => {
+        const pdf = await renderReportPdfBuffer(report);
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(pageCount(pdf)).toBeGreaterThan(1);
+        expect(pdf.toString('latin1')).toContain('Scouting Report: Riverside Hawks');
+    });
+
+    test('player card fits on one page', async () => {
+        const pdf = await renderReportPdfBuffer(report, { layout: 'card' });
+        expect(pageCount(pdf)).toBe(1);
+        expect(pdf.toString('latin1')).toContain('Player Card: Riverside Hawks');
+    });
+
+    test('player card stays on one page with long text', async () => {
+        const long = 'Deny every catch and force him to his weak hand. '.repeat(40);
+        const noisy = {
+            ...report,
+            keyPlayers: report.keyPlayers.map((p) => ({ ...p, howToGuard: long })),
+            recommendations: { keysToVictory: [long, long, long, long] },
+        };
+        const pdf = await renderReportPdfBuffer(noisy, { layout: 'card' });
+        expect(pageCount(pdf)).toBe(1);
+    });
+
+    test('handles a report with only the generateReport defaults', async () => {
+        const sparse = {
+            opponent: 'Unknown Opponent',
+            defense: { primary: { scheme: 'Unknown' } },
+            offense: { primary: { system: 'Unknown' } },
+            keyPlayers: [],
+            pace: { rating: 50 },
+            shotChart: { shots: [], byArea: {}, hotZones: [], coldZones: [] },
+            specialSituations: {},
+            recommendations: {},
+        };
+        await expect(renderReportPdfBuffer(sparse)).resolves.toBeInstanceOf(Buffer);
+        await expect(renderReportPdfBuffer(sparse, { layout: 'card' })).resolves.toBeInstanceOf(Buffer);
+    });
+
+    test('rejects unknown layouts', () => {
+        expect(() => renderReportPdf(report, { layout: 'poster' })).toThrow(/layout must be one of/);
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createLocalProvider } = require('../services/auth/local');
+
+/**
+ * Just enough of the Supabase query builder for user_profiles:
+ * select / insert / update, eq filters and maybeSingle(). Like the real
+ * table, a profile's id must belong to a Supabase Auth user.
+ */
+function fakeSupabase() {
+    const authUsers = new Set();
+    const tables = { user_profiles: [] };
+
+    function query(table) {
+        const rows = tables[table];
+        const filters = [];
+        let write = null;
+
+        const matching = () => rows.filter((row) => filters.every(([column, value]) => row[column] === value));
+        const builder = {
+            select: () => builder,
+            insert: (row) => { write = { insert: row }; return builder; },
+            update: (updates) => { write = { update: updates }; return builder; },
+            eq: (column, value) => { filters.push([column, value]); return builder; },
+            async maybeSingle() {
+                if (write && write.insert) {
+                    if (!authUsers.has(write.insert.id)) {
+                        return { data: null, error: { code: '23503', message: 'violates foreign key constraint "user_profiles_id_fkey"' } };
+                    }
+                    const row = { plan: 'trial', plan_status: 'active', created_at: new Date().toISOString(), ...write.insert };
+                    rows.push(row);
+                    return { data: { ...row }, error: null };
+                }
+                const [row] = matching();
+                if (row && write) Object.assign(row, write.update);
+                return { data: row ? { ...row } : null, error: null };
+            },
+        };
+        return builder;
+    }
+
+    /** What Supabase Auth signup does: an auth user plus its profile. */
+    function signUp({ id, email, name }) {
+        authUsers.add(id);
+        tables.user_profiles.push({ id, email, name, plan: 'trial', plan_status: 'active' });
+    }
+
+    return { from: query, signUp, tables };
+}
+
+// Both drivers must answer the same calls the same way
+describe.each([
+    ['memory', () => {
+        const repo = createRepository('memory');
+        return { repo, signUp: (user) => repo.registerUser(user) };
+    }],
+    ['supabase', () => {
+        const client = fakeSupabase();
+        return { repo: createRepository('supabase', { client }), signUp: client.signUp };
+    }],
+])('%s repository contract', (driver, create) => {
+    let repo;
+    let signUp;
+
+    beforeEach(() => {
+        ({ repo, signUp } = create());
+    });
+
+    test('registerUser updates an existing user and keeps its id', async () => {
+        await signUp({ id: 'u-1', email: 'coach@example.com', name: 'Pat' });
+        const again = await repo.registerUser({ id: 'u-9', email: ' COACH@example.com', teamName: 'Eagles' });
+        expect(again).toMatchObject({ id: 'u-1', email: 'coach@example.com', name: 'Pat', teamName: 'Eagles' });
+        expect(await repo.findUserByEmail('coach@example.com')).toMatchObject({ id: 'u-1', teamName: 'Eagles' });
+    });
+});
+
+describe('registerUser without a profile', () => {
+    // The memory store is where its users live, so registering creates one
+    test('memory creates the user', async () => {
+        const repo = createRepository('memory');
+        expect(await repo.registerUser({ id: 'u-2', email: 'nameless@example.com' }))
+            .toMatchObject({ id: 'u-2', name: 'Coach', teamName: '' });
+    });
+
+    // Supabase profiles come from Supabase Auth signup, never from the repository
+    test('supabase answers 404 and writes nothing', async () => {
+        const client = fakeSupabase();
+        const repo = createRepository('supabase', { client });
+
+        await expect(repo.registerUser({ id: 'u-2', email: 'nameless@example.com' }))
+            .rejects.toMatchObject({ statusCode: 404, message: 'No account found for this email. Sign up first.' });
+        expect(client.tables.user_profiles).toEqual([]);
+    });
+
+    test('local auth with Supabase storage gets a 404, not a foreign key error', async () => {
+        const { user } = await createLocalProvider({ secret: 'test-secret' })
+            .signup({ email: 'local-coach@example.com', password: 'password123', name: 'Local Coach' });
+        const client = fakeSupabase();
+        const repo = createRepository('supabase', { client });
+
+        await expect(repo.registerUser({ id: user.id, email: user.email, name: user.name }))
+            .rejects.toMatchObject({ statusCode: 404 });
+        expect(client.tables.user_profiles).toEqual([]);
+    });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createResultCache, cacheKey } = require('../services/resultCache');
+const { requireAdmin } = require('../middleware/admin');
+
+const IMAGE = Buffer.from('preprocessed scorebook photo');
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+});
+
+describe('result cache', () => {
+    let repository;
+    let cache;
+
+    beforeEach(() => {
+        repository = createRepository('memory');
+        cache = createResultCache({ repository, ttlMs: 60 * 1000, enabled: true });
+    });
+
+    test('computes once per image and version, then reports hits', async () => {
+        const compute = jest.fn(async () => ({ text: 'HOME 52', pages: [] }));
+
+        const first = await cache.remember('ocr', 'documentai', IMAGE, compute);
+        expect(first.cache).toMatchObject({ hit: false, key: cacheKey('ocr', 'documentai', IMAGE) });
+
+        const second = await cache.remember('ocr', 'documentai', Buffer.from(IMAGE), compute);
+        expect(second.cache).toEqual({ ...first.cache, hit: true });
+        expect(second.result).toEqual(first.result);
+        expect(compute).toHaveBeenCalledTimes(1);
+
+        // Callers can't change the stored copy
+        second.result.text = 'edited';
+        expect((await cache.remember('ocr', 'documentai', IMAGE, compute)).result.text).toBe('HOME 52');
+
+        await cache.remember('ocr', 'tesseract', IMAGE, compute);
+        await cache.remember('claude', 'documentai', IMAGE, compute);
+        expect(compute).toHaveBeenCalledTimes(3);
+    });
+
+    test('expired entries and failed computations are misses', async () => {
+        const compute = jest.fn(async () => ({ finalScore: 48 }));
+        await repository.saveCachedResult({
+            key: cacheKey('claude', 'v1', IMAGE), kind: 'claude', version: 'v1',
+            result: { finalScore: 0 }, createdAt: new Date(Date.now() - 120 * 1000).toISOString(),
+        });
+        expect((await cache.remember('claude', 'v1', IMAGE, compute)).result).toEqual({ finalScore: 48 });
+
+        const failing = jest.fn(async () => { throw Object.assign(new Error('Claude API error'), { statusCode: 502 }); });
+        await expect(cache.remember('claude', 'v2', IMAGE, failing)).rejects.toMatchObject({ statusCode: 502 });
+        await expect(cache.remember('claude', 'v2', IMAGE, failing)).rejects.toThrow();
+        expect(failing).toHaveBeenCalledTimes(2);
+    });
+
+    test('a broken store or a disabled cache still returns the result', async () => {
+        repository.getCachedResult = async () => { throw new Error('Database error'); };
+        repository.saveCachedResult = async () => { throw new Error('Database error'); };
+        const result = await cache.remember('ocr', 'documentai', IMAGE, async () => ({ text: 'ok' }));
+        expect(result).toMatchObject({ result: { text: 'ok' }, cache: { hit: false } });
+
+        const off = createResultCache({ repository, enabled: false });
+        expect(await off.remember('ocr', 'documentai', IMAGE, async () => 'fresh')).toEqual({ result: 'fresh', cache: null });
+    });
+
+    test('purges by key, kind and age', async () => {
+        const other = Buffer.from('another photo');
+        const { cache: ocrEntry } = await cache.remember('ocr', 'documentai', IMAGE, async () => 'a');
+        await cache.remember('ocr', 'documentai', other, async () => 'b');
+        await cache.remember('claude', 'v1', IMAGE, async () => 'c');
+
+        expect(await cache.purge({ key: ocrEntry.key })).toBe(1);
+        expect(await cache.purge({ olderThan: '2000-01-01' })).toBe(0);
+        expect(await cache.purge({ kind: 'claude' })).toBe(1);
+        expect(await cache.purge()).toBe(1);
+        expect(await repository.getCachedResult(ocrEntry.key)).toBeNull();
+
+        await expect(cache.purge({ kind: 'video' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(cache.purge({ key: 'abc' })).rejects.toMatchObject({ statusCode: 400 });
+        await expect(cache.purge({ olderThan: 'last week' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('requireAdmin', () => {
+    const saved = process.env.ADMIN_EMAILS;
+    afterEach(() => {
+        if (saved === undefined) delete process.env.ADMIN_EMAILS;
+        else process.env.ADMIN_EMAILS = saved;
+    });
+
+    function run(email) {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        requireAdmin({ user: { email } }, res, next);
+        return { res, next };
+    }
+
+    test('only lets ADMIN_EMAILS through', () => {
+        process.env.ADMIN_EMAILS = 'ops@coachiq.com, Owner@CoachIQ.com';
+        expect(run('owner@coachiq.com').next).toHaveBeenCalled();
+        expect(run('coach@school.edu').res.status).toHaveBeenCalledWith(403);
+
+        delete process.env.ADMIN_EMAILS;
+        expect(run('ops@coachiq.com').res.status).toHaveBeenCalledWith(403);
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { parseRunningScore, gameFlow, summariseTimeline, periodLabel } = require('../scorebooks/running_score');
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+const { parseGame } = require('../scorebooks');
+
+const runningFixture = require('./fixtures/mark5_running_score_ocr.json');
+const sampleFixture = require('./fixtures/mark5_sample_ocr.json');
+
+/** Copy the fixture page with some lines dropped or relabelled. */
+function editPage(fixture, edit) {
+    const page = fixture.pages[0];
+    return { ...page, lines: page.lines.map(edit).filter(Boolean) };
+}
+
+function events(list) {
+    let score = 0;
+    return summariseTimeline(list.map(([points, period, player]) => {
+        score += points;
+        return { score, points, player_number: player || null, period, flags: [] };
+    }));
+}
+
+describe('parseRunningScore', () => {
+    const timeline = parseRunningScore(runningFixture.pages[0]);
+
+    test('reads each basket from the marked totals', () => {
+        expect(timeline.events).toHaveLength(29);
+        expect(timeline.events.slice(0, 3)).toEqual([
+            expect.objectContaining({ score: 2, points: 2, player_number: '23', period: 'Q1' }),
+            expect.objectContaining({ score: 4, points: 2, player_number: '15', period: 'Q1' }),
+            expect.objectContaining({ score: 7, points: 3, player_number: '5', period: 'Q1' }),
+        ]);
+        expect(timeline.final_score).toBe(52);
+        expect(timeline.issues).toEqual([]);
+    });
+
+    test('splits points by period and player', () => {
+        expect(timeline.period_scores).toEqual({ Q1: 12, Q2: 14, Q3: 12, Q4: 14 });
+        expect(timeline.player_points).toEqual({ 23: 13, 11: 10, 5: 11, 32: 5, 15: 13 });
+    });
+
+    test('flags gaps where a basket was not read', () => {
+        // Drop the jersey beside 7 (#5's three) – 4 → 8 looks like a 4-point basket
+        const page = editPage(runningFixture, (l) => (l.text === '5' && l.bbox.y1 === 1440 ? null : l));
+        const gappy = parseRunningScore(page);
+        expect(gappy.events.find((e) => e.score === 8)).toMatchObject({ points: 4, flags: [expect.stringMatching(/^gap_gt_3/)] });
+        expect(gappy.issues).toContain('Running score has gaps of more than 3 points – some baskets were not read.');
+    });
+
+    test('continues into overtime after the last period mark', () => {
+        const page = editPage(runningFixture, (l) => (l.text === 'Q4' ? { ...l, text: 'Q3' } : l));
+        const timeline = parseRunningScore(page);
+        expect(timeline.period_scores).toEqual({ Q1: 12, Q2: 14, Q3: 26 });
+
+        const withOt = parseRunningScore(editPage(runningFixture, (l) => (l.text === 'Q4' ? null : l)));
+        expect(withOt.period_scores).toEqual({ Q1: 12, Q2: 14, Q3: 12, Q4: 14 });
+    });
+
+    test('returns null without a running-score grid', () => {
+        expect(parseRunningScore(sampleFixture.pages[0])).toBeNull();
+    });
+
+    test.each([
+        ['Q2', 'Q2'], ['2nd Q', 'Q2'], ['OT', 'OT1'], ['OT2', 'OT2'], ['END Q3', 'Q3'], ['23', null],
+    ])('periodLabel(%s)', (text, label) => {
+        expect(periodLabel(text)).toBe(label);
+    });
+});
+
+describe('Mark 5 running score', () => {
+    test('adds the timeline and cross-checks it against the scoring summary', () => {
+        const result = parseMark5Minimal({ documentAiJson: runningFixture });
+        expect(result.players).toHaveLength(5);
+        expect(result.running_score.final_score).toBe(52);
+        const names = result.validation.checks.map((c) => c.name);
+        expect(names).toEqual(expect.arrayContaining(['running_score_vs_team_total', 'running_score_player_0']));
+        expect(result.validation.needs_review).toBe(false);
+    });
+
+    test('flags players whose running-score points disagree', () => {
+        // Credit #11's last free throw to #23
+        const page = editPage(runningFixture, (l) => (l.text === '11' && l.bbox.x1 === 2140 && l.bbox.y1 === 1080 ? { ...l, text: '23' } : l));
+        const result = parseMark5Minimal({ documentAiJson: { text: '', pages: [page] } });
+        expect(result.validation.review_reasons).toEqual([
+            'Running score points mismatch for player row 0',
+            'Running score points mismatch for player row 1',
+        ]);
+    });
+
+    test('is null when the page has no grid', () => {
+        expect(parseMark5Minimal({ documentAiJson: sampleFixture }).running_score).toBeNull();
+    });
+});
+
+describe('gameFlow', () => {
+    const home = events([[2, 'Q1'], [3, 'Q1'], [2, 'Q2']]);
+    const visitor = events([[2, 'Q1'], [2, 'Q2'], [2, 'Q2'], [2, 'Q2'], [2, 'Q2']]);
+    const flow = gameFlow(home, visitor, { minRun: 4 });
+
+    test('interleaves baskets within each period', () => {
+        expect(flow.ordering).toBe('estimated_within_period');
+        expect(flow.timeline.map((t) => `${t.home_score}-${t.visitor_score}`)).toEqual([
+            '2-0', '2-2', '5-2', '5-4', '5-6', '7-6', '7-8', '7-10',
+        ]);
+        expect(flow.final_score).toEqual({ home: 7, visitor: 10 });
+    });
+
+    test('counts lead changes, ties and the largest lead', () => {
+        expect(flow.lead_changes).toBe(3);
+        expect(flow.ties).toBe(1);
+        expect(flow.largest_lead.home).toEqual({ margin: 3, home_score: 5, visitor_score: 2, period: 'Q1' });
+        expect(flow.largest_lead.visitor).toMatchObject({ margin: 3, home_score: 7, visitor_score: 10 });
+    });
+
+    test('reports unanswered scoring runs', () => {
+        expect(flow.runs).toEqual([
+            {
+                team: 'visitor',
+                points: 4,
+                start: { home_score: 5, visitor_score: 2, period: 'Q2' },
+                end: { home_score: 5, visitor_score: 6, period: 'Q2' },
+            },
+            expect.objectContaining({ team: 'visitor', points: 4, end: { home_score: 7, visitor_score: 10, period: 'Q2' } }),
+        ]);
+        expect(gameFlow(home, visitor).runs).toEqual([]);
+    });
+
+    test('spreads baskets over the whole game without period marks', () => {
+        const flat = gameFlow(events([[2], [2]]), events([[3]]));
+        expect(flat.ordering).toBe('estimated_whole_game');
+        expect(flat.timeline.map((t) => t.team)).toEqual(['home', 'visitor', 'home']);
+    });
+});
+
+describe('parseGame flow', () => {
+    test('is built from both teams\' running scores', () => {
+        const label = (text, name) => (l) => {
+            if (l.text === 'TEAM') return { ...l, text };
+            if (l.text === 'Eagles') return { ...l, text: name };
+            return l;
+        };
+        const game = parseGame({
+            text: '',
+            pages: [
+                { ...editPage(runningFixture, label('HOME', 'Eagles')), pageNumber: 1 },
+                { ...editPage(runningFixture, label('VISITORS', 'Hawks')), pageNumber: 2 },
+            ],
+        });
+        expect(game.flow.final_score).toEqual({ home: 52, visitor: 52 });
+        expect(game.flow.period_scores.home).toEqual({ Q1: 12, Q2: 14, Q3: 12, Q4: 14 });
+        expect(game.teams.home.running_score.final_score).toBe(52);
+    });
+
+    test('is null when a team has no running score', () => {
+        expect(parseGame(require('./fixtures/ecostat_game_ocr.json')).flow).toBeNull();
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { createScheduler, priorityForPlan } = require('../services/scheduler');
+
+/** A task that stays pending until release() is called. */
+function deferred() {
+    let release;
+    const promise = new Promise((resolve) => { release = resolve; });
+    return { promise, release };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createScheduler', () => {
+    test('rejects invalid limits', () => {
+        expect(() => createScheduler({ ffmpeg: 0 })).toThrow(/positive integer/);
+    });
+
+    test('rejects unknown resources', async () => {
+        const scheduler = createScheduler({ ffmpeg: 1 });
+        await expect(scheduler.run('gpu', async () => 1)).rejects.toThrow(/Unknown scheduler resource/);
+    });
+
+    test('caps concurrency per resource independently', async () => {
+        const scheduler = createScheduler({ ffmpeg: 1, anthropic: 2 });
+        const gate = deferred();
+        const started = [];
+        const task = (name) => async () => { started.push(name); await gate.promise; };
+
+        scheduler.run('ffmpeg', task('f1'));
+        scheduler.run('ffmpeg', task('f2'));
+        scheduler.run('anthropic', task('a1'));
+        scheduler.run('anthropic', task('a2'));
+        scheduler.run('anthropic', task('a3'));
+        await tick();
+
+        expect(started.sort()).toEqual(['a1', 'a2', 'f1']);
+        expect(scheduler.stats()).toEqual({
+            ffmpeg: { limit: 1, active: 1, waiting: 1 },
+            anthropic: { limit: 2, active: 2, waiting: 1 },
+        });
+        gate.release();
+    });
+
+    test('returns task results and propagates errors', async () => {
+        const scheduler = createScheduler({ ffmpeg: 1 });
+        await expect(scheduler.run('ffmpeg', async () => 42)).resolves.toBe(42);
+        await expect(scheduler.run('ffmpeg', async () => { throw new Error('bad codec'); }))
+            .rejects.toThrow('bad codec');
+        expect(scheduler.stats().ffmpeg.active).toBe(0);
+    });
+
+    test('higher priority waits jump ahead, FIFO within a priority', async () => {
+        const scheduler = createScheduler({ anthropic: 1 });
+        const gate = deferred();
+        const order = [];
+
+        const first = scheduler.run('anthropic', () => gate.promise);
+        const runs = [
+            scheduler.run('anthropic', async () => order.push('trial-1'), { priority: priorityForPlan('trial', 'active') }),
+            scheduler.run('anthropic', async () => order.push('trial-2'), { priority: priorityForPlan('trial', 'active') }),
+            scheduler.run('anthropic', async () => order.push('monthly'), { priority: priorityForPlan('monthly', 'active') }),
+        ];
+
+        gate.release();
+        await Promise.all([first, ...runs]);
+        expect(order).toEqual(['monthly', 'trial-1', 'trial-2']);
+    });
+
+    test('reports queue positions as they change', async () => {
+        const scheduler = createScheduler({ ffmpeg: 1 });
+        const gate = deferred();
+        const positions = [];
+
+        const first = scheduler.run('ffmpeg', () => gate.promise);
+        const second = scheduler.run('ffmpeg', async () => {}, { onPosition: (p) => positions.push(['second', p]) });
+        const third = scheduler.run('ffmpeg', async () => {}, { onPosition: (p) => positions.push(['third', p]) });
+
+        gate.release();
+        await Promise.all([first, second, third]);
+        expect(positions).toEqual([['second', 1], ['third', 2], ['third', 1]]);
+    });
+});
+
+describe('priorityForPlan', () => {
+    test('paid plans outrank trial and unknown plans', () => {
+        expect(priorityForPlan('yearly', 'active')).toBeGreaterThan(priorityForPlan('trial', 'active'));
+        expect(priorityForPlan('monthly', 'active')).toBeGreaterThan(priorityForPlan(undefined));
+        expect(priorityForPlan(undefined)).toBe(0);
+    });
+
+    test('cancelled or expired paid plans lose their priority', () => {
+        expect(priorityForPlan('yearly', 'cancelled')).toBe(0);
+        expect(priorityForPlan('monthly', 'expired')).toBe(0);
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const { flaggedCells, cropTargets, scaleBox } = require('../scorebooks/crops');
+const { applyEdits, revalidate } = require('../scorebooks/review');
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+const { parseEcostat } = require('../scorebooks/ecostat_parser');
+
+const sampleFixture = require('./fixtures/mark5_sample_ocr.json');
+const ecostatFixture = require('./fixtures/ecostat_sample_ocr.json');
+
+describe('cell geometry', () => {
+    const result = parseMark5Minimal({ documentAiJson: sampleFixture });
+
+    test('rows carry their pixel box and the page records each column', () => {
+        expect(result.players[0].bbox).toEqual({ page: 1, left: 330, top: 300, right: 3090, bottom: 340 });
+        expect(result.team_totals.bbox).toMatchObject({ page: 1, top: 850 });
+        expect(result.layout.pages[0]).toMatchObject({
+            page: 1,
+            width: 3300,
+            height: 2550,
+            columns: { total_points: { left: 3050, right: 3100 } },
+        });
+    });
+
+    test('derived table fields span their source columns', () => {
+        const ecostat = parseEcostat({ documentAiJson: ecostatFixture });
+        const { columns } = ecostat.layout.pages[0];
+        expect(columns.fg2_made.left).toBeLessThan(columns.fg3_made.left);
+        expect(columns.fg2_made.right).toBe(columns.fg3_made.right);
+    });
+});
+
+describe('crop targets', () => {
+    const parsed = parseMark5Minimal({ documentAiJson: sampleFixture });
+    const flagged = revalidate(applyEdits(parsed, [{ row_index: 0, field: 'fg2_made', value: 5 }]).result);
+
+    test('a failed points equation flags the cells it adds up', () => {
+        expect(flaggedCells(flagged).map((c) => c.field)).toEqual(['total_points', 'fg2_made', 'fg3_made', 'ft_made']);
+        expect(flaggedCells(flagged)[0]).toEqual({
+            target: 'player', row_index: 0, field: 'total_points', reasons: ['points_equation_player_0'],
+        });
+        expect(flaggedCells(parsed)).toEqual([]);
+    });
+
+    test('a cell is its padded column across the row', () => {
+        const { crops } = cropTargets(flagged);
+        const tp = crops.find((c) => c.row_index === 0 && c.field === 'total_points');
+        expect(tp.box).toEqual({ left: 3017, top: 290, right: 3133, bottom: 350 });
+    });
+
+    test('rows scope crops every row and the totals', () => {
+        const { crops } = cropTargets(parsed, { scope: 'rows' });
+        expect(crops).toHaveLength(parsed.players.length + 1);
+        expect(crops.every((c) => c.field === null)).toBe(true);
+    });
+
+    test.each([
+        [{ scope: 'all' }, 400, /scope must be one of/],
+        [{ page: 2 }, 400, /No page 2/],
+    ])('rejects %j', (opts, statusCode, message) => {
+        expect(() => cropTargets(parsed, opts)).toThrow(expect.objectContaining({ statusCode, message: expect.stringMatching(message) }));
+    });
+
+    test('parses without positions cannot be cropped', () => {
+        const { layout, ...claude } = parsed;
+        expect(() => cropTargets(claude)).toThrow(expect.objectContaining({ statusCode: 422 }));
+    });
+});
+
+describe('scaleBox', () => {
+    test('maps page pixels onto a resized photo and clamps to it', () => {
+        const page = { width: 3300, height: 2550 };
+        expect(scaleBox({ left: 330, top: 300, right: 660, bottom: 340 }, page, { width: 1650, height: 1275 }))
+            .toEqual({ left: 165, top: 150, width: 165, height: 20 });
+        expect(scaleBox({ left: 3200, top: 2500, right: 3400, bottom: 2600 }, page, page))
+            .toEqual({ left: 3200, top: 2500, width: 100, height: 50 });
+        expect(scaleBox({ left: 3400, top: 0, right: 3500, bottom: 10 }, page, page)).toBeNull();
+    });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const { parseGame } = require('../scorebooks');
+const { readPageHeader } = require('../scorebooks/game');
+
+const gameFixture = require('./fixtures/ecostat_game_ocr.json');
+const mark5Fixture = require('./fixtures/mark5_sample_ocr.json');
+const mark3Fixture = require('./fixtures/mark3_sample_ocr.json');
+
+function headerLine(text, x, y = 130) {
+    return { text, confidence: 0.99, bbox: { x1: x, y1: y, x2: x + 200, y2: y, x3: x + 200, y3: y + 50, x4: x, y4: y + 50 } };
+}
+
+/** Copy a single-page fixture, replacing its header labels. */
+function withHeader(fixture, pageNumber, labels) {
+    const page = fixture.pages[0];
+    const lines = page.lines.filter((l) => !/^(?:TEAM|Eagles|Hawks)$/.test(l.text));
+    return { ...page, pageNumber, lines: [...labels.map(([text, x]) => headerLine(text, x, 30)), ...lines] };
+}
+
+describe('parseGame', () => {
+    const game = parseGame(gameFixture);
+
+    test('classifies every page', () => {
+        expect(game.pages.map((p) => [p.page_number, p.role, p.side, p.template])).toEqual([
+            [1, 'team', 'visitor', 'ecostat'],
+            [2, 'team', 'home', 'ecostat'],
+            [3, 'continuation', 'home', 'ecostat'],
+            [4, 'blank', null, null],
+        ]);
+        expect(game.warnings).toEqual([]);
+    });
+
+    test('returns both box scores with team names and source pages', () => {
+        expect(game.teams.visitor).toMatchObject({
+            team_name: 'Westside Wolves',
+            pages: [1],
+            template: 'ecostat',
+            template_name: 'Ecostat Basketball Scorebook',
+        });
+        expect(game.teams.visitor.team_totals.total_points).toBe(38);
+        expect(game.teams.home).toMatchObject({ team_name: 'Central Lions', pages: [2, 3] });
+    });
+
+    test('adds overtime page scoring to the matching players and totals', () => {
+        const home = game.teams.home;
+        const garcia = home.players.find((p) => p.player_number === '3');
+        expect(garcia.total_points).toBe(21);
+        expect(garcia.shooting).toMatchObject({ fg2_made: 5, fg2_att: 8, ft_made: 5, ft_att: 6 });
+        expect(garcia.personal_fouls_total).toBe(3);
+        expect(garcia.flags).toContain('merged_continuation_page_3');
+
+        const hayes = home.players.find((p) => p.player_number === '32');
+        expect(hayes).toMatchObject({ row_index: 3, total_points: 2, flags: ['from_continuation_page_3'] });
+
+        expect(home.team_totals.total_points).toBe(42);
+        expect(home.validation.checks).toContainEqual(
+            expect.objectContaining({ name: 'team_total_vs_player_sum', passed: true })
+        );
+        expect(game.needs_review).toBe(false);
+    });
+
+    test('assigns unlabelled pages by order and warns', () => {
+        const result = parseGame({ text: '', pages: [mark5Fixture.pages[0], { ...mark3Fixture.pages[0], pageNumber: 2 }] });
+        expect(result.pages.map((p) => [p.side, p.template, p.team_name])).toEqual([
+            ['home', 'mark5', 'Eagles'],
+            ['visitor', 'mark3', 'Hawks'],
+        ]);
+        expect(result.warnings).toHaveLength(2);
+        expect(result.needs_review).toBe(true);
+    });
+
+    test('a second page with the same label but another team goes to the free side', () => {
+        const result = parseGame({
+            text: '',
+            pages: [
+                withHeader(mark5Fixture, 1, [['HOME', 50], ['Eagles', 260]]),
+                withHeader(mark5Fixture, 2, [['HOME', 50], ['Falcons', 260]]),
+            ],
+        });
+        expect(result.teams.home.team_name).toBe('Eagles');
+        expect(result.teams.visitor.team_name).toBe('Falcons');
+        expect(result.warnings[0]).toMatch(/labelled home but that team is already assigned/);
+    });
+
+    test('an unnamed CONTINUED page attaches to the previous team page', () => {
+        const result = parseGame({
+            text: '',
+            pages: [
+                withHeader(mark5Fixture, 1, [['VISITORS', 50], ['Eagles', 260]]),
+                withHeader(mark5Fixture, 2, [['CONT\'D', 1200]]),
+            ],
+        });
+        expect(result.pages[1]).toMatchObject({ role: 'continuation', side: 'visitor' });
+        expect(result.teams.visitor.team_totals.total_points).toBe(104);
+        expect(result.teams.home).toBeNull();
+        expect(result.warnings).toEqual(expect.arrayContaining([
+            expect.stringMatching(/attached to the visitor team by page order/),
+            'No home team page found.',
+        ]));
+    });
+
+    test('empty input has no teams', () => {
+        expect(parseGame({ text: '', pages: [] })).toMatchObject({
+            pages: [],
+            teams: { home: null, visitor: null },
+            needs_review: true,
+        });
+    });
+});
+
+describe('readPageHeader', () => {
+    test('reads inline labels and ignores roster TEAM rows', () => {
+        const page = {
+            width: 1000,
+            height: 1000,
+            lines: [headerLine('Visiting Team: North High', 10, 20), headerLine('TEAM TOTALS', 10, 600)],
+        };
+        expect(readPageHeader(page)).toEqual({ side: 'visitor', teamName: 'North High', continuation: false });
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { createTemplateRegistry, anchorScore } = require('../scorebooks/registry');
+const { MARK5_TEMPLATE } = require('../scorebooks/mark5_minimal_parser');
+const { detectTemplate, parseWithTemplate } = require('../scorebooks');
+
+const sampleFixture = require('./fixtures/mark5_sample_ocr.json');
+const blankFixture = require('./fixtures/mark5_blank_ocr.json');
+const mark3Fixture = require('./fixtures/mark3_sample_ocr.json');
+const ecostatFixture = require('./fixtures/ecostat_sample_ocr.json');
+const bluebookFixture = require('./fixtures/bluebook_sample_ocr.json');
+
+function pageOf(texts) {
+    return {
+        text: texts.join('\n'),
+        pages: [{ pageNumber: 1, width: 1000, height: 1000, lines: texts.map((text) => ({ text, confidence: 0.9, bbox: null })) }],
+    };
+}
+
+describe('anchorScore', () => {
+    const anchors = [
+        { label: 'PLAYER', pattern: /\bPLAYER\b/, weight: 2 },
+        { label: 'TP', pattern: /^TP$/, weight: 1 },
+        { label: 'BRAND', pattern: /ACME/, weight: 5, bonus: true },
+    ];
+
+    test('weights matched anchors and ignores missing bonus anchors', () => {
+        expect(anchorScore([{ text: 'Player' }], anchors)).toEqual({ score: 0.67, matched: ['PLAYER'] });
+        expect(anchorScore([{ text: 'player' }, { text: 'TP' }], anchors).score).toBe(1);
+    });
+
+    test('bonus anchors lift the score but cap at 1', () => {
+        expect(anchorScore([{ text: 'TP' }, { text: 'ACME scorebook' }], anchors).score).toBe(1);
+    });
+});
+
+describe('default registry', () => {
+    test('detects the Mark 5 sample page', () => {
+        const detection = detectTemplate(sampleFixture);
+        expect(detection.template).toBe('mark5');
+        expect(detection.confidence).toBeGreaterThan(0.7);
+        expect(detection.candidates[0].matched).toEqual(expect.arrayContaining(['QUARTERS PLAYED', "2's", "3's"]));
+    });
+
+    test('detects a blank Mark 5 page with lower confidence', () => {
+        const blank = detectTemplate(blankFixture);
+        expect(blank.template).toBe('mark5');
+        expect(blank.confidence).toBeLessThan(detectTemplate(sampleFixture).confidence);
+    });
+
+    test.each([
+        ['mark3', mark3Fixture],
+        ['ecostat', ecostatFixture],
+        ['bluebook', bluebookFixture],
+    ])('detects the %s sample page', (id, fixture) => {
+        const detection = detectTemplate(fixture);
+        expect(detection.template).toBe(id);
+        expect(detection.confidence).toBeGreaterThan(0.7);
+        expect(parseWithTemplate(fixture).result.players.length).toBeGreaterThan(0);
+    });
+
+    test('returns no template for unrelated text', () => {
+        const detection = detectTemplate(pageOf(['Grocery list', 'Milk', 'Eggs']));
+        expect(detection).toMatchObject({ template: null, confidence: 0 });
+    });
+
+    test('auto parse returns the detected template with the parser output', () => {
+        const { template, detection, result } = parseWithTemplate(sampleFixture);
+        expect(template).toBe('mark5');
+        expect(detection.template).toBe('mark5');
+        expect(result.players).toHaveLength(5);
+        expect(result.team_totals.total_points).toBe(52);
+    });
+
+    test('auto parse gives a null result when nothing matches', () => {
+        expect(parseWithTemplate(pageOf(['hello'])).result).toBeNull();
+    });
+
+    test('explicit unknown templates are a 400', () => {
+        expect(() => parseWithTemplate(sampleFixture, { template: 'mark9' })).toThrow(/Unknown scorebook template/);
+    });
+});
+
+describe('createTemplateRegistry', () => {
+    const otherTemplate = {
+        id: 'other',
+        name: 'Other Book',
+        anchors: [
+            { label: 'PLAYER', pattern: /\bPLAYER\b/ },
+            { label: 'OTHER BOOK', pattern: /OTHER\s*BOOK/, weight: 3 },
+        ],
+        parse: () => ({ players: [] }),
+    };
+
+    test('picks the template with the strongest anchors', () => {
+        const registry = createTemplateRegistry();
+        registry.register(MARK5_TEMPLATE);
+        registry.register(otherTemplate);
+
+        const detection = registry.detect(pageOf(['OTHER BOOK', 'PLAYER', 'TP']));
+        expect(detection.template).toBe('other');
+        expect(detection.candidates.map((c) => c.id)).toEqual(['other', 'mark5']);
+    });
+
+    test('a close runner-up lowers confidence', () => {
+        const registry = createTemplateRegistry();
+        registry.register(MARK5_TEMPLATE);
+        const alone = registry.detect(sampleFixture).confidence;
+
+        registry.register({ ...MARK5_TEMPLATE, id: 'mark5-copy' });
+        expect(registry.detect(sampleFixture).confidence).toBeLessThan(alone);
+    });
+
+    test('custom detect functions override the anchor score', () => {
+        const registry = createTemplateRegistry();
+        registry.register({ ...otherTemplate, detect: (page, anchors) => anchors.score / 2 });
+        expect(registry.detect(pageOf(['OTHER BOOK', 'PLAYER'])).candidates[0].score).toBe(0.5);
+    });
+
+    test('rejects duplicate ids and incomplete descriptors', () => {
+        const registry = createTemplateRegistry();
+        registry.register(otherTemplate);
+        expect(() => registry.register(otherTemplate)).toThrow(/already registered/);
+        expect(() => registry.register({ id: 'x' })).toThrow(/parse function/);
+        expect(() => registry.register({ id: 'y', parse: () => ({}) })).toThrow(/anchors or a detect/);
+    });
+});
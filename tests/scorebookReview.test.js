@@ -0,0 +1,89 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createScorebookReview } = require('../services/scorebookReview');
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+
+const sampleFixture = require('./fixtures/mark5_sample_ocr.json');
+
+const coach = { id: 'coach-1' };
+
+describe('scorebook review', () => {
+    let repository;
+    let review;
+    let scorebook;
+
+    beforeEach(async () => {
+        repository = createRepository('memory');
+        review = createScorebookReview({ repository });
+        scorebook = await review.save({
+            userId: coach.id,
+            source: 'parse',
+            template: 'mark5',
+            result: parseMark5Minimal({ documentAiJson: sampleFixture }),
+        });
+    });
+
+    test('stores a parse with its review status', async () => {
+        expect(scorebook.status).toBe('ready');
+        expect(await repository.getScorebook(scorebook.id)).toMatchObject({ userId: coach.id, template: 'mark5' });
+    });
+
+    test('re-runs the checks after each edit and records the history', async () => {
+        const { scorebook: edited, edit } = await review.update(scorebook, {
+            edits: [{ row_index: 0, field: 'fg2_made', value: 5 }],
+        }, coach);
+
+        expect(edited.status).toBe('needs_review');
+        expect(edited.result.players[0].flags).toContain('edited: fg2_made');
+        const check = edited.result.validation.checks.find((c) => c.name === 'points_equation_player_0');
+        expect(check.passed).toBe(false);
+        expect(edit).toMatchObject({
+            version: 1,
+            action: 'edit',
+            changes: [{ target: 'player', row_index: 0, field: 'fg2_made', from: 4, to: 5 }],
+        });
+
+        // Fixing the points and the team total clears the review
+        const { scorebook: fixed } = await review.update(edited, {
+            edits: [
+                { row_index: 0, field: 'total_points', value: 15 },
+                { team: true, field: 'total_points', value: 54 },
+            ],
+        }, coach);
+        expect(fixed.status).toBe('ready');
+        expect((await repository.listScorebookEdits(scorebook.id)).map((e) => e.version)).toEqual([1, 2]);
+    });
+
+    test('confirming, then editing, reopens the scorebook', async () => {
+        const { scorebook: confirmed, edit } = await review.update(scorebook, { confirm: true }, coach);
+        expect(confirmed.status).toBe('confirmed');
+        expect(confirmed.confirmedAt).toEqual(expect.any(String));
+        expect(edit.action).toBe('confirm');
+        expect(await repository.listScorebooksByUser(coach.id, { status: 'confirmed' })).toHaveLength(1);
+
+        const { scorebook: reopened, edit: reopen } = await review.update(confirmed, {
+            edits: [{ row_index: 1, field: 'player_name', value: 'Johnston' }],
+        }, coach);
+        expect(reopened).toMatchObject({ status: 'ready', confirmedAt: null });
+        expect(reopen.action).toBe('edit_reopened');
+    });
+
+    test('an edit that changes nothing is not recorded', async () => {
+        const { edit } = await review.update(scorebook, { edits: [{ row_index: 0, field: 'fg2_made', value: 4 }] }, coach);
+        expect(edit).toBeNull();
+        expect(await repository.listScorebookEdits(scorebook.id)).toEqual([]);
+    });
+
+    test.each([
+        [{}, /edits and \/ or confirm/],
+        [{ edits: [] }, /non-empty array/],
+        [{ edits: [{ row_index: 9, field: 'fg2_made', value: 1 }] }, /no player row 9/],
+        [{ edits: [{ row_index: 0, field: 'quarters', value: 1 }] }, /field must be one of/],
+        [{ edits: [{ row_index: 0, field: 'fg2_made', value: -1 }] }, /whole number/],
+        [{ edits: [{ team: true, field: 'player_name', value: 'x' }] }, /team field/],
+        [{ confirm: 'yes' }, /true or false/],
+    ])('rejects %j with 400', async (body, message) => {
+        await expect(review.update(scorebook, body, coach)).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(message) });
+    });
+});
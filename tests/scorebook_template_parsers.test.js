@@ -0,0 +1,195 @@
+'use strict';
+
+const { parseMark3 } = require('../scorebooks/mark3_parser');
+const { parseEcostat } = require('../scorebooks/ecostat_parser');
+const { parseBlueBook } = require('../scorebooks/bluebook_parser');
+
+const mark3Fixture = require('./fixtures/mark3_sample_ocr.json');
+const ecostatFixture = require('./fixtures/ecostat_sample_ocr.json');
+const ecostatBlankFixture = require('./fixtures/ecostat_blank_ocr.json');
+const bluebookFixture = require('./fixtures/bluebook_sample_ocr.json');
+
+// ---------------------------------------------------------------------------
+// Schema shape helpers – every template returns the Mark 5 minimal schema
+// ---------------------------------------------------------------------------
+
+const SHOOTING_KEYS = ['fg2_made', 'fg2_att', 'fg3_made', 'fg3_att', 'ft_made', 'ft_att'];
+
+function expectResultShape(result, templateName) {
+    expect(result).toHaveProperty('template', templateName);
+    expect(typeof result.is_blank).toBe('boolean');
+    expect(typeof result.quality.overall_confidence).toBe('number');
+    expect(Array.isArray(result.quality.issues)).toBe(true);
+    expect(Array.isArray(result.players)).toBe(true);
+    expect(Object.keys(result.team_totals.shooting).sort()).toEqual([...SHOOTING_KEYS].sort());
+    expect(result.team_totals).toHaveProperty('total_points');
+    expect(Array.isArray(result.validation.checks)).toBe(true);
+    expect(typeof result.validation.needs_review).toBe('boolean');
+
+    for (const p of result.players) {
+        expect(Object.keys(p).sort()).toEqual([
+            'bbox', 'confidence', 'flags', 'personal_fouls_total', 'player_name',
+            'player_number', 'row_index', 'shooting', 'total_points',
+        ]);
+        expect(Object.keys(p.shooting).sort()).toEqual([...SHOOTING_KEYS].sort());
+        expect(p.confidence).toBeGreaterThanOrEqual(0);
+        expect(p.confidence).toBeLessThanOrEqual(1);
+    }
+}
+
+function byNumber(result, number) {
+    return result.players.find((p) => p.player_number === number);
+}
+
+function failedChecks(result) {
+    return result.validation.checks.filter((c) => !c.passed).map((c) => c.name);
+}
+
+// ---------------------------------------------------------------------------
+// Mark 3
+// ---------------------------------------------------------------------------
+
+describe('parseMark3', () => {
+    const result = parseMark3({ documentAiJson: mark3Fixture });
+
+    test('returns blank result when no input provided', () => {
+        const blank = parseMark3();
+        expectResultShape(blank, 'Mark 3 Basketball Scorebook');
+        expect(blank.is_blank).toBe(true);
+    });
+
+    test('conforms to the shared schema', () => {
+        expectResultShape(result, 'Mark 3 Basketball Scorebook');
+        expect(result.is_blank).toBe(false);
+    });
+
+    test('extracts roster in row order', () => {
+        expect(result.players.map((p) => [p.player_number, p.player_name])).toEqual([
+            ['4', 'Marcus Smith'],
+            ['12', 'Devin Johnson'],
+            ['23', 'Kyle Davis'],
+            ['30', 'Andre Brown'],
+            ['5', 'Tyler Wilson'],
+        ]);
+        expect(result.players.map((p) => p.row_index)).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('reads field goal makes and free throws; FG attempts are not recorded', () => {
+        expect(byNumber(result, '4').shooting).toEqual({
+            fg2_made: 3, fg2_att: null, fg3_made: 1, fg3_att: null, ft_made: 2, ft_att: 4,
+        });
+        expect(byNumber(result, '4').total_points).toBe(11);
+    });
+
+    test('counts tallied fouls, including marks and merged tokens', () => {
+        expect(result.players.map((p) => p.personal_fouls_total)).toEqual([2, 3, 0, 2, 5]);
+        expect(byNumber(result, '12').flags).toContain('fouls_from_tally: 3 entries');
+    });
+
+    test('extracts team totals', () => {
+        expect(result.team_totals).toEqual({
+            shooting: { fg2_made: 11, fg2_att: null, fg3_made: 3, fg3_att: null, ft_made: 9, ft_att: 11 },
+            total_points: 40,
+            bbox: { page: 1, left: 210, top: 950, right: 2930, bottom: 1000 },
+        });
+    });
+
+    test('flags free throws made above attempts', () => {
+        expect(failedChecks(result)).toEqual(['ft_made_le_att_player_4']);
+        expect(result.validation.needs_review).toBe(true);
+        expect(result.validation.checks).toContainEqual(
+            expect.objectContaining({ name: 'team_total_vs_player_sum', passed: true })
+        );
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Ecostat
+// ---------------------------------------------------------------------------
+
+describe('parseEcostat', () => {
+    const result = parseEcostat({ documentAiJson: ecostatFixture });
+
+    test('conforms to the shared schema', () => {
+        expectResultShape(result, 'Ecostat Basketball Scorebook');
+        expect(result.players).toHaveLength(4);
+    });
+
+    test('derives 2-point makes and attempts from FG minus 3P', () => {
+        expect(byNumber(result, '3').shooting).toEqual({
+            fg2_made: 4, fg2_att: 7, fg3_made: 2, fg3_att: 5, ft_made: 3, ft_att: 4,
+        });
+        expect(byNumber(result, '21').shooting).toMatchObject({ fg2_made: 0, fg2_att: 1 });
+    });
+
+    test('reads personal fouls from the PF column', () => {
+        expect(result.players.map((p) => p.personal_fouls_total)).toEqual([2, 4, 1, 5]);
+    });
+
+    test('extracts team totals', () => {
+        expect(result.team_totals.total_points).toBe(42);
+        expect(result.team_totals.shooting).toMatchObject({ fg2_made: 10, fg2_att: 20, fg3_made: 5, fg3_att: 12 });
+    });
+
+    test('flags a points mismatch', () => {
+        expect(failedChecks(result)).toEqual(['points_equation_player_3']);
+        expect(result.validation.review_reasons).toContain('Points mismatch for player row 3');
+    });
+
+    test('recognises a blank Ecostat page', () => {
+        const blank = parseEcostat({ documentAiJson: ecostatBlankFixture });
+        expectResultShape(blank, 'Ecostat Basketball Scorebook');
+        expect(blank.is_blank).toBe(true);
+        expect(blank.validation.needs_review).toBe(false);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Blue Book
+// ---------------------------------------------------------------------------
+
+describe('parseBlueBook', () => {
+    const result = parseBlueBook({ documentAiJson: bluebookFixture });
+
+    test('conforms to the shared schema', () => {
+        expectResultShape(result, 'Blue Book Basketball Scorebook');
+        expect(result.players.map((p) => p.player_name)).toEqual([
+            'Ben Thompson', 'Minh Nguyen', 'Isaac Moore', 'Owen Clark',
+        ]);
+    });
+
+    test('skips the score-by-periods box above the roster', () => {
+        expect(result.players.every((p) => p.player_name)).toBe(true);
+    });
+
+    test('splits "made-att" free throws and derives 2-point makes', () => {
+        expect(byNumber(result, '10').shooting).toEqual({
+            fg2_made: 4, fg2_att: null, fg3_made: 1, fg3_att: null, ft_made: 4, ft_att: 6,
+        });
+        expect(byNumber(result, '14').shooting).toMatchObject({ ft_made: 0, ft_att: 0 });
+    });
+
+    test('reads fouls and points', () => {
+        expect(result.players.map((p) => [p.personal_fouls_total, p.total_points])).toEqual([
+            [3, 15], [1, 8], [2, 10], [4, 3],
+        ]);
+    });
+
+    test('extracts team totals and passes validation', () => {
+        expect(result.team_totals.shooting).toMatchObject({ fg2_made: 10, fg3_made: 3, ft_made: 7, ft_att: 11 });
+        expect(result.team_totals.total_points).toBe(36);
+        expect(failedChecks(result)).toEqual([]);
+        expect(result.validation.needs_review).toBe(false);
+    });
+
+    test('reports a page without the roster headers', () => {
+        const noTable = parseBlueBook({
+            documentAiJson: {
+                text: 'Practice plan: shell drill, 3-man weave, closeouts and free throws',
+                pages: [{ pageNumber: 1, width: 1000, height: 1000, lines: [{ text: 'Practice plan', confidence: 0.9, bbox: { x1: 0, y1: 0, x2: 100, y2: 0, x3: 100, y3: 20, x4: 0, y4: 20 } }] }],
+            },
+        });
+        expect(noTable.is_blank).toBe(false);
+        expect(noTable.quality.issues).toEqual(['Could not locate player table headers.']);
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createTeamService } = require('../services/teams');
+const { createSeasonStats, aggregateSeason, boxScoreLines, boxScoreMetrics } = require('../services/seasonStats');
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+
+const sampleFixture = require('./fixtures/mark5_sample_ocr.json');
+
+// The fixture page: #23 Smith 13, #11 Johnson 10, #5 Williams 11, #32 Brown 5, #15 Davis 13 = 52
+const mark5 = () => parseMark5Minimal({ documentAiJson: sampleFixture });
+
+/** A Claude read (processScorebook / computeTeamTotals shape). */
+const claudeRead = {
+    finalScore: 61,
+    players: [
+        {
+            number: '#23', name: 'Smith', points: 21, fieldGoalsMade: 8, fieldGoalsAttempted: 14, freeThrowsMade: 3, freeThrowsAttempted: 4, fouls: 2, turnovers: 3,
+            quarters: { Q1: { threePointersMade: 1, threePointersAttempted: 3 }, Q2: { threePointersMade: 1, threePointersAttempted: 2 } },
+        },
+        {
+            number: '11', name: 'Johnson', points: 40, fieldGoalsMade: 16, fieldGoalsAttempted: 30, freeThrowsMade: 8, freeThrowsAttempted: 10, fouls: 1, turnovers: 1,
+            quarters: { Q1: { threePointersMade: 0, threePointersAttempted: 2 } },
+        },
+    ],
+};
+
+const coach = { id: 'coach-1' };
+
+describe('boxScoreLines', () => {
+    test('reads both box score shapes into the same game lines', () => {
+        const template = boxScoreLines(mark5());
+        expect(template.players[0]).toEqual({
+            number: '23', name: 'Smith',
+            line: { points: 13, fgm: 5, fga: null, fg3m: 1, fg3a: null, ftm: 2, fta: 2, fouls: 3, turnovers: null },
+        });
+        expect(template.team.points).toBe(52);
+
+        const claude = boxScoreLines(claudeRead);
+        expect(claude.players[0]).toMatchObject({
+            number: '23',
+            line: { points: 21, fgm: 8, fga: 14, fg3m: 2, ftm: 3, fta: 4, fouls: 2, turnovers: 3 },
+        });
+        expect(claude.team).toMatchObject({ points: 61, fga: 44, turnovers: 4 });
+    });
+
+    test('Claude attempts without quarter boxes are not counted', () => {
+        // The prompt has Claude copy the makes into fieldGoalsAttempted when the boxes are illegible
+        const { quarters, ...smith } = claudeRead.players[0];
+        const { players } = boxScoreLines({ finalScore: 21, players: [smith] });
+        expect(players[0].line).toMatchObject({ fgm: 8, fga: null, fg3m: 2, fg3a: null });
+        expect(boxScoreMetrics({ finalScore: 21, players: [smith] }).players[0].metrics).toMatchObject({ ts: null, pps: null, ftr: null });
+    });
+});
+
+describe('aggregateSeason', () => {
+    const games = [
+        { game: { id: 'g1', date: '2025-12-05', opponentName: 'Hawks', location: 'home', teamScore: null, opponentScore: 48 }, own: mark5(), opponent: null },
+        { game: { id: 'g2', date: '2025-12-12', opponentName: 'Owls', location: 'away', teamScore: null, opponentScore: null }, own: claudeRead, opponent: { finalScore: 70, players: [] } },
+        { game: { id: 'g3', date: '2025-12-19', opponentName: 'Bears', location: 'away', teamScore: 50, opponentScore: 55 }, own: null, opponent: null },
+    ];
+    const roster = [
+        { id: 'p23', number: '23', name: 'Jordan Smith', active: true },
+        { id: 'p23-old', number: '23', name: 'Graduated', active: false },
+    ];
+
+    test('team record and home / away / win / loss splits', () => {
+        const { team, games: log } = aggregateSeason({ games, roster });
+
+        expect(log.map((g) => g.result)).toEqual(['W', 'L', 'L']);
+        expect(team.overall).toMatchObject({
+            games: 3, record: { wins: 1, losses: 2, ties: 0 }, boxScores: 2,
+            pointsFor: 54.3, pointsAgainst: 57.7,
+        });
+        expect(team.splits.home).toMatchObject({ games: 1, record: { wins: 1, losses: 0 }, pointsFor: 52 });
+        expect(team.splits.away).toMatchObject({ games: 2, record: { wins: 0, losses: 2 }, pointsFor: 55.5, pointsAgainst: 62.5 });
+        expect(team.splits.losses.games).toBe(2);
+    });
+
+    test('stats are averaged over the games that recorded them', () => {
+        const { players } = aggregateSeason({ games, roster });
+        const smith = players.find((p) => p.rosterPlayerId === 'p23');
+
+        expect(smith).toMatchObject({ name: 'Jordan Smith', games: 2 });
+        expect(smith.perGame).toMatchObject({ points: 17, fg3m: 1.5, fouls: 2.5, turnovers: 3 });
+        // FG% only from the game with attempts; the Mark 5 book has none
+        expect(smith.percentages).toEqual({ fg: 0.571, fg3: 0.4, ft: 0.833 });
+        expect(smith.metrics).toMatchObject({ efg: 0.643, ts: 0.666, threePar: 0.357 });
+        expect(smith.gameLog[0].metrics.efg).toBeNull();
+        expect(smith.gameLog.map((g) => g.gameId)).toEqual(['g1', 'g2']);
+
+        // Off-roster rows keep their own line
+        expect(players.find((p) => p.number === '5')).toMatchObject({ rosterPlayerId: null, name: 'Williams', games: 1 });
+    });
+});
+
+describe('season stats service', () => {
+    test('uses the newest confirmed scorebook on the team\'s side of each game', async () => {
+        const repository = createRepository('memory');
+        const teams = createTeamService({ repository });
+        const seasonStats = createSeasonStats({ repository });
+        const team = await teams.createTeam(coach, { name: 'Eagles' });
+        const season = await teams.createSeason(team, { name: '2025-26' });
+        const player = await teams.addRosterPlayer(season, { number: '23', name: 'Jordan Smith' });
+        const game = await teams.createGame(season, { opponentName: 'Owls', date: '2025-12-12', location: 'away' });
+
+        const book = (id, side, status, createdAt) => repository.createScorebook({
+            id, userId: coach.id, gameId: game.id, side, status, result: mark5(), createdAt,
+        });
+        await book('unconfirmed', 'visitor', 'ready', '2025-12-14T00:00:00Z');
+        await book('ours', 'visitor', 'confirmed', '2025-12-13T00:00:00Z');
+        await book('theirs', 'home', 'confirmed', '2025-12-13T00:00:00Z');
+
+        const stats = await seasonStats.teamSeason(team);
+        expect(stats.season).toEqual({ id: season.id, name: '2025-26' });
+        expect(stats.games[0]).toMatchObject({ teamScore: 52, opponentScore: 52, result: 'T', hasBoxScore: true });
+        expect(stats.players[0]).not.toHaveProperty('gameLog');
+
+        const line = await seasonStats.playerSeason(player);
+        expect(line).toMatchObject({ games: 1, perGame: { points: 13 } });
+        expect(line.gameLog).toHaveLength(1);
+
+        await expect(seasonStats.teamSeason(team, 'other-season')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
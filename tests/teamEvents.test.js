@@ -0,0 +1,111 @@
+'use strict';
+
+const { countTally, segmentKey, mergeTeamEvents, normalizeClaudeTeamEvents } = require('../scorebooks/team_events');
+const { parseMark5Minimal } = require('../scorebooks/mark5_minimal_parser');
+
+const eventsFixture = require('./fixtures/mark5_team_events_ocr.json');
+
+function parseWith(edit) {
+    const page = eventsFixture.pages[0];
+    return parseMark5Minimal({ documentAiJson: { text: '', pages: [{ ...page, lines: page.lines.map(edit) }] } });
+}
+
+describe('tally boxes', () => {
+    test.each([
+        [['X X X 4 5'], 3],
+        [['||||/'], 5],
+        [['4:12 1:30'], 2],
+        [['1 2 3 4 5'], 0],
+        [['7'], 7],
+        [[], 0],
+    ])('countTally(%p) → %p', (texts, count) => {
+        expect(countTally(texts).count).toBe(count);
+    });
+
+    test('a lone 1 is a written count when nothing is printed', () => {
+        expect(countTally(['1']).count).toBe(0);
+        expect(countTally(['1'], { printedSlots: false }).count).toBe(1);
+    });
+
+    test('unreadable boxes are null', () => {
+        expect(countTally(['3 7'])).toEqual({ count: null, unread: ['3 7'] });
+    });
+
+    test('segment labels split off the marks', () => {
+        expect(segmentKey('2ND HALF X X')).toEqual({ key: 'H2', rest: 'X X' });
+        expect(segmentKey('Q3: XX')).toEqual({ key: 'Q3', rest: 'XX' });
+        expect(segmentKey('X X').key).toBeNull();
+    });
+});
+
+describe('Mark 5 turnovers, team fouls and timeouts', () => {
+    const result = parseMark5Minimal({ documentAiJson: eventsFixture });
+
+    test('reads each player\'s turnovers and the team total', () => {
+        expect(result.players.map((p) => p.turnovers)).toEqual([2, 3, 1, null, 4]);
+        expect(result.team_totals.turnovers).toBe(10);
+    });
+
+    test('reads team fouls per quarter and timeouts per half', () => {
+        expect(result.team_events.team_fouls).toEqual({
+            quarters: { Q1: 3, Q2: 2, Q3: 3, Q4: 4, OT: 0 },
+            total: 12,
+            bonus_at: 5,
+            bonus: [],
+        });
+        expect(result.team_events.timeouts).toEqual({ first_half: 2, second_half: 3, overtime: null, total: 5 });
+        expect(result.validation.needs_review).toBe(false);
+    });
+
+    test('flags the bonus and team fouls that disagree with the players', () => {
+        const edited = parseWith((l) => (l.text === 'X X X X 5' ? { ...l, text: 'X X X X X 6' } : l));
+        expect(edited.team_events.team_fouls.bonus).toEqual(['Q4']);
+        const check = edited.validation.checks.find((c) => c.name === 'team_fouls_vs_player_fouls_Q4');
+        expect(check.passed).toBe(false);
+        expect(edited.validation.needs_review).toBe(true);
+    });
+
+    test('flags a turnover total that disagrees with the players', () => {
+        const edited = parseWith((l) => (l.text === '10' && l.bbox.x1 === 3160 ? { ...l, text: '12' } : l));
+        expect(edited.validation.checks.find((c) => c.name === 'turnovers_vs_player_sum').passed).toBe(false);
+    });
+
+    test('flags too many timeouts', () => {
+        const edited = parseWith((l) => (l.text === 'X X' ? { ...l, text: 'X X X' } : l));
+        expect(edited.team_events.timeouts.total).toBe(6);
+        expect(edited.validation.checks.find((c) => c.name === 'timeouts_within_allowance').passed).toBe(false);
+    });
+
+    test('continuation pages add overtime fouls and timeouts', () => {
+        const merged = mergeTeamEvents(result.team_events, {
+            team_fouls: { quarters: { OT: 2 }, total: 2, bonus_at: 5, bonus: [] },
+            timeouts: { first_half: null, second_half: null, overtime: 1, total: 1 },
+        });
+        expect(merged.team_fouls.quarters.OT).toBe(2);
+        expect(merged.team_fouls.bonus).toEqual(['OT']);
+        expect(merged.timeouts).toEqual({ first_half: 2, second_half: 3, overtime: 1, total: 6 });
+    });
+});
+
+describe('normalizeClaudeTeamEvents', () => {
+    test('coerces counts, adds the bonus and cross-check warnings', () => {
+        const stats = normalizeClaudeTeamEvents({
+            players: [
+                { number: '4', fouls: 3, turnovers: '2' },
+                { number: '10', fouls: 2, turnovers: null },
+            ],
+            teamTurnovers: 3,
+            teamFouls: { Q1: 1, Q2: '5', Q3: null, Q4: 0 },
+            timeouts: { firstHalf: 2, secondHalf: 4 },
+        });
+
+        expect(stats.players.map((p) => p.turnovers)).toEqual([2, null]);
+        expect(stats.teamFouls).toEqual({ Q1: 1, Q2: 5, Q4: 0, bonus: ['Q2'] });
+        expect(stats.timeouts).toEqual({ firstHalf: 2, secondHalf: 4, overtime: null });
+        expect(stats.teamEventWarnings).toEqual([
+            'Team turnovers 3 != player sum 2.',
+            '6 team fouls but the players have 5 personal fouls.',
+            '6 regulation timeouts exceeds the allowance of 5.',
+        ]);
+    });
+});
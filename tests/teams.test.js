@@ -0,0 +1,131 @@
+'use strict';
+
+const { createRepository } = require('../repositories');
+const { createTeamService, sideFor } = require('../services/teams');
+const { requireGameOwner } = require('../middleware/ownership');
+
+const coach = { id: 'coach-1' };
+const rival = { id: 'coach-2' };
+
+describe('team service', () => {
+    let repository;
+    let teams;
+    let team;
+    let season;
+
+    beforeEach(async () => {
+        repository = createRepository('memory');
+        teams = createTeamService({ repository });
+        team = await teams.createTeam(coach, { name: ' Eagles ', level: 'Varsity' });
+        season = await teams.createSeason(team, { name: '2025-26', startDate: '2025-11-01', endDate: '2026-03-15' });
+    });
+
+    test('creates a team → season → game hierarchy owned by the coach', async () => {
+        const game = await teams.createGame(season, { opponentName: 'Hawks', date: '2025-12-05' });
+
+        expect(team).toMatchObject({ userId: coach.id, name: 'Eagles', level: 'Varsity' });
+        expect(season).toMatchObject({ userId: coach.id, teamId: team.id });
+        expect(game).toMatchObject({
+            userId: coach.id, teamId: team.id, seasonId: season.id,
+            location: 'home', teamScore: null, opponentScore: null,
+        });
+        expect(await teams.listTeams(coach)).toHaveLength(1);
+        expect(await teams.listTeams(rival)).toEqual([]);
+    });
+
+    test('validates fields and keeps required ones on update', async () => {
+        await expect(teams.createTeam(coach, {})).rejects.toMatchObject({ statusCode: 400, message: 'name is required.' });
+        await expect(teams.createGame(season, { opponentName: 'Hawks', date: '2025-02-30' }))
+            .rejects.toThrow('date must be a YYYY-MM-DD date.');
+        await expect(teams.createGame(season, { opponentName: 'Hawks', date: '2025-12-05', teamScore: 61.5 }))
+            .rejects.toThrow(/teamScore must be a whole number/);
+        await expect(teams.updateSeason(season, { endDate: '2025-10-01' }))
+            .rejects.toThrow('endDate must be on or after startDate.');
+        await expect(teams.updateTeam(team, { name: null })).rejects.toThrow('name is required.');
+
+        const updated = await teams.updateTeam(team, { level: null });
+        expect(updated).toMatchObject({ name: 'Eagles', level: null });
+    });
+
+    test('an active jersey number is unique within a season', async () => {
+        await teams.addRosterPlayer(season, { number: 23, name: 'J. Smith' });
+        await expect(teams.addRosterPlayer(season, { number: '23', name: 'K. Jones' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+
+        const retired = await teams.addRosterPlayer(season, { number: '23', name: 'K. Jones', active: false });
+        await expect(teams.updateRosterPlayer(retired, { active: true })).rejects.toMatchObject({ statusCode: 409 });
+        await teams.addRosterPlayer(season, { number: '4', name: 'A. Lee' });
+
+        expect((await teams.listRoster(season)).map((p) => p.number)).toEqual(['4', '23', '23']);
+    });
+
+    test('teams and seasons are only deleted once empty', async () => {
+        const game = await teams.createGame(season, { opponentName: 'Hawks', date: '2025-12-05' });
+        await teams.addRosterPlayer(season, { number: '4', name: 'A. Lee' });
+
+        await expect(teams.deleteTeam(team)).rejects.toMatchObject({ statusCode: 409 });
+        await expect(teams.deleteSeason(season)).rejects.toMatchObject({ statusCode: 409 });
+
+        await teams.deleteGame(game);
+        await teams.deleteSeason(season);
+        await teams.deleteTeam(team);
+        expect(await repository.getTeam(team.id)).toBeNull();
+        expect(await repository.listRosterBySeason(season.id)).toEqual([]);
+    });
+
+    test('attaches scorebooks, reports and plans; deleting the game detaches them', async () => {
+        const game = await teams.createGame(season, { opponentName: 'Hawks', date: '2025-12-05' });
+        await repository.createScorebook({ id: 's1', userId: coach.id, source: 'parse', status: 'ready', createdAt: '2025-12-06T00:00:00Z' });
+        await repository.createReport({ id: 'r1', userId: coach.id, gameId: game.id, status: 'complete', createdAt: '2025-12-04T00:00:00Z' });
+        await repository.createPracticePlan({ id: 'p1', userId: coach.id, gameId: null, plan: '## Plan', createdAt: '2025-12-07T00:00:00Z' });
+        await repository.createScorebook({ id: 's2', userId: rival.id, source: 'parse', status: 'ready' });
+
+        await teams.attach(game, { type: 'scorebook', id: 's1' }, coach);
+        await teams.attach(game, { type: 'practice_plan', id: 'p1' }, coach);
+        await expect(teams.attach(game, { type: 'scorebook', id: 's2' }, coach)).rejects.toMatchObject({ statusCode: 403 });
+        await expect(teams.attach(game, { type: 'video', id: 'r1' }, coach)).rejects.toMatchObject({ statusCode: 400 });
+
+        const detail = await teams.gameDetail(game);
+        expect(detail.scorebooks.map((s) => s.id)).toEqual(['s1']);
+        expect(detail.reports.map((r) => r.id)).toEqual(['r1']);
+        expect(detail.practicePlans.map((p) => p.id)).toEqual(['p1']);
+
+        await teams.detach(game, 'report', 'r1', coach);
+        await expect(teams.detach(game, 'report', 'r1', coach)).rejects.toMatchObject({ statusCode: 404 });
+
+        await teams.deleteGame(game);
+        expect((await repository.getScorebook('s1')).gameId).toBeNull();
+        expect((await repository.getPracticePlan('p1')).gameId).toBeNull();
+    });
+
+    test('findGame resolves an optional gameId for its owner only', async () => {
+        const game = await teams.createGame(season, { opponentName: 'Hawks', date: '2025-12-05', location: 'away' });
+
+        expect(await teams.findGame(coach, undefined)).toBeNull();
+        expect((await teams.findGame(coach, game.id)).id).toBe(game.id);
+        await expect(teams.findGame(rival, game.id)).rejects.toMatchObject({ statusCode: 403 });
+        await expect(teams.findGame(coach, 'nope')).rejects.toMatchObject({ statusCode: 404 });
+
+        expect(sideFor(game)).toBe('visitor');
+        expect(sideFor(game, { opponent: true })).toBe('home');
+        expect(sideFor({ location: 'neutral' })).toBe('home');
+    });
+});
+
+describe('requireGameOwner', () => {
+    test('attaches the game for its owner and rejects others', async () => {
+        const repository = createRepository('memory');
+        await repository.createGame({ id: 'g1', userId: coach.id, date: '2025-12-05' });
+        const middleware = requireGameOwner(repository);
+
+        const req = { params: { id: 'g1' }, user: coach };
+        const next = jest.fn();
+        await middleware(req, {}, next);
+        expect(req.game.id).toBe('g1');
+
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        await middleware({ params: { id: 'g1' }, user: rival }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({ error: 'You do not have access to this game' });
+    });
+});
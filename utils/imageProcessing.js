@@ -1,4 +1,5 @@
 const sharp = require('sharp');
+const pageAnalysis = require('./pageAnalysis');
 
 const ALLOWED_IMAGE_TYPES = ['jpeg', 'jpg', 'png', 'heic'];
 const DATA_URI_REGEX = /^data:image\/([a-zA-Z]+);base64,/;
@@ -202,6 +203,130 @@ async function compressImage(base64String, maxSizeMB = DEFAULT_MAX_SIZE_MB) {
     };
 }
 
+// Page detection and skew run on a copy at most this many pixels on a side
+const ANALYSIS_MAX_SIDE = 1000;
+// Smaller tilts are left alone – resampling blurs handwriting slightly
+const MIN_SKEW_DEGREES = 0.3;
+
+/**
+ * Prepares a photo of a scorebook page for OCR / Claude extraction:
+ *   1. EXIF orientation, greyscale
+ *   2. perspective – finds the page boundary and maps it onto a rectangle
+ *   3. deskew – levels the ruled lines (projection profile)
+ *   4. contrast – local histogram equalisation (CLAHE) for uneven gym lighting, then stretched
+ *   5. binarize (optional) – Otsu threshold to black ink on white paper
+ * Steps 2 and 3 are one resample (utils/pageAnalysis.js).
+ *
+ * Returns { buffer, mediaType, metrics } where metrics holds the steps
+ * applied, the page corners found and before / after brightness,
+ * contrast, sharpness and skew.
+ */
+async function preprocessScorebookImage(buffer, { binarize = false } = {}) {
+    const started = Date.now();
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .extractChannel(0)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const original = { data, width: info.width, height: info.height };
+    const steps = ['orientation'];
+
+    // --- Analyse a small copy ---
+    const small = pageAnalysis.downsample(original, ANALYSIS_MAX_SIDE);
+    const threshold = pageAnalysis.otsuThreshold(small);
+    const before = { ...pageAnalysis.imageStats(small), skew_deg: pageAnalysis.estimateSkew(small, threshold) };
+
+    const page = pageAnalysis.findPageCorners(small, threshold);
+    let corners = null;
+    let size = { width: original.width, height: original.height };
+    let smallView = small;
+    if (page && !pageAnalysis.fillsFrame(page.corners, small.width, small.height)) {
+        corners = page.corners.map(([x, y]) => [x * small.factor, y * small.factor]);
+        size = pageAnalysis.rectifiedSize(corners);
+        const smallSize = pageAnalysis.rectifiedSize(page.corners);
+        smallView = pageAnalysis.warp(small, pageAnalysis.pageTransform({ corners: page.corners, ...smallSize }), smallSize.width, smallSize.height);
+        steps.push('perspective');
+    }
+
+    // Skew left after rectifying (all of it when no page edge was found)
+    const skew = pageAnalysis.estimateSkew(smallView, threshold);
+    const deskew = Math.abs(skew) >= MIN_SKEW_DEGREES;
+    if (deskew) steps.push('deskew');
+
+    let image = original;
+    if (corners || deskew) {
+        const transform = pageAnalysis.pageTransform({ corners, ...size, skew: deskew ? skew : 0 });
+        image = pageAnalysis.warp(original, transform, size.width, size.height);
+    }
+
+    // --- Contrast ---
+    const raw = { raw: { width: image.width, height: image.height, channels: 1 } };
+    const contrasted = await sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), raw)
+        .clahe({ width: 64, height: 64, maxSlope: 3 })
+        .normalise()
+        .raw()
+        .toBuffer();
+    image = { data: contrasted, width: image.width, height: image.height };
+    steps.push('contrast');
+
+    if (binarize) {
+        image = pageAnalysis.binarize(image, pageAnalysis.otsuThreshold(pageAnalysis.downsample(image, ANALYSIS_MAX_SIDE)));
+        steps.push('binarize');
+    }
+
+    const afterSmall = pageAnalysis.downsample(image, ANALYSIS_MAX_SIDE);
+    const after = {
+        ...pageAnalysis.imageStats(afterSmall),
+        skew_deg: pageAnalysis.estimateSkew(afterSmall, pageAnalysis.otsuThreshold(afterSmall)),
+    };
+
+    // Binarised pages compress far better as PNG
+    let output = sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), raw);
+    output = binarize ? output.png() : output.jpeg({ quality: 92 });
+
+    return {
+        buffer: await output.toBuffer(),
+        mediaType: binarize ? 'image/png' : 'image/jpeg',
+        metrics: {
+            steps,
+            page_corners: corners,
+            page_coverage: page ? page.coverage : null,
+            skew_corrected_deg: deskew ? skew : 0,
+            before: { width: original.width, height: original.height, ...before },
+            after: { width: image.width, height: image.height, ...after },
+            duration_ms: Date.now() - started,
+        },
+    };
+}
+
+/**
+ * Returns the stored { width, height } of an image buffer (before any EXIF
+ * rotation – the frame OCR bounding boxes refer to).
+ */
+async function imageSize(buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    return { width, height };
+}
+
+/**
+ * Cuts regions out of an image buffer, e.g. scorebook cells to show beside
+ * their parsed values. Each region is { left, top, width, height } in image
+ * pixels. Returns one JPEG base64 string per region, in order.
+ */
+async function extractRegions(buffer, regions, quality = 85) {
+    const crops = [];
+    for (const region of regions) {
+        const output = await sharp(buffer)
+            .extract(region)
+            .jpeg({ quality })
+            .toBuffer();
+        crops.push(output.toString('base64'));
+    }
+    return crops;
+}
+
 /**
  * Extracts a JSON object from Claude's text response.
  * Handles markdown code blocks, leading/trailing text, and nested objects.
@@ -301,4 +426,4 @@ function computeTeamTotals(stats) {
     return stats;
 }
 
-module.exports = { validateImage, compressImage, extractJSON, normalizeOrientation, computeTeamTotals };
+module.exports = { validateImage, compressImage, extractJSON, normalizeOrientation, computeTeamTotals, imageSize, extractRegions, preprocessScorebookImage };
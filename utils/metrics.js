@@ -0,0 +1,128 @@
+// Advanced box score metrics.
+//
+// Pure functions over game lines – { points, fgm, fga, fg3m, fg3a, ftm, fta,
+// turnovers, orb? } with null for anything the book didn't record (the Mark 5
+// has no field-goal attempts; no book here records rebounds). A metric is null
+// unless every count it needs is known and its denominator is above zero.
+//
+//   efg          effective FG%        (FGM + 0.5 × 3PM) / FGA
+//   ts           true shooting %      PTS / (2 × (FGA + 0.44 × FTA))
+//   pps          points per shot      PTS / FGA
+//   ftr          free-throw rate      FTA / FGA
+//   threePar     3-point attempt rate 3PA / FGA
+//   possessions  estimated            FGA − ORB + TOV + 0.44 × FTA (ORB 0 when unrecorded)
+//   ortg         offensive rating     100 × PTS / possessions
+//
+// For a player line, possessions are the possessions that player used and
+// ortg is points per 100 of them.
+
+/** FTA weight in possession estimates (and-ones, technicals, 3-shot fouls). */
+const FTA_WEIGHT = 0.44;
+
+const METRICS = {
+    efg: {
+        counts: ['fgm', 'fg3m', 'fga'],
+        compute: (t) => ratio(t.fgm + 0.5 * t.fg3m, t.fga),
+    },
+    ts: {
+        counts: ['points', 'fga', 'fta'],
+        compute: (t) => ratio(t.points, 2 * (t.fga + FTA_WEIGHT * t.fta)),
+    },
+    pps: {
+        counts: ['points', 'fga'],
+        compute: (t) => ratio(t.points, t.fga),
+    },
+    ftr: {
+        counts: ['fta', 'fga'],
+        compute: (t) => ratio(t.fta, t.fga),
+    },
+    threePar: {
+        counts: ['fg3a', 'fga'],
+        compute: (t) => ratio(t.fg3a, t.fga),
+    },
+    possessions: {
+        counts: ['fga', 'fta', 'turnovers'],
+        compute: (t) => round1(possessions(t)),
+    },
+    ortg: {
+        counts: ['points', 'fga', 'fta', 'turnovers'],
+        compute: (t) => {
+            const poss = possessions(t);
+            return poss > 0 ? round1(100 * t.points / poss) : null;
+        },
+    },
+};
+
+const METRIC_NAMES = Object.keys(METRICS);
+
+function round1(n) {
+    return Math.round(n * 10) / 10;
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null;
+}
+
+function possessions(t) {
+    return t.fga - (t.orb || 0) + t.turnovers + FTA_WEIGHT * t.fta;
+}
+
+function known(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Metrics of one game line.
+ *
+ * @param {object} line
+ * @returns {{ efg, ts, pps, ftr, threePar, possessions, ortg }} numbers or null
+ */
+function computeMetrics(line) {
+    const metrics = {};
+    for (const [name, { counts, compute }] of Object.entries(METRICS)) {
+        metrics[name] = line && counts.every((c) => known(line[c])) ? compute(line) : null;
+    }
+    return metrics;
+}
+
+/**
+ * Metrics over several games. Each metric sums its counts over the games
+ * that recorded all of them, so a Mark 5 game with no attempts doesn't drag
+ * down a shooting rate. possessions is per game.
+ *
+ * @param {Array<object>} lines
+ * @returns {{ efg, ts, pps, ftr, threePar, possessions, ortg }}
+ */
+function combineMetrics(lines) {
+    const metrics = {};
+    for (const [name, { counts, compute }] of Object.entries(METRICS)) {
+        const usable = lines.filter((line) => counts.every((c) => known(line[c])));
+        if (usable.length === 0) {
+            metrics[name] = null;
+            continue;
+        }
+        const totals = sumLines(usable);
+        const value = compute(totals);
+        metrics[name] = name === 'possessions' ? round1(value / usable.length) : value;
+    }
+    return metrics;
+}
+
+/**
+ * Add game lines stat by stat; a stat no line recorded stays null.
+ *
+ * @param {Array<object>} lines
+ * @returns {object}
+ */
+function sumLines(lines) {
+    const totals = {};
+    for (const line of lines) {
+        for (const [stat, value] of Object.entries(line)) {
+            if (!(stat in totals)) totals[stat] = null;
+            if (known(value)) totals[stat] = (totals[stat] || 0) + value;
+        }
+    }
+    return totals;
+}
+
+module.exports = { computeMetrics, combineMetrics, sumLines, METRIC_NAMES, FTA_WEIGHT };
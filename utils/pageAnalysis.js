@@ -0,0 +1,371 @@
+// Page geometry and image statistics for scorebook photo preprocessing.
+//
+// Pure functions over single-channel (greyscale) raw pixels:
+//   { data: Uint8Array|Buffer, width, height }, one byte per pixel.
+// The sharp side (decoding, contrast, encoding) is preprocessScorebookImage
+// in utils/imageProcessing.js.
+
+/** Page blocks for boundary detection are this many pixels square. */
+const BLOCK_SIZE = 8;
+/** A block belongs to the page when this share of its pixels is paper-bright. */
+const PAGE_BLOCK_FILL = 0.6;
+/** A page smaller than this share of the photo is not trusted. */
+const MIN_PAGE_COVERAGE = 0.25;
+
+/**
+ * Shrinks an image by averaging square blocks so its longer side is at most
+ * maxSide. Returns the image and the factor to scale coordinates back up.
+ */
+function downsample(image, maxSide) {
+    const factor = Math.max(1, Math.ceil(Math.max(image.width, image.height) / maxSide));
+    if (factor === 1) return { ...image, factor };
+
+    const width = Math.floor(image.width / factor);
+    const height = Math.floor(image.height / factor);
+    const data = new Uint8Array(width * height);
+    const area = factor * factor;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let dy = 0; dy < factor; dy++) {
+                const row = (y * factor + dy) * image.width + x * factor;
+                for (let dx = 0; dx < factor; dx++) sum += image.data[row + dx];
+            }
+            data[y * width + x] = Math.round(sum / area);
+        }
+    }
+    return { data, width, height, factor };
+}
+
+/**
+ * Otsu's threshold: the grey level that best separates ink / background
+ * from paper. Pixels above it count as paper.
+ */
+function otsuThreshold(image) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < image.data.length; i++) histogram[image.data[i]]++;
+
+    const total = image.data.length;
+    let sumAll = 0;
+    for (let t = 0; t < 256; t++) sumAll += t * histogram[t];
+
+    let sumBelow = 0;
+    let countBelow = 0;
+    let best = 0;
+    let bestVariance = -1;
+    for (let t = 0; t < 256; t++) {
+        countBelow += histogram[t];
+        if (countBelow === 0) continue;
+        const countAbove = total - countBelow;
+        if (countAbove === 0) break;
+        sumBelow += t * histogram[t];
+        const meanBelow = sumBelow / countBelow;
+        const meanAbove = (sumAll - sumBelow) / countAbove;
+        const variance = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            best = t;
+        }
+    }
+    return best;
+}
+
+/**
+ * Finds the four corners of the page – the largest connected patch of
+ * paper-bright blocks – as [topLeft, topRight, bottomRight, bottomLeft]
+ * points in image pixels. Corners are the patch's extremes along the
+ * diagonals, so a page shot at an angle gives its true quadrilateral.
+ * Returns null when no patch covers enough of the photo.
+ *
+ * @returns {{ corners: number[][], coverage: number }|null}
+ */
+function findPageCorners(image, threshold) {
+    const cols = Math.floor(image.width / BLOCK_SIZE);
+    const rows = Math.floor(image.height / BLOCK_SIZE);
+    if (cols < 2 || rows < 2) return null;
+
+    const bright = new Uint8Array(cols * rows);
+    for (let by = 0; by < rows; by++) {
+        for (let bx = 0; bx < cols; bx++) {
+            let count = 0;
+            for (let dy = 0; dy < BLOCK_SIZE; dy++) {
+                const row = (by * BLOCK_SIZE + dy) * image.width + bx * BLOCK_SIZE;
+                for (let dx = 0; dx < BLOCK_SIZE; dx++) {
+                    if (image.data[row + dx] > threshold) count++;
+                }
+            }
+            bright[by * cols + bx] = count >= PAGE_BLOCK_FILL * BLOCK_SIZE * BLOCK_SIZE ? 1 : 0;
+        }
+    }
+
+    // Largest 4-connected patch of bright blocks. Ink on the page makes holes,
+    // but the paper around the grid keeps the patch connected.
+    const label = new Int32Array(cols * rows);
+    let best = null;
+    let next = 0;
+    for (let start = 0; start < bright.length; start++) {
+        if (!bright[start] || label[start]) continue;
+        next++;
+        const members = [];
+        const stack = [start];
+        label[start] = next;
+        while (stack.length > 0) {
+            const i = stack.pop();
+            members.push(i);
+            const bx = i % cols;
+            const by = (i - bx) / cols;
+            for (const [nx, ny] of [[bx - 1, by], [bx + 1, by], [bx, by - 1], [bx, by + 1]]) {
+                if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+                const n = ny * cols + nx;
+                if (bright[n] && !label[n]) {
+                    label[n] = next;
+                    stack.push(n);
+                }
+            }
+        }
+        if (!best || members.length > best.length) best = members;
+    }
+
+    const coverage = best ? best.length / (cols * rows) : 0;
+    if (coverage < MIN_PAGE_COVERAGE) return null;
+
+    // Outer pixel corner of each extreme block
+    let tl = null; let tr = null; let br = null; let bl = null;
+    for (const i of best) {
+        const bx = i % cols;
+        const by = (i - bx) / cols;
+        const x0 = bx * BLOCK_SIZE;
+        const y0 = by * BLOCK_SIZE;
+        const x1 = x0 + BLOCK_SIZE;
+        const y1 = y0 + BLOCK_SIZE;
+        if (!tl || x0 + y0 < tl[0] + tl[1]) tl = [x0, y0];
+        if (!tr || x1 - y0 > tr[0] - tr[1]) tr = [x1, y0];
+        if (!br || x1 + y1 > br[0] + br[1]) br = [x1, y1];
+        if (!bl || y1 - x0 > bl[1] - bl[0]) bl = [x0, y1];
+    }
+
+    return { corners: [tl, tr, br, bl], coverage: Math.round(coverage * 100) / 100 };
+}
+
+/**
+ * True when the corners sit within tolerance (share of each side) of the
+ * photo's own corners – the page fills the frame, nothing to rectify.
+ */
+function fillsFrame(corners, width, height, tolerance = 0.02) {
+    const frame = [[0, 0], [width, 0], [width, height], [0, height]];
+    return corners.every(([x, y], i) =>
+        Math.abs(x - frame[i][0]) <= width * tolerance && Math.abs(y - frame[i][1]) <= height * tolerance);
+}
+
+/** Output size of a rectified page: its longest top / bottom and left / right edges. */
+function rectifiedSize(corners) {
+    const [tl, tr, br, bl] = corners;
+    const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+    return {
+        width: Math.round(Math.max(dist(tl, tr), dist(bl, br))),
+        height: Math.round(Math.max(dist(tl, bl), dist(tr, br))),
+    };
+}
+
+/**
+ * 3×3 homography (row-major, 9 numbers) mapping each `from` point onto the
+ * matching `to` point. Four point pairs, no three collinear.
+ */
+function homography(from, to) {
+    // Eight equations in h0..h7 (h8 = 1)
+    const a = [];
+    for (let i = 0; i < 4; i++) {
+        const [x, y] = from[i];
+        const [u, v] = to[i];
+        a.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        a.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < 8; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        if (Math.abs(a[col][col]) < 1e-12) throw new Error('Degenerate page corners.');
+        for (let r = 0; r < 8; r++) {
+            if (r === col) continue;
+            const f = a[r][col] / a[col][col];
+            for (let c = col; c < 9; c++) a[r][c] -= f * a[col][c];
+        }
+    }
+    return [...a.map((row, i) => row[8] / row[i]), 1];
+}
+
+function multiply(m, n) {
+    const out = new Array(9).fill(0);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            for (let k = 0; k < 3; k++) out[r * 3 + c] += m[r * 3 + k] * n[k * 3 + c];
+        }
+    }
+    return out;
+}
+
+/** Rotation by `degrees` about the centre of a width × height image, as a homography. */
+function rotation(degrees, width, height) {
+    const a = degrees * Math.PI / 180;
+    const cos = Math.cos(a);
+    const sin = Math.sin(a);
+    const cx = width / 2;
+    const cy = height / 2;
+    return [
+        cos, -sin, cx - cos * cx + sin * cy,
+        sin, cos, cy - sin * cx - cos * cy,
+        0, 0, 1,
+    ];
+}
+
+/**
+ * Output → source transform for a page: rectify the corners (when given)
+ * onto a width × height rectangle, and rotate by skew degrees about its
+ * centre so lines drawn at that angle come out level.
+ */
+function pageTransform({ corners = null, width, height, skew = 0 }) {
+    let transform = corners
+        ? homography([[0, 0], [width, 0], [width, height], [0, height]], corners)
+        : [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    if (skew) transform = multiply(transform, rotation(skew, width, height));
+    return transform;
+}
+
+/**
+ * Resamples an image through an output → source transform (bilinear).
+ * Pixels that map outside the source are white.
+ */
+function warp(image, transform, width, height) {
+    const data = new Uint8Array(width * height);
+    const [a, b, c, d, e, f, g, h, i] = transform;
+    const maxX = image.width - 1;
+    const maxY = image.height - 1;
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            const uc = u + 0.5;
+            const vc = v + 0.5;
+            const w = g * uc + h * vc + i;
+            const x = (a * uc + b * vc + c) / w - 0.5;
+            const y = (d * uc + e * vc + f) / w - 0.5;
+            if (x < 0 || y < 0 || x > maxX || y > maxY) {
+                data[v * width + u] = 255;
+                continue;
+            }
+            const x0 = Math.floor(x);
+            const y0 = Math.floor(y);
+            const x1 = Math.min(x0 + 1, maxX);
+            const y1 = Math.min(y0 + 1, maxY);
+            const fx = x - x0;
+            const fy = y - y0;
+            const top = image.data[y0 * image.width + x0] * (1 - fx) + image.data[y0 * image.width + x1] * fx;
+            const bottom = image.data[y1 * image.width + x0] * (1 - fx) + image.data[y1 * image.width + x1] * fx;
+            data[v * width + u] = Math.round(top * (1 - fy) + bottom * fy);
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * Estimates how far the ruled lines and rows of writing are tilted, in
+ * degrees (positive = sloping down to the right). Tries each angle in
+ * ±maxAngle and keeps the one whose projection profile of dark pixels is
+ * most peaked – level lines pile their pixels into few rows.
+ */
+function estimateSkew(image, threshold, { maxAngle = 5, step = 0.25 } = {}) {
+    const xs = [];
+    const ys = [];
+    const total = image.width * image.height;
+    // Sample at most ~40k dark pixels
+    let dark = 0;
+    for (let p = 0; p < total; p++) if (image.data[p] <= threshold) dark++;
+    if (dark === 0) return 0;
+    const stride = Math.max(1, Math.floor(dark / 40000));
+    let seen = 0;
+    for (let p = 0; p < total; p++) {
+        if (image.data[p] > threshold) continue;
+        if (seen++ % stride !== 0) continue;
+        xs.push(p % image.width);
+        ys.push(Math.floor(p / image.width));
+    }
+
+    const span = image.width + image.height;
+    const bins = new Float64Array(2 * span + 1);
+    let best = 0;
+    let bestScore = -1;
+    for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += step) {
+        const a = angle * Math.PI / 180;
+        const sin = Math.sin(a);
+        const cos = Math.cos(a);
+        bins.fill(0);
+        for (let k = 0; k < xs.length; k++) {
+            bins[Math.round(ys[k] * cos - xs[k] * sin) + span]++;
+        }
+        let score = 0;
+        for (let k = 0; k < bins.length; k++) score += bins[k] * bins[k];
+        // Ties go to the smaller correction
+        if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(best))) {
+            bestScore = score;
+            best = angle;
+        }
+    }
+    return Math.round(best * 100) / 100;
+}
+
+/**
+ * Brightness (mean grey level), contrast (standard deviation of grey
+ * levels) and sharpness (variance of the Laplacian – low means blurred).
+ */
+function imageStats(image) {
+    const { data, width, height } = image;
+    let sum = 0;
+    let sumSq = 0;
+    for (let p = 0; p < data.length; p++) {
+        sum += data[p];
+        sumSq += data[p] * data[p];
+    }
+    const mean = sum / data.length;
+
+    let lapSum = 0;
+    let lapSq = 0;
+    let n = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const p = y * width + x;
+            const lap = data[p - 1] + data[p + 1] + data[p - width] + data[p + width] - 4 * data[p];
+            lapSum += lap;
+            lapSq += lap * lap;
+            n++;
+        }
+    }
+    const lapMean = n > 0 ? lapSum / n : 0;
+
+    return {
+        brightness: Math.round(mean),
+        contrast: Math.round(Math.sqrt(Math.max(0, sumSq / data.length - mean * mean)) * 10) / 10,
+        sharpness: n > 0 ? Math.round(lapSq / n - lapMean * lapMean) : 0,
+    };
+}
+
+/** Pixels above the threshold become white, the rest black. */
+function binarize(image, threshold) {
+    const data = new Uint8Array(image.data.length);
+    for (let p = 0; p < data.length; p++) data[p] = image.data[p] > threshold ? 255 : 0;
+    return { data, width: image.width, height: image.height };
+}
+
+module.exports = {
+    downsample,
+    otsuThreshold,
+    findPageCorners,
+    fillsFrame,
+    rectifiedSize,
+    homography,
+    pageTransform,
+    warp,
+    estimateSkew,
+    imageStats,
+    binarize,
+};